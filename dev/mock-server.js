@@ -0,0 +1,483 @@
+// Local mock of the submission API for manual testing of the settle, business, deregistration letter and contact forms.
+// Serves the site from the repository root, so the relative endpoints in config.submission work as-is.
+//
+//   node dev/mock-server.js                  -> http://localhost:8080
+//   PORT=3000 MOCK_MODE=flaky node dev/mock-server.js
+//
+// Modes (MOCK_MODE, or at runtime: http://localhost:8080/__mock/mode?set=<mode>):
+//   ok      - every submission is accepted (default)
+//   flaky   - every other request fails with 503, exercising the retry with backoff
+//   error   - every request fails with 500
+//   reject  - every request is rejected with 422 and a message
+//   large   - every request is rejected with 413
+//   slow    - responses take longer than config.submission.timeout
+// Offline queueing can be tested with the browser's developer tools (Network -> Offline).
+// Funnel analytics batches (POST /api/analytics/events) are always accepted and logged.
+//
+// Case status lookups (POST /api/cases/status, see the Case Status section of script.js) know two sample
+// cases plus every settle form sent as JSON while the server runs (looked up with its settle_dob):
+//   GT-DEMO2025  born 1985-04-12, one-time code 246810  -> received, two documents missing
+//   GT-DEMO2024  born 1979-11-30, one-time code 135790  -> refund paid
+// The modes 'error' and 'slow' apply to lookups too; MAX_FAILED_LOOKUPS failures per reference answer 429.
+//
+// Referrals (see the Referrals section of script.js) are counted here, so the cap of MAX_REFERRALS holds
+// across browsers; the counts live as long as the server runs. A submission whose <form>_referral field
+// names an issued code takes a slot when it arrives and is rejected with 409 once the code is used up.
+//   POST /api/referrals {submissionId}                  -> {code, max, remaining}, one code per received submission
+//   GET  /api/referrals/<code>                          -> {max, remaining}, 404 for codes that were not issued
+//   POST /api/referrals/<code>/redemptions {submissionId} -> {accepted, max, remaining} for a received submission,
+//                                                          409 once the code is used up
+// The sample code 7KQM-3XPV has one referral left.
+'use strict';
+
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const PORT = Number(process.env.PORT) || 8080;
+const ROOT = path.resolve(__dirname, '..');
+const MODES = ['ok', 'flaky', 'error', 'reject', 'large', 'slow'];
+const SLOW_DELAY = 20000; // ms, longer than the default client timeout
+const MAX_FAILED_LOOKUPS = 5;
+const MAX_REFERRALS = 2;
+// Characters of referral codes and their check character, as in script.js
+const REFERRAL_CODE_ALPHABET = '23456789ABCDEFGHJKLMNPQRSTUVWXYZ';
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.mjs': 'text/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.ico': 'image/x-icon',
+    '.pdf': 'application/pdf',
+};
+
+let mode = MODES.includes(process.env.MOCK_MODE) ? process.env.MOCK_MODE : 'ok';
+let requestCount = 0;
+// Submission id -> case reference, so redelivered submissions are not counted twice
+const received = new Map();
+// Case reference -> case (same format as the case status response, plus the credentials)
+const cases = new Map([
+    ['GT-DEMO2025', {
+        reference: 'GT-DEMO2025',
+        birthDate: '1985-04-12',
+        code: '246810',
+        updatedAt: '2026-03-18T09:30:00Z',
+        stages: [
+            { key: 'received', date: '2026-03-02' },
+            { key: 'documentsComplete', date: null },
+            { key: 'filed', date: null },
+            { key: 'assessed', date: null },
+            { key: 'refundPaid', date: null },
+        ],
+        missingDocuments: [
+            { category: 'lohnsteuerbescheinigung' },
+            { category: 'commute', note: 'Zaświadczenie pracodawcy o liczbie dni pracy w 2025 r.' },
+        ],
+    }],
+    ['GT-DEMO2024', {
+        reference: 'GT-DEMO2024',
+        birthDate: '1979-11-30',
+        code: '135790',
+        updatedAt: '2025-09-04T14:05:00Z',
+        stages: [
+            { key: 'received', date: '2025-03-11' },
+            { key: 'documentsComplete', date: '2025-03-20' },
+            { key: 'filed', date: '2025-04-02' },
+            { key: 'assessed', date: '2025-08-22' },
+            { key: 'refundPaid', date: '2025-09-04' },
+        ],
+        missingDocuments: [],
+    }],
+]);
+// Case reference -> failed lookups
+const failedLookups = new Map();
+// Referral code -> submission ids that used it, and submission id -> the code issued for it
+const referrals = new Map([['7KQM-3XPV', new Set(['demo-referral'])]]);
+const issuedReferralCodes = new Map();
+
+/**
+ * Sends a JSON response.
+ * @param {http.ServerResponse} res - The response.
+ * @param {number} status - HTTP status code.
+ * @param {object} body - The response body.
+ */
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * Reads the whole request body.
+ * @param {http.IncomingMessage} req - The request.
+ * @returns {Promise<Buffer>}
+ */
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => resolve(Buffer.concat(chunks)));
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Handles POST /api/submissions/<form>.
+ * @param {http.IncomingMessage} req - The request.
+ * @param {http.ServerResponse} res - The response.
+ * @param {string} formKey - The form key from the URL.
+ */
+async function handleSubmission(req, res, formKey) {
+    const body = await readBody(req);
+    const contentType = req.headers['content-type'] || '';
+    const submissionId = req.headers['idempotency-key'] || null;
+    requestCount++;
+
+    console.log(`[${new Date().toISOString()}] ${formKey} submission (${mode}), ${body.length} B, ${contentType.split(';')[0]}, id ${submissionId}`);
+    if (contentType.startsWith('application/json')) {
+        try {
+            console.log(JSON.parse(body.toString('utf8')));
+        } catch (error) {
+            sendJson(res, 400, { message: 'Nieprawidłowy format danych (JSON).' });
+            return;
+        }
+    }
+
+    switch (mode) {
+        case 'flaky':
+            if (requestCount % 2 === 1) {
+                sendJson(res, 503, { message: 'Service temporarily unavailable.' });
+                return;
+            }
+            break;
+        case 'error':
+            sendJson(res, 500, { message: 'Internal server error.' });
+            return;
+        case 'reject':
+            sendJson(res, 422, { message: 'Podany adres e-mail jest nieprawidłowy (odpowiedź serwera testowego).' });
+            return;
+        case 'large':
+            sendJson(res, 413, { message: 'Payload too large.' });
+            return;
+        case 'slow':
+            await new Promise(resolve => setTimeout(resolve, SLOW_DELAY));
+            break;
+    }
+
+    if (submissionId && received.has(submissionId)) {
+        sendJson(res, 200, { ok: true, reference: received.get(submissionId), duplicate: true });
+        return;
+    }
+    const referralCode = await readReferralCode(body, contentType, formKey);
+    if (referralCode && referrals.has(referralCode) && !takeReferralSlot(referralCode, submissionId)) {
+        sendJson(res, 409, { message: `Kod polecający ${referralCode} wykorzystał już limit poleceń (${MAX_REFERRALS}).` });
+        return;
+    }
+    const reference = `GT-${Date.now().toString(36).toUpperCase()}`;
+    if (submissionId) received.set(submissionId, reference);
+    if (formKey === 'settle' && contentType.startsWith('application/json')) {
+        registerCase(reference, JSON.parse(body.toString('utf8')).fields || {});
+    }
+    sendJson(res, 201, { ok: true, reference });
+}
+
+/**
+ * Reads the referral code field of a submission.
+ * @param {Buffer} body - The request body.
+ * @param {string} contentType - The Content-Type header.
+ * @param {string} formKey - The form key from the URL.
+ * @returns {Promise<string|null>} - The code as sent, or null when the field is empty or missing.
+ */
+async function readReferralCode(body, contentType, formKey) {
+    const field = `${formKey}_referral`;
+    if (contentType.startsWith('application/json')) {
+        const { fields = {} } = JSON.parse(body.toString('utf8'));
+        return fields[field] || null;
+    }
+    if (contentType.startsWith('multipart/form-data')) {
+        const formData = await new Response(body, { headers: { 'Content-Type': contentType } }).formData();
+        return formData.get(field) || null;
+    }
+    return null;
+}
+
+/**
+ * Takes a slot of an issued referral code for a submission; the same submission takes only one.
+ * @param {string} code - The referral code.
+ * @param {string|null} submissionId - The submission id.
+ * @returns {boolean} - Whether the submission holds a slot of the code.
+ */
+function takeReferralSlot(code, submissionId) {
+    const used = referrals.get(code);
+    if (used.has(submissionId)) return true;
+    if (used.size >= MAX_REFERRALS) return false;
+    used.add(submissionId);
+    return true;
+}
+
+/**
+ * Makes a received settle submission available to the case status lookup.
+ * @param {string} reference - The case reference returned to the client.
+ * @param {object} fields - The submitted form fields.
+ */
+function registerCase(reference, fields) {
+    const now = new Date();
+    cases.set(reference, {
+        reference,
+        birthDate: fields.settle_dob,
+        code: null,
+        updatedAt: now.toISOString(),
+        stages: [
+            { key: 'received', date: now.toISOString().slice(0, 10) },
+            { key: 'documentsComplete', date: null },
+            { key: 'filed', date: null },
+            { key: 'assessed', date: null },
+            { key: 'refundPaid', date: null },
+        ],
+        missingDocuments: [],
+    });
+}
+
+/**
+ * Handles POST /api/cases/status.
+ * @param {http.IncomingMessage} req - The request.
+ * @param {http.ServerResponse} res - The response.
+ */
+async function handleCaseStatus(req, res) {
+    let lookup;
+    try {
+        lookup = JSON.parse((await readBody(req)).toString('utf8'));
+    } catch (error) {
+        sendJson(res, 400, { message: 'Invalid JSON.' });
+        return;
+    }
+    console.log(`[${new Date().toISOString()}] case status lookup (${mode}) for ${lookup.reference}`);
+
+    if (mode === 'error') {
+        sendJson(res, 500, { message: 'Internal server error.' });
+        return;
+    }
+    if (mode === 'slow') {
+        await new Promise(resolve => setTimeout(resolve, SLOW_DELAY));
+    }
+
+    const reference = String(lookup.reference || '');
+    const failures = failedLookups.get(reference) || 0;
+    if (failures >= MAX_FAILED_LOOKUPS) {
+        res.setHeader('Retry-After', '900');
+        sendJson(res, 429, { message: 'Too many failed attempts.' });
+        return;
+    }
+
+    const found = cases.get(reference);
+    const matches = found && (lookup.code ? found.code === lookup.code : found.birthDate === lookup.birthDate);
+    if (!matches) {
+        failedLookups.set(reference, failures + 1);
+        sendJson(res, 404, { message: 'Case not found.' });
+        return;
+    }
+    failedLookups.delete(reference);
+    const { birthDate, code, ...status } = found;
+    sendJson(res, 200, status);
+}
+
+/**
+ * Handles the referral endpoints.
+ * @param {http.IncomingMessage} req - The request.
+ * @param {http.ServerResponse} res - The response.
+ * @param {string|null} code - The referral code from the URL, null for issuing a code.
+ * @param {boolean} redeem - Whether the request redeems the code.
+ */
+async function handleReferral(req, res, code, redeem) {
+    let submissionId = null;
+    if (req.method === 'POST') {
+        try {
+            submissionId = String(JSON.parse((await readBody(req)).toString('utf8')).submissionId || '');
+        } catch (error) {
+            sendJson(res, 400, { message: 'Invalid JSON.' });
+            return;
+        }
+    }
+
+    if (!code) {
+        // Only clients whose submission arrived get a code
+        if (!received.has(submissionId)) {
+            sendJson(res, 404, { message: 'Submission not found.' });
+            return;
+        }
+        if (!issuedReferralCodes.has(submissionId)) {
+            const issued = createReferralCode();
+            issuedReferralCodes.set(submissionId, issued);
+            referrals.set(issued, new Set());
+        }
+        const issued = issuedReferralCodes.get(submissionId);
+        console.log(`[${new Date().toISOString()}] referral code ${issued} issued for ${submissionId}`);
+        sendJson(res, 200, { code: issued, ...getReferralStatus(issued) });
+        return;
+    }
+
+    const used = referrals.get(code);
+    if (!used) {
+        sendJson(res, 404, { message: 'Unknown referral code.' });
+        return;
+    }
+    if (!redeem) {
+        sendJson(res, 200, getReferralStatus(code));
+        return;
+    }
+    // Only submissions that arrived can hold a slot; those with the code in their referral field already do
+    if (!received.has(submissionId)) {
+        sendJson(res, 404, { message: 'Submission not found.' });
+        return;
+    }
+    const accepted = takeReferralSlot(code, submissionId);
+    console.log(`[${new Date().toISOString()}] referral ${code} for ${submissionId} ${accepted ? 'accepted' : 'rejected'}`);
+    sendJson(res, accepted ? 200 : 409, { accepted, ...getReferralStatus(code) });
+}
+
+/**
+ * Returns the free referral slots of an issued code.
+ * @param {string} code - The referral code.
+ * @returns {{max: number, remaining: number}}
+ */
+function getReferralStatus(code) {
+    return { max: MAX_REFERRALS, remaining: Math.max(0, MAX_REFERRALS - referrals.get(code).size) };
+}
+
+/**
+ * Creates a random referral code with the check character script.js verifies (Luhn mod 32).
+ * @returns {string} - The code ("XXXX-XXXX").
+ */
+function createReferralCode() {
+    const base = REFERRAL_CODE_ALPHABET.length;
+    const payload = Array.from({ length: 7 }, () => REFERRAL_CODE_ALPHABET[crypto.randomInt(base)]).join('');
+    const sum = Array.from(payload).reverse().reduce((total, char, index) => {
+        const value = REFERRAL_CODE_ALPHABET.indexOf(char) * (index % 2 === 0 ? 2 : 1);
+        return total + Math.floor(value / base) + (value % base);
+    }, 0);
+    const characters = payload + REFERRAL_CODE_ALPHABET[(base - (sum % base)) % base];
+    return `${characters.slice(0, 4)}-${characters.slice(4)}`;
+}
+
+/**
+ * Handles POST /api/analytics/events (batches sent with navigator.sendBeacon).
+ * @param {http.IncomingMessage} req - The request.
+ * @param {http.ServerResponse} res - The response.
+ */
+async function handleAnalytics(req, res) {
+    const body = await readBody(req);
+    try {
+        const { events } = JSON.parse(body.toString('utf8'));
+        console.log(`[${new Date().toISOString()}] analytics batch of ${events.length} events`);
+        events.forEach(event => console.log(`  ${event.name}`, JSON.stringify(event.properties)));
+    } catch (error) {
+        sendJson(res, 400, { message: 'Invalid analytics batch.' });
+        return;
+    }
+    res.writeHead(204);
+    res.end();
+}
+
+/**
+ * Serves a static file from the repository root.
+ * @param {http.ServerResponse} res - The response.
+ * @param {string} pathname - The decoded URL path.
+ */
+function serveStatic(res, pathname) {
+    const filePath = path.join(ROOT, pathname === '/' ? 'index.html' : pathname);
+    if (!filePath.startsWith(ROOT + path.sep)) {
+        res.writeHead(403);
+        res.end();
+        return;
+    }
+    fs.readFile(filePath, (error, data) => {
+        if (error) {
+            res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+            res.end('Not found');
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream' });
+        res.end(data);
+    });
+}
+
+const server = http.createServer((req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+    let pathname;
+    try {
+        pathname = decodeURIComponent(url.pathname);
+    } catch (error) {
+        // Malformed percent-encoding, e.g. GET /%E0
+        sendJson(res, 400, { message: 'Malformed URL.' });
+        return;
+    }
+
+    if (pathname === '/__mock/mode') {
+        const requested = url.searchParams.get('set');
+        if (requested && MODES.includes(requested)) {
+            mode = requested;
+            requestCount = 0;
+        }
+        sendJson(res, 200, { mode, modes: MODES });
+        return;
+    }
+
+    const match = pathname.match(/^\/api\/submissions\/([a-z_]+)$/);
+    if (match) {
+        if (req.method !== 'POST') {
+            sendJson(res, 405, { message: 'Method not allowed.' });
+            return;
+        }
+        handleSubmission(req, res, match[1]).catch(error => {
+            console.error(error);
+            sendJson(res, 500, { message: 'Mock server error.' });
+        });
+        return;
+    }
+
+    if (pathname === '/api/cases/status') {
+        if (req.method !== 'POST') {
+            sendJson(res, 405, { message: 'Method not allowed.' });
+            return;
+        }
+        handleCaseStatus(req, res).catch(error => {
+            console.error(error);
+            sendJson(res, 500, { message: 'Mock server error.' });
+        });
+        return;
+    }
+
+    const referralMatch = pathname.match(/^\/api\/referrals(?:\/([2-9A-HJ-NP-Z]{4}-[2-9A-HJ-NP-Z]{4})(\/redemptions)?)?$/);
+    if (referralMatch) {
+        const [, code = null, redemptions] = referralMatch;
+        if (req.method !== (code && !redemptions ? 'GET' : 'POST')) {
+            sendJson(res, 405, { message: 'Method not allowed.' });
+            return;
+        }
+        handleReferral(req, res, code, Boolean(redemptions)).catch(error => {
+            console.error(error);
+            sendJson(res, 500, { message: 'Mock server error.' });
+        });
+        return;
+    }
+
+    if (pathname === '/api/analytics/events' && req.method === 'POST') {
+        handleAnalytics(req, res).catch(error => {
+            console.error(error);
+            sendJson(res, 500, { message: 'Mock server error.' });
+        });
+        return;
+    }
+
+    serveStatic(res, pathname);
+});
+
+server.listen(PORT, () => {
+    console.log(`Mock server running at http://localhost:${PORT} (mode: ${mode})`);
+});
@@ -1,666 +1,9462 @@
-// Wrap code in an IIFE (Immediately Invoked Function Expression)
-// to avoid polluting the global scope and ensure 'use strict' context.
-(function() {
-    'use strict';
+// German Tax website script, an ES module: the page and partner sites call init(options) (see "Public API").
 
-    /**
-     * -------------------------------------
-     * Configuration & Constants
-     * -------------------------------------
-     */
-    const config = {
-        // Class added to header when scrolled
-        scrolledHeaderClass: 'scrolled',
-        // Offset in pixels before adding scrolled class
-        scrollOffset: 50,
-        // Class for mobile menu toggle button
-        navToggleSelector: '.nav-toggle',
-        // Class for the navigation list (mobile menu)
-        navListSelector: '.nav-list',
-        // Class added to nav list when open
-        navOpenClass: 'is-open',
-        // Class added to body when nav is open to prevent scrolling
-        bodyNavOpenClass: 'nav-open-no-scroll',
-        // Selector for navigation links (for smooth scroll & active state)
-        navLinkSelector: '.nav-link',
-        // Selector for sections to track for active nav state
-        scrollSpySectionSelector: 'main > section[id]',
-        // Class added to the active navigation link
-        activeNavLinkClass: 'active',
-        // Offset for scroll spy activation (adjust based on sticky header height)
-        scrollSpyOffset: 100, // Pixels
-        // Selector for elements to animate on scroll
-        scrollRevealSelector: '.reveal-on-scroll',
-        // Class added when element is visible in viewport
-        scrollRevealVisibleClass: 'is-visible',
-        // Intersection Observer threshold for scroll reveal (0 to 1)
-        scrollRevealThreshold: 0.15,
-        // Selector for the "Rozlicz się" form
-        settleFormSelector: '#settle-form',
-        // Selector for the message area in the settle form
-        settleFormMessageSelector: '#settle-form-message',
-        // Selector for the contact form
-        contactFormSelector: '#contact-form',
-        // Selector for the message area in the contact form
-        contactFormMessageSelector: '#contact-form-message',
-        // Selector for the link that opens the privacy policy modal
-        privacyModalLinkSelector: '#privacy-policy-link',
-        // Selector for the privacy policy modal itself
-        privacyModalSelector: '#privacy-policy-modal',
-        // Selector for the close button within the modal
-        modalCloseSelector: '.modal-close',
-        // Selector for the copyright year span
-        currentYearSelector: '#current-year',
-        // Selector for skip links (to potentially hide on interaction)
-        skipLinkSelector: '.skip-link',
-    };
+/**
+ * -------------------------------------
+ * Configuration & Constants
+ * -------------------------------------
+ */
+const config = {
+    // Class added to header when scrolled
+    scrolledHeaderClass: 'scrolled',
+    // Offset in pixels before adding scrolled class
+    scrollOffset: 50,
+    // Class for mobile menu toggle button
+    navToggleSelector: '.nav-toggle',
+    // Class for the navigation list (mobile menu)
+    navListSelector: '.nav-list',
+    // Class added to nav list when open
+    navOpenClass: 'is-open',
+    // Class added to body when nav is open to prevent scrolling
+    bodyNavOpenClass: 'nav-open-no-scroll',
+    // Selector for navigation links (for smooth scroll & active state)
+    navLinkSelector: '.nav-link',
+    // Selector for sections to track for active nav state
+    scrollSpySectionSelector: 'main > section[id]',
+    // Class added to the active navigation link
+    activeNavLinkClass: 'active',
+    // Offset for scroll spy activation (adjust based on sticky header height)
+    scrollSpyOffset: 100, // Pixels
+    // Milliseconds without scrolling after which a smooth scroll counts as finished (browsers without `scrollend`)
+    scrollEndDelay: 100,
+    // Selector for elements to animate on scroll
+    scrollRevealSelector: '.reveal-on-scroll',
+    // Class added when element is visible in viewport
+    scrollRevealVisibleClass: 'is-visible',
+    // Intersection Observer threshold for scroll reveal (0 to 1)
+    scrollRevealThreshold: 0.15,
+    // Selector for the "Rozlicz się" form
+    settleFormSelector: '#settle-form',
+    // Selector for the message area in the settle form
+    settleFormMessageSelector: '#settle-form-message',
+    // Selector for the individual steps of the settle wizard
+    settleStepSelector: '.settle-step',
+    // Selector for the settle wizard progress indicator items
+    settleStepIndicatorSelector: '[data-step-indicator]',
+    // Selector for the review container in the last wizard step
+    settleReviewSelector: '[data-settle-review]',
+    // Selector for the filing deadline note under the tax year select of the settle form
+    settleYearDeadlinesSelector: '[data-settle-year-deadlines]',
+    // Filing rules behind the tax year select of the settle form – update these when the law changes
+    filingRules: {
+        // Voluntary returns (Antragsveranlagung) can be filed until 31 Dec of this many years after the tax year
+        voluntaryFilingYears: 4,
+        // Deadline of mandatory returns filed without a tax advisor: month and day of the following year
+        statutoryDeadline: { month: 7, day: 31 },
+        // Statutory deadlines set differently by law, per tax year (ISO dates, before the weekend shift)
+        statutoryDeadlineOverrides: { 2020: '2021-10-31', 2021: '2022-10-31', 2022: '2023-09-30', 2023: '2024-08-31' },
+        // Statutory deadlines falling on a weekend move to the next Monday (§108(3) AO)
+        shiftWeekendDeadlines: true,
+        // We advise sending the documents this many days before the next deadline
+        advisedLeadDays: 30,
+        // Calendar reminders go off this many days before each date
+        reminderLeadDays: 7,
+    },
+    // File name (without extension) of the deadline calendar reminder
+    calendarFileName: 'german-tax-termin-{year}',
+    // Domain used in the UIDs of calendar events
+    calendarUidDomain: 'german-tax.pl',
+    // File name (without extension) of the calendar invite for a requested callback ({date} is the call date)
+    callbackInviteFileName: 'german-tax-rozmowa-{date}',
+    // Selector for a document category block in the upload step
+    documentCategorySelector: '[data-document-category]',
+    // Accepted document types: MIME type -> kind, plus file extensions as fallback
+    documentAcceptedTypes: {
+        'application/pdf': 'pdf',
+        'image/jpeg': 'image',
+        'image/png': 'image',
+    },
+    documentAcceptedExtensions: {
+        pdf: 'pdf',
+        jpg: 'image',
+        jpeg: 'image',
+        png: 'image',
+    },
+    // Maximum size of a single uploaded document (bytes)
+    documentMaxFileSize: 10 * 1024 * 1024, // 10 MB
+    // Maximum number of documents per category
+    documentMaxFilesPerCategory: 10,
+    // Width in pixels of rendered document thumbnails
+    documentThumbnailSize: 48,
+    // pdf.js 4.10.38 (legacy module build, vendored from pdfjs-dist) used to render PDF thumbnails and read
+    // wage certificates; loaded lazily on first PDF. Update the integrity hash together with the file:
+    //   openssl dgst -sha384 -binary vendor/pdfjs/pdf.min.mjs | base64
+    pdfJsSrc: 'vendor/pdfjs/pdf.min.mjs',
+    // Subresource Integrity hash of pdfJsSrc
+    pdfJsIntegrity: 'sha384-z/XbAtvhBXJoK+yvYimnFuTCF6/2wTCDSIFD09/HtIfwFtvDKOMdAe5Z3wOChkmW',
+    // pdf.js worker (a module worker; workers cannot carry an integrity hash, so it is served from the site itself)
+    pdfJsWorkerSrc: 'vendor/pdfjs/pdf.worker.min.mjs',
+    // Selector for the business intake wizard (Freistellungsbescheinigung and Bauabzugsteuer refunds)
+    businessFormSelector: '#business-form',
+    // Selector for the message area of the business intake wizard
+    businessFormMessageSelector: '#business-form-message',
+    // Selector for the panel totalling the invoices of the business intake wizard
+    businessSummarySelector: '[data-business-summary]',
+    // Selector for the deregistration letter wizard (Abmeldung and Krankenkasse)
+    lettersFormSelector: '#letters-form',
+    // Selector for the message area of the deregistration letter wizard
+    lettersFormMessageSelector: '#letters-form-message',
+    // Selector for the contact form
+    contactFormSelector: '#contact-form',
+    // Selector for the message area in the contact form
+    contactFormMessageSelector: '#contact-form-message',
+    // Selector for the dialogs handled by the modal manager
+    modalSelector: '.modal',
+    // Selector for elements that open a modal; the attribute value is the modal's id
+    modalTriggerSelector: '[data-modal-open]',
+    // Selector for the close buttons within a modal
+    modalCloseSelector: '.modal-close, [data-modal-close]',
+    // Selector for the copyright year span
+    currentYearSelector: '#current-year',
+    // Selector for skip links (to potentially hide on interaction)
+    skipLinkSelector: '.skip-link',
+    // Supported page languages: Intl locale for number, currency and date formatting, and the og:locale value
+    languages: {
+        pl: { locale: 'pl-PL', ogLocale: 'pl_PL' },
+        de: { locale: 'de-DE', ogLocale: 'de_DE' },
+        en: { locale: 'en-GB', ogLocale: 'en_GB' },
+    },
+    // Language of the HTML source; its texts are read from the page instead of a catalog
+    defaultLanguage: 'pl',
+    // URL of the translation catalog of a language ({lang} is replaced with the language code)
+    translationsUrl: 'i18n/{lang}.json',
+    // URL query parameter selecting the language (e.g. ?lang=de)
+    languageParam: 'lang',
+    // localStorage key of the language chosen in the switcher
+    languageStorageKey: 'germanTax.language',
+    // Selector for the language switcher in the header
+    languageSwitcherSelector: '[data-language-switcher]',
+    // Selector for the refund estimator form
+    estimatorFormSelector: '#estimator-form',
+    // Selector for the estimator result panel
+    estimatorResultSelector: '#estimator-result',
+    // Selector for the message area of the estimator
+    estimatorMessageSelector: '#estimator-message',
+    // Selector for the pricing section (holds the office override data attributes)
+    pricingSectionSelector: '#cennik',
+    // Selector for price cards rendered from the price list
+    priceCardSelector: '.pricing-card[data-service]',
+    // Local URL of the EUR/PLN rate table (NBP table A JSON format)
+    exchangeRateUrl: 'data/nbp-table-a.json',
+    // localStorage key of the last successfully loaded rate
+    exchangeRateCacheKey: 'germanTax.exchangeRate',
+    // Rate used when neither the table nor a cached rate is available
+    exchangeRateFallback: 4.30,
+    // Manual override for office staff, e.g. 4.35 (the data-eur-pln-rate attribute takes precedence)
+    exchangeRateOverride: null,
+    // Rounding of PLN prices and of per-unit PLN surcharges ('nearest' | 'up' | 'down', step in PLN)
+    plnRounding: { mode: 'nearest', step: 1 },
+    plnUnitRounding: { mode: 'nearest', step: 0.01 },
+    // Selector for the quote builder form
+    quoteFormSelector: '#quote-form',
+    // Selector for the quote builder summary panel
+    quoteSummarySelector: '#quote-summary',
+    // Selector for hidden form fields that carry the selected quote with a submission
+    quoteFieldSelector: '[data-quote-field]',
+    // Selector for the notes showing the attached quote inside the forms
+    quoteNoteSelector: '[data-quote-note]',
+    // Selector for the commute calculator form
+    commuteFormSelector: '#commute-form',
+    // Selector for the commute calculator summary panel
+    commuteSummarySelector: '#commute-summary',
+    // Selector for hidden form fields that carry the calculated commute costs with a submission
+    commuteFieldSelector: '[data-commute-field]',
+    // Selector for the notes showing the attached commute costs inside the forms
+    commuteNoteSelector: '[data-commute-note]',
+    // Selector for the tax obligation check questionnaire form
+    taxCheckFormSelector: '#tax-check-form',
+    // Selector for the tax obligation check result panel
+    taxCheckResultSelector: '#tax-check-result',
+    // Selector for hidden form fields that carry the tax obligation check outcome with a submission
+    taxCheckFieldSelector: '[data-tax-check-field]',
+    // Selector for the notes showing the attached tax obligation check outcome inside the forms
+    taxCheckNoteSelector: '[data-tax-check-note]',
+    // Selector for the confirmation view shown after the settle form was submitted
+    settleConfirmationSelector: '#settle-confirmation',
+    // Prefix of case reference numbers created in the browser (when the server returns none)
+    caseReferencePrefix: 'GT-',
+    // File name (without extension) of the downloadable submission summary
+    settleSummaryFileName: 'german-tax-zgloszenie-{reference}',
+    // Form submission settings (run `node dev/mock-server.js` to test against a local endpoint)
+    submission: {
+        // Transport used to send forms: 'fetch' (HTTP endpoint) or 'mailto' (opens the e-mail client)
+        transport: 'fetch',
+        // Transport used when the primary one fails for good (null disables the fallback)
+        fallbackTransport: null,
+        // Endpoint per form key
+        endpoints: {
+            settle: '/api/submissions/settle',
+            contact: '/api/submissions/contact',
+            business: '/api/submissions/business',
+            letters: '/api/submissions/letters',
+        },
+        // Payload format: 'json' or 'multipart' (forms with attached files are always sent as multipart)
+        format: 'json',
+        // Time in milliseconds after which a single request is aborted
+        timeout: 15000,
+        // Number of retries after a failed attempt (timeouts, network and 5xx errors only)
+        retries: 3,
+        // Delay before the first retry in milliseconds; doubles with every further attempt
+        retryDelay: 1000,
+        // Recipient of the mailto transport
+        mailtoAddress: 'kontakt@german-tax.pl',
+    },
+    referral: {
+        // Backend that issues referral codes and counts referrals (key in `referralBackends`): 'http' calls the
+        // endpoint below, 'local' is a demo that counts in the browser's memory and enforces no real cap
+        backend: 'http',
+        // Endpoint of the referral API (documented in the Referrals section of this file)
+        endpoint: '/api/referrals',
+        // Time in milliseconds after which a referral request is aborted
+        timeout: 15000,
+        // People one client may refer ("max. 2 osoby polecone"); the 'http' backend takes the cap from the server
+        maxReferrals: 2,
+        // URL parameter of shared referral links (?ref=CODE)
+        urlParameter: 'ref',
+    },
+    caseStatus: {
+        // Client that looks up the status of a case (key in `caseStatusClients`): 'http' calls the endpoint
+        // below, 'local' answers from sample cases in the browser
+        client: 'http',
+        // Endpoint of the case status API (documented in the Case Status section of this file)
+        endpoint: '/api/cases/status',
+        // Time in milliseconds after which a lookup is aborted
+        timeout: 15000,
+    },
+    // Invoices of the business intake wizard (Bauabzugsteuer, §§48–48d EStG)
+    business: {
+        // Share of the payment the contractor's client withholds; assumed for invoices without an amount entered
+        withholdingRate: 0.15,
+        // Refunds can be claimed until 31 Dec of this many years after the year of the withholding (§48c(2) EStG);
+        // counted from the invoice date, as the withholding is declared shortly after the payment
+        refundYears: 2,
+        // Maximum size of an imported CSV invoice list (bytes)
+        csvMaxFileSize: 1024 * 1024,
+    },
+    // Deregistration letters generated in the browser (templates documented in the Deregistration Letters section)
+    letters: {
+        // Template of each document, keyed like the price list services
+        templateUrls: {
+            abmeldung: 'data/letters/abmeldung.json',
+            krankenkasse: 'data/letters/krankenkasse.json',
+        },
+        // File name (without extension) of the downloaded and submitted PDF ({date} is the current date)
+        fileName: 'german-tax-wymeldowanie-{date}',
+        // Days after moving out within which the Abmeldung is due (§ 17(2) BMG); later ones get a reminder
+        abmeldungDeadlineDays: 14,
+    },
+    // Callback slots offered in the contact and settle forms
+    callback: {
+        // Time zone of the office; office hours and public holidays refer to it
+        officeTimeZone: 'Europe/Warsaw',
+        // Office hours per weekday (0 = Sunday … 6 = Saturday) as [opening, closing]; missing days are closed
+        officeHours: {
+            1: ['09:00', '17:00'],
+            2: ['09:00', '17:00'],
+            3: ['09:00', '17:00'],
+            4: ['09:00', '17:00'],
+            5: ['09:00', '17:00'],
+        },
+        // Length of a slot in minutes
+        slotMinutes: 30,
+        // The earliest slot offered starts at least this many minutes from now
+        minLeadMinutes: 60,
+        // Number of office days with free slots offered
+        days: 10,
+        // Polish public holidays on fixed dates (MM-DD) …
+        fixedHolidays: ['01-01', '01-06', '05-01', '05-03', '08-15', '11-01', '11-11', '12-24', '12-25', '12-26'],
+        // … with the first year of holidays introduced later (Christmas Eve is a holiday since 2025)
+        holidaysSince: { '12-24': 2025 },
+        // Movable feasts in days after Easter Sunday: Easter Sunday, Easter Monday, Pentecost, Corpus Christi
+        easterHolidays: [0, 1, 49, 60],
+        // Time zones offered besides the visitor's own (many clients work abroad)
+        timeZones: ['Europe/Warsaw', 'Europe/Berlin', 'Europe/Amsterdam', 'Europe/London', 'Europe/Dublin', 'Europe/Oslo'],
+        // Minutes before the call at which the calendar invite reminds
+        reminderMinutes: 15,
+    },
+    logging: {
+        // Lowest level written to the console: 'debug', 'info', 'warn', 'error' or 'silent'
+        level: 'debug',
+        // Production mode writes only `productionLevel` and above, without details (which may hold personal data)
+        production: !['localhost', '127.0.0.1', ''].includes(window.location.hostname),
+        productionLevel: 'warn',
+    },
+    analytics: {
+        // Sink receiving batches of funnel events (key in `analyticsSinks`)
+        sink: 'beacon',
+        // Endpoint of the beacon sink
+        endpoint: '/api/analytics/events',
+        // Events per batch; a full batch is sent right away
+        batchSize: 20,
+        // Milliseconds after the first queued event before an incomplete batch is sent
+        flushInterval: 10000,
+    },
+    // Referral code fields of the settle and contact forms
+    referralFieldSelector: '[data-referral-field]',
+    // Block of the settle confirmation that shows the client's own referral code
+    referralIssuedSelector: '[data-referral-issued]',
+    // Selector for the case status lookup form
+    caseStatusFormSelector: '#case-status-form',
+    // Selector for the panel showing the timeline of the looked-up case
+    caseStatusResultSelector: '#case-status-result',
+    // Selector for the message area of the case status lookup
+    caseStatusMessageSelector: '#case-status-message',
+    // Selector for the callback slot pickers of the contact and settle forms
+    callbackPickerSelector: '[data-callback-picker]',
+    // IndexedDB database holding data that must survive a reload (e.g. the offline submission queue)
+    databaseName: 'germanTax',
+    databaseVersion: 2,
+    // Object store of submissions waiting for connectivity (encrypted, like the settle draft)
+    submissionQueueStore: 'submissionQueue',
+    // Days after which a queued submission that could not be sent is discarded
+    submissionQueueMaxAgeDays: 7,
+    // Object store of the (non-extractable) encryption keys
+    cryptoKeyStore: 'cryptoKeys',
+    // localStorage key of the encrypted settle form draft
+    settleDraftStorageKey: 'germanTax.settleDraft',
+    // Days after which a saved draft is discarded
+    settleDraftMaxAgeDays: 7,
+    // Delay in milliseconds between the last change and saving the draft
+    settleDraftSaveDelay: 1000,
+    // Selector for the "resume your draft?" prompt
+    settleDraftPromptSelector: '[data-draft-prompt]',
+    // Selector for the draft status line with the "delete my draft" control
+    settleDraftStatusSelector: '[data-draft-status]',
+    // Selector for the conditional sub-forms of the settle form (spouse, children)
+    settleSubformSelector: '[data-subform]',
+    // Selector for the error summary above a form (lists and links every invalid field)
+    errorSummarySelector: '[data-error-summary]',
+    // Country (value of the country select) whose dialling code is assumed when a phone field has no country field
+    defaultPhoneCountry: 'Polska',
+    // Accepted age range in years for a date of birth
+    birthDateMinAge: 16,
+    birthDateMaxAge: 100,
+    // Maximum age in years of a child entered in the settle form (Kindergeld is paid up to this age)
+    childMaxAge: 25,
+    // localStorage key of the visitor's cookie consent record
+    consentStorageKey: 'germanTax.consent',
+    // Version of the privacy policy the consent refers to; bumping it asks every visitor again
+    consentPolicyVersion: '2026-10-19',
+    // Selector for the consent banner shown until the visitor decided
+    consentBannerSelector: '[data-consent-banner]',
+    // Selector for the consent settings modal
+    consentSettingsSelector: '#consent-settings-modal',
+    // Selector for the footer button that reopens the consent settings
+    consentRevisitSelector: '#revisit-consent-button',
+    // Selector for inactive scripts that are started once their consent category is granted
+    consentScriptSelector: 'script[type="text/plain"][data-consent-category]',
+    // Global through which other scripts query and subscribe to the consent state
+    consentGlobalName: 'GermanTaxConsent',
+    // Name of the field carrying the consent record with form submissions
+    consentSubmissionField: 'consent_record',
+};
 
-    /**
-     * -------------------------------------
-     * DOM Ready Execution
-     * -------------------------------------
-     * Waits for the HTML to be fully parsed before running scripts.
-     */
-    document.addEventListener('DOMContentLoaded', () => {
-        console.log('German Tax Website Initializing...'); // Debug message
+/**
+ * -------------------------------------
+ * Tax Year Parameters
+ * -------------------------------------
+ * Per-year figures used by the refund estimator (§32a EStG tariff, Soli,
+ * allowances and estimated deductible social security contributions), by
+ * the commute calculator (Entfernungspauschale rates) and by the tax obligation check.
+ * To support a new tax year, add an entry here – the logic stays unchanged.
+ *
+ * Tariff zones (x = taxable income, rounded down to full euros):
+ *   zone 1: x <= basicAllowance                  -> 0
+ *   zone 2: y = (x - basicAllowance) / 10000      -> (a * y + b) * y
+ *   zone 3: z = (x - zone2.upTo) / 10000          -> (a * z + b) * z + c
+ *   zone 4: x <= zone4.upTo                       -> rate * x - deduction
+ *   zone 5: above                                 -> rate * x - deduction
+ */
+const taxYearParameters = {
+    2020: {
+        tariff: {
+            basicAllowance: 9408,
+            zone2: { upTo: 14532, a: 972.87, b: 1400 },
+            zone3: { upTo: 57051, a: 212.02, b: 2397, c: 972.79 },
+            zone4: { upTo: 270500, rate: 0.42, deduction: 8963.74 },
+            zone5: { rate: 0.45, deduction: 17078.74 },
+        },
+        // Solidaritätszuschlag: exemption limit (single assessment) and phase-in rate above it
+        soli: { rate: 0.055, exemptionLimit: 972, phaseInRate: 0.2 },
+        employeeAllowance: 1000,          // Arbeitnehmer-Pauschbetrag
+        specialExpensesAllowance: 36,     // Sonderausgaben-Pauschbetrag (per person)
+        singleParentAllowance: 4008,      // Entlastungsbetrag für Alleinerziehende (tax class II)
+        // Estimated deductible employee contributions as a share of gross wage, up to the ceiling
+        pensionContributions: { rate: 0.0744, ceiling: 82800 },
+        healthContributions: { rate: 0.09061, ceiling: 56250 },
+        // Entfernungspauschale per full km of the one-way distance: `rate` up to km 20, `longDistanceRate` from
+        // km `longDistanceFromKm` on; commutes other than by own/company car are capped at `maxAmount` per year
+        commuteAllowance: { rate: 0.30, longDistanceRate: 0.30, longDistanceFromKm: 21, maxAmount: 4500 },
+        // §46 EStG: wage replacement benefits (Progressionsvorbehalt) and income not taxed through the payroll
+        // above these amounts make filing mandatory
+        mandatoryFilingLimits: { wageReplacement: 410, sideIncome: 410 },
+    },
+    2021: {
+        tariff: {
+            basicAllowance: 9744,
+            zone2: { upTo: 14753, a: 995.21, b: 1400 },
+            zone3: { upTo: 57918, a: 208.85, b: 2397, c: 950.96 },
+            zone4: { upTo: 274612, rate: 0.42, deduction: 9136.63 },
+            zone5: { rate: 0.45, deduction: 17374.99 },
+        },
+        soli: { rate: 0.055, exemptionLimit: 16956, phaseInRate: 0.119 },
+        employeeAllowance: 1000,
+        specialExpensesAllowance: 36,
+        singleParentAllowance: 4008,
+        pensionContributions: { rate: 0.07812, ceiling: 85200 },
+        healthContributions: { rate: 0.09157, ceiling: 58050 },
+        commuteAllowance: { rate: 0.30, longDistanceRate: 0.35, longDistanceFromKm: 21, maxAmount: 4500 },
+        mandatoryFilingLimits: { wageReplacement: 410, sideIncome: 410 },
+    },
+    2022: {
+        tariff: {
+            basicAllowance: 10347,
+            zone2: { upTo: 14926, a: 1088.67, b: 1400 },
+            zone3: { upTo: 58596, a: 206.43, b: 2397, c: 869.32 },
+            zone4: { upTo: 277825, rate: 0.42, deduction: 9336.45 },
+            zone5: { rate: 0.45, deduction: 17671.20 },
+        },
+        soli: { rate: 0.055, exemptionLimit: 16956, phaseInRate: 0.119 },
+        employeeAllowance: 1200,
+        specialExpensesAllowance: 36,
+        singleParentAllowance: 4008,
+        pensionContributions: { rate: 0.08184, ceiling: 84600 },
+        healthContributions: { rate: 0.09157, ceiling: 58050 },
+        commuteAllowance: { rate: 0.30, longDistanceRate: 0.38, longDistanceFromKm: 21, maxAmount: 4500 },
+        mandatoryFilingLimits: { wageReplacement: 410, sideIncome: 410 },
+    },
+    2023: {
+        tariff: {
+            basicAllowance: 10908,
+            zone2: { upTo: 15999, a: 979.18, b: 1400 },
+            zone3: { upTo: 62809, a: 192.59, b: 2397, c: 966.53 },
+            zone4: { upTo: 277825, rate: 0.42, deduction: 9972.98 },
+            zone5: { rate: 0.45, deduction: 18307.73 },
+        },
+        soli: { rate: 0.055, exemptionLimit: 17543, phaseInRate: 0.119 },
+        employeeAllowance: 1230,
+        specialExpensesAllowance: 36,
+        singleParentAllowance: 4260,
+        pensionContributions: { rate: 0.093, ceiling: 87600 },
+        healthContributions: { rate: 0.09386, ceiling: 59850 },
+        commuteAllowance: { rate: 0.30, longDistanceRate: 0.38, longDistanceFromKm: 21, maxAmount: 4500 },
+        mandatoryFilingLimits: { wageReplacement: 410, sideIncome: 410 },
+    },
+    2024: {
+        tariff: {
+            basicAllowance: 11784,
+            zone2: { upTo: 17005, a: 954.80, b: 1400 },
+            zone3: { upTo: 66760, a: 181.19, b: 2397, c: 991.21 },
+            zone4: { upTo: 277825, rate: 0.42, deduction: 10636.31 },
+            zone5: { rate: 0.45, deduction: 18971.06 },
+        },
+        soli: { rate: 0.055, exemptionLimit: 18130, phaseInRate: 0.119 },
+        employeeAllowance: 1230,
+        specialExpensesAllowance: 36,
+        singleParentAllowance: 4260,
+        pensionContributions: { rate: 0.093, ceiling: 90600 },
+        healthContributions: { rate: 0.09524, ceiling: 62100 },
+        commuteAllowance: { rate: 0.30, longDistanceRate: 0.38, longDistanceFromKm: 21, maxAmount: 4500 },
+        mandatoryFilingLimits: { wageReplacement: 410, sideIncome: 410 },
+    },
+    2025: {
+        tariff: {
+            basicAllowance: 12096,
+            zone2: { upTo: 17443, a: 932.30, b: 1400 },
+            zone3: { upTo: 68480, a: 176.64, b: 2397, c: 1015.13 },
+            zone4: { upTo: 277825, rate: 0.42, deduction: 10911.92 },
+            zone5: { rate: 0.45, deduction: 19246.67 },
+        },
+        soli: { rate: 0.055, exemptionLimit: 19950, phaseInRate: 0.119 },
+        employeeAllowance: 1230,
+        specialExpensesAllowance: 36,
+        singleParentAllowance: 4260,
+        pensionContributions: { rate: 0.093, ceiling: 96600 },
+        healthContributions: { rate: 0.1008, ceiling: 66150 },
+        commuteAllowance: { rate: 0.30, longDistanceRate: 0.38, longDistanceFromKm: 21, maxAmount: 4500 },
+        mandatoryFilingLimits: { wageReplacement: 410, sideIncome: 410 },
+    },
+};
+
+/**
+ * -------------------------------------
+ * Price List
+ * -------------------------------------
+ * EUR base prices of all services. PLN amounts shown on the page are derived from
+ * these and the current EUR/PLN rate. `max: null` means the price has no upper bound.
+ * Service names are translated under `service.<key>` (and `service.<key>.unit` for per-unit prices).
+ */
+const priceList = {
+    individual: { min: 95, max: 130 },
+    joint: { min: 100, max: 150 },
+    abmeldung: { min: 65, max: 65 },
+    krankenkasse: { min: 65, max: null },
+    freistellung: { min: 180, max: 180 },
+    bauabzugsteuer: { min: 200, max: 200, perUnit: { price: 5 } },
+    tax_check: { min: 0, max: 0 },
+};
+
+/**
+ * -------------------------------------
+ * Country Formats
+ * -------------------------------------
+ * Keyed by the values of the country selects. `dialCode`, the optional national `trunkPrefix`
+ * and the fixed `phoneLength` of national numbers turn local phone numbers into E.164;
+ * `postcode` is the postal code mask (`#` stands for a digit). `germanName` and `germanNationality`
+ * are used in the German deregistration letters.
+ * Countries missing here accept any postal code and only international phone numbers.
+ */
+const countryFormats = {
+    'Polska': { dialCode: '48', phoneLength: 9, postcode: '##-###', postcodeExample: '00-950', germanName: 'Polen', germanNationality: 'polnisch' },
+    'Niemcy': { dialCode: '49', trunkPrefix: '0', postcode: '#####', postcodeExample: '10115', germanName: 'Deutschland', germanNationality: 'deutsch' },
+    'Czechy': { dialCode: '420', phoneLength: 9, postcode: '### ##', postcodeExample: '110 00', germanName: 'Tschechien', germanNationality: 'tschechisch' },
+    'Słowacja': { dialCode: '421', trunkPrefix: '0', phoneLength: 9, postcode: '### ##', postcodeExample: '811 01', germanName: 'Slowakei', germanNationality: 'slowakisch' },
+};
+
+// Current EUR/PLN rate ({ rate, effectiveDate, source }) and the features waiting for it
+let exchangeRate = null;
+const exchangeRateListeners = [];
+
+/**
+ * -------------------------------------
+ * Translations
+ * -------------------------------------
+ * Polish texts of the messages created by this script, used as `t(key, params)`.
+ * Page texts are marked with data-i18n attributes in index.html and read from the page itself;
+ * German and English versions of both live in the catalogs under i18n/.
+ */
+const scriptMessages = {
+    'common.yes': 'Tak',
+    'settle.error.missingDocuments': 'Dołącz co najmniej jeden plik w kategorii: {categories}.',
+    'settle.sending': 'Wysyłanie zgłoszenia...',
+    'settle.processing': 'Przetwarzanie...',
+    'settle.success': 'Dziękujemy! Twoje zgłoszenie wraz z dokumentami zostało przyjęte. Nasz specjalista skontaktuje się z Tobą telefonicznie, aby potwierdzić dane.',
+    'settle.successMailto': 'Otworzyliśmy Twój program pocztowy z przygotowaną wiadomością. Wyślij ją i dołącz dokumenty jako załączniki, aby zakończyć zgłoszenie.',
+    'settle.sent': 'Zgłoszenie wysłane',
+    'settle.waitingForConnection': 'Oczekuje na połączenie',
+    'settle.child.title': 'Dziecko {index}',
+    'settle.child.removeLabel': 'Usuń dziecko {index}',
+    'import.reading': 'Odczytujemy dokument...',
+    'import.found': 'Znaleźliśmy te dane. Odznacz wartości, które się nie zgadzają, i uzupełnij pola:',
+    'import.current': '(teraz: {value})',
+    'import.applied': 'Uzupełniliśmy pola: {count}. Sprawdź je przed przejściem dalej.',
+    'import.attached': 'Plik dołączyliśmy też do dokumentów w kroku 2.',
+    'import.unknownLayout': 'Nie rozpoznaliśmy układu tego dokumentu. Wpisz dane ręcznie – plik dołączysz w kroku 2.',
+    'import.noText': 'Ten plik nie zawiera tekstu (np. jest skanem). Wpisz dane ręcznie – plik dołączysz w kroku 2.',
+    'import.notPdf': 'Wybierz plik PDF z Lohnsteuerbescheinigung.',
+    'import.unsupported': 'Nie udało się odczytać tego pliku. Wpisz dane ręcznie – plik dołączysz w kroku 2.',
+    'settle.year.expiring': '{year} – ostatnia szansa do {date}',
+    'settle.year.statutory': 'Zeznanie obowiązkowe (Pflichtveranlagung): do {date}.',
+    'settle.year.statutoryPassed': 'Termin zeznania obowiązkowego minął {date}.',
+    'settle.year.voluntary': 'Zeznanie dobrowolne (Antragsveranlagung): do {date}.',
+    'settle.year.advised': 'Zalecamy przesłanie dokumentów do {date}.',
+    'calendar.statutory': 'Termin zeznania podatkowego w Niemczech za {year}',
+    'calendar.voluntary': 'Ostatni dzień dobrowolnego rozliczenia podatku w Niemczech za {year}',
+    'calendar.advised': 'Prześlij dokumenty do rozliczenia za {year} – German Tax',
+    'calendar.description': 'Rozlicz się online: {url}',
+    'review.data': 'Dane podstawowe',
+    'review.editData': 'Edytuj dane',
+    'review.documents': 'Dokumenty',
+    'review.editDocuments': 'Edytuj dokumenty',
+    'review.noFiles': 'Brak plików',
+    'draft.saved': 'Szkic zapisany w tej przeglądarce (zaszyfrowany) o {time}.',
+    'draft.deleted': 'Szkic został usunięty. Zaznacz ponownie zgodę, aby włączyć autozapis.',
+    'draft.restored': 'Przywrócono zapisany szkic.',
+    'draft.restoredWithDocuments': 'Przywrócono zapisany szkic. Ze względów bezpieczeństwa pliki nie są zapisywane – dołącz ponownie: {files}.',
+    'draft.prompt': 'Masz niedokończone zgłoszenie zapisane {date} o {time}. Czy chcesz do niego wrócić?',
+    'documents.error.type': '„{file}”: nieobsługiwany format pliku. Dozwolone są pliki PDF, JPG i PNG.',
+    'documents.error.empty': '„{file}”: plik jest pusty.',
+    'documents.error.size': '„{file}”: plik jest za duży ({size}). Maksymalny rozmiar to {maxSize}.',
+    'documents.error.duplicate': '„{file}”: ten plik został już dodany.',
+    'documents.error.limit': '„{file}”: w tej kategorii można dodać maksymalnie {max} plików.',
+    'documents.moveUp': 'Przesuń „{file}” wyżej',
+    'documents.moveDown': 'Przesuń „{file}” niżej',
+    'documents.remove': 'Usuń „{file}”',
+    'contact.sending': 'Wysyłanie wiadomości...',
+    'contact.success': 'Dziękujemy {name}! Twoja wiadomość została wysłana. Odpowiemy wkrótce.',
+    'contact.successMailto': 'Otworzyliśmy Twój program pocztowy z przygotowaną wiadomością. Wyślij ją, aby się z nami skontaktować.',
+    'validation.summary': 'Popraw błędy w formularzu ({count}):',
+    'validation.required': 'To pole jest wymagane.',
+    'validation.choose': 'Wybierz jedną z odpowiedzi.',
+    'validation.consent': 'Zaznacz zgodę, aby kontynuować.',
+    'validation.email': 'Podaj poprawny adres e-mail, np. jan.kowalski@email.com.',
+    'validation.phone': 'Podaj poprawny numer telefonu z numerem kierunkowym kraju, np. +48 123 456 789.',
+    'validation.steuerId': 'Podany numer Steuer-ID jest nieprawidłowy. Ma on 11 cyfr i znajdziesz go na Lohnsteuerbescheinigung (Identifikationsnummer).',
+    'validation.pesel': 'Podany numer PESEL jest nieprawidłowy.',
+    'validation.peselBirthDate': 'Numer PESEL nie zgadza się z podaną datą urodzenia.',
+    'validation.postcode': 'Podaj kod pocztowy w formacie {example}.',
+    'validation.birthDate': 'Podaj datę urodzenia – osoba rozliczająca musi mieć od {min} do {max} lat.',
+    'validation.childBirthDate': 'Podaj datę urodzenia dziecka – nie może być z przyszłości, a dziecko może mieć najwyżej {max} lat.',
+    'validation.amount': 'Podaj kwotę jako liczbę, np. 18 000 lub 18 000,50.',
+    'validation.referral': 'Kod polecający ma 8 znaków, np. {example}. Sprawdź, czy nie ma w nim literówki.',
+    'validation.referralFull': 'Ten kod polecający wykorzystał już limit poleceń jednego klienta ({max}). Usuń kod, aby kontynuować.',
+    'validation.caseReference': 'Podaj numer sprawy z potwierdzenia zgłoszenia, np. {prefix}LX4K2P9Q.',
+    'validation.oneTimeCode': 'Kod jednorazowy ma 6 cyfr.',
+    'validation.callbackSlot': 'Ten termin nie jest już dostępny. Wybierz inną godzinę.',
+    'validation.invoiceDate': 'Podaj datę wystawienia faktury – nie może być późniejsza niż dzisiaj.',
+    'validation.nip': 'Sprawdź numer NIP – ma 10 cyfr, ostatnia jest cyfrą kontrolną.',
+    'validation.vatId': 'Podaj numer VAT UE z kodem kraju, np. DE123456789.',
+    'validation.steuernummer': 'Podaj Steuernummer z pisma niemieckiego urzędu skarbowego (10–13 cyfr, np. 21/815/08150).',
+    'validation.insuranceNumber': 'Podaj numer ubezpieczenia z karty kasy chorych: literę i 9 cyfr, np. A123456789.',
+    'validation.range': 'Podaj wartość od {min} do {max}.',
+    'validation.invalid': 'Sprawdź wartość tego pola.',
+    'submission.error.offline': 'Brak połączenia z internetem. Sprawdź połączenie i spróbuj ponownie.',
+    'submission.error.queued': 'Brak połączenia z internetem. Zapisaliśmy zgłoszenie w przeglądarce i wyślemy je automatycznie, gdy połączenie wróci.',
+    'submission.error.timeout': 'Serwer nie odpowiedział na czas. Spróbuj ponownie za chwilę.',
+    'submission.error.network': 'Nie udało się połączyć z serwerem. Sprawdź połączenie z internetem i spróbuj ponownie.',
+    'submission.error.server': 'Wystąpił błąd serwera. Spróbuj ponownie później lub napisz do nas na kontakt@german-tax.pl.',
+    'submission.error.tooLarge': 'Załączone pliki są zbyt duże, aby wysłać je razem. Usuń część dokumentów lub prześlij je e-mailem.',
+    'submission.error.rejected': 'Serwer nie przyjął zgłoszenia. Sprawdź wprowadzone dane i spróbuj ponownie.',
+    'submission.error.unsupported': 'Nie udało się wysłać formularza. Napisz do nas na kontakt@german-tax.pl.',
+    'submission.queuedFailed': 'Nie udało się wysłać zapisanego zgłoszenia. {reason}',
+    'submission.queuedSent': 'Połączenie zostało przywrócone – zapisane zgłoszenie zostało wysłane. Dziękujemy!',
+    'submission.mailSubject.settle': 'Zgłoszenie rozliczenia podatku ze strony German Tax',
+    'submission.mailSubject.contact': 'Zapytanie ze strony German Tax',
+    'submission.mailSubject.business': 'Zgłoszenie firmy ze strony German Tax',
+    'submission.mailSubject.letters': 'Zamówienie wymeldowania ze strony German Tax',
+    'submission.mailSubject.default': 'Wiadomość ze strony German Tax',
+    'submission.mailAttachments': 'Dokumenty do załączenia:',
+    'confirmation.reference': 'Numer sprawy',
+    'confirmation.submittedAt': 'Data zgłoszenia',
+    'confirmation.status': 'Status',
+    'confirmation.status.sent': 'Wysłane do biura',
+    'confirmation.status.mailto': 'Przygotowane do wysłania e-mailem',
+    'confirmation.status.queued': 'Oczekuje na połączenie z internetem',
+    'confirmation.consent': 'Zgoda na przetwarzanie danych',
+    'confirmation.consentGiven': 'Zgoda wyrażona: {date}',
+    'confirmation.pdfTitle': 'Podsumowanie zgłoszenia – German Tax',
+    'confirmation.pdfNote': 'Dokument utworzony w przeglądarce klienta jako kopia wysłanych danych.',
+    'confirmation.pdfFooter': 'Numer sprawy {reference} – strona {page} z {pages}',
+    'caseStatus.loading': 'Sprawdzamy status sprawy...',
+    'caseStatus.updatedAt': 'Ostatnia aktualizacja',
+    'caseStatus.pending': 'oczekuje',
+    'caseStatus.stage.received': 'Zgłoszenie przyjęte',
+    'caseStatus.stage.documentsComplete': 'Komplet dokumentów',
+    'caseStatus.stage.filed': 'Zeznanie złożone w Finanzamt',
+    'caseStatus.stage.assessed': 'Otrzymana decyzja podatkowa (Steuerbescheid)',
+    'caseStatus.stage.refundPaid': 'Zwrot wypłacony',
+    'caseStatus.document.lohnsteuerbescheinigung': 'Lohnsteuerbescheinigung',
+    'caseStatus.document.commute': 'Potwierdzenie dojazdów do pracy',
+    'caseStatus.document.double_household': 'Dokumenty podwójnego gospodarstwa domowego',
+    'caseStatus.document.eu_certificate': 'Zaświadczenie o dochodach z Polski (Bescheinigung EU/EWR)',
+    'caseStatus.document.id_document': 'Kopia dowodu osobistego lub paszportu',
+    'caseStatus.document.bank_account': 'Numer rachunku bankowego do zwrotu',
+    'caseStatus.document.other': 'Inny dokument',
+    'caseStatus.document.withNote': '{document}: {note}',
+    'caseStatus.error.notFound': 'Nie znaleźliśmy sprawy o tym numerze i tej dacie urodzenia lub kodzie. Sprawdź dane z potwierdzenia zgłoszenia.',
+    'caseStatus.error.rateLimited': 'Zbyt wiele nieudanych prób. Spróbuj ponownie za kilkanaście minut lub zadzwoń do nas.',
+    'caseStatus.error.unavailable': 'Nie udało się sprawdzić statusu sprawy. Spróbuj ponownie później lub napisz do nas na kontakt@german-tax.pl.',
+    'callback.noSlots': 'Brak wolnych terminów w najbliższych dniach – zadzwoń do nas lub napisz wiadomość.',
+    'callback.selected': 'Zadzwonimy: {date}, {from}–{to}.',
+    'callback.selected.office': 'W Polsce będzie wtedy {from}–{to}.',
+    'callback.text': '{date}, {from}–{to} czasu polskiego',
+    'callback.text.zone': '(u klienta {from}–{to}, {zone})',
+    'callback.invite.summary': 'Rozmowa telefoniczna z German Tax',
+    'callback.invite.description': 'Nasz specjalista zadzwoni na numer {phone}, aby potwierdzić dane i omówić dalsze kroki.',
+    'callback.invite.descriptionNoPhone': 'Nasz specjalista zadzwoni do Ciebie, aby potwierdzić dane i omówić dalsze kroki.',
+    'business.service.freistellung': 'Freistellungsbescheinigung (zwolnienie z Bauabzugsteuer)',
+    'business.service.bauabzugsteuer': 'Zwrot potrąconej Bauabzugsteuer',
+    'business.service.both': 'Freistellungsbescheinigung i zwrot Bauabzugsteuer',
+    'business.invoice.title': 'Faktura {index}',
+    'business.invoice.removeLabel': 'Usuń fakturę {index}',
+    'business.invoice.expired': 'Termin zwrotu minął {date} – tej kwoty nie doliczamy do sumy.',
+    'business.invoice.expiring': 'Zwrot można odzyskać tylko do {date}.',
+    'business.invoice.estimated': 'Bez podanej kwoty podatku przyjmujemy {rate}% kwoty netto: {amount}.',
+    'business.summary.invoices': 'Faktury do zwrotu',
+    'business.summary.withheld': 'Bauabzugsteuer do odzyskania',
+    'business.summary.expired': 'Faktury po terminie zwrotu ({count})',
+    'business.summary.fee': 'Koszt naszej usługi',
+    'business.summary.estimated': 'Dla faktur bez podanej kwoty podatku przyjęliśmy {rate}% kwoty netto.',
+    'business.summary.expiredNote': 'Faktur, dla których minął termin zwrotu, nie liczymy do sumy ani do ceny usługi.',
+    'business.summary.text': 'Faktury do zwrotu: {count}, Bauabzugsteuer do odzyskania: {amount}, faktury po terminie: {expired}',
+    'business.review.invoices': 'Faktury i koszt usługi',
+    'business.review.editInvoices': 'Edytuj faktury',
+    'business.review.invoice': '{contractor}, {date}: netto {net}, potrącono {withheld}',
+    'business.review.expired': 'po terminie zwrotu',
+    'business.error.noClaimableInvoices': 'Żadna z podanych faktur nie mieści się w terminie zwrotu. Sprawdź daty faktur lub wybierz tylko Freistellungsbescheinigung.',
+    'business.sending': 'Wysyłanie zgłoszenia...',
+    'business.success': 'Dziękujemy! Zgłoszenie firmy przyjęliśmy pod numerem {reference}. Skontaktujemy się, aby ustalić listę potrzebnych dokumentów.',
+    'business.successMailto': 'Otworzyliśmy Twój program pocztowy z przygotowaną wiadomością (numer zgłoszenia {reference}). Wyślij ją, aby zakończyć zgłoszenie.',
+    'business.import.done': 'Wczytane faktury: {count}. Sprawdź je przed przejściem dalej.',
+    'business.import.limit': 'Lista mieści maksymalnie {max} faktur – pominęliśmy pozostałe ({count}).',
+    'business.import.skipped': 'Pominięte wiersze bez pełnych danych faktury: {count}.',
+    'business.import.empty': 'Nie znaleźliśmy w pliku żadnej faktury. Sprawdź, czy zawiera kolumny: kontrahent, data faktury i kwota netto.',
+    'business.import.notCsv': 'Wybierz plik CSV z listą faktur.',
+    'business.import.tooLarge': 'Ten plik jest za duży (maksymalnie {size}).',
+    'business.import.unreadable': 'Nie udało się odczytać tego pliku. Wpisz faktury ręcznie.',
+    'letters.error.templates': 'Nie udało się wczytać wzorów dokumentów. Spróbuj ponownie za chwilę.',
+    'letters.review.order': 'Zamówienie usługi',
+    'letters.review.fee': 'Koszt naszej usługi',
+    'letters.review.late': 'Termin na wymeldowanie z adresu minął {date}. Wymeldowanie jest nadal konieczne – zrób to jak najszybciej, bo urząd może nałożyć grzywnę.',
+    'letters.sending': 'Wysyłanie zamówienia...',
+    'letters.success': 'Dziękujemy! Zamówienie przyjęliśmy pod numerem {reference}. Sprawdzimy dane i prześlemy Ci dokumenty do podpisu.',
+    'letters.successMailto': 'Otworzyliśmy Twój program pocztowy z przygotowaną wiadomością (numer zamówienia {reference}). Dołącz pobrany plik PDF z dokumentami i wyślij wiadomość, aby zakończyć zamówienie.',
+    'estimator.error.year': 'Wybierz rok podatkowy z listy.',
+    'estimator.error.gross': 'Podaj wynagrodzenie brutto (kwota dodatnia, np. 32 500,00).',
+    'estimator.error.wageTax': 'Podaj kwotę pobranego podatku Lohnsteuer (np. 4 210,00 lub 0).',
+    'estimator.error.other': 'Kwoty Solidaritätszuschlag i Werbungskosten muszą być liczbami nieujemnymi.',
+    'estimator.error.spouse': 'Kwoty dochodów i podatków małżonka muszą być liczbami nieujemnymi.',
+    'estimator.refund': 'Szacowany zwrot: {amount}',
+    'estimator.payment': 'Szacowana dopłata: {amount}',
+    'estimator.refundRange': 'Szacowany zwrot: od {min} do {max}',
+    'estimator.paymentRange': 'Szacowana dopłata: od {min} do {max}',
+    'estimator.mixedRange': 'Szacowany wynik: od dopłaty {payment} do zwrotu {refund}',
+    'estimator.row.gross': 'Wynagrodzenie brutto',
+    'estimator.row.werbungskosten': 'Werbungskosten',
+    'estimator.row.werbungskostenFlat': 'Werbungskosten (ryczałt)',
+    'estimator.row.specialExpenses': 'Sonderausgaben (ryczałt)',
+    'estimator.row.contributions': 'Składki na ubezpieczenia (szacunek)',
+    'estimator.row.singleParent': 'Ulga dla samotnych rodziców',
+    'estimator.row.taxableIncome': 'Dochód do opodatkowania',
+    'estimator.row.incomeTax': 'Podatek dochodowy {year} (taryfa podstawowa)',
+    'estimator.row.incomeTaxJoint': 'Podatek dochodowy {year} (rozliczenie wspólne)',
+    'estimator.row.incomeTaxSplitting': 'Podatek dochodowy {year} (rozliczenie wspólne, małżonek bez dochodów)',
+    'estimator.row.spouseIncome': 'Dochód małżonka z pracy w Niemczech',
+    'estimator.row.spouseForeignIncome': 'Dochód małżonka za granicą (wpływa tylko na stawkę)',
+    'estimator.row.soli': 'Solidaritätszuschlag',
+    'estimator.row.withheldWageTax': 'Pobrany Lohnsteuer',
+    'estimator.row.withheldWageTaxJoint': 'Pobrany Lohnsteuer (razem z małżonkiem)',
+    'estimator.row.withheldSoli': 'Pobrany Solidaritätszuschlag',
+    'estimator.row.withheldSoliJoint': 'Pobrany Solidaritätszuschlag (razem z małżonkiem)',
+    'estimator.spouseIncomeUnknown': 'Bez dochodów małżonka nie można zastosować rozliczenia wspólnego: dolna granica to rozliczenie indywidualne, górna – wspólne z małżonkiem bez dochodów. Podaj dochody małżonka, aby otrzymać dokładniejszy wynik.',
+    'estimator.taxClassMismatch': 'Uwaga: klasy podatkowe III, IV i V przysługują osobom w związku małżeńskim – sprawdź wybrany stan cywilny.',
+    'service.individual': 'Rozliczenie indywidualne',
+    'service.joint': 'Rozliczenie wspólne',
+    'service.abmeldung': 'Wymeldowanie z adresu',
+    'service.krankenkasse': 'Wymeldowanie z kasy chorych',
+    'service.freistellung': 'Wniosek o Freistellungsbescheinigung',
+    'service.bauabzugsteuer': 'Zwrot podatku Bauabzugsteuer',
+    'service.bauabzugsteuer.unit': 'za fakturę',
+    'service.tax_check': 'Weryfikacja obowiązku podatkowego',
+    'pricing.free': 'Bezpłatnie',
+    'pricing.from': 'od {price}',
+    'pricing.approx': 'ok. {price}',
+    'pricing.fromApprox': 'od ok. {price}',
+    'pricing.max': 'Cena maksymalna: {eur} / {pln}*',
+    'pricing.rate.date': 'kurs z dnia {date} ({rate})',
+    'pricing.rate.override': 'kurs ustalony przez biuro ({rate})',
+    'pricing.rate.fallback': 'kurs orientacyjny ({rate})',
+    'quote.empty': 'Wybierz usługi, aby zobaczyć wycenę.',
+    'quote.invoices': '{service} (faktury: {count})',
+    'quote.text': '{lines}. Razem: {total}',
+    'quote.attached': 'Dołączona wycena: {quote}',
+    'deepLink.message.business': 'Dzień dobry, proszę o informacje o usługach podatkowych dla mojej firmy w Niemczech.',
+    'commute.workplace.title': 'Miejsce pracy {index}',
+    'commute.workplace.removeLabel': 'Usuń miejsce pracy {index}',
+    'commute.empty': 'Podaj odległość i liczbę dni dojazdu, aby zobaczyć wynik.',
+    'commute.row.commute': '{workplace}: {days} dni × {distance} km',
+    'commute.row.homeTrips': '{workplace}: {trips} przejazdów do domu × {distance} km',
+    'commute.row.cap': 'Limit roczny bez własnego samochodu ({amount})',
+    'commute.rates': 'Stawki {year}: {rate} za km do {threshold}. km, {longDistanceRate} od {from}. km.',
+    'commute.text': '{year}: {lines}. Razem: {total}',
+    'commute.attached': 'Dołączone koszty dojazdu: {commute}',
+    'commute.applied': 'Wpisaliśmy {amount} jako Werbungskosten. Dopisz ewentualne pozostałe koszty i oblicz zwrot.',
+    'taxCheck.question.residence': 'Czy w {year} r. Twoje miejsce zamieszkania było w Niemczech (zameldowanie – Meldung)?',
+    'taxCheck.question.incomeShare': 'Czy co najmniej 90% Twoich dochodów w {year} r. pochodziło z Niemiec?',
+    'taxCheck.question.incomeShare.hint': 'Odpowiedz „Tak” także wtedy, gdy dochody spoza Niemiec nie przekroczyły niemieckiej kwoty wolnej od podatku.',
+    'taxCheck.question.taxClasses': 'Jaka była Twoja klasa podatkowa (Steuerklasse) w {year} r.?',
+    'taxCheck.question.taxClasses.hint': 'Osoby w związku małżeńskim wybierają kombinację klas obojga małżonków. Jeśli masz klasę III, bo małżonek mieszka w innym kraju UE/EOG, wybierz odpowiedź „III, małżonek mieszka za granicą”.',
+    'taxCheck.question.multipleEmployers': 'Czy w {year} r. Twoje wynagrodzenie pochodziło jednocześnie od więcej niż jednego pracodawcy?',
+    'taxCheck.question.wageReplacement': 'Czy w {year} r. Ty lub Twój małżonek otrzymaliście świadczenia zastępujące wynagrodzenie o łącznej wartości powyżej {limit}?',
+    'taxCheck.question.wageReplacement.hint': 'Np. Kurzarbeitergeld, Elterngeld, Krankengeld, Mutterschaftsgeld lub Arbeitslosengeld I.',
+    'taxCheck.question.sideIncome': 'Czy w {year} r. Twoje dochody nieobjęte podatkiem od wynagrodzeń przekroczyły {limit}?',
+    'taxCheck.question.sideIncome.hint': 'Np. najem, działalność gospodarcza, emerytura lub renta.',
+    'taxCheck.question.partialYear': 'Czy w {year} r. Twoja praca w Niemczech trwała tylko część roku?',
+    'taxCheck.question.expenses': 'Czy Twoje wydatki związane z pracą w {year} r. przekroczyły ryczałt {limit}?',
+    'taxCheck.question.expenses.hint': 'Np. dojazdy, podwójne gospodarstwo domowe, narzędzia i odzież robocza. Koszty dojazdu policzysz w kalkulatorze dojazdów.',
+    'taxCheck.answer.yes': 'Tak',
+    'taxCheck.answer.no': 'Nie',
+    'taxCheck.answer.taxClasses.I': 'I (osoba samotna)',
+    'taxCheck.answer.taxClasses.II': 'II (samotny rodzic)',
+    'taxCheck.answer.taxClasses.IV': 'IV/IV (małżeństwo)',
+    'taxCheck.answer.taxClasses.IVFactor': 'IV/IV z czynnikiem (małżeństwo, Faktorverfahren)',
+    'taxCheck.answer.taxClasses.IIIV': 'III/V (małżeństwo)',
+    'taxCheck.answer.taxClasses.IIIAbroad': 'III, małżonek mieszka za granicą (w UE/EOG)',
+    'taxCheck.outcome.mandatory': 'Obowiązek złożenia zeznania (Pflichtveranlagung)',
+    'taxCheck.outcome.recommended': 'Zalecamy dobrowolne rozliczenie (Antragsveranlagung)',
+    'taxCheck.outcome.notWorth': 'Rozliczenie prawdopodobnie się nie opłaca',
+    'taxCheck.reason.taxClasses': 'Kombinacja klas podatkowych III/V lub IV/IV z czynnikiem oznacza obowiązek złożenia zeznania.',
+    'taxCheck.reason.spouseAbroad': 'Klasa III przyznana ze względu na małżonka mieszkającego za granicą oznacza obowiązek złożenia zeznania (§ 46 ust. 2 pkt 7 EStG).',
+    'taxCheck.reason.multipleEmployers': 'Praca u kilku pracodawców jednocześnie (klasa VI) oznacza obowiązek złożenia zeznania.',
+    'taxCheck.reason.wageReplacement': 'Świadczenia zastępujące wynagrodzenie powyżej {limit} (np. Kurzarbeitergeld, Elterngeld) oznaczają obowiązek złożenia zeznania.',
+    'taxCheck.reason.sideIncome': 'Dochody nieobjęte podatkiem od wynagrodzeń powyżej {limit} oznaczają obowiązek złożenia zeznania.',
+    'taxCheck.reason.incomeShare': 'Bez zameldowania w Niemczech możesz wnioskować o nieograniczony obowiązek podatkowy i skorzystać z kwoty wolnej oraz ulg – zwykle daje to zwrot podatku.',
+    'taxCheck.reason.partialYear': 'Przy pracy przez część roku pracodawca zwykle pobiera za wysoki podatek – zwrot jest bardzo prawdopodobny.',
+    'taxCheck.reason.expenses': 'Wydatki powyżej ryczałtu {limit} obniżają podatek – rozliczenie powinno przynieść zwrot.',
+    'taxCheck.reason.none': 'Odpowiedzi nie wskazują ani na obowiązek, ani na wyraźną korzyść z rozliczenia – podatek pobrany przez pracodawcę jest najpewniej prawidłowy.',
+    'taxCheck.deadline.mandatory': 'Zeznanie za {year} r. trzeba złożyć do {date}.',
+    'taxCheck.deadline.mandatoryPassed': 'Termin zeznania za {year} r. minął {date} – złóż je jak najszybciej, aby ograniczyć dopłatę za zwłokę (Verspätungszuschlag).',
+    'taxCheck.deadline.voluntary': 'Zeznanie za {year} r. możesz złożyć dobrowolnie do {date}.',
+    'taxCheck.deadline.notWorth': 'Jeśli mimo to chcesz się rozliczyć za {year} r., masz czas do {date}.',
+    'taxCheck.text': '{year}: {outcome}. {reasons}',
+    'taxCheck.attached': 'Dołączony wynik weryfikacji obowiązku podatkowego: {result}',
+    'referral.status': 'Kod polecający jest poprawny. Wolne polecenia tego kodu: {remaining} z {max}.',
+    'referral.issued.slots': 'Wolne polecenia: {remaining} z {max}.',
+    'referral.issued.copied': 'Link skopiowany do schowka.',
+    'referral.issued.copyManually': 'Link jest zaznaczony – skopiuj go skrótem Ctrl+C.',
+};
+
+// Active page language, the loaded catalogs (Polish page texts are added on start-up) and the features re-rendering on a change
+let currentLanguage = config.defaultLanguage;
+const translationCatalogs = { [config.defaultLanguage]: { ...scriptMessages } };
+const languageListeners = [];
+
+/**
+ * -------------------------------------
+ * Wage Certificate Layout
+ * -------------------------------------
+ * Where the Lohnsteuerbescheinigung importer looks for each value. Numbered lines of the official
+ * form are found by their number and a label pattern (the amount is the last amount on the line);
+ * the other values by a label followed by the value. Labels match whole words, so that e.g. "Lohnsteuer"
+ * does not find the "Lohnsteuerbescheinigung" title. `fields` are the settle form fields filled in.
+ */
+const wageCertificateFields = [
+    { key: 'employer', type: 'text', label: /(?:Name und )?Anschrift(?: und Steuernummer)? des Arbeitgebers|^Arbeitgeber\b/i, fields: ['settle_employer'] },
+    { key: 'period', type: 'period', line: 1, label: /Bescheinigungszeitraum/i, fields: ['settle_employment_from', 'settle_employment_to'] },
+    { key: 'grossWage', type: 'amount', line: 3, label: /Bruttoarbeitslohn/i, fields: ['settle_gross_wage'] },
+    { key: 'wageTax', type: 'amount', line: 4, label: /\bLohnsteuer\b/i, fields: ['settle_wage_tax'] },
+    { key: 'soli', type: 'amount', line: 5, label: /Solidarit/i, fields: ['settle_soli'] },
+    { key: 'churchTax', type: 'amount', line: 6, label: /\bKirchensteuer\b/i, fields: ['settle_church_tax'] },
+    { key: 'taxId', type: 'taxId', label: /Identifikationsnummer|IdNr/i, fields: ['settle_tax_id'] },
+    { key: 'etin', type: 'etin', label: /\beTIN\b/, fields: ['settle_etin'] },
+];
+
+/**
+ * -------------------------------------
+ * PDF Text Encoding
+ * -------------------------------------
+ * The submission summary PDF uses the built-in Helvetica fonts, so no font has to be embedded.
+ * Text is written in WinAnsiEncoding; the unused codes 1–30 are remapped to the Polish, Czech and
+ * Slovak letters it lacks. Other characters lose their accents (or become "?").
+ * `pdfGlyphWidths` are the Helvetica widths (1/1000 em) of the characters from space to "~".
+ */
+const pdfExtraGlyphs = {
+    'Ą': 'Aogonek', 'ą': 'aogonek', 'Ć': 'Cacute', 'ć': 'cacute', 'Ę': 'Eogonek', 'ę': 'eogonek',
+    'Ł': 'Lslash', 'ł': 'lslash', 'Ń': 'Nacute', 'ń': 'nacute', 'Ś': 'Sacute', 'ś': 'sacute',
+    'Ź': 'Zacute', 'ź': 'zacute', 'Ż': 'Zdotaccent', 'ż': 'zdotaccent', 'Č': 'Ccaron', 'č': 'ccaron',
+    'Ř': 'Rcaron', 'ř': 'rcaron', 'Ě': 'Ecaron', 'ě': 'ecaron', 'Ů': 'Uring', 'ů': 'uring',
+    'Ň': 'Ncaron', 'ň': 'ncaron', 'Ť': 'Tcaron', 'ť': 'tcaron', 'Ď': 'Dcaron', 'ď': 'dcaron',
+};
+
+// WinAnsiEncoding codes 128–159 of the characters that differ from Unicode
+const pdfWinAnsiCodes = {
+    '€': 0x80, '‚': 0x82, '„': 0x84, '…': 0x85, 'Š': 0x8A, 'Ž': 0x8E, '‘': 0x91, '’': 0x92,
+    '“': 0x93, '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97, 'š': 0x9A, 'ž': 0x9E,
+};
+
+const pdfGlyphWidths = [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+];
+
+/**
+ * -------------------------------------
+ * Consent Categories
+ * -------------------------------------
+ * Categories of cookies and browser storage the visitor decides about (see the consent settings modal).
+ * Required categories cannot be switched off; all others stay off until the visitor opts in.
+ */
+const consentCategories = {
+    necessary: { required: true },
+    preferences: { required: false },
+    analytics: { required: false },
+    marketing: { required: false },
+};
+
+// Consent record for the current policy version ({ version, timestamp, method, categories }) and its subscribers
+let consentRecord = null;
+const consentListeners = [];
+
+/**
+ * -------------------------------------
+ * Logging
+ * -------------------------------------
+ * All diagnostics go through `logger`. In production mode the details passed after the message
+ * are dropped, so messages must never contain personal data – pass such values as details.
+ */
+const logLevels = { debug: 10, info: 20, warn: 30, error: 40, silent: 50 };
+const logger = createLogger();
+
+/**
+ * -------------------------------------
+ * Funnel Analytics
+ * -------------------------------------
+ * Funnel events: section_viewed, form_started, field_error, step_reached, form_submitted, form_failed
+ * and tax_check_completed.
+ * They never carry entered values, only form keys, field names and error codes.
+ */
+const funnelListeners = [];
+// Random id of this page view, linking its events (sent only with analytics consent)
+const funnelPageViewId = createSubmissionId();
+
+// Analytics sinks by key (config.analytics.sink): each receives a batch of events
+const analyticsSinks = {
+    beacon: sendAnalyticsBeacon,
+    console: (events) => logger.info(`Analytics batch of ${events.length} events:`, events),
+};
+
+/**
+ * -------------------------------------
+ * Public API
+ * -------------------------------------
+ * `init(options)` runs the initializers once the HTML is parsed and returns `{ destroy }`.
+ * Options are merged into `config` (nested objects key by key, arrays replaced), except:
+ *   root     - element that scopes all element lookups (default: the whole document)
+ *   features - names of the initializers to run, from `initializers` (default: all, in their order)
+ *   on       - lifecycle event handlers by event name, registered on the root
+ * Lifecycle events are dispatched on the root: `app:ready` { features }, `app:destroyed`,
+ * `settle:step` / `business:step` / `letters:step` { step },
+ * `settle:submitted` / `business:submitted` / `letters:submitted` / `contact:submitted` { id, queued },
+ * `settle:failed` / `business:failed` / `letters:failed` / `contact:failed` { code, queued }, and on the modals `modal:open` { opener } and `modal:close`.
+ * The initializers are also exported on their own; call `configure(options)` first to change the defaults.
+ */
+
+// Initializers by feature name, in the order init() runs them
+const initializers = {
+    i18n: initI18n,
+    consent: initConsentManager,
+    analytics: initFunnelAnalytics,
+    stickyHeader: initStickyHeader,
+    mobileNavigation: initMobileNavigation,
+    smoothScroll: initSmoothScroll,
+    scrollSpy: initScrollSpy,
+    scrollReveal: initScrollReveal,
+    settleForm: initSettleForm,
+    businessForm: initBusinessForm,
+    lettersForm: initLettersForm,
+    contactForm: initContactForm,
+    submissionQueue: initSubmissionQueue,
+    refundEstimator: initRefundEstimator,
+    pricing: initPricing,
+    quoteBuilder: initQuoteBuilder,
+    commuteCalculator: initCommuteCalculator,
+    taxCheck: initTaxCheck,
+    referrals: initReferrals,
+    caseStatus: initCaseStatus,
+    callbackPicker: initCallbackPickers,
+    deepLinks: initDeepLinks,
+    modals: initModals,
+    copyrightYear: updateCopyrightYear,
+    // skipLinks: initSkipLinkFocusManagement, // Optional: enhance skip links
+};
+
+// The configuration before any options were merged in
+const defaultConfig = cloneOptions(config);
+// Element that scopes all element lookups
+let scopeRoot = document;
+// Aborting it removes every listener added by the running instance (see destroy())
+let lifecycle = null;
+
+/**
+ * Configures the script and runs the initializers once the HTML is parsed.
+ * A running instance is destroyed first, so init() may be called again with new options.
+ * @param {object} [options] - Config overrides plus `root`, `features` and `on` (see "Public API").
+ * @returns {{destroy: Function}}
+ */
+export function init(options = {}) {
+    const { features = Object.keys(initializers), ...settings } = options;
+    configure(settings);
+
+    const run = () => {
+        logger.debug('German Tax Website Initializing...'); // Debug message
 
         try {
-            initStickyHeader();
-            initMobileNavigation();
-            initSmoothScroll();
-            initScrollSpy();
-            initScrollReveal();
-            initSettleForm();
-            initContactForm();
-            initPrivacyModal();
-            updateCopyrightYear();
-            // initSkipLinkFocusManagement(); // Optional: enhance skip links
-
-            console.log('German Tax Website Initialization Complete.'); // Debug message
+            Object.keys(initializers).filter(name => features.includes(name)).forEach(name => initializers[name]());
+            features.filter(name => !initializers[name]).forEach(name => logger.warn(`Unknown feature "${name}".`));
+
+            logger.debug('German Tax Website Initialization Complete.'); // Debug message
+            emitLifecycleEvent('app:ready', { features });
         } catch (error) {
-            console.error("Error during initialization:", error);
+            logger.error("Error during initialization:", error);
             // Optionally display a user-friendly error message on the page
         }
-    });
+    };
 
-    /**
-     * -------------------------------------
-     * Feature Initializations
-     * -------------------------------------
-     */
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', run, { once: true, signal: getLifecycleSignal() });
+    } else {
+        run();
+    }
+    return { destroy };
+}
 
-    /**
-     * Adds/Removes a class to the header when the page is scrolled.
-     */
-    function initStickyHeader() {
-        const header = document.querySelector('.site-header');
-        if (!header) {
-            console.warn("Sticky header element not found.");
-            return;
-        }
+/**
+ * Resets the configuration to the defaults merged with the given options, without running any initializer.
+ * @param {object} [options] - Config overrides plus `root` and `on` (see "Public API").
+ */
+export function configure(options = {}) {
+    destroy();
 
-        const handleScroll = () => {
-            if (window.scrollY > config.scrollOffset) {
-                header.classList.add(config.scrolledHeaderClass);
-            } else {
-                header.classList.remove(config.scrolledHeaderClass);
-            }
-        };
+    const { root = document, on = {}, ...overrides } = options;
+    Object.assign(config, mergeOptions(cloneOptions(defaultConfig), overrides));
+    scopeRoot = root;
+    currentLanguage = config.defaultLanguage;
+
+    Object.entries(on).forEach(([type, handler]) => {
+        scopeRoot.addEventListener(type, handler, { signal: getLifecycleSignal() });
+    });
+}
+
+/**
+ * Removes every listener of the running instance, closes open modals and withdraws the consent API.
+ * Changes already made to the page (rendered prices, filled-in fields) stay.
+ */
+export function destroy() {
+    if (!lifecycle) return;
 
-        // Initial check in case the page loads already scrolled
-        handleScroll();
+    openModals.slice().reverse().forEach(({ modal }) => closeModal(modal));
+    emitLifecycleEvent('app:destroyed');
+    lifecycle.abort();
+    lifecycle = null;
 
-        // Add scroll event listener
-        window.addEventListener('scroll', debounce(handleScroll, 10)); // Debounce for performance
-        console.log("Sticky Header initialized.");
+    [exchangeRateListeners, languageListeners, consentListeners, funnelListeners].forEach(listeners => {
+        listeners.length = 0;
+    });
+    referralStatuses.clear();
+    // Backends and clients are created from the configuration on first use, so a re-init with new options gets new ones
+    referralBackend = null;
+    caseStatusClient = null;
+    if (window[config.consentGlobalName] && !Array.isArray(window[config.consentGlobalName])) {
+        delete window[config.consentGlobalName];
     }
+    logger.debug('German Tax Website destroyed.');
+}
 
-    /**
-     * Handles the mobile navigation toggle and menu behavior.
-     */
-    function initMobileNavigation() {
-        const navToggle = document.querySelector(config.navToggleSelector);
-        const navList = document.querySelector(config.navListSelector);
+/**
+ * Returns the signal that every listener of the running instance is registered with.
+ * Initializers called on their own, without init(), start an instance.
+ * @returns {AbortSignal}
+ */
+function getLifecycleSignal() {
+    if (!lifecycle) {
+        lifecycle = new AbortController();
+    }
+    return lifecycle.signal;
+}
 
-        if (!navToggle || !navList) {
-            console.warn("Mobile navigation elements not found.");
-            return;
-        }
+/**
+ * Dispatches a lifecycle event on the root.
+ * @param {string} name - Event name (see "Public API").
+ * @param {object} [detail] - Event details.
+ */
+function emitLifecycleEvent(name, detail = {}) {
+    scopeRoot.dispatchEvent(new CustomEvent(name, { bubbles: true, detail }));
+}
 
-        const toggleMenu = () => {
-            const isOpen = navList.classList.contains(config.navOpenClass);
-            navList.classList.toggle(config.navOpenClass);
-            navToggle.setAttribute('aria-expanded', !isOpen);
-            document.body.classList.toggle(config.bodyNavOpenClass, !isOpen); // Toggle body class
-            console.log(`Mobile menu toggled: ${!isOpen ? 'Open' : 'Closed'}`);
-        };
+/**
+ * Finds an element by id within the root.
+ * @param {string} id - The element id.
+ * @returns {HTMLElement|null}
+ */
+function getScopedElementById(id) {
+    const element = document.getElementById(id);
+    return element && scopeRoot.contains(element) ? element : null;
+}
+
+/**
+ * Deep-copies the plain objects and arrays of an options object; other values are shared.
+ * @param {*} value - The value to copy.
+ * @returns {*}
+ */
+function cloneOptions(value) {
+    if (Array.isArray(value)) {
+        return value.map(cloneOptions);
+    }
+    if (isPlainObject(value)) {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, cloneOptions(item)]));
+    }
+    return value;
+}
 
-        navToggle.addEventListener('click', toggleMenu);
+/**
+ * Merges options into a target: plain objects key by key, anything else (arrays included) replaced.
+ * @param {object} target - The object to merge into (modified).
+ * @param {object} source - The options.
+ * @returns {object} - The target.
+ */
+function mergeOptions(target, source) {
+    Object.entries(source).forEach(([key, value]) => {
+        target[key] = isPlainObject(value) && isPlainObject(target[key])
+            ? mergeOptions(target[key], value)
+            : cloneOptions(value);
+    });
+    return target;
+}
 
-        // Close menu when a nav link is clicked (useful for one-page sites)
-        navList.addEventListener('click', (event) => {
-            if (event.target.matches(config.navLinkSelector)) {
-                if (navList.classList.contains(config.navOpenClass)) {
-                    toggleMenu(); // Close the menu
-                }
-            }
-        });
+/**
+ * Whether a value is a plain object literal (not an array, element, RegExp etc.).
+ * @param {*} value - The value to check.
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+}
 
-        // Close menu if clicked outside the nav list or toggle button
-        document.addEventListener('click', (event) => {
-             if (!navList.contains(event.target) && !navToggle.contains(event.target)) {
-                 if (navList.classList.contains(config.navOpenClass)) {
-                    toggleMenu(); // Close the menu
-                }
-             }
-        });
+/**
+ * -------------------------------------
+ * Feature Initializations
+ * -------------------------------------
+ */
 
-        // Close menu on 'Escape' key press
-         document.addEventListener('keydown', (event) => {
-            if (event.key === 'Escape' && navList.classList.contains(config.navOpenClass)) {
-                toggleMenu();
+/**
+ * Sets up the page translation: reads the Polish source texts, wires the language switcher
+ * and switches to the language from the URL, the saved choice or the browser settings.
+ *
+ * Markup: `data-i18n="key"` translates the element text (child elements such as required markers are kept),
+ * `data-i18n-html="key"` replaces the inner HTML and `data-i18n-attr="attribute:key; …"` translates attributes.
+ */
+export function initI18n() {
+    captureSourceTexts();
+
+    const switcher = scopeRoot.querySelector(config.languageSwitcherSelector);
+    if (switcher) {
+        switcher.addEventListener('click', (event) => {
+            const button = event.target.closest('[data-language]');
+            if (button) {
+                setLanguage(button.dataset.language, { persist: true });
             }
-        });
+        }, { signal: getLifecycleSignal() });
+    } else {
+        logger.warn("Language switcher not found.");
+    }
 
-        console.log("Mobile Navigation initialized.");
+    const language = detectLanguage();
+    if (language !== config.defaultLanguage) {
+        setLanguage(language);
+    } else {
+        updateLanguageState();
     }
 
-    /**
-     * Implements smooth scrolling for anchor links within the page.
-     */
-    function initSmoothScroll() {
-        const links = document.querySelectorAll(`a[href^="#"]:not([href="#"]):not([href="#${config.privacyModalSelector.substring(1)}"])`); // Exclude empty hash and modal link
-
-        links.forEach(link => {
-            link.addEventListener('click', function(event) {
-                const targetId = this.getAttribute('href');
-                // Check if it's a valid internal link
-                if (targetId.length > 1 && targetId.startsWith('#')) {
-                    const targetElement = document.querySelector(targetId);
-
-                    if (targetElement) {
-                        event.preventDefault(); // Prevent default jump
-                        console.log(`Smooth scrolling to: ${targetId}`);
-
-                        const headerOffset = document.querySelector('.site-header')?.offsetHeight || 0; // Get header height dynamically
-                        const elementPosition = targetElement.getBoundingClientRect().top;
-                        const offsetPosition = elementPosition + window.pageYOffset - headerOffset - 20; // Adjust offset (e.g., 20px extra space)
-
-                        window.scrollTo({
-                            top: offsetPosition,
-                            behavior: 'smooth'
-                        });
-
-                        // Optionally update URL hash without jump
-                        // history.pushState(null, null, targetId);
-
-                        // Set focus to the target element for accessibility after scroll
-                        setTimeout(() => {
-                             targetElement.setAttribute('tabindex', '-1'); // Make it focusable
-                             targetElement.focus({ preventScroll: true }); // Set focus without scrolling again
-                             // Optionally remove tabindex after a delay if not needed permanently
-                             // setTimeout(() => targetElement.removeAttribute('tabindex'), 1000);
-                        }, 800); // Adjust delay based on scroll duration
-
-
-                    } else {
-                        console.warn(`Smooth scroll target element not found for href: ${targetId}`);
-                    }
-                }
+    logger.debug(`I18n initialized (${language}).`);
+}
+
+/**
+ * Stores the texts of all translatable elements within the root as the catalog of the default language.
+ * Template contents are included, so elements cloned from them later can be translated.
+ */
+function captureSourceTexts() {
+    const catalog = translationCatalogs[config.defaultLanguage];
+    const roots = [scopeRoot, ...Array.from(scopeRoot.querySelectorAll('template'), template => template.content)];
+    roots.forEach(root => {
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            catalog[element.dataset.i18n] = getOwnText(element);
+        });
+        root.querySelectorAll('[data-i18n-html]').forEach(element => {
+            catalog[element.dataset.i18nHtml] = element.innerHTML.trim();
+        });
+        root.querySelectorAll('[data-i18n-attr]').forEach(element => {
+            parseI18nAttributes(element).forEach(([attribute, key]) => {
+                catalog[key] = element.getAttribute(attribute) || '';
             });
         });
-        console.log("Smooth Scroll initialized.");
+    });
+}
+
+/**
+ * Picks the initial language: URL parameter, then the saved choice, then the browser languages.
+ * @returns {string} - A supported language code.
+ */
+function detectLanguage() {
+    const isSupported = (code) => Boolean(code) && Object.prototype.hasOwnProperty.call(config.languages, code);
+    const fromUrl = new URLSearchParams(window.location.search).get(config.languageParam);
+    if (isSupported(fromUrl)) return fromUrl;
+
+    const saved = readStorage(config.languageStorageKey);
+    if (isSupported(saved)) return saved;
+
+    const browserLanguages = navigator.languages && navigator.languages.length ? navigator.languages : [navigator.language];
+    const match = browserLanguages
+        .map(code => String(code || '').toLowerCase().split('-')[0])
+        .find(isSupported);
+    return match || config.defaultLanguage;
+}
+
+/**
+ * Switches the page to a language, loading its catalog first if needed.
+ * @param {string} language - The language code.
+ * @param {{persist?: boolean}} [options] - `persist` saves the choice and puts it into the URL.
+ * @returns {Promise<boolean>} - Whether the language was applied.
+ */
+async function setLanguage(language, options = {}) {
+    if (!config.languages[language]) {
+        logger.warn(`Unsupported language "${language}".`);
+        return false;
     }
 
-    /**
-     * Highlights the active navigation link based on scroll position (Scroll Spy).
-     */
-    function initScrollSpy() {
-        const sections = document.querySelectorAll(config.scrollSpySectionSelector);
-        const navLinks = document.querySelectorAll(`${config.navListSelector} ${config.navLinkSelector}[href^="#"]`); // Only internal links
+    if (!translationCatalogs[language]) {
+        try {
+            translationCatalogs[language] = await fetchTranslations(language);
+        } catch (error) {
+            logger.warn(`Translations for "${language}" could not be loaded:`, error.message);
+            return false;
+        }
+    }
 
-        if (sections.length === 0 || navLinks.length === 0) {
-            console.warn("Scroll Spy elements (sections or nav links) not found.");
-            return;
+    currentLanguage = language;
+    applyTranslations(scopeRoot);
+    updateLanguageState();
+
+    if (options.persist) {
+        // The saved language is a preference and is only kept with the visitor's consent
+        if (hasConsent('preferences')) {
+            writeStorage(config.languageStorageKey, language);
+        }
+        const url = new URL(window.location.href);
+        if (language === config.defaultLanguage) {
+            url.searchParams.delete(config.languageParam);
+        } else {
+            url.searchParams.set(config.languageParam, language);
         }
+        history.replaceState(history.state, '', url);
+    }
 
-        const activateNavLink = (id) => {
-            navLinks.forEach(link => {
-                link.classList.remove(config.activeNavLinkClass);
-                if (link.getAttribute('href') === `#${id}`) {
-                    link.classList.add(config.activeNavLinkClass);
-                    // Optionally update ARIA current state
-                    link.setAttribute('aria-current', 'page');
-                } else {
-                     link.removeAttribute('aria-current');
-                }
-            });
-             // console.log(`Scroll Spy activated link for section: #${id}`);
-        };
+    languageListeners.forEach(listener => listener(language));
+    logger.debug(`Language switched to "${language}".`);
+    return true;
+}
+
+/**
+ * Loads the translation catalog of a language.
+ * @param {string} language - The language code.
+ * @returns {Promise<object>} - Flat map of translation keys to texts.
+ */
+async function fetchTranslations(language) {
+    const response = await fetch(config.translationsUrl.replace('{lang}', language), { cache: 'no-cache' });
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+    }
+    return response.json();
+}
+
+/**
+ * Translates all marked elements below a root element into the current language.
+ * @param {ParentNode} root - The element (or document) to translate.
+ */
+function applyTranslations(root) {
+    root.querySelectorAll('[data-i18n]').forEach(element => {
+        setOwnText(element, t(element.dataset.i18n));
+    });
+    root.querySelectorAll('[data-i18n-html]').forEach(element => {
+        // Catalogs ship with the site, so their markup is trusted
+        element.innerHTML = t(element.dataset.i18nHtml);
+    });
+    root.querySelectorAll('[data-i18n-attr]').forEach(element => {
+        parseI18nAttributes(element).forEach(([attribute, key]) => {
+            element.setAttribute(attribute, t(key));
+        });
+    });
+}
+
+/**
+ * Updates everything that depends on the language besides marked texts:
+ * <html lang>, og:locale and the pressed state of the switcher buttons.
+ */
+function updateLanguageState() {
+    document.documentElement.lang = currentLanguage;
 
-        const handleScrollSpy = () => {
-            let currentSectionId = null;
-            const scrollPosition = window.pageYOffset + config.scrollSpyOffset;
+    const ogLocale = document.querySelector('meta[property="og:locale"]');
+    if (ogLocale) {
+        ogLocale.setAttribute('content', config.languages[currentLanguage].ogLocale);
+    }
 
-            sections.forEach(section => {
-                const sectionTop = section.offsetTop;
-                const sectionHeight = section.offsetHeight;
+    scopeRoot.querySelectorAll(`${config.languageSwitcherSelector} [data-language]`).forEach(button => {
+        button.setAttribute('aria-pressed', String(button.dataset.language === currentLanguage));
+    });
+}
 
-                if (scrollPosition >= sectionTop && scrollPosition < sectionTop + sectionHeight) {
-                    currentSectionId = section.getAttribute('id');
-                }
-            });
+/**
+ * Registers a listener called after the page language has changed.
+ * @param {Function} listener - Receives the new language code.
+ */
+function onLanguageChange(listener) {
+    languageListeners.push(listener);
+}
 
-            // Handle edge case: if scrolled past the last section
-             const lastSection = sections[sections.length - 1];
-             if (window.innerHeight + window.pageYOffset >= document.body.offsetHeight - 50) { // Near bottom of page
-                  currentSectionId = lastSection.getAttribute('id');
-             }
+/**
+ * Returns the translation of a key in the current language, falling back to Polish.
+ * `{name}` placeholders are replaced with the matching parameters.
+ * @param {string} key - The translation key.
+ * @param {object} [params] - Values for the placeholders.
+ * @returns {string} - The translated text (the key itself if it is unknown).
+ */
+function t(key, params = {}) {
+    const catalog = translationCatalogs[currentLanguage] || {};
+    let message = catalog[key];
+    if (message === undefined) {
+        message = translationCatalogs[config.defaultLanguage][key];
+    }
+    if (message === undefined) {
+        logger.warn(`Missing translation "${key}".`);
+        return key;
+    }
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) =>
+        Object.prototype.hasOwnProperty.call(params, name) ? String(params[name]) : placeholder);
+}
+
+/**
+ * Returns the Intl locale of the current language (e.g. "pl-PL").
+ * @returns {string}
+ */
+function getLocale() {
+    return config.languages[currentLanguage].locale;
+}
+
+/**
+ * Sets up the cookie consent manager: the banner shown until the visitor decided about the current
+ * policy version, the settings modal (also opened by the footer button) and the `window.GermanTaxConsent`
+ * API for other scripts.
+ *
+ * Scripts that need consent are added inactive as
+ * `<script type="text/plain" data-consent-category="analytics" data-src="…">` and started once the
+ * category is granted. Scripts running before this one can queue callbacks with
+ * `(window.GermanTaxConsent = window.GermanTaxConsent || []).push(consent => …)`.
+ * Withdrawn consent cannot stop scripts that already run; it takes full effect on the next page load.
+ */
+export function initConsentManager() {
+    const stored = readStorage(config.consentStorageKey);
+    // A record for an older policy version does not count, but its choices pre-fill the settings
+    consentRecord = isCurrentConsentRecord(stored) ? stored : null;
+
+    onConsentChange(() => {
+        activateConsentScripts();
+        if (!hasConsent('preferences')) {
+            removeStorage(config.languageStorageKey);
+        }
+    });
+
+    const openSettings = initConsentDialogs(stored);
+    exposeConsentApi(openSettings);
+    activateConsentScripts();
 
-            // Handle edge case: scrolled to the very top
-            if (window.pageYOffset < sections[0].offsetTop - config.scrollSpyOffset) {
-                currentSectionId = null; // No section active at the top
+    logger.debug(`Consent Manager initialized (${consentRecord ? 'decided' : 'pending'}).`);
+}
+
+/**
+ * Wires the consent banner, the settings modal and the footer button.
+ * @param {object|null} stored - The stored record, possibly for an older policy version.
+ * @returns {Function|null} - Opens the settings modal, or null when the elements are missing.
+ */
+function initConsentDialogs(stored) {
+    const banner = scopeRoot.querySelector(config.consentBannerSelector);
+    const modal = scopeRoot.querySelector(config.consentSettingsSelector);
+    const settingsForm = modal ? modal.querySelector('[data-consent-form]') : null;
+    const revisitButton = scopeRoot.querySelector(config.consentRevisitSelector);
+
+    if (!banner || !modal || !settingsForm) {
+        logger.warn("Consent manager elements not found.");
+        return null;
+    }
+
+    const openSettings = (opener = document.activeElement) => {
+        const previous = consentRecord || stored;
+        Object.keys(consentCategories).forEach(category => {
+            const checkbox = settingsForm.elements.namedItem(category);
+            if (checkbox) {
+                checkbox.checked = consentCategories[category].required
+                    || Boolean(previous && previous.categories && previous.categories[category]);
             }
+        });
+        // The banner (and the opening button with it) is gone once the visitor decided
+        openModal(modal, { opener, fallbackFocus: revisitButton });
+    };
+
+    const decide = (categories, method) => {
+        saveConsent(categories, method);
+        banner.hidden = true;
+        closeModal(modal);
+    };
 
+    const allCategories = (granted) => Object.keys(consentCategories)
+        .reduce((categories, category) => ({ ...categories, [category]: granted }), {});
 
-            if (currentSectionId) {
-                activateNavLink(currentSectionId);
+    scopeRoot.addEventListener('click', (event) => {
+        const button = event.target.closest('[data-consent-action]');
+        if (!button) return;
+
+        if (button.dataset.consentAction === 'accept') {
+            decide(allCategories(true), 'accept-all');
+        } else if (button.dataset.consentAction === 'reject') {
+            decide(allCategories(false), 'reject-all');
+        } else if (button.dataset.consentAction === 'settings') {
+            openSettings(button);
+        }
+    }, { signal: getLifecycleSignal() });
+
+    settingsForm.addEventListener('submit', (event) => {
+        event.preventDefault();
+        const categories = {};
+        Object.keys(consentCategories).forEach(category => {
+            const checkbox = settingsForm.elements.namedItem(category);
+            categories[category] = Boolean(checkbox && checkbox.checked);
+        });
+        decide(categories, 'custom');
+    }, { signal: getLifecycleSignal() });
+
+    if (revisitButton) {
+        revisitButton.addEventListener('click', () => openSettings(revisitButton), { signal: getLifecycleSignal() });
+    }
+
+    // Closing the settings without saving leaves the banner in place
+    banner.hidden = consentRecord !== null;
+    return openSettings;
+}
+
+/**
+ * Publishes the consent API as `window[config.consentGlobalName]` and runs the callbacks
+ * that other scripts queued there before this script loaded.
+ * @param {Function|null} openSettings - Opens the settings modal.
+ */
+function exposeConsentApi(openSettings) {
+    const api = {
+        // Whether a category is granted (required categories always are)
+        has: hasConsent,
+        // Copy of the consent record, or null while the visitor has not decided
+        getRecord: getConsentRecord,
+        // Registers a listener called with the new record after every decision
+        onChange: onConsentChange,
+        // Runs a callback once a category is granted (right away if it already is)
+        whenGranted: whenConsentGranted,
+        openSettings: () => {
+            if (openSettings) {
+                openSettings();
             } else {
-                 // No section is active, remove active class from all
-                 navLinks.forEach(link => {
-                     link.classList.remove(config.activeNavLinkClass);
-                     link.removeAttribute('aria-current');
-                 });
+                logger.warn("Consent settings are not available.");
             }
-        };
+        },
+        // Keeps the queue syntax working after start-up
+        push: (callback) => runConsentCallback(callback, api),
+    };
+
+    const queued = window[config.consentGlobalName];
+    window[config.consentGlobalName] = api;
+    if (Array.isArray(queued)) {
+        queued.forEach(callback => runConsentCallback(callback, api));
+    }
+}
+
+/**
+ * Calls a callback queued by another script, isolating this script from its errors.
+ * @param {Function} callback - The queued callback.
+ * @param {object} api - The consent API passed to it.
+ */
+function runConsentCallback(callback, api) {
+    try {
+        callback(api);
+    } catch (error) {
+        logger.error("Error in a consent callback:", error);
+    }
+}
+
+/**
+ * Checks that a stored consent record is complete and belongs to the current policy version.
+ * @param {*} record - The stored value.
+ * @returns {boolean}
+ */
+function isCurrentConsentRecord(record) {
+    return Boolean(record) && record.version === config.consentPolicyVersion
+        && typeof record.timestamp === 'string' && Boolean(record.categories) && typeof record.categories === 'object';
+}
+
+/**
+ * Stores the visitor's decision and notifies the subscribers.
+ * @param {Object<string, boolean>} categories - Granted state per category (required ones are always granted).
+ * @param {string} method - How the decision was made: 'accept-all', 'reject-all' or 'custom'.
+ */
+function saveConsent(categories, method) {
+    const granted = {};
+    Object.keys(consentCategories).forEach(category => {
+        granted[category] = consentCategories[category].required || Boolean(categories[category]);
+    });
+    consentRecord = {
+        version: config.consentPolicyVersion,
+        timestamp: new Date().toISOString(),
+        method,
+        categories: granted,
+    };
+    writeStorage(config.consentStorageKey, consentRecord);
+    logger.debug(`Consent saved (${method}).`);
 
-        // Initial check
-        handleScrollSpy();
+    consentListeners.forEach(listener => listener(getConsentRecord()));
+}
 
-        // Add scroll event listener
-        window.addEventListener('scroll', debounce(handleScrollSpy, 50)); // Debounce frequently called handler
+/**
+ * Returns a copy of the consent record for the current policy version.
+ * @returns {{version: string, timestamp: string, method: string, categories: Object<string, boolean>}|null}
+ */
+function getConsentRecord() {
+    return consentRecord ? { ...consentRecord, categories: { ...consentRecord.categories } } : null;
+}
 
-        console.log("Scroll Spy initialized.");
+/**
+ * Whether the visitor granted a consent category.
+ * @param {string} category - Key in `consentCategories`.
+ * @returns {boolean}
+ */
+function hasConsent(category) {
+    if (!consentCategories[category]) {
+        logger.warn(`Unknown consent category "${category}".`);
+        return false;
     }
+    return consentCategories[category].required || Boolean(consentRecord && consentRecord.categories[category]);
+}
 
-    /**
-     * Reveals elements as they enter the viewport using Intersection Observer.
-     */
-    function initScrollReveal() {
-        const elementsToReveal = document.querySelectorAll(config.scrollRevealSelector);
+/**
+ * Registers a listener called after every consent decision.
+ * @param {Function} listener - Receives a copy of the new consent record.
+ */
+function onConsentChange(listener) {
+    consentListeners.push(listener);
+}
 
-        if (elementsToReveal.length === 0) {
-            console.info("No elements found for scroll reveal.");
-            return;
+/**
+ * Runs a callback once a consent category is granted.
+ * @param {string} category - Key in `consentCategories`.
+ * @param {Function} callback - Called once, without arguments.
+ */
+function whenConsentGranted(category, callback) {
+    if (hasConsent(category)) {
+        callback();
+        return;
+    }
+    let hasRun = false;
+    onConsentChange(() => {
+        if (!hasRun && hasConsent(category)) {
+            hasRun = true;
+            callback();
         }
+    });
+}
 
-        if (!('IntersectionObserver' in window)) {
-            console.warn("IntersectionObserver not supported. Scroll reveal animations disabled.");
-            // Fallback: Make all elements visible immediately
-            elementsToReveal.forEach(el => el.classList.add(config.scrollRevealVisibleClass));
-            return;
+/**
+ * Starts the inactive scripts whose consent category is granted by replacing each placeholder
+ * with a real script element (placeholders that are replaced no longer match, so scripts run once).
+ */
+function activateConsentScripts() {
+    document.querySelectorAll(config.consentScriptSelector).forEach(placeholder => {
+        if (!hasConsent(placeholder.dataset.consentCategory)) return;
+
+        const script = document.createElement('script');
+        Array.from(placeholder.attributes).forEach(({ name, value }) => {
+            if (!['type', 'data-src', 'data-consent-category'].includes(name)) {
+                script.setAttribute(name, value);
+            }
+        });
+        if (placeholder.dataset.src) {
+            script.src = placeholder.dataset.src;
+        } else {
+            script.textContent = placeholder.textContent;
         }
+        placeholder.replaceWith(script);
+        logger.debug(`Started a script with "${placeholder.dataset.consentCategory}" consent.`);
+    });
+}
 
-        const observerCallback = (entries, observer) => {
-            entries.forEach(entry => {
-                if (entry.isIntersecting) {
-                    entry.target.classList.add(config.scrollRevealVisibleClass);
-                    // Optional: Unobserve after reveal for performance
-                    observer.unobserve(entry.target);
-                    // console.log(`Revealed element: `, entry.target.id || entry.target.classList[0]);
-                }
-                // Note: No need to remove the class if you want the animation only once
-            });
-        };
+/**
+ * Adds/Removes a class to the header when the page is scrolled.
+ */
+export function initStickyHeader() {
+    const header = scopeRoot.querySelector('.site-header');
+    if (!header) {
+        logger.warn("Sticky header element not found.");
+        return;
+    }
 
-        const observerOptions = {
-            root: null, // Use the viewport as the root
-            rootMargin: '0px',
-            threshold: config.scrollRevealThreshold // Percentage of element visibility needed
-        };
+    const handleScroll = () => {
+        if (window.scrollY > config.scrollOffset) {
+            header.classList.add(config.scrolledHeaderClass);
+        } else {
+            header.classList.remove(config.scrolledHeaderClass);
+        }
+    };
 
-        const observer = new IntersectionObserver(observerCallback, observerOptions);
+    // Runs once right away, in case the page loads already scrolled
+    onScrollFrame(handleScroll);
+    logger.debug("Sticky Header initialized.");
+}
 
-        elementsToReveal.forEach(el => observer.observe(el));
+/**
+ * Handles the mobile navigation toggle and menu behavior.
+ */
+export function initMobileNavigation() {
+    const navToggle = scopeRoot.querySelector(config.navToggleSelector);
+    const navList = scopeRoot.querySelector(config.navListSelector);
 
-        console.log("Scroll Reveal initialized for", elementsToReveal.length, "elements.");
+    if (!navToggle || !navList) {
+        logger.warn("Mobile navigation elements not found.");
+        return;
     }
 
-    /**
-     * Handles the "Rozlicz się" form submission (client-side simulation).
-     */
-    function initSettleForm() {
-        const form = document.querySelector(config.settleFormSelector);
-        const messageArea = document.querySelector(config.settleFormMessageSelector);
+    const toggleMenu = () => {
+        const isOpen = navList.classList.contains(config.navOpenClass);
+        navList.classList.toggle(config.navOpenClass);
+        navToggle.setAttribute('aria-expanded', !isOpen);
+        document.body.classList.toggle(config.bodyNavOpenClass, !isOpen); // Toggle body class
+        logger.debug(`Mobile menu toggled: ${!isOpen ? 'Open' : 'Closed'}`);
+    };
 
-        if (!form || !messageArea) {
-            console.warn("Settle form elements not found.");
-            return;
-        }
+    navToggle.addEventListener('click', toggleMenu, { signal: getLifecycleSignal() });
 
-        form.addEventListener('submit', function(event) {
-            event.preventDefault(); // Prevent actual form submission
-            console.log("Settle form submitted (simulation).");
+    // Close menu when a nav link is clicked (useful for one-page sites)
+    navList.addEventListener('click', (event) => {
+        if (event.target.matches(config.navLinkSelector)) {
+            if (navList.classList.contains(config.navOpenClass)) {
+                toggleMenu(); // Close the menu
+            }
+        }
+    }, { signal: getLifecycleSignal() });
 
-            // Basic Validation (HTML5 required should handle most)
-            if (!form.checkValidity()) {
-                displayFormMessage(messageArea, 'Proszę wypełnić wszystkie wymagane pola.', 'error');
-                // Optionally trigger browser's default validation UI
-                 form.reportValidity();
-                return;
+    // Close menu if clicked outside the nav list or toggle button
+    document.addEventListener('click', (event) => {
+         if (!navList.contains(event.target) && !navToggle.contains(event.target)) {
+             if (navList.classList.contains(config.navOpenClass)) {
+                toggleMenu(); // Close the menu
             }
+         }
+    }, { signal: getLifecycleSignal() });
+
+    // Close menu on 'Escape' key press
+     document.addEventListener('keydown', (event) => {
+        if (event.key === 'Escape' && navList.classList.contains(config.navOpenClass)) {
+            toggleMenu();
+        }
+    }, { signal: getLifecycleSignal() });
 
-            // --- Simulation Logic ---
-            // In a real app, you would gather data and send it via AJAX.
-            // Here, we just simulate success.
+    logger.debug("Mobile Navigation initialized.");
+}
 
-            const formData = new FormData(form);
-            // Example: Log form data to console
-            console.log("Settle Form Data:");
-            for (let [key, value] of formData.entries()) {
-                console.log(`${key}: ${value}`);
+/**
+ * Implements smooth scrolling for anchor links within the page.
+ * The address bar is updated through the History API (see Deep Links), so the page never jumps.
+ */
+export function initSmoothScroll() {
+    const links = Array.from(scopeRoot.querySelectorAll('a[href^="#"]:not([href="#"])')) // Exclude empty hash
+        .filter(link => !getModalForHash(link.getAttribute('href'))); // Modal deep links are opened by the modal manager
+
+    links.forEach(link => {
+        link.addEventListener('click', function(event) {
+            const targetId = this.getAttribute('href');
+            if (navigateToDeepLink(targetId)) {
+                event.preventDefault(); // Prevent default jump
+                logger.debug(`Smooth scrolling to: ${targetId}`);
+            } else {
+                logger.warn(`Smooth scroll target element not found for href: ${targetId}`);
             }
+        }, { signal: getLifecycleSignal() });
+    });
+    logger.debug("Smooth Scroll initialized.");
+}
 
-            // Display success message
-            displayFormMessage(messageArea, 'Dane wstępne przyjęte! Zostaniesz przekierowany do kroku 2 (dołączanie dokumentów). W tym demo proces kończy się tutaj.', 'success');
+/**
+ * Smoothly scrolls to an element below the sticky header (instantly when reduced motion is preferred)
+ * and moves the focus to it.
+ * @param {HTMLElement} targetElement - The target section.
+ */
+function scrollToSection(targetElement) {
+    const headerOffset = scopeRoot.querySelector('.site-header')?.offsetHeight || 0; // Get header height dynamically
+    const elementPosition = targetElement.getBoundingClientRect().top;
+    const offsetPosition = elementPosition + window.pageYOffset - headerOffset - 20; // Adjust offset (e.g., 20px extra space)
 
-            // Optionally disable the form or button after submission
-            form.querySelector('button[type="submit"]').disabled = true;
-            form.querySelector('button[type="submit"]').textContent = 'Przetwarzanie...';
+    window.scrollTo({
+        top: offsetPosition,
+        behavior: prefersReducedMotion() ? 'auto' : 'smooth'
+    });
 
-            // Simulate further action (e.g., redirect or showing next step)
-            setTimeout(() => {
-                // Reset button state for demo purposes if needed
-                // form.querySelector('button[type="submit"]').disabled = false;
-                // form.querySelector('button[type="submit"]').textContent = 'Przejdź do Kroku 2 (Wysłanie Danych)';
-                // form.reset(); // Optionally reset the form
-                console.log("Simulating transition to Step 2...");
-                // In a real multi-step form, you'd hide this step and show the next.
-            }, 3000); // Delay for 3 seconds
-        });
+    // Set focus to the target element for accessibility once the scrolling ended
+    whenScrollEnds(() => {
+         targetElement.setAttribute('tabindex', '-1'); // Make it focusable
+         targetElement.focus({ preventScroll: true }); // Set focus without scrolling again
+         // Optionally remove tabindex after a delay if not needed permanently
+         // setTimeout(() => targetElement.removeAttribute('tabindex'), 1000);
+    });
+}
 
-        console.log("Settle Form initialized.");
-    }
+/**
+ * -------------------------------------
+ * Deep Links
+ * -------------------------------------
+ * In-page links may carry URL state after the section id, e.g. `#rozlicz-sie?service=joint&year=2022`.
+ * `service` (a key of the price list, or "business") preselects the service in the quote builder
+ * and prefills related fields; `year` selects the tax year of the settle form; `reference` fills in
+ * the case reference of the status lookup.
+ */
 
-    /**
-     * Handles the contact form submission (client-side simulation).
-     */
-    function initContactForm() {
-        const form = document.querySelector(config.contactFormSelector);
-        const messageArea = document.querySelector(config.contactFormMessageSelector);
+// Per service: fields to prefill, and whether the contact message gets the `deepLink.message.<service>` template
+const serviceDeepLinks = {
+    individual: {},
+    joint: { fields: { settle_marital_status: 'związek małżeński' } },
+    tax_check: {},
+    abmeldung: { fields: { letters_service: 'abmeldung' } },
+    krankenkasse: { fields: { letters_service: 'krankenkasse' } },
+    freistellung: { fields: { business_service: 'freistellung' } },
+    bauabzugsteuer: { fields: { business_service: 'bauabzugsteuer' } },
+    business: { message: true },
+};
+// Fields a deep link may change; every history entry keeps their values for back/forward navigation.
+// The contact message is free text and only kept as the service of its template.
+const deepLinkFieldNames = ['settle_year', 'settle_marital_status', 'quote_settlement', 'quote_services', 'quote_invoices', 'case_reference', 'business_service', 'letters_service'];
 
-        if (!form || !messageArea) {
-            console.warn("Contact form elements not found.");
-            return;
+/**
+ * Applies the deep link the page was opened with and restores the form state on back/forward navigation.
+ */
+export function initDeepLinks() {
+    const initial = parseDeepLink(window.location.hash);
+    // Browsers cannot resolve "#section?…" themselves
+    if (initial && Array.from(initial.params.keys()).length > 0) {
+        applyDeepLinkParams(initial.params);
+        scrollToSection(initial.section);
+    }
+    history.replaceState(createDeepLinkState(), '', window.location.href);
+
+    window.addEventListener('popstate', (event) => {
+        if (!event.state || !event.state.deepLink) return; // Hashes typed into the address bar arrive as hashchange
+        restoreDeepLinkState(event.state);
+        const link = parseDeepLink(window.location.hash);
+        if (link) {
+            scrollToSection(link.section);
         }
+    }, { signal: getLifecycleSignal() });
 
-        form.addEventListener('submit', function(event) {
-            event.preventDefault();
-            console.log("Contact form submitted (simulation).");
+    window.addEventListener('hashchange', () => {
+        if (history.state && history.state.deepLink) return; // Already restored on popstate
+        const link = parseDeepLink(window.location.hash);
+        if (!link) return;
+        applyDeepLinkParams(link.params);
+        scrollToSection(link.section);
+        history.replaceState(createDeepLinkState(), '', window.location.href);
+    }, { signal: getLifecycleSignal() });
 
-            if (!form.checkValidity()) {
-                displayFormMessage(messageArea, 'Proszę wypełnić wszystkie wymagane pola i wyrazić zgodę.', 'error');
-                 form.reportValidity();
-                return;
-            }
+    logger.debug("Deep links initialized.");
+}
 
-            // --- Simulation ---
-            const formData = new FormData(form);
-            const name = formData.get('contact_name');
-            const email = formData.get('contact_email');
-            const message = formData.get('contact_message');
+/**
+ * Follows an in-page link: applies its URL state, adds a history entry and scrolls to the section.
+ * @param {string} hash - The link's hash, e.g. "#kontakt?service=abmeldung".
+ * @returns {boolean} - False when the link does not point to an element on the page.
+ */
+function navigateToDeepLink(hash) {
+    const link = parseDeepLink(hash);
+    if (!link) return false;
+
+    // Going back returns to the form state the visitor leaves behind
+    history.replaceState(createDeepLinkState(), '', window.location.href);
+    applyDeepLinkParams(link.params);
+    history.pushState(createDeepLinkState(), '', hash);
+    scrollToSection(link.section);
+    return true;
+}
 
-            // Display temporary processing message
-             displayFormMessage(messageArea, 'Wysyłanie wiadomości...', 'processing'); // Use a neutral style for processing
-             form.querySelector('button[type="submit"]').disabled = true;
+/**
+ * Splits an in-page hash into the target section and the URL state.
+ * @param {string} hash - The hash, with or without the leading "#".
+ * @returns {{section: HTMLElement, params: URLSearchParams}|null} - Null when no element has that id.
+ */
+function parseDeepLink(hash) {
+    const value = (hash || '').replace(/^#/, '');
+    const queryStart = value.indexOf('?');
+    let id = queryStart === -1 ? value : value.slice(0, queryStart);
+    try {
+        id = decodeURIComponent(id);
+    } catch (error) {
+        return null;
+    }
+    const section = id ? getScopedElementById(id) : null;
+    return section
+        ? { section, params: new URLSearchParams(queryStart === -1 ? '' : value.slice(queryStart + 1)) }
+        : null;
+}
 
+/**
+ * Preselects the service and tax year named in a deep link and fills in its case reference.
+ * @param {URLSearchParams} params - The URL state of the link.
+ */
+function applyDeepLinkParams(params) {
+    const service = params.get('service');
+    if (service && !serviceDeepLinks[service]) {
+        logger.warn(`Unknown service in deep link: ${service}`);
+    } else if (service) {
+        const quoteForm = scopeRoot.querySelector(config.quoteFormSelector);
+        const quoteOption = quoteForm
+            ? Array.from(quoteForm.querySelectorAll('input[name="quote_settlement"], input[name="quote_services"]'))
+                .find(input => input.value === service)
+            : null;
+        if (quoteOption && !quoteOption.checked) {
+            quoteOption.checked = true;
+            quoteOption.dispatchEvent(new Event('change', { bubbles: true }));
+        }
+        Object.entries(serviceDeepLinks[service].fields || {}).forEach(([name, value]) => {
+            setDeepLinkField(name, [value]);
+        });
+        if (serviceDeepLinks[service].message) {
+            setContactMessageTemplate(service);
+        }
+    }
 
-            // Simulate sending data (replace with actual AJAX call)
-            // In this demo, we'll just show success after a short delay
-            // Or prepare a mailto link
-            console.log("Contact Form Data:", { name, email, message });
+    const year = params.get('year');
+    if (year) {
+        setDeepLinkField('settle_year', [year]);
+    }
 
-            setTimeout(() => {
-                displayFormMessage(messageArea, `Dziękujemy ${escapeHTML(name)}! Twoja wiadomość została wysłana (symulacja). Odpowiemy wkrótce.`, 'success');
-                form.reset(); // Clear the form
-                form.querySelector('button[type="submit"]').disabled = false; // Re-enable button
-            }, 1500); // Simulate network delay
+    const reference = params.get('reference');
+    if (reference) {
+        setDeepLinkField('case_reference', [reference]);
+    }
+}
 
-             // --- Alternative: Prepare mailto link ---
-             /*
-             const subject = "Zapytanie ze strony German Tax";
-             const body = `Imię i nazwisko: ${name}\nEmail: ${email}\nTelefon: ${formData.get('contact_phone') || 'Nie podano'}\n\nWiadomość:\n${message}`;
-             const mailtoLink = `mailto:kontakt@german-tax.pl?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(body)}`;
-             // Instead of showing success, you could open the mail client:
-             // window.location.href = mailtoLink;
-             // displayFormMessage(messageArea, 'Proszę sprawdzić klienta poczty e-mail, aby wysłać wiadomość.', 'success');
-             // form.reset();
-             // form.querySelector('button[type="submit"]').disabled = false;
-             */
+/**
+ * Captures the values of the fields deep links may change, as the state of a history entry.
+ * @returns {{deepLink: boolean, fields: Array<[string, string]>, message: string}}
+ */
+function createDeepLinkState() {
+    const fields = [];
+    deepLinkFieldNames.forEach(name => {
+        scopeRoot.querySelectorAll(`[name="${name}"]`).forEach(field => {
+            if ((field.type !== 'checkbox' && field.type !== 'radio') || field.checked) {
+                fields.push([name, field.value]);
+            }
         });
+    });
+    const message = scopeRoot.querySelector(`${config.contactFormSelector} [name="contact_message"]`);
+    return { deepLink: true, fields, message: message ? getContactMessageTemplate(message) : '' };
+}
 
-        console.log("Contact Form initialized.");
-    }
+/**
+ * Restores the field values kept in a history entry.
+ * @param {{fields: Array<[string, string]>, message: string}} state - The state from createDeepLinkState().
+ */
+function restoreDeepLinkState(state) {
+    deepLinkFieldNames.forEach(name => {
+        const values = (state.fields || []).filter(([fieldName]) => fieldName === name).map(([, value]) => value);
+        setDeepLinkField(name, values);
+    });
+    setContactMessageTemplate(state.message || '');
+}
 
-    /**
-     * Handles opening and closing the privacy policy modal.
-     */
-    function initPrivacyModal() {
-        const modalLink = document.querySelector(config.privacyModalLinkSelector);
-        const modal = document.querySelector(config.privacyModalSelector);
-        const closeButtons = modal ? modal.querySelectorAll(config.modalCloseSelector) : [];
+/**
+ * Sets the value(s) of the fields with a name and fires `change` so dependent widgets update.
+ * Select values without a matching option (e.g. a tax year that can no longer be filed) are skipped.
+ * @param {string} name - The field name.
+ * @param {string[]} values - The values; for checkboxes and radios the values to check.
+ */
+function setDeepLinkField(name, values) {
+    scopeRoot.querySelectorAll(`[name="${name}"]`).forEach(field => {
+        const isCheckable = field.type === 'checkbox' || field.type === 'radio';
+        const value = values.length > 0 ? values[0] : '';
+        if (isCheckable ? field.checked === values.includes(field.value) : field.value === value) return;
 
-        if (!modalLink || !modal || closeButtons.length === 0) {
-            console.warn("Privacy policy modal elements not found.");
+        if (isCheckable) {
+            field.checked = values.includes(field.value);
+        } else if (field.tagName === 'SELECT' && !Array.from(field.options).some(option => option.value === value)) {
+            logger.warn(`Deep link value not available for ${name}: ${value}`);
             return;
+        } else {
+            field.value = value;
         }
+        field.dispatchEvent(new Event('change', { bubbles: true }));
+    });
+}
 
-        const openModal = (event) => {
-            event.preventDefault(); // Prevent link navigation if it's an anchor
-            console.log("Opening privacy modal.");
-            modal.hidden = false;
-            // Trap focus inside the modal
-            trapFocus(modal);
-            // Optional: Add class to body to prevent background scroll
-             document.body.style.overflow = 'hidden';
-        };
+/**
+ * Fills the contact message with the template of a service. Never overwrites what the visitor wrote.
+ * @param {string} service - The service key, or an empty string to clear a template.
+ */
+function setContactMessageTemplate(service) {
+    const field = scopeRoot.querySelector(`${config.contactFormSelector} [name="contact_message"]`);
+    if (!field || (field.value.trim() !== '' && !getContactMessageTemplate(field))) return;
+    field.value = service ? t(`deepLink.message.${service}`) : '';
+}
 
-        const closeModal = () => {
-            console.log("Closing privacy modal.");
-            modal.hidden = true;
-             document.body.style.overflow = ''; // Restore scroll
-             // Return focus to the element that opened the modal
-             modalLink.focus();
-        };
+/**
+ * Finds the service whose template the contact message still contains unchanged.
+ * @param {HTMLTextAreaElement} field - The contact message field.
+ * @returns {string} - The service key, or an empty string.
+ */
+function getContactMessageTemplate(field) {
+    return Object.keys(serviceDeepLinks).find(service => serviceDeepLinks[service].message
+        && field.value === t(`deepLink.message.${service}`)) || '';
+}
 
-        modalLink.addEventListener('click', openModal);
+/**
+ * Highlights the active navigation link (Scroll Spy): the section crossing a line
+ * config.scrollSpyOffset pixels below the top of the viewport, tracked with Intersection Observer.
+ */
+export function initScrollSpy() {
+    const sections = Array.from(scopeRoot.querySelectorAll(config.scrollSpySectionSelector));
+    const navLinks = scopeRoot.querySelectorAll(`${config.navListSelector} ${config.navLinkSelector}[href^="#"]`); // Only internal links
 
-        closeButtons.forEach(button => {
-            button.addEventListener('click', closeModal);
-        });
+    if (sections.length === 0 || navLinks.length === 0) {
+        logger.warn("Scroll Spy elements (sections or nav links) not found.");
+        return;
+    }
+    if (!('IntersectionObserver' in window)) {
+        logger.warn("IntersectionObserver not supported. Scroll spy disabled.");
+        return;
+    }
+    // Sections already reported to the funnel analytics
+    const viewedSections = new Set();
+    // Sections within the band from the activation line down to the middle of the viewport
+    const sectionsInBand = new Set();
+    let isAtBottom = false;
+    let activeSectionId = null;
 
-        // Close modal on backdrop click
-        modal.addEventListener('click', (event) => {
-            if (event.target === modal) { // Check if the click was directly on the backdrop
-                closeModal();
+    const activateNavLink = (id) => {
+        navLinks.forEach(link => {
+            link.classList.remove(config.activeNavLinkClass);
+            if (link.getAttribute('href') === `#${id}`) {
+                link.classList.add(config.activeNavLinkClass);
+                // Optionally update ARIA current state
+                link.setAttribute('aria-current', 'page');
+            } else {
+                 link.removeAttribute('aria-current');
             }
         });
+         // logger.debug(`Scroll Spy activated link for section: #${id}`);
+    };
+
+    const updateActiveSection = () => {
+        // The first section in the band is the one crossing the activation line; above the first section none is
+        const current = isAtBottom ? sections[sections.length - 1] : sections.find(section => sectionsInBand.has(section));
+        const currentSectionId = current ? current.getAttribute('id') : null;
+        if (currentSectionId === activeSectionId) return;
+        activeSectionId = currentSectionId;
+
+        // With no active section, activateNavLink() removes the active class from all links
+        activateNavLink(currentSectionId);
+        if (currentSectionId && !viewedSections.has(currentSectionId)) {
+            viewedSections.add(currentSectionId);
+            emitFunnelEvent('section_viewed', { section: currentSectionId });
+        }
+    };
 
-        // Close modal on 'Escape' key press
-        document.addEventListener('keydown', (event) => {
-            if (event.key === 'Escape' && !modal.hidden) {
-                closeModal();
+    const observer = new IntersectionObserver((entries) => {
+        entries.forEach(entry => {
+            if (entry.isIntersecting) {
+                sectionsInBand.add(entry.target);
+            } else {
+                sectionsInBand.delete(entry.target);
             }
         });
+        updateActiveSection();
+    }, { rootMargin: `-${config.scrollSpyOffset}px 0px -50% 0px` });
 
-        console.log("Privacy Modal initialized.");
-    }
+    sections.forEach(section => observer.observe(section));
+    getLifecycleSignal().addEventListener('abort', () => observer.disconnect());
 
-    /**
-     * Updates the copyright year in the footer.
-     */
-    function updateCopyrightYear() {
-        const yearSpan = document.querySelector(config.currentYearSelector);
-        if (yearSpan) {
-            yearSpan.textContent = new Date().getFullYear();
-            console.log("Copyright year updated.");
-        } else {
-             console.warn("Copyright year span not found.");
+    // Handle edge case: a short last section never reaches the line, so the bottom of the page activates it
+    onScrollFrame(() => {
+        const atBottom = window.innerHeight + window.scrollY >= document.documentElement.scrollHeight - 50;
+        if (atBottom !== isAtBottom) {
+            isAtBottom = atBottom;
+            updateActiveSection();
         }
-    }
+    });
 
-    /**
-    * Optional: Hides skip links after they lose focus if user interacts with page.
-    * Improves visual cleanliness after initial navigation aid.
-    */
-   /*
-   function initSkipLinkFocusManagement() {
-       const skipLinks = document.querySelectorAll(config.skipLinkSelector);
-       if (skipLinks.length === 0) return;
-
-       let hasInteracted = false;
-
-       const hideSkipLinks = () => {
-           if (hasInteracted) {
-               skipLinks.forEach(link => {
-                   // Check if the link itself or its target has focus
-                    const targetElement = document.querySelector(link.getAttribute('href'));
-                    if (document.activeElement !== link && document.activeElement !== targetElement) {
-                         link.style.top = '-10em'; // Hide it again
-                    }
-               });
-           }
-       };
-
-       // Mark interaction on first scroll or click anywhere
-       const markInteraction = () => {
-           hasInteracted = true;
-           window.removeEventListener('scroll', markInteraction, { once: true });
-           document.body.removeEventListener('click', markInteraction, { once: true });
-       };
-
-       window.addEventListener('scroll', markInteraction, { once: true });
-       document.body.addEventListener('click', markInteraction, { once: true });
-
-       // Check on blur from skip links
-       skipLinks.forEach(link => {
-           link.addEventListener('blur', () => {
-               // Use a small delay to allow focus to shift to the target
-               setTimeout(hideSkipLinks, 50);
-           });
-       });
+    logger.debug("Scroll Spy initialized.");
+}
 
-        console.log("Skip Link Focus Management initialized.");
-   }
-   */
+/**
+ * Reveals elements as they enter the viewport using Intersection Observer.
+ */
+export function initScrollReveal() {
+    const elementsToReveal = scopeRoot.querySelectorAll(config.scrollRevealSelector);
 
+    if (elementsToReveal.length === 0) {
+        logger.info("No elements found for scroll reveal.");
+        return;
+    }
 
-    /**
-     * -------------------------------------
-     * Utility Functions
-     * -------------------------------------
-     */
+    if (prefersReducedMotion()) {
+        logger.info("Reduced motion preferred. Scroll reveal animations disabled.");
+        elementsToReveal.forEach(el => el.classList.add(config.scrollRevealVisibleClass));
+        return;
+    }
 
-    /**
-     * Debounce function to limit the rate at which a function can fire.
-     * @param {Function} func - The function to debounce.
-     * @param {number} wait - The delay in milliseconds.
-     * @param {boolean} immediate - Trigger the function on the leading edge instead of the trailing.
-     * @returns {Function} - The debounced function.
-     */
-    function debounce(func, wait, immediate = false) {
-        let timeout;
-        return function executedFunction(...args) {
-            const context = this;
-            const later = function() {
-                timeout = null;
-                if (!immediate) func.apply(context, args);
-            };
-            const callNow = immediate && !timeout;
-            clearTimeout(timeout);
-            timeout = setTimeout(later, wait);
-            if (callNow) func.apply(context, args);
-        };
+    if (!('IntersectionObserver' in window)) {
+        logger.warn("IntersectionObserver not supported. Scroll reveal animations disabled.");
+        // Fallback: Make all elements visible immediately
+        elementsToReveal.forEach(el => el.classList.add(config.scrollRevealVisibleClass));
+        return;
     }
 
-     /**
-     * Displays a message in a designated form message area.
-     * @param {HTMLElement} messageArea - The element to display the message in.
-     * @param {string} message - The message text.
-     * @param {'success' | 'error' | 'processing' | 'info'} type - The type of message.
-     */
-    function displayFormMessage(messageArea, message, type = 'info') {
-        if (!messageArea) return;
+    const observerCallback = (entries, observer) => {
+        entries.forEach(entry => {
+            if (entry.isIntersecting) {
+                entry.target.classList.add(config.scrollRevealVisibleClass);
+                // Optional: Unobserve after reveal for performance
+                observer.unobserve(entry.target);
+                // logger.debug(`Revealed element: `, entry.target.id || entry.target.classList[0]);
+            }
+            // Note: No need to remove the class if you want the animation only once
+        });
+    };
 
-        // Remove previous type classes
-        messageArea.classList.remove('form-message--success', 'form-message--error', 'form-message--processing', 'form-message--info');
+    const observerOptions = {
+        root: null, // Use the viewport as the root
+        rootMargin: '0px',
+        threshold: config.scrollRevealThreshold // Percentage of element visibility needed
+    };
+
+    const observer = new IntersectionObserver(observerCallback, observerOptions);
 
-        // Add the new type class
-        messageArea.classList.add(`form-message--${type}`);
+    elementsToReveal.forEach(el => observer.observe(el));
+    getLifecycleSignal().addEventListener('abort', () => observer.disconnect());
 
-        // Set message content (use textContent for security)
-        messageArea.textContent = message;
+    logger.debug("Scroll Reveal initialized for", elementsToReveal.length, "elements.");
+}
 
-        // Make sure the area is visible
-        messageArea.style.display = 'block'; // Or use appropriate CSS class
+/**
+ * -------------------------------------
+ * Scroll Loop
+ * -------------------------------------
+ * All work that follows the scroll position runs in one passive scroll listener,
+ * at most once per animation frame.
+ */
 
-        // Optional: Scroll to the message if it's off-screen
-        // messageArea.scrollIntoView({ behavior: 'smooth', block: 'center' });
+// Tasks run on every frame in which the page scrolled (see onScrollFrame())
+const scrollTasks = new Set();
+let isScrollLoopRunning = false;
+let isScrollFrameScheduled = false;
+// Matches while the visitor asks the system to minimise animations
+const reducedMotionQuery = window.matchMedia ? window.matchMedia('(prefers-reduced-motion: reduce)') : null;
 
-        console.log(`Form Message (${type}): ${message}`);
+/**
+ * Runs a task now and then on every frame in which the page scrolled.
+ * @param {Function} task - The task; it should only read the scroll position and update classes.
+ * @returns {Function} - Stops running the task.
+ */
+function onScrollFrame(task) {
+    if (!isScrollLoopRunning) {
+        isScrollLoopRunning = true;
+        const signal = getLifecycleSignal();
+        window.addEventListener('scroll', scheduleScrollFrame, { passive: true, signal });
+        signal.addEventListener('abort', () => {
+            isScrollLoopRunning = false;
+            scrollTasks.clear();
+        });
     }
+    scrollTasks.add(task);
+    task();
+    return () => scrollTasks.delete(task);
+}
 
-    /**
-     * Basic HTML escaping function.
-     * @param {string} str - The string to escape.
-     * @returns {string} - The escaped string.
-     */
-    function escapeHTML(str) {
-         if (str === null || str === '') return '';
-        return str.toString()
-            .replace(/&/g, "&amp;")
-            .replace(/</g, "&lt;")
-            .replace(/>/g, "&gt;")
-            .replace(/"/g, "&quot;")
-            .replace(/'/g, "&#039;");
+/**
+ * Schedules the scroll tasks for the next animation frame, once per frame.
+ */
+function scheduleScrollFrame() {
+    if (isScrollFrameScheduled) return;
+    isScrollFrameScheduled = true;
+    window.requestAnimationFrame(() => {
+        isScrollFrameScheduled = false;
+        scrollTasks.forEach(task => task());
+    });
+}
+
+/**
+ * Calls back once the current scrolling has ended: on `scrollend`, or after config.scrollEndDelay ms
+ * without scrolling (browsers without `scrollend`, and scrolls that did not move the page).
+ * @param {Function} callback - Called once.
+ */
+function whenScrollEnds(callback) {
+    let isDone = false;
+    let stopWatching = null;
+    const finish = () => {
+        if (isDone) return;
+        isDone = true;
+        window.removeEventListener('scrollend', finish);
+        if (stopWatching) stopWatching();
+        callback();
+    };
+
+    if ('onscrollend' in window) {
+        window.addEventListener('scrollend', finish, { once: true, signal: getLifecycleSignal() });
     }
+    stopWatching = onScrollFrame(debounce(finish, config.scrollEndDelay));
+}
 
-    /**
-     * Traps focus within a given element (e.g., a modal).
-     * @param {HTMLElement} element - The element within which to trap focus.
-     */
-    function trapFocus(element) {
-        const focusableElements = element.querySelectorAll(
-            'a[href]:not([disabled]), button:not([disabled]), textarea:not([disabled]), input[type="text"]:not([disabled]), input[type="radio"]:not([disabled]), input[type="checkbox"]:not([disabled]), select:not([disabled]), [tabindex]:not([tabindex="-1"])'
-        );
-        if (focusableElements.length === 0) return;
+/**
+ * Whether the visitor asks the system to minimise animations (`prefers-reduced-motion`).
+ * @returns {boolean}
+ */
+function prefersReducedMotion() {
+    return Boolean(reducedMotionQuery && reducedMotionQuery.matches);
+}
 
-        const firstFocusableElement = focusableElements[0];
-        const lastFocusableElement = focusableElements[focusableElements.length - 1];
+/**
+ * Handles the multi-step "Rozlicz się" wizard:
+ * Step 1 (basic data), Step 2 (document upload) and Step 3 (review & final submission).
+ */
+export function initSettleForm() {
+    const form = scopeRoot.querySelector(config.settleFormSelector);
+    const messageArea = scopeRoot.querySelector(config.settleFormMessageSelector);
+    const steps = form ? Array.from(form.querySelectorAll(config.settleStepSelector)) : [];
 
-        element.addEventListener('keydown', function(e) {
-            const isTabPressed = e.key === 'Tab' || e.keyCode === 9;
+    if (!form || !messageArea || steps.length === 0) {
+        logger.warn("Settle form elements not found.");
+        return;
+    }
 
-            if (!isTabPressed) {
-                return;
+    const documentStep = steps.find(step => step.dataset.step === '2');
+    const uploader = documentStep ? createDocumentUploader(documentStep) : null;
+    const validator = createFormValidator(form, form.querySelector(config.errorSummarySelector));
+    const confirmation = createSettleConfirmation(scopeRoot.querySelector(config.settleConfirmationSelector));
+
+    initSettleSubforms(form, validator);
+    initSettleYears(form);
+    initWageCertificateImport(form, uploader);
+
+    createFormWizard(form, {
+        formKey: 'settle',
+        steps,
+        messageArea,
+        validateStep: (stepNumber, step) => {
+            if (stepNumber === 1 && !validator.validate(step)) {
+                return false;
             }
 
-            if (e.shiftKey) /* shift + tab */ {
-                if (document.activeElement === firstFocusableElement) {
-                    lastFocusableElement.focus();
-                    e.preventDefault();
-                }
-            } else /* tab */ {
-                if (document.activeElement === lastFocusableElement) {
-                    firstFocusableElement.focus();
-                    e.preventDefault();
+            if (stepNumber === 2 && uploader) {
+                const missing = uploader.getMissingRequiredCategories();
+                if (missing.length > 0) {
+                    displayFormMessage(messageArea, t('settle.error.missingDocuments', { categories: missing.join(', ') }), 'error');
+                    return false;
                 }
             }
+
+            return true;
+        },
+        renderReview: (container) => renderSettleReview(container, form, uploader),
+        submit: () => submitSettleWizard(form, uploader, messageArea, confirmation),
+    });
+
+    initSettleDraft(form, uploader, messageArea);
+
+    logger.debug("Settle Form initialized.");
+}
+
+/**
+ * Runs a multi-step form (the settle and business wizards): shows one step at a time with the
+ * progress indicator next to the form, checks a step before moving on, handles the "Back" and
+ * "Edit" buttons ([data-step-back], [data-step-goto]) and renders the review of the last step.
+ * Reports every step as `step_reached` to the funnel analytics and as `<formKey>:step` lifecycle event.
+ * @param {HTMLFormElement} form - The form.
+ * @param {object} options - The wizard settings.
+ * @param {string} options.formKey - Key of the form in `submissionForms`.
+ * @param {HTMLElement[]} options.steps - The step elements, with `data-step` numbers from 1.
+ * @param {HTMLElement} options.messageArea - The message area of the form (cleared on every step change).
+ * @param {Function} options.validateStep - `(stepNumber, step) => boolean`, checked before leaving a step.
+ * @param {Function} options.renderReview - `(container) => void`, renders the review into the last step.
+ * @param {Function} options.submit - Called when the last step is submitted.
+ * @returns {{showStep: Function}}
+ */
+function createFormWizard(form, { formKey, steps, messageArea, validateStep, renderReview, submit }) {
+    // The progress indicator sits next to the form, in the same container
+    const indicators = (form.parentElement || form).querySelectorAll(config.settleStepIndicatorSelector);
+    const getStep = (stepNumber) => steps.find(step => Number(step.dataset.step) === stepNumber);
+    const reviewStep = steps[steps.length - 1];
+    const getReviewContainer = () => reviewStep.querySelector(config.settleReviewSelector);
+    let currentStep = 1;
+
+    const showStep = (stepNumber) => {
+        currentStep = stepNumber;
+        steps.forEach(step => {
+            step.hidden = Number(step.dataset.step) !== stepNumber;
+        });
+        indicators.forEach(indicator => {
+            const indicatorStep = Number(indicator.dataset.stepIndicator);
+            indicator.classList.toggle('active', indicatorStep === stepNumber);
+            indicator.classList.toggle('completed', indicatorStep < stepNumber);
+            if (indicatorStep === stepNumber) {
+                indicator.setAttribute('aria-current', 'step');
+            } else {
+                indicator.removeAttribute('aria-current');
+            }
         });
+        clearFormMessage(messageArea);
 
-        // Focus the first element when the modal opens
-        firstFocusableElement.focus();
-    }
+        // Move focus to the step heading so screen reader users hear the step change
+        const heading = getStep(stepNumber).querySelector('.form-title');
+        if (heading) {
+            heading.focus();
+        }
+        logger.debug(`${formKey} wizard: showing step ${stepNumber}.`);
+        emitFunnelEvent('step_reached', { form: formKey, step: stepNumber });
+        emitLifecycleEvent(`${formKey}:step`, { step: stepNumber });
+    };
+
+    form.addEventListener('submit', function(event) {
+        event.preventDefault(); // Steps are switched client-side
+
+        if (!validateStep(currentStep, getStep(currentStep))) {
+            return;
+        }
+
+        if (currentStep < steps.length) {
+            const nextStep = currentStep + 1;
+            if (getStep(nextStep) === reviewStep) {
+                renderReview(getReviewContainer());
+            }
+            showStep(nextStep);
+            return;
+        }
+
+        submit();
+    }, { signal: getLifecycleSignal() });
+
+    // "Back" and "Edit" buttons inside the steps
+    form.addEventListener('click', (event) => {
+        const backButton = event.target.closest('[data-step-back]');
+        const gotoButton = event.target.closest('[data-step-goto]');
+
+        if (backButton && currentStep > 1) {
+            showStep(currentStep - 1);
+        } else if (gotoButton) {
+            showStep(Number(gotoButton.dataset.stepGoto));
+        }
+    }, { signal: getLifecycleSignal() });
+
+    // The review is generated text, so rebuild it in the new language
+    onLanguageChange(() => {
+        if (currentStep === Number(reviewStep.dataset.step)) {
+            renderReview(getReviewContainer());
+        }
+    });
+
+    return { showStep };
+}
+
+/**
+ * Sends a completed wizard (business intake, deregistration letters) and shows the case reference
+ * once it was sent (or stored to be sent when the connection returns). The messages are the
+ * `<formKey>.sending`, `<formKey>.success` and `<formKey>.successMailto` translations.
+ * @param {string} formKey - Key of the form in `submissionForms`.
+ * @param {HTMLFormElement} form - The wizard form.
+ * @param {FormData} formData - The data to send.
+ * @param {HTMLElement} messageArea - The message area of the form.
+ */
+async function submitWizardForm(formKey, form, formData, messageArea) {
+    const submitButton = form.querySelector(`${config.settleStepSelector}:not([hidden]) button[type="submit"]`);
+    const submitLabel = submitButton ? submitButton.textContent : '';
+
+    displayFormMessage(messageArea, t(`${formKey}.sending`), 'processing');
+    if (submitButton) {
+        submitButton.disabled = true;
+        submitButton.textContent = t('settle.processing');
+    }
+
+    try {
+        const result = await submitForm(formKey, formData);
+        const reference = (result.response && result.response.reference) || createCaseReference(result.submissionId);
+        displayFormMessage(messageArea, t(result.transport === 'mailto' ? `${formKey}.successMailto` : `${formKey}.success`, { reference }), 'success');
+        if (submitButton) {
+            submitButton.textContent = t('settle.sent');
+        }
+    } catch (error) {
+        displayFormMessage(messageArea, getSubmissionErrorMessage(error), error.queued ? 'info' : 'error');
+        if (!submitButton) return;
+        if (error.queued) {
+            submitButton.textContent = t('settle.waitingForConnection');
+            form.addEventListener('submissionsent', () => {
+                submitButton.textContent = t('settle.sent');
+            }, { once: true, signal: getLifecycleSignal() });
+        } else {
+            submitButton.disabled = false;
+            submitButton.textContent = submitLabel;
+        }
+    }
+}
+
+/**
+ * Fills the tax year select of the settle form with the years that can still be filed
+ * (see config.filingRules), flags the years whose filing window closes this year and shows the
+ * deadlines of the selected year with a calendar reminder to download.
+ * @param {HTMLFormElement} form - The settle form.
+ */
+function initSettleYears(form) {
+    const select = form.elements.namedItem('settle_year');
+    const note = form.querySelector(config.settleYearDeadlinesSelector);
+    if (!select) {
+        logger.warn("Settle tax year select not found.");
+        return;
+    }
+
+    const noteText = note ? note.querySelector('[data-settle-year-deadlines-text]') : null;
+    const reminderButton = note ? note.querySelector('[data-calendar-reminder]') : null;
+    const getDeadlines = () => getFilingYears(new Date()).find(item => String(item.year) === select.value) || null;
+
+    const renderOptions = () => {
+        const selected = select.value;
+        Array.from(select.options).filter(option => option.value !== '').forEach(option => option.remove());
+        getFilingYears(new Date()).forEach(item => {
+            const label = item.expiring
+                ? t('settle.year.expiring', { year: item.year, date: formatDate(item.voluntaryDeadline) })
+                : String(item.year);
+            select.appendChild(new Option(label, String(item.year)));
+        });
+        select.value = selected;
+    };
+
+    const renderDeadlines = () => {
+        if (!note) return;
+        const deadlines = getDeadlines();
+        note.hidden = !deadlines;
+        if (!deadlines) return;
+
+        const today = startOfDay(new Date());
+        const lines = [
+            t(deadlines.statutoryDeadline < today ? 'settle.year.statutoryPassed' : 'settle.year.statutory', { date: formatDate(deadlines.statutoryDeadline) }),
+            t('settle.year.voluntary', { date: formatDate(deadlines.voluntaryDeadline) }),
+        ];
+        if (deadlines.advisedDeadline >= today) {
+            lines.push(t('settle.year.advised', { date: formatDate(deadlines.advisedDeadline) }));
+        }
+        noteText.textContent = lines.join(' ');
+    };
+
+    select.addEventListener('change', renderDeadlines, { signal: getLifecycleSignal() });
+    onLanguageChange(() => {
+        renderOptions();
+        renderDeadlines();
+    });
+
+    if (reminderButton) {
+        reminderButton.addEventListener('click', () => {
+            const deadlines = getDeadlines();
+            if (!deadlines) return;
+            const calendar = createDeadlineCalendar(deadlines, new Date());
+            downloadBlob(new Blob([calendar], { type: 'text/calendar' }), `${config.calendarFileName.replace('{year}', deadlines.year)}.ics`);
+        }, { signal: getLifecycleSignal() });
+    }
+
+    renderOptions();
+    renderDeadlines();
+}
+
+/**
+ * Returns the tax years that can still be filed on a date, newest first: every finished year whose
+ * voluntary filing window (until 31 Dec of the `voluntaryFilingYears`-th following year) is still open.
+ * @param {Date} today - The current date.
+ * @returns {Array<object>} - The deadlines of each year (see getFilingDeadlines()).
+ */
+function getFilingYears(today) {
+    const currentYear = today.getFullYear();
+    const years = [];
+    for (let offset = 1; offset <= config.filingRules.voluntaryFilingYears; offset++) {
+        years.push(getFilingDeadlines(currentYear - offset, today));
+    }
+    return years;
+}
+
+/**
+ * Calculates the filing deadlines of a tax year from config.filingRules.
+ * @param {number} year - The tax year.
+ * @param {Date} today - The current date (decides which deadline the advised date refers to).
+ * @returns {{year: number, statutoryDeadline: Date, voluntaryDeadline: Date, advisedDeadline: Date, nextDeadline: Date, expiring: boolean}}
+ *   `nextDeadline` is the statutory deadline while it is ahead, else the end of the voluntary window;
+ *   `expiring` marks years whose voluntary window closes in the current calendar year.
+ */
+function getFilingDeadlines(year, today) {
+    const rules = config.filingRules;
+    const override = rules.statutoryDeadlineOverrides[year];
+    let statutoryDeadline = override
+        ? new Date(`${override}T00:00:00`)
+        : new Date(year + 1, rules.statutoryDeadline.month - 1, rules.statutoryDeadline.day);
+    if (rules.shiftWeekendDeadlines) {
+        while (statutoryDeadline.getDay() === 0 || statutoryDeadline.getDay() === 6) {
+            statutoryDeadline = new Date(statutoryDeadline.getFullYear(), statutoryDeadline.getMonth(), statutoryDeadline.getDate() + 1);
+        }
+    }
+    const voluntaryDeadline = new Date(year + rules.voluntaryFilingYears, 11, 31);
+    const nextDeadline = statutoryDeadline >= startOfDay(today) ? statutoryDeadline : voluntaryDeadline;
+
+    return {
+        year,
+        statutoryDeadline,
+        voluntaryDeadline,
+        advisedDeadline: new Date(nextDeadline.getFullYear(), nextDeadline.getMonth(), nextDeadline.getDate() - rules.advisedLeadDays),
+        nextDeadline,
+        expiring: voluntaryDeadline.getFullYear() === today.getFullYear(),
+    };
+}
+
+/**
+ * Creates an iCalendar file with the upcoming dates of a tax year: the advised date for sending the
+ * documents and the next filing deadline, each with a reminder `reminderLeadDays` before.
+ * @param {object} deadlines - The result of getFilingDeadlines().
+ * @param {Date} now - The current date and time.
+ * @returns {string} - The .ics file contents.
+ */
+function createDeadlineCalendar(deadlines, now) {
+    const today = startOfDay(now);
+    const events = [
+        { key: 'advised', date: deadlines.advisedDeadline },
+        { key: deadlines.nextDeadline === deadlines.statutoryDeadline ? 'statutory' : 'voluntary', date: deadlines.nextDeadline },
+    ].filter(event => event.date >= today);
+
+    const formatDay = (date) => `${date.getFullYear()}${String(date.getMonth() + 1).padStart(2, '0')}${String(date.getDate()).padStart(2, '0')}`;
+    const description = t('calendar.description', { url: `${window.location.origin}${window.location.pathname}${config.settleFormSelector}` });
+    const stamp = formatCalendarTimestamp(now);
+
+    const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', 'PRODID:-//German Tax//Filing deadlines//PL', 'CALSCALE:GREGORIAN', 'METHOD:PUBLISH'];
+    events.forEach(event => {
+        const summary = t(`calendar.${event.key}`, { year: deadlines.year });
+        lines.push(
+            'BEGIN:VEVENT',
+            `UID:${deadlines.year}-${event.key}-${formatDay(event.date)}@${config.calendarUidDomain}`,
+            `DTSTAMP:${stamp}`,
+            `DTSTART;VALUE=DATE:${formatDay(event.date)}`,
+            `DTEND;VALUE=DATE:${formatDay(new Date(event.date.getFullYear(), event.date.getMonth(), event.date.getDate() + 1))}`,
+            `SUMMARY:${escapeCalendarText(summary)}`,
+            `DESCRIPTION:${escapeCalendarText(description)}`,
+            'TRANSP:TRANSPARENT',
+            'BEGIN:VALARM',
+            'ACTION:DISPLAY',
+            `TRIGGER:-P${config.filingRules.reminderLeadDays}D`,
+            `DESCRIPTION:${escapeCalendarText(summary)}`,
+            'END:VALARM',
+            'END:VEVENT'
+        );
+    });
+    lines.push('END:VCALENDAR');
+    return serializeCalendar(lines);
+}
+
+/**
+ * Formats a point in time as an iCalendar UTC date-time, e.g. "20261020T083000Z".
+ * @param {Date} date - The date and time.
+ * @returns {string}
+ */
+function formatCalendarTimestamp(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Escapes a text value of an iCalendar property.
+ * @param {string} text - The text.
+ * @returns {string}
+ */
+function escapeCalendarText(text) {
+    return String(text).replace(/[\\;,]/g, '\\$&').replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Joins the content lines of an iCalendar file with CRLF.
+ * @param {string[]} lines - The content lines.
+ * @returns {string} - The .ics file contents.
+ */
+function serializeCalendar(lines) {
+    // Lines longer than 75 octets are folded onto continuation lines starting with a space
+    const encoder = new TextEncoder();
+    return lines.map(line => {
+        const parts = [];
+        let current = '';
+        Array.from(line).forEach(char => {
+            if (encoder.encode(current + char).length > (parts.length ? 74 : 75)) {
+                parts.push(current);
+                current = '';
+            }
+            current += char;
+        });
+        parts.push(current);
+        return parts.join('\r\n ');
+    }).join('\r\n') + '\r\n';
+}
+
+/**
+ * Prefills the settle form from a Lohnsteuerbescheinigung PDF: reads its text layer in the browser,
+ * looks up the values listed in `wageCertificateFields` and lets the client confirm each value
+ * before it is written into the form. Unknown layouts and scans only show a hint to type the data.
+ * @param {HTMLFormElement} form - The settle form.
+ * @param {object|null} uploader - The document uploader (the imported file is attached to Step 2).
+ */
+function initWageCertificateImport(form, uploader) {
+    const container = form.querySelector('[data-wage-import]');
+    const input = container ? container.querySelector('[data-wage-import-input]') : null;
+    if (!container || !input) {
+        logger.warn("Wage certificate import elements not found.");
+        return;
+    }
+
+    const messageArea = container.querySelector('[data-wage-import-message]');
+    const review = container.querySelector('[data-wage-import-review]');
+    const valueList = container.querySelector('[data-wage-import-values]');
+    let importedFile = null;
+
+    const closeReview = () => {
+        review.hidden = true;
+        valueList.textContent = '';
+        importedFile = null;
+    };
+
+    const showValues = (values) => {
+        valueList.textContent = '';
+        values.forEach(({ name, value, text }) => {
+            const field = form.elements.namedItem(name);
+            const item = document.createElement('li');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = true;
+            checkbox.className = 'form-check-input';
+            checkbox.id = `settle-import-${name}`;
+            checkbox.dataset.importField = name;
+            checkbox.dataset.importValue = value;
+            const label = document.createElement('label');
+            label.htmlFor = checkbox.id;
+            label.textContent = `${getFieldLabel(form, name)}: ${text}`;
+            item.append(checkbox, label);
+            // Values the client already typed are replaced only if the box stays ticked
+            if (field && field.value && field.value !== value) {
+                const current = document.createElement('span');
+                current.className = 'wage-import-current';
+                current.textContent = t('import.current', { value: field.type === 'date' ? formatDate(field.value) : field.value });
+                item.append(' ', current);
+            }
+            valueList.appendChild(item);
+        });
+        review.hidden = false;
+        displayFormMessage(messageArea, t('import.found'), 'info');
+        valueList.querySelector('input').focus();
+    };
+
+    input.addEventListener('change', async () => {
+        const file = input.files[0];
+        input.value = ''; // Allow importing the same file again
+        if (!file) return;
+        closeReview();
+
+        if (file.type !== 'application/pdf' && !/\.pdf$/i.test(file.name)) {
+            displayFormMessage(messageArea, t('import.notPdf'), 'error');
+            return;
+        }
+
+        displayFormMessage(messageArea, t('import.reading'), 'processing');
+        let lines;
+        try {
+            lines = await extractPdfText(file);
+        } catch (error) {
+            logger.warn("Could not read the text layer of the PDF:", error);
+            displayFormMessage(messageArea, t('import.unsupported'), 'error');
+            return;
+        }
+
+        if (lines.join('').trim() === '') {
+            displayFormMessage(messageArea, t('import.noText'), 'info');
+            return;
+        }
+        const values = getWageCertificateValues(parseWageCertificate(lines), form);
+        if (values.length === 0) {
+            displayFormMessage(messageArea, t('import.unknownLayout'), 'info');
+            return;
+        }
+        importedFile = file;
+        showValues(values);
+    }, { signal: getLifecycleSignal() });
+
+    review.addEventListener('click', (event) => {
+        const button = event.target.closest('[data-wage-import-action]');
+        if (!button) return;
+
+        if (button.dataset.wageImportAction === 'discard') {
+            closeReview();
+            clearFormMessage(messageArea);
+            input.focus();
+            return;
+        }
+
+        const accepted = Array.from(valueList.querySelectorAll('input[data-import-field]:checked'));
+        accepted.forEach(checkbox => {
+            const field = form.elements.namedItem(checkbox.dataset.importField);
+            if (!field) return;
+            field.value = checkbox.dataset.importValue;
+            field.dispatchEvent(new Event('input', { bubbles: true }));
+            field.dispatchEvent(new Event('change', { bubbles: true }));
+        });
+
+        let message = t('import.applied', { count: accepted.length });
+        if (uploader && importedFile && uploader.addFiles('lohnsteuerbescheinigung', [importedFile])) {
+            message += ` ${t('import.attached')}`;
+        }
+        closeReview();
+        displayFormMessage(messageArea, message, 'success');
+        const firstField = accepted.length ? form.elements.namedItem(accepted[0].dataset.importField) : null;
+        (firstField || input).focus();
+    }, { signal: getLifecycleSignal() });
+
+    logger.debug("Wage certificate import initialized.");
+}
+
+/**
+ * Finds the values of a Lohnsteuerbescheinigung in its text lines (see `wageCertificateFields`).
+ * @param {string[]} lines - The text lines of the document, top to bottom.
+ * @returns {object} - Found values by key: strings, amounts as numbers, the period as
+ *   `{ from, to }` ISO dates, plus the tax `year`; values that were not found are missing.
+ */
+function parseWageCertificate(lines) {
+    const text = lines.map(line => line.replace(/\s+/g, ' ').trim()).filter(Boolean);
+    const result = {};
+    // Amounts are written "32.500,00", or split into EUR and Ct columns ("32500 00")
+    const amountPattern = /(\d{1,3}(?:\.\d{3})+|\d+)(?:,| )(\d{2})(?!\d)/g;
+    const parseGermanAmount = (eur, ct) => Number(`${eur.replace(/\./g, '')}.${ct}`);
+
+    // Returns the text of a numbered line of the form (and of the next line, as labels may wrap)
+    const findNumberedLine = (number, label) => {
+        const index = text.findIndex(line => new RegExp(`^${number}\\.\\s`).test(line) && label.test(line));
+        if (index === -1) return null;
+        const next = text[index + 1] && !/^\d{1,2}\.\s/.test(text[index + 1]) ? text[index + 1] : '';
+        return [text[index], next];
+    };
+
+    wageCertificateFields.forEach(definition => {
+        if (definition.type === 'amount') {
+            const found = findNumberedLine(definition.line, definition.label);
+            if (!found) return;
+            // Skip the label (which may mention other lines, e.g. "von 3.") and take the last amount
+            for (const part of found) {
+                const afterLabel = part.replace(/^\d{1,2}\.\s[^\d]*(?:\d{1,2}\.(?:\s|$)[^\d]*)*/, '');
+                const matches = Array.from(afterLabel.matchAll(amountPattern));
+                if (matches.length > 0) {
+                    const last = matches[matches.length - 1];
+                    result[definition.key] = parseGermanAmount(last[1], last[2]);
+                    return;
+                }
+            }
+        } else if (definition.type === 'period') {
+            const found = findNumberedLine(definition.line, definition.label);
+            const dates = found ? Array.from(found.join(' ').matchAll(/(\d{2})\.(\d{2})\.(\d{4})?/g)) : [];
+            if (dates.length >= 2) {
+                result.period = { from: dates[0], to: dates[1] };
+            }
+        } else if (definition.type === 'text') {
+            const index = text.findIndex(line => definition.label.test(line));
+            if (index === -1) return;
+            const inline = text[index].replace(definition.label, '').replace(/^[\s:]+/, '');
+            const value = inline || text[index + 1] || '';
+            if (value && !/^\d{1,2}\.\s/.test(value)) {
+                result[definition.key] = value;
+            }
+        } else if (definition.type === 'taxId') {
+            text.filter(line => definition.label.test(line)).some(line => {
+                const match = line.replace(/[\s/]/g, '').match(/\d{11}/);
+                if (match && isValidSteuerId(match[0])) {
+                    result.taxId = match[0];
+                }
+                return result.taxId;
+            });
+        } else if (definition.type === 'etin') {
+            const match = text.filter(line => definition.label.test(line)).join(' ').match(/\b[A-Z]{8}\d{2}[A-Z][A-Z0-9]\d{2}\b/);
+            if (match) {
+                result.etin = match[0];
+            }
+        }
+    });
+
+    // The tax year is printed in the title ("… für 2024"), else taken from the period
+    const yearMatch = text.join(' ').match(/(?:Lohnsteuerbescheinigung|Kalenderjahr)\D{0,20}(20\d{2})/i);
+    const periodYear = result.period && (result.period.to[3] || result.period.from[3]);
+    result.year = yearMatch ? yearMatch[1] : periodYear || null;
+    if (!result.year) delete result.year;
+
+    if (result.period) {
+        const toIsoDate = ([, day, month, year]) => result.year || year ? `${year || result.year}-${month}-${day}` : null;
+        const from = toIsoDate(result.period.from);
+        const to = toIsoDate(result.period.to);
+        if (from && to) {
+            result.period = { from, to };
+        } else {
+            delete result.period;
+        }
+    }
+    return result;
+}
+
+/**
+ * Turns parsed certificate values into the form values offered for confirmation.
+ * @param {object} values - The result of parseWageCertificate().
+ * @param {HTMLFormElement} form - The settle form.
+ * @returns {Array<{name: string, value: string, text: string}>} - Field name, form value and display text.
+ */
+function getWageCertificateValues(values, form) {
+    const items = [];
+    const yearSelect = form.elements.namedItem('settle_year');
+    if (values.year && yearSelect && Array.from(yearSelect.options).some(option => option.value === values.year)) {
+        items.push({ name: 'settle_year', value: values.year, text: values.year });
+    }
+    wageCertificateFields.forEach(definition => {
+        const value = values[definition.key];
+        if (value === undefined) return;
+        if (definition.type === 'period') {
+            items.push(
+                { name: definition.fields[0], value: value.from, text: formatDate(value.from) },
+                { name: definition.fields[1], value: value.to, text: formatDate(value.to) }
+            );
+        } else if (definition.type === 'amount') {
+            const formValue = new Intl.NumberFormat(getLocale(), { useGrouping: false, minimumFractionDigits: 2 }).format(value);
+            items.push({ name: definition.fields[0], value: formValue, text: formatCurrency(value) });
+        } else {
+            items.push({ name: definition.fields[0], value, text: value });
+        }
+    });
+    return items.filter(item => form.elements.namedItem(item.name));
+}
+
+/**
+ * Shows the conditional sub-forms of the settle form ([data-subform]) while their trigger field
+ * (`data-subform-field`) has the answer in `data-subform-value`. A hidden sub-form is a disabled
+ * fieldset, so its fields are neither validated nor sent, and its answers are cleared when it closes.
+ * Focus stays on the answer (the new fields follow it in the tab order); focus inside a closing
+ * sub-form moves back to the answer.
+ * @param {HTMLFormElement} form - The settle form.
+ * @param {object} validator - The form validator (errors of hidden fields are dropped).
+ */
+function initSettleSubforms(form, validator) {
+    form.querySelectorAll(config.settleSubformSelector).forEach(subform => {
+        const triggerName = subform.dataset.subformField;
+        const entries = subform.hasAttribute('data-repeatable') ? createRepeatableList(subform, validator) : null;
+
+        const update = () => {
+            const trigger = form.elements.namedItem(triggerName);
+            const isActive = Boolean(trigger) && trigger.value === subform.dataset.subformValue;
+            if (isActive === !subform.hidden) return;
+
+            if (isActive) {
+                subform.hidden = false;
+                subform.disabled = false;
+                if (entries) {
+                    entries.ensureEntries(1);
+                }
+                return;
+            }
+
+            const hadFocus = subform.contains(document.activeElement);
+            validator.clear(subform);
+            if (entries) {
+                entries.clear();
+            } else {
+                resetFields(subform);
+            }
+            subform.hidden = true;
+            subform.disabled = true;
+            if (hadFocus && trigger) {
+                // Radio groups are returned as a RadioNodeList: focus the chosen (or first) radio
+                const target = trigger.tagName ? trigger : (Array.from(trigger).find(radio => radio.checked) || trigger[0]);
+                target.focus();
+            }
+        };
+
+        // The whole radio group gets a `change` when a draft is restored, so the group value is read, not the target
+        form.addEventListener('change', (event) => {
+            if (event.target.name === triggerName) {
+                update();
+            }
+        }, { signal: getLifecycleSignal() });
+        if (entries) {
+            form.addEventListener('draftrestore', (event) => entries.restore(event.detail.names), { signal: getLifecycleSignal() });
+        }
+        update();
+    });
+
+    logger.debug("Settle Sub-forms initialized.");
+}
+
+/**
+ * Manages a repeatable group of entries (e.g. one fieldset per child) cloned from the container's
+ * `<template data-repeatable-template>`. Entries are numbered from 1 and `{index}` in the template
+ * attributes becomes the entry number, so field names stay unique (settle_child_1_name, …);
+ * removing an entry renumbers the following ones. There is always at least one entry and at most
+ * `data-repeatable-max`. Dispatches a bubbling `entrieschange` event when entries are added or removed.
+ * @param {HTMLElement} container - The [data-repeatable] element.
+ * @param {object} validator - The form validator.
+ * @returns {{ensureEntries: Function, restore: Function, clear: Function}}
+ */
+function createRepeatableList(container, validator) {
+    const list = container.querySelector('[data-repeatable-list]');
+    const template = container.querySelector('template[data-repeatable-template]');
+    const addButton = container.querySelector('[data-repeatable-add]');
+    const maxEntries = Number(container.dataset.repeatableMax) || Infinity;
+    // Translation keys of the entry title and of the remove button label (both get {index})
+    const titleKey = container.dataset.repeatableTitle;
+    const removeLabelKey = container.dataset.repeatableRemoveLabel;
+    // Attributes containing {index} per element of an entry, applied again when the entry is renumbered
+    const patterns = new WeakMap();
+
+    const getEntries = () => Array.from(list.children).filter(element => element.matches('[data-repeatable-entry]'));
+    const getElements = (entry) => [entry, ...entry.querySelectorAll('*')];
+
+    const labelEntry = (entry) => {
+        const index = entry.dataset.index;
+        const title = t(titleKey, { index });
+        const heading = entry.querySelector('[data-repeatable-entry-title]');
+        if (heading) {
+            heading.textContent = title;
+        }
+        // The review, the error summary and e-mails name the entry as well ("Dziecko 2: Data urodzenia")
+        entry.querySelectorAll('input, select, textarea').forEach(field => {
+            const label = field.id ? entry.querySelector(`label[for="${field.id}"]`) : null;
+            field.dataset.label = `${title}: ${label ? getTextWithoutMarkers(label) : field.name}`;
+        });
+        const removeButton = entry.querySelector('[data-repeatable-remove]');
+        if (removeButton) {
+            removeButton.setAttribute('aria-label', t(removeLabelKey, { index }));
+        }
+    };
+
+    const numberEntry = (entry, index) => {
+        entry.dataset.index = String(index);
+        getElements(entry).forEach(element => {
+            (patterns.get(element) || []).forEach(([attribute, pattern]) => {
+                element.setAttribute(attribute, pattern.replace(/\{index\}/g, index));
+            });
+        });
+        labelEntry(entry);
+    };
+
+    const updateControls = () => {
+        const count = getEntries().length;
+        if (addButton) {
+            addButton.hidden = count >= maxEntries;
+        }
+        list.querySelectorAll('[data-repeatable-remove]').forEach(button => {
+            button.hidden = count <= 1;
+        });
+    };
+
+    const notify = () => container.dispatchEvent(new CustomEvent('entrieschange', { bubbles: true }));
+
+    const addEntry = () => {
+        const entry = template.content.firstElementChild.cloneNode(true);
+        getElements(entry).forEach(element => {
+            const elementPatterns = Array.from(element.attributes)
+                .filter(attribute => attribute.value.includes('{index}'))
+                .map(attribute => [attribute.name, attribute.value]);
+            if (elementPatterns.length > 0) {
+                patterns.set(element, elementPatterns);
+            }
+        });
+        applyTranslations(entry);
+        list.appendChild(entry);
+        numberEntry(entry, getEntries().length);
+        updateControls();
+        return entry;
+    };
+
+    const removeEntry = (entry) => {
+        const position = getEntries().indexOf(entry);
+        // Errors are kept by field name, which changes when the following entries are renumbered
+        validator.clear(list);
+        entry.remove();
+        const remaining = getEntries();
+        remaining.forEach((other, index) => numberEntry(other, index + 1));
+        updateControls();
+
+        // Focus the entry that took the removed one's place, else the one before it
+        const next = remaining[position] || remaining[position - 1];
+        const firstField = next ? next.querySelector('input, select, textarea') : null;
+        (firstField || addButton).focus();
+        notify();
+    };
+
+    container.addEventListener('click', (event) => {
+        if (event.target.closest('[data-repeatable-add]')) {
+            if (getEntries().length >= maxEntries) return;
+            const entry = addEntry();
+            entry.querySelector('input, select, textarea').focus();
+            notify();
+            return;
+        }
+        const removeButton = event.target.closest('[data-repeatable-remove]');
+        if (removeButton && getEntries().length > 1) {
+            removeEntry(removeButton.closest('[data-repeatable-entry]'));
+        }
+    }, { signal: getLifecycleSignal() });
+
+    onLanguageChange(() => getEntries().forEach(labelEntry));
+
+    const ensureEntries = (count) => {
+        while (getEntries().length < Math.min(count, maxEntries)) {
+            addEntry();
+        }
+    };
+
+    return {
+        // Adds entries until there are at least `count`
+        ensureEntries,
+        // Creates as many entries as a list of field names (e.g. from a draft) refers to
+        restore: (names) => {
+            const namePatterns = Array.from(template.content.querySelectorAll('[name]')).map(field =>
+                new RegExp(`^${field.getAttribute('name').replace(/[.*+?^$()|[\]\\]/g, '\\$&').replace(/\{index\}/g, '(\\d+)')}$`));
+            const count = names.reduce((highest, name) => {
+                const match = namePatterns.map(pattern => pattern.exec(name)).find(Boolean);
+                return match ? Math.max(highest, Number(match[1])) : highest;
+            }, 0);
+            ensureEntries(count);
+        },
+        // Removes all entries
+        clear: () => {
+            getEntries().forEach(entry => entry.remove());
+            updateControls();
+        },
+    };
+}
+
+/**
+ * Autosaves the settle form as an encrypted draft and offers to resume it on the next visit.
+ * Nothing is written before the settle_consent checkbox is ticked; unticking it deletes the draft.
+ * @param {HTMLFormElement} form - The settle form.
+ * @param {object|null} uploader - The document uploader (only file metadata is saved, never contents).
+ * @param {HTMLElement} messageArea - The settle form message area.
+ */
+function initSettleDraft(form, uploader, messageArea) {
+    const prompt = scopeRoot.querySelector(config.settleDraftPromptSelector);
+    const status = scopeRoot.querySelector(config.settleDraftStatusSelector);
+    const consent = form.elements.namedItem('settle_consent');
+
+    if (!consent || !prompt || !status) {
+        logger.warn("Settle draft elements not found.");
+        return;
+    }
+    // Without encryption there is no draft: personal data is never stored in plain text
+    if (!window.crypto || !window.crypto.subtle || !('indexedDB' in window)) {
+        logger.warn("WebCrypto or IndexedDB not available, settle form drafts disabled.");
+        return;
+    }
+
+    const statusText = status.querySelector('[data-draft-status-text]');
+    const promptText = prompt.querySelector('[data-draft-prompt-text]');
+    // Saving pauses while the visitor decides about an existing draft and after an explicit deletion
+    let isDecisionPending = false;
+    let isAutosaveStopped = false;
+    // Shown texts (translation key and save time), kept to re-render them in another language
+    let statusMessage = null;
+    let promptMessage = null;
+
+    const translate = ({ key, savedAt }) => t(key, savedAt ? { date: formatDate(savedAt), time: formatTime(savedAt) } : {});
+
+    const showStatus = (key, savedAt) => {
+        statusMessage = { key, savedAt };
+        statusText.textContent = translate(statusMessage);
+        status.hidden = false;
+    };
+
+    const save = debounce(async () => {
+        if (isDecisionPending || isAutosaveStopped || !consent.checked) return;
+        try {
+            const savedAt = await saveSettleDraft(collectSettleDraft(form, uploader));
+            showStatus('draft.saved', savedAt);
+        } catch (error) {
+            logger.warn("Could not save the settle form draft:", error.message);
+        }
+    }, config.settleDraftSaveDelay);
+
+    const discard = async (statusKey) => {
+        isDecisionPending = false;
+        prompt.hidden = true;
+        await deleteSettleDraft();
+        if (statusKey) {
+            showStatus(statusKey, null);
+        } else {
+            statusMessage = null;
+            status.hidden = true;
+        }
+    };
+
+    form.addEventListener('input', save, { signal: getLifecycleSignal() });
+    form.addEventListener('change', save, { signal: getLifecycleSignal() });
+    form.addEventListener('documentschange', save, { signal: getLifecycleSignal() });
+    form.addEventListener('entrieschange', save, { signal: getLifecycleSignal() });
+
+    consent.addEventListener('change', () => {
+        if (consent.checked) {
+            isAutosaveStopped = false;
+        } else if (!isDecisionPending) {
+            discard(null);
+        }
+    }, { signal: getLifecycleSignal() });
+
+    // The draft is no longer needed once the submission reached the server
+    form.addEventListener('submissionsent', () => {
+        isAutosaveStopped = true;
+        discard(null);
+    }, { signal: getLifecycleSignal() });
+
+    scopeRoot.addEventListener('click', (event) => {
+        const button = event.target.closest('[data-draft-action]');
+        if (!button) return;
+
+        if (button.dataset.draftAction === 'delete') {
+            isAutosaveStopped = true;
+            discard('draft.deleted');
+            consent.checked = false;
+        } else if (button.dataset.draftAction === 'resume' && prompt.draft) {
+            isDecisionPending = false;
+            prompt.hidden = true;
+            applySettleDraft(form, prompt.draft);
+            const documents = prompt.draft.documents || [];
+            displayFormMessage(messageArea, documents.length > 0
+                ? t('draft.restoredWithDocuments', { files: documents.map(doc => doc.name).join(', ') })
+                : t('draft.restored'), 'info');
+            prompt.draft = null;
+        }
+    }, { signal: getLifecycleSignal() });
+
+    loadSettleDraft().then(saved => {
+        if (!saved) return;
+        isDecisionPending = true;
+        prompt.draft = saved.draft;
+        promptMessage = { key: 'draft.prompt', savedAt: saved.savedAt };
+        promptText.textContent = translate(promptMessage);
+        prompt.hidden = false;
+    });
+
+    onLanguageChange(() => {
+        if (statusMessage) {
+            statusText.textContent = translate(statusMessage);
+        }
+        if (promptMessage) {
+            promptText.textContent = translate(promptMessage);
+        }
+    });
+
+    logger.debug("Settle Draft autosave initialized.");
+}
+
+/**
+ * Collects the settle form data worth keeping in a draft.
+ * Hidden fields (e.g. the attached quote) are skipped, files are reduced to their metadata.
+ * @param {HTMLFormElement} form - The settle form.
+ * @param {object|null} uploader - The document uploader.
+ * @returns {{fields: Array<[string, string]>, documents: Array<object>}}
+ */
+function collectSettleDraft(form, uploader) {
+    const fields = Array.from(new FormData(form).entries()).filter(([name, value]) => {
+        const field = form.elements.namedItem(name);
+        return !(value instanceof File) && !(field && field.type === 'hidden');
+    });
+    const documents = uploader
+        ? uploader.getDocuments().map(({ category, name, size, type }) => ({ category, name, size, type }))
+        : [];
+    return { fields, documents };
+}
+
+/**
+ * Restores draft values into the settle form and fires `change` so dependent widgets update.
+ * @param {HTMLFormElement} form - The settle form.
+ * @param {{fields: Array<[string, string]>}} draft - The decrypted draft.
+ */
+function applySettleDraft(form, draft) {
+    const values = new Map();
+    (draft.fields || []).forEach(([name, value]) => {
+        values.set(name, (values.get(name) || []).concat(value));
+    });
+    // Lets repeatable sub-forms create their entries before the values are filled in
+    form.dispatchEvent(new CustomEvent('draftrestore', { detail: { names: Array.from(values.keys()) } }));
+
+    Array.from(form.elements).forEach(field => {
+        if (!field.name || !values.has(field.name) || field.type === 'file' || field.type === 'hidden') return;
+        const fieldValues = values.get(field.name);
+        if (field.type === 'checkbox' || field.type === 'radio') {
+            field.checked = fieldValues.includes(field.value);
+        } else {
+            field.value = fieldValues[0];
+        }
+        field.dispatchEvent(new Event('change', { bubbles: true }));
+    });
+}
+
+/**
+ * Encrypts a draft with AES-GCM and stores it in localStorage.
+ * @param {object} draft - The draft data.
+ * @returns {Promise<number>} - The save timestamp.
+ */
+async function saveSettleDraft(draft) {
+    const key = await getEncryptionKey(config.settleDraftStorageKey, true);
+    const iv = window.crypto.getRandomValues(new Uint8Array(12));
+    const plaintext = new TextEncoder().encode(JSON.stringify(draft));
+    const ciphertext = await window.crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, plaintext);
+    const savedAt = Date.now();
+
+    const stored = writeStorage(config.settleDraftStorageKey, {
+        version: 1,
+        savedAt,
+        expiresAt: savedAt + config.settleDraftMaxAgeDays * 24 * 60 * 60 * 1000,
+        iv: bufferToBase64(iv),
+        data: bufferToBase64(ciphertext),
+    });
+    if (!stored) {
+        throw new Error('localStorage is not available.');
+    }
+    return savedAt;
+}
+
+/**
+ * Loads and decrypts the stored draft. Expired or unreadable drafts are deleted.
+ * @returns {Promise<{savedAt: number, draft: object}|null>}
+ */
+async function loadSettleDraft() {
+    const stored = readStorage(config.settleDraftStorageKey);
+    if (!stored) return null;
+
+    try {
+        if (stored.version !== 1 || !(stored.expiresAt > Date.now())) {
+            throw new Error('The draft has expired.');
+        }
+        const key = await getEncryptionKey(config.settleDraftStorageKey, false);
+        if (!key) {
+            throw new Error('The draft key is missing.');
+        }
+        const plaintext = await window.crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: base64ToBuffer(stored.iv) }, key, base64ToBuffer(stored.data));
+        return { savedAt: stored.savedAt, draft: JSON.parse(new TextDecoder().decode(plaintext)) };
+    } catch (error) {
+        logger.info("Discarding the settle form draft:", error.message);
+        await deleteSettleDraft();
+        return null;
+    }
+}
+
+/**
+ * Deletes the draft together with its key, so a copy of the ciphertext can no longer be decrypted.
+ * @returns {Promise<void>}
+ */
+async function deleteSettleDraft() {
+    removeStorage(config.settleDraftStorageKey);
+    try {
+        await withObjectStore(config.cryptoKeyStore, 'readwrite', store => store.delete(config.settleDraftStorageKey));
+    } catch (error) {
+        logger.warn("Could not delete the settle draft key:", error.message);
+    }
+    logger.debug("Settle form draft deleted.");
+}
+
+/**
+ * Returns an AES-GCM key of the browser storage: the settle draft's (kept separately from the ciphertext
+ * in localStorage) or the submission queue's. Keys are non-extractable and kept in IndexedDB.
+ * @param {string} keyId - The key id: the storage key of the data it encrypts.
+ * @param {boolean} create - Whether to generate the key when there is none yet.
+ * @returns {Promise<CryptoKey|null>}
+ */
+async function getEncryptionKey(keyId, create) {
+    const record = await withObjectStore(config.cryptoKeyStore, 'readonly', store => store.get(keyId));
+    if (record || !create) return record ? record.key : null;
+
+    const key = await window.crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+    await withObjectStore(config.cryptoKeyStore, 'readwrite', store => store.put({ id: keyId, key }));
+    return key;
+}
+
+/**
+ * Sends the completed settle wizard, including the attached documents, and shows the confirmation
+ * view once the submission was sent (or stored to be sent when the connection returns).
+ * @param {HTMLFormElement} form - The settle form.
+ * @param {object|null} uploader - The document uploader created for Step 2.
+ * @param {HTMLElement} messageArea - The settle form message area.
+ * @param {object|null} confirmation - The confirmation view created by createSettleConfirmation().
+ */
+async function submitSettleWizard(form, uploader, messageArea, confirmation) {
+    const submitButton = form.querySelector(`${config.settleStepSelector}:not([hidden]) button[type="submit"]`);
+    const submitLabel = submitButton ? submitButton.textContent : '';
+    const submittedAt = new Date();
+
+    const formData = new FormData(form);
+    if (uploader) {
+        uploader.appendToFormData(formData);
+    }
+
+    displayFormMessage(messageArea, t('settle.sending'), 'processing');
+    if (submitButton) {
+        submitButton.disabled = true;
+        submitButton.textContent = t('settle.processing');
+    }
+
+    try {
+        const result = await submitForm('settle', formData);
+        displayFormMessage(messageArea, t(result.transport === 'mailto' ? 'settle.successMailto' : 'settle.success'), 'success');
+        if (submitButton) {
+            submitButton.textContent = t('settle.sent');
+        }
+        if (confirmation) {
+            confirmation.show(createSettleSummary(form, formData, uploader, {
+                reference: (result.response && result.response.reference) || createCaseReference(result.submissionId),
+                submissionId: result.submissionId,
+                submittedAt,
+                status: result.transport === 'mailto' ? 'mailto' : 'sent',
+            }));
+        }
+        form.dispatchEvent(new CustomEvent('submissionsent', { detail: { id: result.submissionId } }));
+    } catch (error) {
+        displayFormMessage(messageArea, getSubmissionErrorMessage(error), error.queued ? 'info' : 'error');
+        if (error.queued && confirmation) {
+            confirmation.show(createSettleSummary(form, formData, uploader, {
+                reference: createCaseReference(error.submissionId),
+                submissionId: error.submissionId,
+                submittedAt,
+                status: 'queued',
+            }));
+        }
+        if (!submitButton) return;
+        if (error.queued) {
+            submitButton.textContent = t('settle.waitingForConnection');
+            form.addEventListener('submissionsent', () => {
+                submitButton.textContent = t('settle.sent');
+            }, { once: true, signal: getLifecycleSignal() });
+        } else {
+            submitButton.disabled = false;
+            submitButton.textContent = submitLabel;
+        }
+    }
+}
+
+/**
+ * Renders the Step 3 review of the settle wizard: entered data and attached documents.
+ * @param {HTMLElement} container - The element to render the review into.
+ * @param {HTMLFormElement} form - The settle form.
+ * @param {object|null} uploader - The document uploader created for Step 2.
+ */
+function renderSettleReview(container, form, uploader) {
+    if (!container) return;
+    container.textContent = '';
+
+    // --- Entered data ---
+    const dataSection = createReviewSection(t('review.data'), 1, t('review.editData'));
+    const dataList = document.createElement('dl');
+    dataList.className = 'settle-review-list';
+
+    for (let [name, value] of new FormData(form).entries()) {
+        if (value instanceof File) continue;
+        const field = form.elements.namedItem(name);
+        const term = document.createElement('dt');
+        const description = document.createElement('dd');
+        term.textContent = getFieldLabel(form, name);
+        description.textContent = (field && field.type === 'checkbox') ? t('common.yes') : (value || '—');
+        dataList.append(term, description);
+    }
+    dataSection.appendChild(dataList);
+    container.appendChild(dataSection);
+
+    // --- Attached documents ---
+    if (!uploader) return;
+    const documentsSection = createReviewSection(t('review.documents'), 2, t('review.editDocuments'));
+    const documentsList = document.createElement('dl');
+    documentsList.className = 'settle-review-list';
+
+    uploader.getCategories().forEach(category => {
+        const term = document.createElement('dt');
+        const description = document.createElement('dd');
+        term.textContent = category.label;
+
+        const documents = uploader.getDocuments().filter(doc => doc.category === category.key);
+        if (documents.length === 0) {
+            description.textContent = t('review.noFiles');
+        } else {
+            const fileList = document.createElement('ol');
+            fileList.className = 'settle-review-files';
+            documents.forEach(doc => {
+                const item = document.createElement('li');
+                item.textContent = `${doc.name} (${formatFileSize(doc.size)})`;
+                fileList.appendChild(item);
+            });
+            description.appendChild(fileList);
+        }
+        documentsList.append(term, description);
+    });
+    documentsSection.appendChild(documentsList);
+    container.appendChild(documentsSection);
+}
+
+/**
+ * Creates a titled review section with an "edit" button that jumps back to a wizard step.
+ * @param {string} title - The section title.
+ * @param {number} stepNumber - The wizard step the edit button leads to.
+ * @param {string} editLabel - The edit button text.
+ * @returns {HTMLElement} - The section element.
+ */
+function createReviewSection(title, stepNumber, editLabel) {
+    const section = document.createElement('section');
+    section.className = 'settle-review-section';
+
+    const header = document.createElement('div');
+    header.className = 'settle-review-header';
+
+    const heading = document.createElement('h4');
+    heading.className = 'settle-review-title';
+    heading.textContent = title;
+
+    const editButton = document.createElement('button');
+    editButton.type = 'button';
+    editButton.className = 'cta-button cta-button--link';
+    editButton.dataset.stepGoto = String(stepNumber);
+    editButton.textContent = editLabel;
+
+    header.append(heading, editButton);
+    section.appendChild(header);
+    return section;
+}
+
+/**
+ * Creates the confirmation view shown after the settle form was submitted: the submitted data with
+ * readable labels, the case reference and the accepted consent, downloadable as PDF and JSON.
+ * Both files are generated in the browser, so the client keeps a copy before the office replies.
+ * A requested callback can also be downloaded as a calendar invite.
+ * @param {HTMLElement|null} container - The confirmation view element.
+ * @returns {{show: Function}|null} - Null when the view is missing from the page.
+ */
+function createSettleConfirmation(container) {
+    if (!container) {
+        logger.warn("Settle confirmation view not found, submission summaries disabled.");
+        return null;
+    }
+
+    const meta = container.querySelector('[data-confirmation-meta]');
+    const content = container.querySelector('[data-confirmation-data]');
+    const statusLink = container.querySelector('[data-confirmation-status-link]');
+    const inviteButton = container.querySelector('[data-confirmation-download="ics"]');
+    let summary = null;
+
+    const getFieldValue = (name) => {
+        const field = summary.fields.find(item => item.name === name);
+        return field ? field.value : '';
+    };
+
+    const render = () => {
+        meta.textContent = '';
+        appendDescriptionRows(meta, [
+            [t('confirmation.reference'), summary.reference],
+            [t('confirmation.submittedAt'), formatDateTime(summary.submittedAt)],
+            [t('confirmation.status'), t(`confirmation.status.${summary.status}`)],
+        ]);
+        // Only cases that reached the office can be looked up
+        if (statusLink) {
+            statusLink.hidden = summary.status !== 'sent';
+            statusLink.hash = `${statusLink.hash.split('?')[0]}?reference=${encodeURIComponent(summary.reference)}`;
+        }
+        if (inviteButton) {
+            inviteButton.hidden = !getFieldValue('settle_callback');
+        }
+
+        content.textContent = '';
+        getSettleSummarySections(summary).forEach(({ title, rows }) => {
+            const section = document.createElement('section');
+            section.className = 'settle-review-section';
+            const heading = document.createElement('h4');
+            heading.className = 'settle-review-title';
+            heading.textContent = title;
+            const list = document.createElement('dl');
+            list.className = 'settle-review-list';
+            appendDescriptionRows(list, rows);
+            section.append(heading, list);
+            content.appendChild(section);
+        });
+    };
+
+    container.addEventListener('click', (event) => {
+        const button = event.target.closest('[data-confirmation-download]');
+        if (!button || !summary) return;
+        const fileName = config.settleSummaryFileName.replace('{reference}', summary.reference);
+        if (button.dataset.confirmationDownload === 'pdf') {
+            downloadBlob(createSettleSummaryPdf(summary), `${fileName}.pdf`);
+        } else if (button.dataset.confirmationDownload === 'ics') {
+            downloadCallbackInvite(new Date(getFieldValue('settle_callback')), getFieldValue('settle_phone'));
+        } else {
+            downloadBlob(new Blob([JSON.stringify(summary, null, 2)], { type: 'application/json' }), `${fileName}.json`);
+        }
+    }, { signal: getLifecycleSignal() });
+
+    // Dates and headings follow the page language; the labels stay as they were submitted
+    onLanguageChange(() => {
+        if (summary) render();
+    });
+
+    return {
+        /**
+         * Renders a submission summary and moves focus to the view.
+         * @param {object} newSummary - The result of createSettleSummary().
+         */
+        show: (newSummary) => {
+            summary = newSummary;
+            render();
+            container.hidden = false;
+            const heading = container.querySelector('.form-title');
+            if (heading) {
+                heading.focus();
+            }
+        },
+    };
+}
+
+/**
+ * Collects what was submitted with the settle form, in the shape of the JSON export.
+ * Field labels and the consent text are taken in the language the client saw while submitting.
+ * @param {HTMLFormElement} form - The settle form.
+ * @param {FormData} formData - The submitted data (including files and the consent record).
+ * @param {object|null} uploader - The document uploader.
+ * @param {{reference: string, submissionId: string, submittedAt: Date, status: string}} details - Submission details.
+ * @returns {object} - The summary: reference, timestamps, fields, documents and consent.
+ */
+function createSettleSummary(form, formData, uploader, details) {
+    const consentField = form.elements.namedItem('settle_consent');
+    const consentLabel = consentField && consentField.id ? form.querySelector(`label[for="${consentField.id}"]`) : null;
+    const categories = uploader ? uploader.getCategories() : [];
+
+    const fields = [];
+    for (let [name, value] of formData.entries()) {
+        if (value instanceof File || name === config.consentSubmissionField || (consentField && name === consentField.name)) continue;
+        const field = form.elements.namedItem(name);
+        // Ticked checkboxes are exported as true rather than their "on" value
+        fields.push({ name, label: getFieldLabel(form, name), value: field && field.type === 'checkbox' ? true : value });
+    }
+
+    return {
+        form: 'settle',
+        reference: details.reference,
+        submissionId: details.submissionId,
+        submittedAt: details.submittedAt.toISOString(),
+        status: details.status,
+        language: currentLanguage,
+        fields,
+        documents: uploader ? uploader.getDocuments().map(({ category, name, size, type }) => {
+            const match = categories.find(item => item.key === category);
+            return { category, categoryLabel: match ? match.label : category, name, size, type };
+        }) : [],
+        consent: {
+            text: consentLabel ? getTextWithoutMarkers(consentLabel) : '',
+            acceptedAt: details.submittedAt.toISOString(),
+            cookies: getConsentRecord(),
+        },
+    };
+}
+
+/**
+ * Groups a submission summary into titled [label, value] rows (shared by the view and the PDF).
+ * @param {object} summary - The result of createSettleSummary().
+ * @returns {Array<{title: string, rows: Array<string[]>}>}
+ */
+function getSettleSummarySections(summary) {
+    const sections = [{
+        title: t('review.data'),
+        rows: summary.fields.map(field => [field.label, field.value === true ? t('common.yes') : (field.value || '—')]),
+    }];
+    if (summary.documents.length > 0) {
+        sections.push({
+            title: t('review.documents'),
+            rows: summary.documents.map(doc => [doc.categoryLabel, `${doc.name} (${formatFileSize(doc.size)})`]),
+        });
+    }
+    sections.push({
+        title: t('confirmation.consent'),
+        rows: [[summary.consent.text, t('confirmation.consentGiven', { date: formatDateTime(summary.consent.acceptedAt) })]],
+    });
+    return sections;
+}
+
+/**
+ * Builds the PDF version of a submission summary.
+ * @param {object} summary - The result of createSettleSummary().
+ * @returns {Blob} - The PDF file.
+ */
+function createSettleSummaryPdf(summary) {
+    const blocks = [
+        { text: t('confirmation.pdfTitle'), size: 16, bold: true, spaceAfter: 10 },
+        { text: `${t('confirmation.reference')}: ${summary.reference}`, bold: true },
+        { text: `${t('confirmation.submittedAt')}: ${formatDateTime(summary.submittedAt)}` },
+        { text: `${t('confirmation.status')}: ${t(`confirmation.status.${summary.status}`)}`, spaceAfter: 6 },
+    ];
+    getSettleSummarySections(summary).forEach(({ title, rows }) => {
+        blocks.push({ text: title, size: 13, bold: true, spaceBefore: 12, spaceAfter: 4 });
+        rows.forEach(([label, value]) => {
+            blocks.push({ text: label, size: 9, bold: true, spaceBefore: 4 }, { text: String(value) });
+        });
+    });
+    blocks.push({ text: t('confirmation.pdfNote'), size: 8, spaceBefore: 16 });
+
+    return createTextPdf(blocks, {
+        title: `${t('confirmation.pdfTitle')} ${summary.reference}`,
+        footer: (page, pages) => t('confirmation.pdfFooter', { reference: summary.reference, page, pages }),
+    });
+}
+
+/**
+ * Creates a case reference from a submission id, for submissions without a reference from the server.
+ * @param {string} submissionId - The submission id.
+ * @returns {string} - E.g. "GT-3F9A1C2B7D".
+ */
+function createCaseReference(submissionId) {
+    return config.caseReferencePrefix + String(submissionId).replace(/[^a-z0-9]/gi, '').slice(0, 10).toUpperCase();
+}
+
+/**
+ * Creates the document uploader used in Step 2 of the settle wizard.
+ * Keeps the selected files per category, validates them and renders the preview lists
+ * (with thumbnails, removal and re-ordering).
+ * Dispatches a bubbling `documentschange` event on the container whenever the files change.
+ * @param {HTMLElement} container - The element containing the document categories.
+ * @returns {{getCategories: Function, getDocuments: Function, getMissingRequiredCategories: Function, addFiles: Function, appendToFormData: Function}}
+ */
+function createDocumentUploader(container) {
+    const categories = [];
+    let nextDocumentId = 1;
+
+    container.querySelectorAll(config.documentCategorySelector).forEach(element => {
+        const category = {
+            key: element.dataset.documentCategory,
+            // Read on demand, the legend text changes with the page language
+            get label() {
+                return getLegendText(element);
+            },
+            required: element.dataset.required === 'true',
+            input: element.querySelector('input[type="file"]'),
+            dropzone: element.querySelector('.form-file-dropzone'),
+            list: element.querySelector('.form-file-preview'),
+            errorArea: element.querySelector('.document-category-error'),
+            documents: []
+        };
+
+        if (!category.input || !category.list) {
+            logger.warn(`Document category "${category.key}" is missing its file input or preview list.`);
+            return;
+        }
+        categories.push(category);
+
+        category.input.addEventListener('change', () => {
+            addFiles(category, category.input.files);
+            category.input.value = ''; // Allow selecting the same file again after removing it
+        }, { signal: getLifecycleSignal() });
+
+        if (category.dropzone) {
+            ['dragenter', 'dragover'].forEach(type => {
+                category.dropzone.addEventListener(type, (event) => {
+                    event.preventDefault(); // Required to allow dropping
+                    category.dropzone.classList.add('is-dragover');
+                }, { signal: getLifecycleSignal() });
+            });
+            ['dragleave', 'drop'].forEach(type => {
+                category.dropzone.addEventListener(type, () => {
+                    category.dropzone.classList.remove('is-dragover');
+                }, { signal: getLifecycleSignal() });
+            });
+            category.dropzone.addEventListener('drop', (event) => {
+                event.preventDefault(); // Prevent the browser from opening the file
+                if (event.dataTransfer) {
+                    addFiles(category, event.dataTransfer.files);
+                }
+            }, { signal: getLifecycleSignal() });
+        }
+
+        category.list.addEventListener('click', (event) => {
+            const button = event.target.closest('[data-document-action]');
+            if (!button) return;
+            const index = category.documents.findIndex(doc => doc.id === Number(button.dataset.documentId));
+            if (index === -1) return;
+
+            const action = button.dataset.documentAction;
+            if (action === 'remove') {
+                removeDocument(category, index);
+            } else if (action === 'up' || action === 'down') {
+                moveDocument(category, index, action === 'up' ? -1 : 1, action);
+            }
+        }, { signal: getLifecycleSignal() });
+    });
+
+    const addFiles = (category, fileList) => {
+        const errors = [];
+
+        Array.from(fileList || []).forEach(file => {
+            const error = validateDocumentFile(file, category);
+            if (error) {
+                errors.push(error);
+                return;
+            }
+            const doc = { id: nextDocumentId++, file, previewUrl: null, element: null };
+            doc.element = createDocumentListItem(doc);
+            category.documents.push(doc);
+        });
+
+        showCategoryErrors(category, errors);
+        renderCategory(category);
+        logger.debug(`Documents in "${category.key}": ${category.documents.length}`);
+    };
+
+    const validateDocumentFile = (file, category) => {
+        if (!getDocumentKind(file)) {
+            return t('documents.error.type', { file: file.name });
+        }
+        if (file.size === 0) {
+            return t('documents.error.empty', { file: file.name });
+        }
+        if (file.size > config.documentMaxFileSize) {
+            return t('documents.error.size', { file: file.name, size: formatFileSize(file.size), maxSize: formatFileSize(config.documentMaxFileSize) });
+        }
+        if (category.documents.some(doc => doc.file.name === file.name && doc.file.size === file.size && doc.file.lastModified === file.lastModified)) {
+            return t('documents.error.duplicate', { file: file.name });
+        }
+        if (category.documents.length >= config.documentMaxFilesPerCategory) {
+            return t('documents.error.limit', { file: file.name, max: config.documentMaxFilesPerCategory });
+        }
+        return null;
+    };
+
+    const showCategoryErrors = (category, errors) => {
+        if (!category.errorArea) return;
+        category.errorArea.textContent = errors.join(' ');
+        category.errorArea.hidden = errors.length === 0;
+    };
+
+    const removeDocument = (category, index) => {
+        const [removed] = category.documents.splice(index, 1);
+        if (removed.previewUrl) {
+            URL.revokeObjectURL(removed.previewUrl);
+        }
+        showCategoryErrors(category, []);
+        renderCategory(category);
+
+        // Keep keyboard focus in the list: next item, previous item or the file input
+        const neighbour = category.documents[index] || category.documents[index - 1];
+        const focusTarget = neighbour
+            ? neighbour.element.querySelector('[data-document-action="remove"]')
+            : category.input;
+        focusTarget.focus();
+    };
+
+    const moveDocument = (category, index, offset, action) => {
+        const targetIndex = index + offset;
+        if (targetIndex < 0 || targetIndex >= category.documents.length) return;
+
+        const [moved] = category.documents.splice(index, 1);
+        category.documents.splice(targetIndex, 0, moved);
+        renderCategory(category);
+
+        // Keep focus on the same control of the moved item, or its counterpart at the list edge
+        const sameButton = moved.element.querySelector(`[data-document-action="${action}"]`);
+        const otherButton = moved.element.querySelector(`[data-document-action="${action === 'up' ? 'down' : 'up'}"]`);
+        (sameButton.disabled ? otherButton : sameButton).focus();
+    };
+
+    const renderCategory = (category) => {
+        category.documents.forEach((doc, index) => {
+            const position = doc.element.querySelector('.form-file-item-position');
+            position.textContent = `${index + 1}.`;
+            doc.element.querySelector('[data-document-action="up"]').disabled = index === 0;
+            doc.element.querySelector('[data-document-action="down"]').disabled = index === category.documents.length - 1;
+            category.list.appendChild(doc.element); // Re-appending keeps the DOM order in sync
+        });
+        // Drop list items of removed documents
+        Array.from(category.list.children).forEach(item => {
+            if (!category.documents.some(doc => doc.element === item)) {
+                item.remove();
+            }
+        });
+        container.dispatchEvent(new CustomEvent('documentschange', { bubbles: true }));
+    };
+
+    const createDocumentListItem = (doc) => {
+        const item = document.createElement('li');
+        item.className = 'form-file-item';
+
+        const position = document.createElement('span');
+        position.className = 'form-file-item-position';
+
+        const name = document.createElement('span');
+        name.className = 'form-file-item-name';
+        name.textContent = doc.file.name;
+        name.title = doc.file.name;
+
+        const size = document.createElement('span');
+        size.className = 'form-file-item-size';
+
+        const actions = document.createElement('span');
+        actions.className = 'form-file-item-actions';
+        actions.append(
+            createDocumentActionButton(doc, 'up', '↑'),
+            createDocumentActionButton(doc, 'down', '↓'),
+            createDocumentActionButton(doc, 'remove', '×')
+        );
+
+        item.append(createDocumentThumbnail(doc), position, name, size, actions);
+        labelDocumentListItem(item, doc);
+        return item;
+    };
+
+    const createDocumentActionButton = (doc, action, symbol) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = action === 'remove' ? 'form-file-item-remove' : 'form-file-item-move';
+        button.dataset.documentAction = action;
+        button.dataset.documentId = String(doc.id);
+        button.textContent = symbol;
+        return button;
+    };
+
+    // Language-dependent parts of a list item (file size format, button labels)
+    const labelDocumentListItem = (item, doc) => {
+        const labels = { up: 'documents.moveUp', down: 'documents.moveDown', remove: 'documents.remove' };
+        item.querySelector('.form-file-item-size').textContent = formatFileSize(doc.file.size);
+        item.querySelectorAll('[data-document-action]').forEach(button => {
+            button.setAttribute('aria-label', t(labels[button.dataset.documentAction], { file: doc.file.name }));
+        });
+    };
+
+    onLanguageChange(() => {
+        categories.forEach(category => category.documents.forEach(doc => labelDocumentListItem(doc.element, doc)));
+    });
+
+    const createDocumentThumbnail = (doc) => {
+        const thumbnail = document.createElement('span');
+        thumbnail.className = 'form-file-item-thumb';
+        thumbnail.setAttribute('aria-hidden', 'true');
+
+        if (getDocumentKind(doc.file) === 'image') {
+            doc.previewUrl = URL.createObjectURL(doc.file);
+            const image = document.createElement('img');
+            image.src = doc.previewUrl;
+            image.alt = '';
+            thumbnail.appendChild(image);
+        } else {
+            // Placeholder label until (and unless) the first PDF page is rendered
+            thumbnail.textContent = 'PDF';
+            thumbnail.classList.add('form-file-item-thumb--pdf');
+            renderPdfThumbnail(doc.file, config.documentThumbnailSize)
+                .then(canvas => {
+                    thumbnail.textContent = '';
+                    thumbnail.classList.remove('form-file-item-thumb--pdf');
+                    thumbnail.appendChild(canvas);
+                })
+                .catch(error => logger.info("PDF thumbnail unavailable:", doc.file.name, error.message));
+        }
+        return thumbnail;
+    };
+
+    logger.debug("Document uploader initialized with", categories.length, "categories.");
+
+    return {
+        /** @returns {Array<{key: string, label: string, required: boolean}>} */
+        getCategories: () => categories.map(({ key, label, required }) => ({ key, label, required })),
+        /** @returns {Array<{category: string, name: string, size: number, type: string, file: File}>} */
+        getDocuments: () => categories.flatMap(category => category.documents.map(doc => ({
+            category: category.key,
+            name: doc.file.name,
+            size: doc.file.size,
+            type: doc.file.type,
+            file: doc.file
+        }))),
+        /** @returns {string[]} - Labels of required categories without any file. */
+        getMissingRequiredCategories: () => categories
+            .filter(category => category.required && category.documents.length === 0)
+            .map(category => category.label),
+        /**
+         * Adds files to a category as if the visitor had selected them.
+         * @returns {boolean} - Whether all files were accepted.
+         */
+        addFiles: (categoryKey, files) => {
+            const category = categories.find(item => item.key === categoryKey);
+            if (!category) return false;
+            const count = category.documents.length;
+            addFiles(category, files);
+            return category.documents.length - count === files.length;
+        },
+        /** Appends all files (in their chosen order) to the given FormData. */
+        appendToFormData: (formData) => {
+            categories.forEach(category => {
+                category.documents.forEach(doc => formData.append(`documents_${category.key}[]`, doc.file, doc.file.name));
+            });
+        }
+    };
+}
+
+/**
+ * Handles the contact form submission (client-side simulation).
+ */
+export function initContactForm() {
+    const form = scopeRoot.querySelector(config.contactFormSelector);
+    const messageArea = scopeRoot.querySelector(config.contactFormMessageSelector);
+
+    if (!form || !messageArea) {
+        logger.warn("Contact form elements not found.");
+        return;
+    }
+
+    const validator = createFormValidator(form, form.querySelector(config.errorSummarySelector));
+
+    form.addEventListener('submit', async function(event) {
+        event.preventDefault();
+
+        if (!validator.validate()) {
+            clearFormMessage(messageArea);
+            return;
+        }
+
+        const formData = new FormData(form);
+        const name = formData.get('contact_name');
+        const submitButton = form.querySelector('button[type="submit"]');
+
+        // Display temporary processing message
+         displayFormMessage(messageArea, t('contact.sending'), 'processing'); // Use a neutral style for processing
+         submitButton.disabled = true;
+
+        try {
+            const result = await submitForm('contact', formData);
+            displayFormMessage(messageArea, result.transport === 'mailto'
+                ? t('contact.successMailto')
+                : t('contact.success', { name }), 'success');
+            form.reset(); // Clear the form
+            validator.reset();
+        } catch (error) {
+            displayFormMessage(messageArea, getSubmissionErrorMessage(error), error.queued ? 'info' : 'error');
+            if (error.queued) form.reset(); // The message is stored in the queue
+        } finally {
+            submitButton.disabled = false; // Re-enable button
+        }
+    }, { signal: getLifecycleSignal() });
+
+    logger.debug("Contact Form initialized.");
+}
+
+/**
+ * -------------------------------------
+ * Business Intake
+ * -------------------------------------
+ * Wizard for companies working in Germany: Freistellungsbescheinigung applications and refunds of
+ * the Bauabzugsteuer their clients withheld. Step 1 takes the company data and tax numbers,
+ * Step 2 the invoices the tax was withheld from (typed in or imported from a CSV file) and Step 3
+ * the review. The invoices are totalled while typing: invoices past the refund period are flagged
+ * and left out of the total, and our fee follows the price list like in the quote builder.
+ *
+ * CSV import: one invoice per row with the contractor, the invoice date, the net amount and,
+ * optionally, the withheld tax. A header row may name the columns in Polish, German or English
+ * (see `invoiceCsvColumns`); files without one must keep this column order. Separators `;`, `,`
+ * or tab; dates as YYYY-MM-DD, DD.MM.YYYY, DD-MM-YYYY or DD/MM/YYYY.
+ */
+
+// Price list services of each business_service answer
+const businessServices = {
+    freistellung: ['freistellung'],
+    bauabzugsteuer: ['bauabzugsteuer'],
+    both: ['freistellung', 'bauabzugsteuer'],
+};
+// Hidden fields carrying the invoice totals and the fee (shown in their own review section)
+const businessSummaryFieldNames = ['business_summary', 'business_fee'];
+// Invoice CSV columns and the header texts naming them, checked in this order for every header cell
+const invoiceCsvColumns = [
+    ['withheld', /bauabzug|potr[aą]c|withh|einbehalt|abzugsbetrag/],
+    ['date', /dat[aeu]|date/],
+    ['net', /nett|\bnet\b/],
+    ['contractor', /kontrahent|zleceniodaw|contractor|client|customer|auftraggeber|leistungsempf|firma|nazwa|name/],
+];
+// Column order of files without a header row
+const invoiceCsvDefaultColumns = { contractor: 0, date: 1, net: 2, withheld: 3 };
+
+/**
+ * Handles the business intake wizard: Step 1 (company data), Step 2 (invoices) and Step 3 (review & submission).
+ * The invoice list is only needed for a Bauabzugsteuer refund; for a Freistellungsbescheinigung alone
+ * it is disabled, so its entries are neither validated nor sent (but kept if the answer changes back).
+ */
+export function initBusinessForm() {
+    const form = scopeRoot.querySelector(config.businessFormSelector);
+    const messageArea = scopeRoot.querySelector(config.businessFormMessageSelector);
+    const steps = form ? Array.from(form.querySelectorAll(config.settleStepSelector)) : [];
+    const invoiceList = form ? form.querySelector('[data-business-invoices]') : null;
+
+    if (!form || !messageArea || steps.length === 0 || !invoiceList) {
+        logger.warn("Business form elements not found.");
+        return;
+    }
+
+    const summaryPanel = form.querySelector(config.businessSummarySelector);
+    const noInvoicesNote = form.querySelector('[data-business-no-invoices]');
+    const [summaryField, feeField] = businessSummaryFieldNames.map(name => form.elements.namedItem(name));
+    const validator = createFormValidator(form, form.querySelector(config.errorSummarySelector));
+    const entries = createRepeatableList(invoiceList, validator);
+    let state = null;
+
+    const update = () => {
+        const service = form.elements.namedItem('business_service');
+        const services = (service && businessServices[service.value]) || [];
+        const needsInvoices = services.includes('bauabzugsteuer');
+        invoiceList.hidden = !needsInvoices;
+        invoiceList.disabled = !needsInvoices;
+        if (noInvoicesNote) {
+            noInvoicesNote.hidden = needsInvoices;
+        }
+        if (!needsInvoices) {
+            validator.clear(invoiceList);
+        }
+
+        const summary = summarizeBusinessInvoices(needsInvoices ? readBusinessInvoices(invoiceList) : [], new Date());
+        const quote = calculateQuote({ settlement: null, services, invoiceCount: summary.claimableCount });
+        state = { needsInvoices, summary, quote };
+
+        renderInvoiceFlags(summary);
+        if (summaryPanel) {
+            renderBusinessSummary(summaryPanel, state);
+        }
+        if (summaryField) {
+            summaryField.value = needsInvoices
+                ? t('business.summary.text', { count: summary.claimableCount, amount: formatCurrency(summary.withheldTotal), expired: summary.expiredCount })
+                : '';
+        }
+        if (feeField) {
+            feeField.value = quote.lines.length > 0
+                ? t('quote.text', {
+                    lines: quote.lines.map(line => `${line.label}: ${formatPriceRange(line.min, line.max, 'EUR')}`).join('; '),
+                    total: formatPriceRange(quote.min, quote.max, 'EUR'),
+                })
+                : '';
+        }
+    };
+
+    entries.ensureEntries(1);
+    initInvoiceImport(form, invoiceList, entries);
+
+    form.addEventListener('input', update, { signal: getLifecycleSignal() });
+    form.addEventListener('change', update, { signal: getLifecycleSignal() });
+    invoiceList.addEventListener('entrieschange', update, { signal: getLifecycleSignal() });
+    onLanguageChange(update);
+    update();
+
+    createFormWizard(form, {
+        formKey: 'business',
+        steps,
+        messageArea,
+        validateStep: (stepNumber, step) => {
+            if (!validator.validate(step)) {
+                return false;
+            }
+
+            if (stepNumber === 2 && state.needsInvoices && state.summary.claimableCount === 0) {
+                displayFormMessage(messageArea, t('business.error.noClaimableInvoices'), 'error');
+                return false;
+            }
+
+            return true;
+        },
+        renderReview: (container) => renderBusinessReview(container, form, state),
+        submit: () => submitWizardForm('business', form, new FormData(form), messageArea),
+    });
+
+    logger.debug("Business Form initialized.");
+}
+
+/**
+ * Reads the invoices entered in the invoice list, in list order. Fields are found by
+ * `data-invoice-field` (contractor, date, net, withheld); values are the raw texts.
+ * @param {HTMLElement} invoiceList - The [data-business-invoices] element.
+ * @returns {Array<{entry: HTMLElement, contractor: string, date: string, net: string, withheld: string}>}
+ */
+function readBusinessInvoices(invoiceList) {
+    return Array.from(invoiceList.querySelectorAll('[data-repeatable-entry]')).map(entry => {
+        const getValue = (key) => {
+            const field = entry.querySelector(`[data-invoice-field="${key}"]`);
+            return field ? field.value.trim() : '';
+        };
+        return { entry, contractor: getValue('contractor'), date: getValue('date'), net: getValue('net'), withheld: getValue('withheld') };
+    });
+}
+
+/**
+ * Totals the Bauabzugsteuer of a list of invoices. Invoices without the withheld amount are assumed
+ * to carry `config.business.withholdingRate` of the net amount; invoices whose refund period ended
+ * are flagged and left out of the total and of the invoice count the fee is based on.
+ * @param {Array<object>} invoices - The invoices from readBusinessInvoices().
+ * @param {Date} today - The current date.
+ * @returns {{invoices: Array<object>, claimableCount: number, withheldTotal: number, expiredCount: number, expiredTotal: number, estimatedCount: number}}
+ *   Every invoice gets the parsed `netAmount`, `withheldAmount` (NaN while incomplete), `estimated`,
+ *   its refund `deadline` (null without a date) and the `expired` / `expiring` flags.
+ */
+function summarizeBusinessInvoices(invoices, today) {
+    const currentDay = startOfDay(today);
+    const items = invoices.map(invoice => {
+        const netAmount = parseAmount(invoice.net);
+        const enteredAmount = parseAmount(invoice.withheld);
+        const estimated = !Number.isFinite(enteredAmount) && invoice.withheld === '' && Number.isFinite(netAmount);
+        const deadline = getBauabzugsteuerRefundDeadline(invoice.date);
+        return {
+            ...invoice,
+            netAmount,
+            withheldAmount: estimated ? roundToCents(netAmount * config.business.withholdingRate) : enteredAmount,
+            estimated,
+            deadline,
+            expired: Boolean(deadline) && deadline < currentDay,
+            // The refund period ends this year
+            expiring: Boolean(deadline) && deadline >= currentDay && deadline.getFullYear() === currentDay.getFullYear(),
+        };
+    });
+
+    const complete = items.filter(item => item.deadline && Number.isFinite(item.withheldAmount));
+    const claimable = complete.filter(item => !item.expired);
+    const expired = complete.filter(item => item.expired);
+    const total = (list) => roundToCents(list.reduce((sum, item) => sum + item.withheldAmount, 0));
+
+    return {
+        invoices: items,
+        claimableCount: claimable.length,
+        withheldTotal: total(claimable),
+        expiredCount: expired.length,
+        expiredTotal: total(expired),
+        estimatedCount: claimable.filter(item => item.estimated).length,
+    };
+}
+
+/**
+ * Returns the last day a withheld Bauabzugsteuer can be claimed back: 31 December of the
+ * `config.business.refundYears`th year after the invoice year.
+ * @param {string} invoiceDate - The invoice date (YYYY-MM-DD).
+ * @returns {Date|null} - Null when the date is missing or malformed.
+ */
+function getBauabzugsteuerRefundDeadline(invoiceDate) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(invoiceDate)) return null;
+    return new Date(Number(invoiceDate.slice(0, 4)) + config.business.refundYears, 11, 31);
+}
+
+/**
+ * Shows under every invoice whether its refund period has ended or ends this year, and the
+ * assumed withheld amount when none was entered.
+ * @param {object} summary - The result of summarizeBusinessInvoices().
+ */
+function renderInvoiceFlags(summary) {
+    summary.invoices.forEach(invoice => {
+        const flag = invoice.entry.querySelector('[data-invoice-flag]');
+        if (!flag) return;
+
+        const messages = [];
+        if (invoice.expired) {
+            messages.push(t('business.invoice.expired', { date: formatDate(invoice.deadline) }));
+        } else if (invoice.expiring) {
+            messages.push(t('business.invoice.expiring', { date: formatDate(invoice.deadline) }));
+        }
+        if (invoice.estimated && !invoice.expired) {
+            messages.push(t('business.invoice.estimated', {
+                rate: formatNumber(config.business.withholdingRate * 100),
+                amount: formatCurrency(invoice.withheldAmount),
+            }));
+        }
+        flag.textContent = messages.join(' ');
+        flag.hidden = messages.length === 0;
+        flag.classList.toggle('business-invoice-flag--expired', invoice.expired);
+    });
+}
+
+/**
+ * Lists the invoice totals and the fee of the business wizard (used by the summary panel and the review).
+ * @param {{needsInvoices: boolean, summary: object, quote: object}} state - The current wizard state.
+ * @returns {Array<[string, string]>} - Label/value rows.
+ */
+function getBusinessSummaryRows({ needsInvoices, summary, quote }) {
+    const rows = [];
+    if (needsInvoices) {
+        rows.push(
+            [t('business.summary.invoices'), String(summary.claimableCount)],
+            [t('business.summary.withheld'), formatCurrency(summary.withheldTotal)]
+        );
+        if (summary.expiredCount > 0) {
+            rows.push([t('business.summary.expired', { count: summary.expiredCount }), formatCurrency(summary.expiredTotal)]);
+        }
+    }
+    if (quote.lines.length > 0) {
+        rows.push([t('business.summary.fee'), formatPriceRange(quote.min, quote.max, 'EUR')]);
+    }
+    return rows;
+}
+
+/**
+ * Renders the summary panel of the invoice step.
+ * @param {HTMLElement} panel - The [data-business-summary] panel.
+ * @param {{needsInvoices: boolean, summary: object, quote: object}} state - The current wizard state.
+ */
+function renderBusinessSummary(panel, state) {
+    const list = panel.querySelector('[data-business-summary-list]');
+    const note = panel.querySelector('[data-business-summary-note]');
+    const rows = getBusinessSummaryRows(state);
+
+    panel.hidden = rows.length === 0;
+    list.textContent = '';
+    appendDescriptionRows(list, rows);
+
+    const notes = [];
+    if (state.needsInvoices && state.summary.estimatedCount > 0) {
+        notes.push(t('business.summary.estimated', { rate: formatNumber(config.business.withholdingRate * 100) }));
+    }
+    if (state.needsInvoices && state.summary.expiredCount > 0) {
+        notes.push(t('business.summary.expiredNote'));
+    }
+    note.textContent = notes.join(' ');
+    note.hidden = notes.length === 0;
+}
+
+/**
+ * Renders the Step 3 review of the business wizard: company data, invoices, totals and fee.
+ * @param {HTMLElement} container - The element to render the review into.
+ * @param {HTMLFormElement} form - The business form.
+ * @param {{needsInvoices: boolean, summary: object, quote: object}} state - The current wizard state.
+ */
+function renderBusinessReview(container, form, state) {
+    if (!container) return;
+    container.textContent = '';
+
+    // --- Company data ---
+    const dataSection = createReviewSection(t('review.data'), 1, t('review.editData'));
+    const dataList = document.createElement('dl');
+    dataList.className = 'settle-review-list';
+
+    for (let [name, value] of new FormData(form).entries()) {
+        if (name.startsWith('business_invoice_') || businessSummaryFieldNames.includes(name)) continue;
+        const field = form.elements.namedItem(name);
+        const term = document.createElement('dt');
+        const description = document.createElement('dd');
+        term.textContent = getFieldLabel(form, name);
+        if (name === 'business_service') {
+            description.textContent = t(`business.service.${value}`);
+        } else {
+            description.textContent = (field && field.type === 'checkbox') ? t('common.yes') : (value || '—');
+        }
+        dataList.append(term, description);
+    }
+    dataSection.appendChild(dataList);
+    container.appendChild(dataSection);
+
+    // --- Invoices, totals and fee ---
+    const invoicesSection = createReviewSection(t('business.review.invoices'), 2, t('business.review.editInvoices'));
+    if (state.needsInvoices) {
+        const invoiceList = document.createElement('ol');
+        invoiceList.className = 'settle-review-files business-review-invoices';
+        state.summary.invoices.forEach(invoice => {
+            const item = document.createElement('li');
+            item.textContent = t('business.review.invoice', {
+                contractor: invoice.contractor,
+                date: formatDate(invoice.date),
+                net: formatCurrency(invoice.netAmount),
+                withheld: formatCurrency(invoice.withheldAmount),
+            });
+            if (invoice.expired) {
+                item.classList.add('business-review-invoice--expired');
+                item.append(` – ${t('business.review.expired')}`);
+            }
+            invoiceList.appendChild(item);
+        });
+        invoicesSection.appendChild(invoiceList);
+    }
+    const totalsList = document.createElement('dl');
+    totalsList.className = 'settle-review-list';
+    appendDescriptionRows(totalsList, getBusinessSummaryRows(state));
+    invoicesSection.appendChild(totalsList);
+    container.appendChild(invoicesSection);
+}
+
+/**
+ * Imports invoices from a CSV file into the invoice list. The file is read in the browser; its
+ * invoices fill the empty entries first and are then added after the ones already entered.
+ * @param {HTMLFormElement} form - The business form.
+ * @param {HTMLElement} invoiceList - The [data-business-invoices] element.
+ * @param {object} entries - The repeatable list of the invoices.
+ */
+function initInvoiceImport(form, invoiceList, entries) {
+    const input = invoiceList.querySelector('[data-invoice-import-input]');
+    const messageArea = invoiceList.querySelector('[data-invoice-import-message]');
+    if (!input || !messageArea) {
+        logger.warn("Invoice import elements not found.");
+        return;
+    }
+
+    const getEntries = () => Array.from(invoiceList.querySelectorAll('[data-repeatable-entry]'));
+    const isEmpty = (entry) => Array.from(entry.querySelectorAll('[data-invoice-field]')).every(field => field.value.trim() === '');
+
+    const fillEntries = (invoices) => {
+        const filledCount = getEntries().filter(entry => !isEmpty(entry)).length;
+        entries.ensureEntries(filledCount + invoices.length);
+        const amountFormat = new Intl.NumberFormat(getLocale(), { useGrouping: false, minimumFractionDigits: 2 });
+        const targets = getEntries().filter(isEmpty).slice(0, invoices.length);
+
+        targets.forEach((entry, index) => {
+            const invoice = invoices[index];
+            const values = {
+                contractor: invoice.contractor,
+                date: invoice.date,
+                net: amountFormat.format(invoice.net),
+                withheld: invoice.withheld === null ? '' : amountFormat.format(invoice.withheld),
+            };
+            entry.querySelectorAll('[data-invoice-field]').forEach(field => {
+                field.value = values[field.dataset.invoiceField];
+                // Lets the validator recheck fields that were marked invalid while empty
+                field.dispatchEvent(new Event('change', { bubbles: true }));
+            });
+        });
+        return targets.length;
+    };
+
+    input.addEventListener('change', async () => {
+        const file = input.files[0];
+        input.value = ''; // Allow importing the same file again
+        if (!file) return;
+
+        if (!/\.(csv|txt)$/i.test(file.name) && !/^text\//.test(file.type)) {
+            displayFormMessage(messageArea, t('business.import.notCsv'), 'error');
+            return;
+        }
+        if (file.size > config.business.csvMaxFileSize) {
+            displayFormMessage(messageArea, t('business.import.tooLarge', { size: formatFileSize(config.business.csvMaxFileSize) }), 'error');
+            return;
+        }
+
+        let result;
+        try {
+            let text = await readFileAsText(file, 'utf-8');
+            // Spreadsheets on Windows often export in the legacy Central European code page
+            if (text.includes('\uFFFD')) {
+                text = await readFileAsText(file, 'windows-1250');
+            }
+            result = parseInvoiceCsv(text);
+        } catch (error) {
+            logger.warn("Could not read the invoice CSV file:", error);
+            displayFormMessage(messageArea, t('business.import.unreadable'), 'error');
+            return;
+        }
+
+        if (result.invoices.length === 0) {
+            displayFormMessage(messageArea, t('business.import.empty'), 'error');
+            return;
+        }
+        const imported = fillEntries(result.invoices);
+        const messages = [t('business.import.done', { count: imported })];
+        if (imported < result.invoices.length) {
+            messages.push(t('business.import.limit', { max: invoiceList.dataset.repeatableMax, count: result.invoices.length - imported }));
+        }
+        if (result.skipped > 0) {
+            messages.push(t('business.import.skipped', { count: result.skipped }));
+        }
+        displayFormMessage(messageArea, messages.join(' '), result.skipped > 0 || imported < result.invoices.length ? 'info' : 'success');
+        invoiceList.dispatchEvent(new CustomEvent('entrieschange', { bubbles: true }));
+    }, { signal: getLifecycleSignal() });
+
+    logger.debug("Invoice import initialized.");
+}
+
+/**
+ * Reads a text file.
+ * @param {File} file - The file.
+ * @param {string} encoding - The character encoding, e.g. "utf-8".
+ * @returns {Promise<string>}
+ */
+function readFileAsText(file, encoding) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsText(file, encoding);
+    });
+}
+
+/**
+ * Parses an invoice list exported as CSV (see the Business Intake section for the expected format).
+ * @param {string} text - The file contents.
+ * @returns {{invoices: Array<{contractor: string, date: string, net: number, withheld: number|null}>, skipped: number}}
+ *   Dates as YYYY-MM-DD; `skipped` counts the rows that are not a complete invoice.
+ */
+function parseInvoiceCsv(text) {
+    const content = text.replace(/^\uFEFF/, '');
+    const firstLine = content.split(/\r?\n/, 1)[0];
+    // The separator that splits the first line into the most columns (ties go to the semicolon)
+    const delimiter = [';', '\t', ','].reduce((best, candidate) =>
+        firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best);
+
+    const rows = splitCsvRows(content, delimiter).filter(row => row.some(cell => cell.trim() !== ''));
+    const headerColumns = rows.length > 0 ? getInvoiceCsvColumns(rows[0]) : null;
+    const columns = headerColumns || invoiceCsvDefaultColumns;
+    const invoices = [];
+    let skipped = 0;
+
+    (headerColumns ? rows.slice(1) : rows).forEach(row => {
+        const getCell = (key) => (columns[key] === undefined ? '' : (row[columns[key]] || '').trim());
+        const parseCellAmount = (key) => parseAmount(getCell(key).replace(/\s*(eur|euro)$/i, ''));
+        const contractor = getCell('contractor');
+        const date = parseInvoiceDate(getCell('date'));
+        const net = parseCellAmount('net');
+        const withheld = parseCellAmount('withheld');
+
+        const hasWithheld = getCell('withheld') !== '';
+        if (!contractor || !date || !(net >= 0) || (hasWithheld && !(withheld >= 0))) {
+            skipped++;
+            return;
+        }
+        invoices.push({ contractor, date, net, withheld: hasWithheld ? withheld : null });
+    });
+
+    return { invoices, skipped };
+}
+
+/**
+ * Splits CSV text into rows of cells. Quoted cells may contain separators, line breaks and `""`.
+ * @param {string} text - The CSV text.
+ * @param {string} delimiter - The cell separator.
+ * @returns {string[][]}
+ */
+function splitCsvRows(text, delimiter) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"' && cell === '') {
+            quoted = true;
+        } else if (char === delimiter) {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+    return rows;
+}
+
+/**
+ * Finds the invoice columns in a CSV header row (see `invoiceCsvColumns`).
+ * @param {string[]} cells - The first row of the file.
+ * @returns {object|null} - Column index by key, or null when the row is not a header
+ *   (a header names at least the date and the net amount).
+ */
+function getInvoiceCsvColumns(cells) {
+    const columns = {};
+    cells.forEach((cell, index) => {
+        const text = cell.trim().toLowerCase();
+        const match = invoiceCsvColumns.find(([key, pattern]) => columns[key] === undefined && pattern.test(text));
+        if (match) {
+            columns[match[0]] = index;
+        }
+    });
+    return columns.date !== undefined && columns.net !== undefined ? columns : null;
+}
+
+/**
+ * Parses an invoice date written as YYYY-MM-DD, DD.MM.YYYY, DD-MM-YYYY or DD/MM/YYYY.
+ * @param {string} value - The date text.
+ * @returns {string|null} - The date as YYYY-MM-DD, or null when it is not a valid date.
+ */
+function parseInvoiceDate(value) {
+    const isoMatch = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(value);
+    const dayFirstMatch = /^(\d{1,2})[./-](\d{1,2})[./-](\d{4})$/.exec(value);
+    const parts = isoMatch
+        ? [isoMatch[1], isoMatch[2], isoMatch[3]]
+        : dayFirstMatch ? [dayFirstMatch[3], dayFirstMatch[2], dayFirstMatch[1]] : null;
+    if (!parts) return null;
+
+    const [year, month, day] = parts.map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * -------------------------------------
+ * Deregistration Letters
+ * -------------------------------------
+ * Wizard for the Abmeldung and Krankenkasse services: Step 1 takes the data of the move, Step 2
+ * shows the German documents filled in from it, to download as a PDF and to order the service with
+ * (the PDF is sent along). The documents are created in the browser from one JSON template per
+ * service (config.letters.templateUrls, in data/letters/):
+ *   title                                   - document title (preview heading, PDF title)
+ *   sender, recipient, reference, signature - lists of lines; lines left empty are dropped
+ *   date, subject, salutation, closing      - single lines
+ *   body     - paragraphs (strings) and sections ({ title, rows: [[label, value], …] }) in order;
+ *              rows left empty are dropped
+ *   variants - partial templates replacing the keys above, by the value of the field in
+ *              `letterVariantFields`: the Bundesland for the Abmeldung, the Krankenkasse id for the letter
+ *   kassen   - Krankenkasse template only: the insurers offered in the form, [{ id, name, address? }]
+ * Texts may contain the placeholders of getLetterValues() in braces, e.g. {oldCity}. New
+ * Krankenkassen and Bundesland variants are added in the template files only.
+ */
+
+// Documents of each letters_service answer (keys of config.letters.templateUrls and of the price list)
+const letterServices = {
+    abmeldung: ['abmeldung'],
+    krankenkasse: ['krankenkasse'],
+    both: ['abmeldung', 'krankenkasse'],
+};
+// Field whose value selects the template variant of each document
+const letterVariantFields = {
+    abmeldung: 'letters_state',
+    krankenkasse: 'letters_kasse',
+};
+
+/**
+ * Handles the deregistration letter wizard: Step 1 (data of the move) and Step 2 (document preview,
+ * PDF download & order). The field groups only one document needs ([data-letters-for]) are disabled
+ * while that document is not chosen, so they are neither validated nor sent.
+ */
+export function initLettersForm() {
+    const form = scopeRoot.querySelector(config.lettersFormSelector);
+    const messageArea = scopeRoot.querySelector(config.lettersFormMessageSelector);
+    const steps = form ? Array.from(form.querySelectorAll(config.settleStepSelector)) : [];
+    const kasseSelect = form ? form.elements.namedItem('letters_kasse') : null;
+
+    if (!form || !messageArea || steps.length === 0 || !kasseSelect) {
+        logger.warn("Letters form elements not found.");
+        return;
+    }
+
+    const feeField = form.elements.namedItem('letters_fee');
+    const addressField = form.elements.namedItem('letters_kasse_address');
+    const downloadButton = form.querySelector('[data-letters-download]');
+    const validator = createFormValidator(form, form.querySelector(config.errorSummarySelector));
+    let templates = null;
+    let documents = [];
+    let quote = null;
+    // Address filled in from the template, replaced when another Krankenkasse is chosen
+    let prefilledAddress = '';
+
+    const update = () => {
+        const services = getLetterServices(form);
+        form.querySelectorAll('[data-letters-for]').forEach(group => {
+            const isActive = services.includes(group.dataset.lettersFor);
+            if (!isActive) {
+                validator.clear(group);
+            }
+            group.hidden = !isActive;
+            group.disabled = !isActive;
+        });
+
+        quote = calculateQuote({ settlement: null, services, invoiceCount: 0 });
+        if (feeField) {
+            feeField.value = quote.lines.length > 0
+                ? t('quote.text', {
+                    lines: quote.lines.map(line => `${line.label}: ${formatPriceRange(line.min, line.max, 'EUR')}`).join('; '),
+                    total: formatPriceRange(quote.min, quote.max, 'EUR'),
+                })
+                : '';
+        }
+    };
+
+    const loadTemplates = () => loadLetterTemplates()
+        .then(result => {
+            templates = result;
+            renderKasseOptions(kasseSelect, templates.krankenkasse.kassen || []);
+        })
+        .catch(error => logger.warn("Letter templates could not be loaded:", error.message));
+
+    form.addEventListener('change', (event) => {
+        if (event.target.name === 'letters_service') {
+            update();
+        }
+        if (event.target === kasseSelect && templates && addressField
+            && (addressField.value.trim() === '' || addressField.value === prefilledAddress)) {
+            const kasse = (templates.krankenkasse.kassen || []).find(entry => entry.id === kasseSelect.value);
+            prefilledAddress = kasse && kasse.address ? kasse.address.join('\n') : '';
+            addressField.value = prefilledAddress;
+        }
+    }, { signal: getLifecycleSignal() });
+    onLanguageChange(update);
+    initSettleSubforms(form, validator);
+    update();
+    loadTemplates();
+
+    if (downloadButton) {
+        downloadButton.addEventListener('click', () => {
+            if (documents.length === 0) return;
+            downloadBlob(createLettersPdf(documents), getLettersFileName());
+        }, { signal: getLifecycleSignal() });
+    }
+
+    createFormWizard(form, {
+        formKey: 'letters',
+        steps,
+        messageArea,
+        validateStep: (stepNumber, step) => {
+            if (!validator.validate(step)) {
+                return false;
+            }
+
+            if (!templates) {
+                displayFormMessage(messageArea, t('letters.error.templates'), 'error');
+                loadTemplates();
+                return false;
+            }
+
+            return true;
+        },
+        renderReview: (container) => {
+            documents = getLetterServices(form).map(service => createLetterDocument(
+                templates[service],
+                getLetterValues(form, templates),
+                form.elements.namedItem(letterVariantFields[service]).value
+            ));
+            renderLettersReview(container, form, documents, quote);
+        },
+        submit: () => {
+            const formData = new FormData(form);
+            formData.append('letters_documents', new File([createLettersPdf(documents)], getLettersFileName(), { type: 'application/pdf' }));
+            submitWizardForm('letters', form, formData, messageArea);
+        },
+    });
+
+    logger.debug("Letters Form initialized.");
+}
+
+/**
+ * Returns the documents chosen in the letters form.
+ * @param {HTMLFormElement} form - The letters form.
+ * @returns {string[]} - Keys of config.letters.templateUrls.
+ */
+function getLetterServices(form) {
+    const service = form.elements.namedItem('letters_service');
+    return (service && letterServices[service.value]) || [];
+}
+
+/**
+ * Loads the document templates of all letter services.
+ * @returns {Promise<object>} - The parsed templates keyed like config.letters.templateUrls.
+ */
+async function loadLetterTemplates() {
+    const entries = await Promise.all(Object.entries(config.letters.templateUrls).map(async ([service, url]) => {
+        const response = await fetch(url, { cache: 'no-cache' });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status} for ${url}`);
+        }
+        return [service, await response.json()];
+    }));
+    return Object.fromEntries(entries);
+}
+
+/**
+ * Lists the Krankenkassen of the template in the select, before its "other" option.
+ * The choice is kept when the list is rendered again.
+ * @param {HTMLSelectElement} select - The letters_kasse select.
+ * @param {Array<{id: string, name: string}>} kassen - The Krankenkassen of the template.
+ */
+function renderKasseOptions(select, kassen) {
+    const selected = select.value;
+    const otherOption = Array.from(select.options).find(option => option.value === 'other') || null;
+    select.querySelectorAll('option[data-kasse]').forEach(option => option.remove());
+    kassen.forEach(kasse => {
+        const option = new Option(kasse.name, kasse.id);
+        option.dataset.kasse = '';
+        select.insertBefore(option, otherOption);
+    });
+    select.value = selected;
+}
+
+/**
+ * Collects the placeholder values of the letter templates from the form, in German:
+ * countries and nationalities by their German names, dates as DD.MM.YYYY.
+ * Fields of a disabled group are read as empty.
+ * @param {HTMLFormElement} form - The letters form.
+ * @param {object} templates - The loaded templates (for the Krankenkasse names).
+ * @returns {Object<string, string>}
+ */
+function getLetterValues(form, templates) {
+    const getValue = (name) => {
+        const field = form.elements.namedItem(name);
+        return field && !field.disabled ? field.value.trim() : '';
+    };
+    const getGermanDate = (name) => (getValue(name) ? formatDate(getValue(name), 'de-DE') : '');
+    // "Inny" (other) is answered with the German name in the `_other` field
+    const getCountryValue = (name, key) => (getValue(name) === 'Inny'
+        ? getValue(`${name}_other`)
+        : ((countryFormats[getValue(name)] || {})[key] || getValue(name)));
+
+    const kasseId = getValue('letters_kasse');
+    const kasse = ((templates.krankenkasse && templates.krankenkasse.kassen) || []).find(entry => entry.id === kasseId);
+
+    return {
+        firstName: getValue('letters_first_name'),
+        lastName: getValue('letters_last_name'),
+        birthDate: getGermanDate('letters_birth_date'),
+        birthPlace: getValue('letters_birth_place'),
+        nationality: getCountryValue('letters_nationality', 'germanNationality'),
+        moveOutDate: getGermanDate('letters_move_out'),
+        oldStreet: getValue('letters_old_street'),
+        oldPostcode: getValue('letters_old_postcode'),
+        oldCity: getValue('letters_old_city'),
+        state: getValue('letters_state'),
+        dwelling: getValue('letters_dwelling'),
+        newStreet: getValue('letters_new_street'),
+        newPostcode: getValue('letters_new_postcode'),
+        newCity: getValue('letters_new_city'),
+        newCountry: getCountryValue('letters_new_country', 'germanName'),
+        kasseName: kasseId === 'other' ? getValue('letters_kasse_other') : (kasse ? kasse.name : ''),
+        kasseAddress: getValue('letters_kasse_address'),
+        insuranceNumber: getValue('letters_insurance_number'),
+        today: formatDate(new Date(), 'de-DE'),
+    };
+}
+
+/**
+ * Fills in a letter template (see the Deregistration Letters section for its format).
+ * @param {object} template - The template.
+ * @param {Object<string, string>} values - The placeholder values from getLetterValues().
+ * @param {string} variant - Key of the template variant to apply, if the template has one.
+ * @returns {{title: string, blocks: Array<object>}} - The title and the text blocks for createTextPdf().
+ */
+function createLetterDocument(template, values, variant) {
+    const letter = { ...template, ...((template.variants || {})[variant] || {}) };
+    // Unknown placeholders are left in, so a mistake in a template shows in the preview
+    const fill = (text) => String(text).replace(/\{(\w+)\}/g, (match, key) => (key in values ? values[key] : match));
+    const fillLines = (lines) => (lines || [])
+        .flatMap(line => fill(line).split('\n'))
+        .map(line => line.trim())
+        .filter(Boolean);
+
+    const blocks = [];
+    const addLines = (lines, options) => {
+        const text = fillLines(lines).join('\n');
+        if (text) {
+            blocks.push({ text, ...options });
+        }
+    };
+    const addLine = (text, options) => {
+        if (text) {
+            blocks.push({ text: fill(text), ...options });
+        }
+    };
+
+    addLines(letter.sender, { size: 9 });
+    addLines(letter.recipient, { spaceBefore: 24 });
+    addLine(letter.date, { spaceBefore: 24 });
+    addLine(letter.subject, { size: 11, bold: true, spaceBefore: 18 });
+    addLines(letter.reference, { spaceBefore: 4 });
+    addLine(letter.salutation, { spaceBefore: 18 });
+    (letter.body || []).forEach(part => {
+        if (typeof part === 'string') {
+            addLine(part, { spaceBefore: 8 });
+            return;
+        }
+        addLine(part.title, { bold: true, spaceBefore: 12, spaceAfter: 2 });
+        (part.rows || []).forEach(([label, value]) => {
+            const text = fill(value).trim();
+            if (text) {
+                blocks.push({ text: `${fill(label)}: ${text}` });
+            }
+        });
+    });
+    addLine(letter.closing, { spaceBefore: 16 });
+    addLines(letter.signature, { spaceBefore: 36 });
+
+    return { title: fill(letter.title || ''), blocks };
+}
+
+/**
+ * Builds one PDF with all documents, each starting on a new page.
+ * @param {Array<{title: string, blocks: Array<object>}>} documents - The documents from createLetterDocument().
+ * @returns {Blob} - The PDF file.
+ */
+function createLettersPdf(documents) {
+    const blocks = documents.flatMap(letter => letter.blocks.map((block, index) => (index === 0 ? { ...block, pageBreak: true } : block)));
+    return createTextPdf(blocks, { title: documents.map(letter => letter.title).join(' / ') });
+}
+
+/**
+ * Returns the file name of the documents PDF.
+ * @returns {string}
+ */
+function getLettersFileName() {
+    return `${config.letters.fileName.replace('{date}', getZonedDateKey(new Date(), getVisitorTimeZone()))}.pdf`;
+}
+
+/**
+ * Renders Step 2 of the letters wizard: a preview of every document, a reminder when the
+ * Abmeldung is late, and our fee.
+ * @param {HTMLElement} container - The element to render the preview into.
+ * @param {HTMLFormElement} form - The letters form.
+ * @param {Array<{title: string, blocks: Array<object>}>} documents - The generated documents.
+ * @param {object} quote - The quote of the chosen services.
+ */
+function renderLettersReview(container, form, documents, quote) {
+    if (!container) return;
+    container.textContent = '';
+
+    documents.forEach(letter => {
+        const section = createReviewSection(letter.title, 1, t('review.editData'));
+        const page = document.createElement('div');
+        page.className = 'letters-document';
+        page.lang = 'de';
+        letter.blocks.forEach(block => {
+            const paragraph = document.createElement('p');
+            paragraph.className = 'letters-document-block';
+            paragraph.classList.toggle('letters-document-block--bold', Boolean(block.bold));
+            paragraph.classList.toggle('letters-document-block--spaced', (block.spaceBefore || 0) >= 12);
+            paragraph.textContent = block.text;
+            page.appendChild(paragraph);
+        });
+        section.appendChild(page);
+        container.appendChild(section);
+    });
+
+    const orderSection = createReviewSection(t('letters.review.order'), 1, t('review.editData'));
+    const moveOut = form.elements.namedItem('letters_move_out');
+    const deadline = moveOut && /^\d{4}-\d{2}-\d{2}$/.test(moveOut.value) ? new Date(`${moveOut.value}T00:00:00`) : null;
+    if (deadline) {
+        deadline.setDate(deadline.getDate() + config.letters.abmeldungDeadlineDays);
+    }
+    if (deadline && deadline < startOfDay(new Date()) && getLetterServices(form).includes('abmeldung')) {
+        const late = document.createElement('p');
+        late.className = 'form-hint letters-late';
+        late.textContent = t('letters.review.late', { date: formatDate(deadline) });
+        orderSection.appendChild(late);
+    }
+    const feeList = document.createElement('dl');
+    feeList.className = 'settle-review-list';
+    appendDescriptionRows(feeList, [[t('letters.review.fee'), formatPriceRange(quote.min, quote.max, 'EUR')]]);
+    orderSection.appendChild(feeList);
+    container.appendChild(orderSection);
+}
+
+/**
+ * -------------------------------------
+ * Form Validation
+ * -------------------------------------
+ * Rules are declared in the markup: the browser constraints (`required`, `type="email"`, `min` …)
+ * plus `data-validate="<rule>"` naming an entry of `fieldValidators`. Rules that depend on another
+ * field name it in an extra attribute (`data-validate-country`, `data-validate-birth-date`).
+ */
+
+/**
+ * Field rules. Each receives the trimmed, non-empty value and the field and returns
+ * `{ value }` (the normalized value to write back, optional) or `{ error, params }` (a translation key).
+ */
+const fieldValidators = {
+    phone(value, field) {
+        const normalized = normalizePhoneNumber(value, getRelatedFieldValue(field, 'validateCountry'));
+        return normalized ? { value: normalized } : { error: 'validation.phone' };
+    },
+    steuerId(value) {
+        const digits = value.replace(/[\s/]/g, '');
+        return isValidSteuerId(digits) ? { value: digits } : { error: 'validation.steuerId' };
+    },
+    pesel(value, field) {
+        const digits = value.replace(/\s/g, '');
+        const birthDate = getPeselBirthDate(digits);
+        if (!birthDate) {
+            return { error: 'validation.pesel' };
+        }
+        const enteredBirthDate = getRelatedFieldValue(field, 'validateBirthDate');
+        if (enteredBirthDate && enteredBirthDate !== birthDate) {
+            return { error: 'validation.peselBirthDate' };
+        }
+        return { value: digits };
+    },
+    postcode(value, field) {
+        // The country is the value of a related select, or fixed with data-postcode-country
+        const format = countryFormats[field.dataset.postcodeCountry || getRelatedFieldValue(field, 'validateCountry')];
+        if (!format || !format.postcode) return {};
+        const formatted = formatPostcode(value, format.postcode);
+        return formatted ? { value: formatted } : { error: 'validation.postcode', params: { example: format.postcodeExample } };
+    },
+    birthDate(value) {
+        const age = getAgeInYears(value);
+        return age !== null && age >= config.birthDateMinAge && age <= config.birthDateMaxAge
+            ? {}
+            : { error: 'validation.birthDate', params: { min: config.birthDateMinAge, max: config.birthDateMaxAge } };
+    },
+    childBirthDate(value) {
+        const age = getAgeInYears(value);
+        return age !== null && age >= 0 && age <= config.childMaxAge
+            ? {}
+            : { error: 'validation.childBirthDate', params: { max: config.childMaxAge } };
+    },
+    amount(value) {
+        const amount = parseAmount(value);
+        return Number.isFinite(amount) && amount >= 0 ? {} : { error: 'validation.amount' };
+    },
+    referral(value) {
+        const code = normalizeReferralCode(value);
+        if (!code) {
+            return { error: 'validation.referral', params: { example: referralCodeExample } };
+        }
+        // Slot counts are known once the code was looked up (see updateReferralStatus)
+        const status = referralStatuses.get(code);
+        return status && status.remaining <= 0 ? { error: 'validation.referralFull', params: { max: status.max } } : { value: code };
+    },
+    caseReference(value) {
+        // The prefix may be left out; references are shown in upper case
+        const characters = value.toUpperCase().replace(/\s/g, '');
+        const body = characters.startsWith(config.caseReferencePrefix) ? characters.slice(config.caseReferencePrefix.length) : characters;
+        return /^[A-Z0-9]{4,12}$/.test(body)
+            ? { value: config.caseReferencePrefix + body }
+            : { error: 'validation.caseReference', params: { prefix: config.caseReferencePrefix } };
+    },
+    insuranceNumber(value) {
+        // Krankenversichertennummer as printed on the health insurance card: a letter and nine digits
+        const number = value.toUpperCase().replace(/\s/g, '');
+        return /^[A-Z]\d{9}$/.test(number) ? { value: number } : { error: 'validation.insuranceNumber' };
+    },
+    oneTimeCode(value) {
+        const digits = value.replace(/\s/g, '');
+        return /^\d{6}$/.test(digits) ? { value: digits } : { error: 'validation.oneTimeCode' };
+    },
+    invoiceDate(value) {
+        const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+        const date = match ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : null;
+        return date && date <= new Date() ? {} : { error: 'validation.invoiceDate' };
+    },
+    nip(value) {
+        const digits = value.replace(/^PL/i, '').replace(/[\s-]/g, '');
+        return isValidNip(digits) ? { value: digits } : { error: 'validation.nip' };
+    },
+    vatId(value) {
+        const vatId = value.toUpperCase().replace(/[\s.-]/g, '');
+        if (!/^[A-Z]{2}[0-9A-Z]{2,12}$/.test(vatId)) {
+            return { error: 'validation.vatId' };
+        }
+        // Polish VAT ids are the NIP with the country prefix
+        return vatId.startsWith('PL') && !isValidNip(vatId.slice(2)) ? { error: 'validation.vatId' } : { value: vatId };
+    },
+    steuernummer(value) {
+        // Written per state with slashes or spaces (e.g. 21/815/08150); 13 digits in the federal format
+        return /^\d[\d\s/]{8,15}\d$/.test(value) && /^\d{10,13}$/.test(value.replace(/[\s/]/g, ''))
+            ? {}
+            : { error: 'validation.steuernummer' };
+    },
+    callbackSlot(value) {
+        // Slots pass while the form is open; they are rechecked against the office hours on submit
+        return isCallbackSlotAvailable(new Date(value), new Date()) ? {} : { error: 'validation.callbackSlot' };
+    },
+};
+
+/**
+ * Creates the validator of a form: inline errors under the fields (wired with aria-invalid and
+ * aria-describedby) and an error summary linking to every invalid field.
+ * Fields are re-checked when they lose focus with a value or while they are marked invalid.
+ * @param {HTMLFormElement} form - The form to validate.
+ * @param {HTMLElement|null} summary - The error summary container ([data-error-summary]).
+ * @returns {{validate: Function, clear: Function, reset: Function}}
+ */
+function createFormValidator(form, summary) {
+    // Invalid fields by name: { field, error, params }
+    const errors = new Map();
+
+    const renderSummary = () => {
+        if (!summary) return;
+        const entries = Array.from(errors.values()).sort((a, b) =>
+            a.field.compareDocumentPosition(b.field) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1);
+        summary.hidden = entries.length === 0;
+        summary.textContent = '';
+        if (entries.length === 0) return;
+
+        const title = document.createElement('p');
+        title.className = 'error-summary-title';
+        title.textContent = t('validation.summary', { count: entries.length });
+        const list = document.createElement('ul');
+        list.className = 'error-summary-list';
+        entries.forEach(({ field, error, params }) => {
+            const link = document.createElement('a');
+            link.href = `#${field.id}`;
+            link.textContent = `${getFieldLabel(form, field.name)}: ${t(error, params)}`;
+            link.addEventListener('click', (event) => {
+                event.preventDefault();
+                field.focus();
+            }, { signal: getLifecycleSignal() });
+            const item = document.createElement('li');
+            item.appendChild(link);
+            list.appendChild(item);
+        });
+        summary.append(title, list);
+    };
+
+    const validateField = (field) => {
+        const result = getFieldError(form, field);
+        showFieldError(form, field, result);
+        if (result) {
+            // Each new error is reported once (the error key only, never the entered value)
+            if (!errors.has(field.name) || errors.get(field.name).error !== result.error) {
+                emitFunnelEvent('field_error', { form: getFormKey(form), field: field.name, error: result.error });
+            }
+            errors.set(field.name, { field, ...result });
+        } else {
+            errors.delete(field.name);
+        }
+        return !result;
+    };
+
+    const revalidate = (field) => {
+        validateField(field);
+        if (summary && !summary.hidden) {
+            renderSummary();
+        }
+    };
+
+    form.addEventListener('focusout', (event) => {
+        const field = event.target;
+        if (!isValidatableField(field) || field.type === 'radio' || field.type === 'checkbox') return;
+        if (field.value.trim() !== '' || errors.has(field.name)) {
+            revalidate(field);
+        }
+    }, { signal: getLifecycleSignal() });
+    form.addEventListener('change', (event) => {
+        const field = event.target;
+        if (!isValidatableField(field)) return;
+        if (errors.has(field.name)) {
+            revalidate(field);
+        }
+        // Rules of other fields may depend on this one (e.g. postal code on the country)
+        getValidatableFields(form)
+            .filter(other => other.value.trim() !== '' &&
+                (other.dataset.validateCountry === field.name || other.dataset.validateBirthDate === field.name))
+            .forEach(revalidate);
+    }, { signal: getLifecycleSignal() });
+
+    onLanguageChange(() => {
+        errors.forEach(({ field, error, params }) => showFieldError(form, field, { error, params }));
+        if (summary && !summary.hidden) {
+            renderSummary();
+        }
+    });
+
+    return {
+        /**
+         * Validates all fields inside a container and shows the error summary.
+         * @param {ParentNode} [container] - Part of the form to check (defaults to the whole form).
+         * @returns {boolean} - Whether all checked fields are valid.
+         */
+        validate: (container = form) => {
+            const valid = getValidatableFields(container).map(validateField).every(Boolean);
+            renderSummary();
+            if (!valid) {
+                // The summary announces the errors; without one, go straight to the first bad field
+                const firstInvalid = Array.from(errors.values())[0];
+                (summary || firstInvalid.field).focus();
+            }
+            return valid;
+        },
+        /**
+         * Removes the errors of the fields inside a container, e.g. a sub-form that was hidden.
+         * @param {ParentNode} container - The part of the form whose errors are dropped.
+         */
+        clear: (container) => {
+            errors.forEach(({ field }, name) => {
+                if (container.contains(field)) {
+                    showFieldError(form, field, null);
+                    errors.delete(name);
+                }
+            });
+            if (summary && !summary.hidden) {
+                renderSummary();
+            }
+        },
+        /** Removes all error messages, e.g. after the form was reset. */
+        reset: () => {
+            errors.forEach(({ field }) => showFieldError(form, field, null));
+            errors.clear();
+            renderSummary();
+        }
+    };
+}
+
+/**
+ * Returns the fields of a container that take part in validation (one entry per radio group).
+ * @param {ParentNode} container - The form or a part of it.
+ * @returns {Array<HTMLInputElement|HTMLSelectElement|HTMLTextAreaElement>}
+ */
+function getValidatableFields(container) {
+    const seenRadioGroups = new Set();
+    return Array.from(container.querySelectorAll('input, select, textarea')).filter(field => {
+        if (!isValidatableField(field)) return false;
+        if (field.type !== 'radio') return true;
+        if (seenRadioGroups.has(field.name)) return false;
+        seenRadioGroups.add(field.name);
+        return true;
+    });
+}
+
+/**
+ * Tells whether an element is a named, enabled form field the user fills in
+ * (fields inside a disabled fieldset, e.g. a hidden sub-form, do not count).
+ * @param {Element} field - The element to check.
+ * @returns {boolean}
+ */
+function isValidatableField(field) {
+    return ['INPUT', 'SELECT', 'TEXTAREA'].includes(field.tagName) &&
+        Boolean(field.name) && !field.matches(':disabled') &&
+        !['hidden', 'file', 'submit', 'button', 'reset'].includes(field.type);
+}
+
+/**
+ * Checks one field against its browser constraints and `data-validate` rules.
+ * A rule may normalize the value, which is then written back to the field.
+ * @param {HTMLFormElement} form - The form of the field.
+ * @param {HTMLElement} field - The field (the first radio for a radio group).
+ * @returns {{error: string, params?: object}|null} - The error, or null when the field is valid.
+ */
+function getFieldError(form, field) {
+    if (field.type === 'radio') {
+        const group = form.elements.namedItem(field.name);
+        return field.required && !group.value ? { error: 'validation.choose' } : null;
+    }
+    if (field.type === 'checkbox') {
+        return field.required && !field.checked ? { error: 'validation.consent' } : null;
+    }
+
+    const value = field.value.trim();
+    if (value === '') {
+        return field.required ? { error: 'validation.required' } : null;
+    }
+    if (field.validity.typeMismatch && field.type === 'email') {
+        return { error: 'validation.email' };
+    }
+
+    const rules = (field.dataset.validate || '').split(/\s+/).filter(Boolean);
+    for (const rule of rules) {
+        const validator = fieldValidators[rule];
+        if (!validator) {
+            logger.warn(`Unknown validation rule "${rule}" on field "${field.name}".`);
+            continue;
+        }
+        const result = validator(value, field);
+        if (result.error) {
+            return { error: result.error, params: result.params };
+        }
+        if (result.value !== undefined && result.value !== field.value) {
+            field.value = result.value;
+        }
+    }
+
+    if ((field.validity.rangeUnderflow || field.validity.rangeOverflow) && field.min && field.max) {
+        return { error: 'validation.range', params: { min: field.min, max: field.max } };
+    }
+    return field.checkValidity() ? null : { error: 'validation.invalid' };
+}
+
+/**
+ * Shows or removes the inline error of a field and updates its ARIA state.
+ * @param {HTMLFormElement} form - The form of the field.
+ * @param {HTMLElement} field - The field (the first radio for a radio group).
+ * @param {{error: string, params?: object}|null} result - The error to show, or null to clear it.
+ */
+function showFieldError(form, field, result) {
+    const errorId = `${field.id || field.name}-error`;
+    const targets = field.type === 'radio' ? Array.from(form.elements.namedItem(field.name)) : [field];
+    const container = field.type === 'radio' ? field.closest('fieldset') : (field.closest('.form-group') || field.parentElement);
+    let message = document.getElementById(errorId);
+
+    if (!result) {
+        if (message) message.remove();
+        targets.forEach(target => {
+            target.removeAttribute('aria-invalid');
+            target.classList.remove('is-invalid');
+            const describedBy = (target.getAttribute('aria-describedby') || '').split(' ').filter(id => id && id !== errorId);
+            if (describedBy.length) {
+                target.setAttribute('aria-describedby', describedBy.join(' '));
+            } else {
+                target.removeAttribute('aria-describedby');
+            }
+        });
+        return;
+    }
+
+    if (!message) {
+        message = document.createElement('p');
+        message.id = errorId;
+        message.className = 'form-hint form-hint--error field-error';
+        container.appendChild(message);
+    }
+    message.textContent = t(result.error, result.params);
+
+    targets.forEach(target => {
+        target.setAttribute('aria-invalid', 'true');
+        target.classList.add('is-invalid');
+        const describedBy = (target.getAttribute('aria-describedby') || '').split(' ').filter(Boolean);
+        if (!describedBy.includes(errorId)) {
+            target.setAttribute('aria-describedby', [...describedBy, errorId].join(' '));
+        }
+    });
+}
+
+/**
+ * Returns the value of the field another field's rule depends on.
+ * @param {HTMLElement} field - The field with the rule.
+ * @param {string} key - Dataset key naming the other field (e.g. 'validateCountry').
+ * @returns {string|undefined} - The other field's value, or undefined when the field names none.
+ */
+function getRelatedFieldValue(field, key) {
+    const name = field.dataset[key];
+    const related = name && field.form ? field.form.elements.namedItem(name) : null;
+    return related ? related.value : undefined;
+}
+
+/**
+ * Converts a phone number to E.164 (e.g. "+48123456789").
+ * Numbers without an international prefix get the dialling code of the given country.
+ * @param {string} value - The entered number.
+ * @param {string|undefined} country - Value of the related country select; undefined uses config.defaultPhoneCountry.
+ * @returns {string|null} - The normalized number, or null when it cannot be a valid number.
+ */
+function normalizePhoneNumber(value, country) {
+    let number = value.replace(/[\s().\-/]/g, '');
+    if (number.startsWith('00')) {
+        number = `+${number.slice(2)}`;
+    }
+    if (!number.startsWith('+')) {
+        const format = countryFormats[country === undefined ? config.defaultPhoneCountry : country];
+        if (!format) return null;
+        if (format.trunkPrefix && number.startsWith(format.trunkPrefix)) {
+            number = number.slice(format.trunkPrefix.length);
+        }
+        if (format.phoneLength && number.length !== format.phoneLength) return null;
+        number = `+${format.dialCode}${number}`;
+    }
+    return /^\+[1-9]\d{7,14}$/.test(number) ? number : null;
+}
+
+/**
+ * Checks a German tax identification number (Steuer-ID): 11 digits, no leading zero,
+ * exactly one digit repeated (twice, or three times but not in a row) among the first ten,
+ * and the ISO 7064 MOD 11,10 check digit.
+ * @param {string} value - The number without separators.
+ * @returns {boolean}
+ */
+function isValidSteuerId(value) {
+    if (!/^[1-9]\d{10}$/.test(value)) return false;
+
+    const digits = value.split('').map(Number);
+    const counts = {};
+    digits.slice(0, 10).forEach(digit => {
+        counts[digit] = (counts[digit] || 0) + 1;
+    });
+    const repeated = Object.values(counts).filter(count => count > 1);
+    if (repeated.length !== 1 || repeated[0] > 3) return false;
+    if (repeated[0] === 3 && /(\d)\1\1/.test(value.slice(0, 10))) return false;
+
+    let product = 10;
+    for (let i = 0; i < 10; i++) {
+        const sum = (digits[i] + product) % 10 || 10;
+        product = (sum * 2) % 11;
+    }
+    return (11 - product) % 10 === digits[10];
+}
+
+/**
+ * Checks a Polish tax number (NIP): 10 digits, the last one the weighted sum of the others modulo 11.
+ * @param {string} value - The number without separators.
+ * @returns {boolean}
+ */
+function isValidNip(value) {
+    if (!/^\d{10}$/.test(value)) return false;
+
+    const digits = value.split('').map(Number);
+    const weights = [6, 5, 7, 2, 3, 4, 5, 6, 7];
+    const checksum = weights.reduce((total, weight, i) => total + weight * digits[i], 0) % 11;
+    return checksum !== 10 && checksum === digits[9];
+}
+
+/**
+ * Checks a PESEL number and returns the date of birth encoded in it.
+ * @param {string} value - The number without separators.
+ * @returns {string|null} - The date of birth (YYYY-MM-DD), or null when the number is invalid.
+ */
+function getPeselBirthDate(value) {
+    if (!/^\d{11}$/.test(value)) return null;
+
+    const digits = value.split('').map(Number);
+    const weights = [1, 3, 7, 9, 1, 3, 7, 9, 1, 3];
+    const sum = weights.reduce((total, weight, i) => total + weight * digits[i], 0);
+    if ((10 - (sum % 10)) % 10 !== digits[10]) return null;
+
+    // The month carries the century: +80 for 1800–1899, +0 for 1900–1999, +20 for 2000–2099 …
+    const centuries = { 80: 1800, 0: 1900, 20: 2000, 40: 2100, 60: 2200 };
+    const encodedMonth = Number(value.slice(2, 4));
+    const offset = encodedMonth - ((encodedMonth - 1) % 20 + 1);
+    const year = centuries[offset] + Number(value.slice(0, 2));
+    const month = encodedMonth - offset;
+    const day = Number(value.slice(4, 6));
+
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (centuries[offset] === undefined || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Formats a postal code according to a mask, accepting the digits with or without separators.
+ * @param {string} value - The entered postal code.
+ * @param {string} mask - The mask, `#` standing for a digit (e.g. "##-###").
+ * @returns {string|null} - The formatted code, or null when it does not fit the mask.
+ */
+function formatPostcode(value, mask) {
+    if (!/^[\d\s-]+$/.test(value)) return null;
+    const digits = value.replace(/\D/g, '');
+    if (digits.length !== mask.split('#').length - 1) return null;
+    let index = 0;
+    return mask.replace(/#/g, () => digits[index++]);
+}
+
+/**
+ * Returns the age in full years of a person born on a date.
+ * @param {string} value - The date of birth (YYYY-MM-DD).
+ * @returns {number|null} - The age (negative for future dates), or null for an invalid date.
+ */
+function getAgeInYears(value) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+    if (!match) return null;
+    const [year, month, day] = match.slice(1).map(Number);
+    const today = new Date();
+    let age = today.getFullYear() - year;
+    if (today.getMonth() + 1 < month || (today.getMonth() + 1 === month && today.getDate() < day)) {
+        age--;
+    }
+    return age;
+}
+
+/**
+ * -------------------------------------
+ * Form Submission
+ * -------------------------------------
+ * Transports that deliver the settle and contact forms, plus the offline queue.
+ */
+
+/**
+ * Error raised when a form could not be delivered.
+ * `code` is one of 'offline', 'timeout', 'network', 'server', 'too_large', 'rejected' or 'unsupported'.
+ */
+class SubmissionError extends Error {
+    /**
+     * @param {string} code - Machine-readable error code.
+     * @param {string} message - Technical description (logged to the console).
+     * @param {object} [details] - Optional HTTP `status` and parsed `response` body.
+     */
+    constructor(code, message, details = {}) {
+        super(message);
+        this.name = 'SubmissionError';
+        this.code = code;
+        this.status = details.status || null;
+        this.response = details.response || null;
+        // Set by deliverForm when the submission was stored in the offline queue (under this id)
+        this.queued = false;
+        this.submissionId = null;
+    }
+
+    /**
+     * Whether sending the same payload again may succeed.
+     * @returns {boolean}
+     */
+    get retryable() {
+        return ['timeout', 'network', 'server'].includes(this.code);
+    }
+}
+
+// Translation keys of the user-facing message for each SubmissionError code
+const submissionErrorMessages = {
+    offline: 'submission.error.offline',
+    queued: 'submission.error.queued',
+    timeout: 'submission.error.timeout',
+    network: 'submission.error.network',
+    server: 'submission.error.server',
+    too_large: 'submission.error.tooLarge',
+    rejected: 'submission.error.rejected',
+    unsupported: 'submission.error.unsupported',
+};
+
+// Forms that can be submitted, keyed like config.submission.endpoints; `consentField` is the checkbox that allows
+// storing the data (an offline submission is only queued with it), `referralField` the referral code field
+const submissionForms = {
+    settle: {
+        formSelector: config.settleFormSelector,
+        messageSelector: config.settleFormMessageSelector,
+        mailSubject: 'submission.mailSubject.settle',
+        consentField: 'settle_consent',
+        referralField: 'settle_referral',
+    },
+    contact: {
+        formSelector: config.contactFormSelector,
+        messageSelector: config.contactFormMessageSelector,
+        mailSubject: 'submission.mailSubject.contact',
+        consentField: 'contact_consent',
+        referralField: 'contact_referral',
+    },
+    business: {
+        formSelector: config.businessFormSelector,
+        messageSelector: config.businessFormMessageSelector,
+        mailSubject: 'submission.mailSubject.business',
+        consentField: 'business_consent',
+    },
+    letters: {
+        formSelector: config.lettersFormSelector,
+        messageSelector: config.lettersFormMessageSelector,
+        mailSubject: 'submission.mailSubject.letters',
+        consentField: 'letters_consent',
+    },
+};
+
+// Available transports: each takes (formKey, formData, submissionId) and resolves with the server response
+const submissionTransports = {
+    fetch: sendWithFetch,
+    mailto: sendWithMailto,
+};
+
+let isFlushingSubmissionQueue = false;
+
+/**
+ * Sends a form (see deliverForm) and reports the outcome to the funnel analytics.
+ * @param {string} formKey - Key of the form in `submissionForms` ('settle' | 'contact' | 'business').
+ * @param {FormData} formData - The data to send.
+ * @returns {Promise<{transport: string, response: object, submissionId: string}>} - The transport used, the server response and the submission id.
+ * @throws {SubmissionError} - `error.queued` is true when the submission will be resent later (see `error.submissionId`).
+ */
+async function submitForm(formKey, formData) {
+    try {
+        const result = await deliverForm(formKey, formData);
+        emitFunnelEvent('form_submitted', { form: formKey, transport: result.transport, queued: false });
+        emitLifecycleEvent(`${formKey}:submitted`, { id: result.submissionId, queued: false });
+        return result;
+    } catch (error) {
+        emitFunnelEvent('form_failed', { form: formKey, reason: error.code || 'unexpected', queued: Boolean(error.queued) });
+        emitLifecycleEvent(`${formKey}:failed`, { code: error.code || 'unexpected', queued: Boolean(error.queued) });
+        throw error;
+    }
+}
+
+/**
+ * Sends a form through the configured transport. Submissions that fail because the browser is offline
+ * are stored in the queue; other permanent failures fall back to config.submission.fallbackTransport.
+ * @param {string} formKey - Key of the form in `submissionForms`.
+ * @param {FormData} formData - The data to send.
+ * @returns {Promise<{transport: string, response: object, submissionId: string}>}
+ * @throws {SubmissionError}
+ */
+async function deliverForm(formKey, formData) {
+    const { transport, fallbackTransport } = config.submission;
+    const submissionId = createSubmissionId();
+
+    // The consent record travels with the submission (and with its queued copy) as evidence
+    const consent = getConsentRecord();
+    if (consent) {
+        formData.set(config.consentSubmissionField, JSON.stringify(consent));
+    }
+    await checkReferral(formKey, formData);
+
+    let result;
+    try {
+        result = await sendSubmission(transport, formKey, formData, submissionId);
+    } catch (error) {
+        if (!(error instanceof SubmissionError)) throw error;
+
+        if (error.code === 'offline') {
+            error.submissionId = submissionId;
+            error.queued = await enqueueSubmission({ id: submissionId, formKey, formData });
+            throw error;
+        }
+        // A rejection is about the data itself, another transport would not help
+        if (!fallbackTransport || fallbackTransport === transport || error.code === 'rejected') throw error;
+        logger.warn(`Submission via "${transport}" failed (${error.code}), falling back to "${fallbackTransport}".`);
+        result = await sendSubmission(fallbackTransport, formKey, formData, submissionId);
+    }
+    // A referral takes one of the referrer's slots only once the submission was delivered
+    await redeemReferral(formKey, formData, submissionId);
+    return result;
+}
+
+/**
+ * Sends a submission with the named transport.
+ * @param {string} transport - Key in `submissionTransports`.
+ * @param {string} formKey - Key of the form.
+ * @param {FormData} formData - The data to send.
+ * @param {string} submissionId - Identifier that lets the server ignore duplicate deliveries.
+ * @returns {Promise<{transport: string, response: object, submissionId: string}>}
+ */
+async function sendSubmission(transport, formKey, formData, submissionId) {
+    const send = submissionTransports[transport];
+    if (!send) {
+        throw new SubmissionError('unsupported', `Unknown submission transport "${transport}".`);
+    }
+    logger.debug(`Sending "${formKey}" form via ${transport}...`);
+    const response = await send(formKey, formData, submissionId);
+    return { transport, response, submissionId };
+}
+
+/**
+ * Fetch transport: POSTs the form to its endpoint, retrying timeouts, network and server errors
+ * with exponential backoff.
+ * @param {string} formKey - Key of the form.
+ * @param {FormData} formData - The data to send.
+ * @param {string} submissionId - Sent as the Idempotency-Key header.
+ * @returns {Promise<object>} - The parsed JSON response (an empty object if there is none).
+ */
+async function sendWithFetch(formKey, formData, submissionId) {
+    const endpoint = config.submission.endpoints[formKey];
+    if (!endpoint) {
+        throw new SubmissionError('unsupported', `No submission endpoint configured for "${formKey}".`);
+    }
+    const { body, headers } = buildSubmissionPayload(formKey, formData, submissionId);
+
+    for (let attempt = 0; ; attempt++) {
+        if (!navigator.onLine) {
+            throw new SubmissionError('offline', 'The browser is offline.');
+        }
+        try {
+            return await postSubmission(endpoint, body, headers);
+        } catch (error) {
+            if (!error.retryable || attempt >= config.submission.retries) throw error;
+            const retryDelay = config.submission.retryDelay * 2 ** attempt;
+            logger.warn(`Submission attempt ${attempt + 1} failed (${error.code}), retrying in ${retryDelay} ms.`);
+            await wait(retryDelay);
+        }
+    }
+}
+
+/**
+ * Performs a single POST request and maps failures to SubmissionError codes.
+ * @param {string} endpoint - The URL to send to.
+ * @param {string|FormData} body - The request body.
+ * @param {object} headers - The request headers.
+ * @returns {Promise<object>} - The parsed JSON response.
+ */
+async function postSubmission(endpoint, body, headers) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), config.submission.timeout);
+
+    try {
+        const response = await fetch(endpoint, {
+            method: 'POST',
+            headers,
+            body,
+            credentials: 'same-origin',
+            signal: controller.signal,
+        });
+        const data = await readJsonResponse(response);
+        if (response.ok) return data || {};
+
+        const details = { status: response.status, response: data };
+        if (response.status === 413) {
+            throw new SubmissionError('too_large', 'Payload too large.', details);
+        }
+        if (response.status === 408 || response.status === 429 || response.status >= 500) {
+            throw new SubmissionError('server', `Server responded with ${response.status}.`, details);
+        }
+        throw new SubmissionError('rejected', `Server rejected the submission (${response.status}).`, details);
+    } catch (error) {
+        if (error instanceof SubmissionError) throw error;
+        if (error.name === 'AbortError') {
+            throw new SubmissionError('timeout', `No response within ${config.submission.timeout} ms.`);
+        }
+        // fetch rejects with a TypeError when the request never reached the server
+        throw new SubmissionError(navigator.onLine ? 'network' : 'offline', error.message);
+    } finally {
+        clearTimeout(timeoutId);
+    }
+}
+
+/**
+ * Reads a response body as JSON.
+ * @param {Response} response - The fetch response.
+ * @returns {Promise<object|null>} - The parsed body, or null if it is empty or not JSON.
+ */
+async function readJsonResponse(response) {
+    const text = await response.text();
+    if (!text) return null;
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        logger.warn("Response is not valid JSON.");
+        return null;
+    }
+}
+
+/**
+ * Builds the request body: JSON by default, multipart when configured or when files are attached.
+ * @param {string} formKey - Key of the form.
+ * @param {FormData} formData - The form data.
+ * @param {string} submissionId - Identifier of the submission.
+ * @returns {{body: string|FormData, headers: object}}
+ */
+function buildSubmissionPayload(formKey, formData, submissionId) {
+    const headers = { 'Accept': 'application/json', 'Accept-Language': currentLanguage, 'Idempotency-Key': submissionId };
+    // Empty file inputs still contribute a nameless, zero-byte File
+    const entries = Array.from(formData.entries())
+        .filter(([, value]) => !(value instanceof File) || value.name !== '' || value.size > 0);
+    const hasFiles = entries.some(([, value]) => value instanceof File);
+
+    if (config.submission.format === 'multipart' || hasFiles) {
+        const body = new FormData();
+        body.append('form', formKey);
+        body.append('submission_id', submissionId);
+        entries.forEach(([name, value]) => body.append(name, value));
+        // The browser sets the multipart Content-Type header including the boundary
+        return { body, headers };
+    }
+
+    const fields = {};
+    entries.forEach(([name, value]) => {
+        if (!(name in fields)) {
+            fields[name] = value;
+        } else {
+            fields[name] = [].concat(fields[name], value);
+        }
+    });
+    headers['Content-Type'] = 'application/json';
+    return { body: JSON.stringify({ form: formKey, submissionId, fields }), headers };
+}
+
+/**
+ * Mailto transport: opens the visitor's e-mail client with the form data as the message body.
+ * Files cannot be attached this way, so their names are listed for the visitor to attach manually.
+ * @param {string} formKey - Key of the form.
+ * @param {FormData} formData - The form data.
+ * @returns {Promise<object>} - Resolves with an empty response once the mail client was opened.
+ */
+async function sendWithMailto(formKey, formData) {
+    const formConfig = submissionForms[formKey] || {};
+    const form = formConfig.formSelector ? scopeRoot.querySelector(formConfig.formSelector) : null;
+    const lines = [];
+    const attachments = [];
+
+    for (let [name, value] of formData.entries()) {
+        if (value instanceof File) {
+            if (value.name) attachments.push(value.name);
+            continue;
+        }
+        // The consent record is evidence for the submission log, not part of the message
+        if (!value || name === config.consentSubmissionField) continue;
+        const field = form ? form.elements.namedItem(name) : null;
+        const label = form ? getFieldLabel(form, name) : name;
+        lines.push(`${label}: ${field && field.type === 'checkbox' ? t('common.yes') : value}`);
+    }
+    if (attachments.length > 0) {
+        lines.push('', t('submission.mailAttachments'), ...attachments.map(fileName => `- ${fileName}`));
+    }
+
+    const subject = t(formConfig.mailSubject || 'submission.mailSubject.default');
+    window.location.href = `mailto:${config.submission.mailtoAddress}`
+        + `?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(lines.join('\r\n'))}`;
+    return {};
+}
+
+/**
+ * Returns the user-facing message for a failed submission.
+ * @param {Error} error - The error thrown by submitForm.
+ * @returns {string}
+ */
+function getSubmissionErrorMessage(error) {
+    if (!(error instanceof SubmissionError)) {
+        logger.error("Unexpected submission error:", error);
+        return t(submissionErrorMessages.unsupported);
+    }
+    logger.warn(`Submission failed (${error.code}):`, error.message);
+    if (error.queued) return t(submissionErrorMessages.queued);
+    // The server may explain a rejection itself, e.g. which field is invalid
+    if (error.code === 'rejected' && error.response && typeof error.response.message === 'string') {
+        return error.response.message;
+    }
+    return t(submissionErrorMessages[error.code] || submissionErrorMessages.unsupported);
+}
+
+/**
+ * Resends queued submissions whenever the browser comes back online (and once on load).
+ * Queued submissions are encrypted with a non-extractable AES-GCM key and deleted once sent,
+ * rejected or older than config.submissionQueueMaxAgeDays.
+ */
+export function initSubmissionQueue() {
+    if (!canQueueSubmissions()) {
+        logger.warn("WebCrypto or IndexedDB not available, offline submissions will not be queued.");
+        return;
+    }
+
+    window.addEventListener('online', flushSubmissionQueue, { signal: getLifecycleSignal() });
+    flushSubmissionQueue();
+
+    logger.debug("Submission Queue initialized.");
+}
+
+/**
+ * Whether submissions can be queued: without encryption personal data is never stored.
+ * @returns {boolean}
+ */
+function canQueueSubmissions() {
+    return Boolean(window.crypto && window.crypto.subtle) && 'indexedDB' in window;
+}
+
+/**
+ * Stores a submission encrypted, so it can be sent once the browser is back online.
+ * Only submissions whose sender agreed to the processing of the data (the form's consent field) are stored.
+ * @param {{id: string, formKey: string, formData: FormData}} submission - The submission.
+ * @returns {Promise<boolean>} - Whether the submission was stored.
+ */
+async function enqueueSubmission({ id, formKey, formData }) {
+    const { consentField } = submissionForms[formKey] || {};
+    if (!canQueueSubmissions() || !consentField || !formData.get(consentField)) {
+        logger.debug(`Submission "${id}" not queued: no encryption or no consent to store it.`);
+        return false;
+    }
+    try {
+        const key = await getEncryptionKey(config.submissionQueueStore, true);
+        const queuedAt = Date.now();
+        const item = {
+            id,
+            formKey,
+            queuedAt,
+            expiresAt: queuedAt + config.submissionQueueMaxAgeDays * 24 * 60 * 60 * 1000,
+            ...await encryptFormData(key, formData),
+        };
+        await withObjectStore(config.submissionQueueStore, 'readwrite', store => store.put(item));
+        logger.debug(`Submission "${id}" queued until the browser is back online.`);
+        return true;
+    } catch (error) {
+        logger.warn("Could not queue the submission:", error.message);
+        return false;
+    }
+}
+
+/**
+ * Encrypts form data with AES-GCM: the fields (with the file names) as JSON, each file's contents separately.
+ * @param {CryptoKey} key - The queue key.
+ * @param {FormData} formData - The data.
+ * @returns {Promise<{iv: Uint8Array, data: ArrayBuffer, files: Array<{iv: Uint8Array, data: ArrayBuffer}>}>}
+ */
+async function encryptFormData(key, formData) {
+    const encrypt = async (plaintext) => {
+        const iv = window.crypto.getRandomValues(new Uint8Array(12));
+        return { iv, data: await window.crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, plaintext) };
+    };
+    const files = [];
+    const entries = [];
+    for (const [name, value] of formData.entries()) {
+        if (typeof value === 'string') {
+            entries.push([name, value]);
+        } else {
+            files.push(await encrypt(await value.arrayBuffer()));
+            entries.push([name, { file: files.length - 1, name: value.name, type: value.type, lastModified: value.lastModified }]);
+        }
+    }
+    return { ...await encrypt(new TextEncoder().encode(JSON.stringify(entries))), files };
+}
+
+/**
+ * Decrypts form data stored by encryptFormData().
+ * @param {CryptoKey} key - The queue key.
+ * @param {{iv: Uint8Array, data: ArrayBuffer, files: Array}} item - The queued submission.
+ * @returns {Promise<FormData>}
+ */
+async function decryptFormData(key, item) {
+    const decrypt = ({ iv, data }) => window.crypto.subtle.decrypt({ name: 'AES-GCM', iv }, key, data);
+    const entries = JSON.parse(new TextDecoder().decode(await decrypt(item)));
+    const formData = new FormData();
+    for (const [name, value] of entries) {
+        if (typeof value === 'string') {
+            formData.append(name, value);
+        } else {
+            const contents = await decrypt(item.files[value.file]);
+            formData.append(name, new File([contents], value.name, { type: value.type, lastModified: value.lastModified }));
+        }
+    }
+    return formData;
+}
+
+/**
+ * Sends all queued submissions over the fetch transport. Submissions that still fail with a
+ * retryable error stay queued; rejected, expired and unreadable ones are dropped.
+ */
+async function flushSubmissionQueue() {
+    if (isFlushingSubmissionQueue || !navigator.onLine) return;
+    isFlushingSubmissionQueue = true;
+
+    try {
+        const items = await withObjectStore(config.submissionQueueStore, 'readonly', store => store.getAll());
+        const key = items.length > 0 ? await getEncryptionKey(config.submissionQueueStore, false) : null;
+        for (const item of items) {
+            const remove = () => withObjectStore(config.submissionQueueStore, 'readwrite', store => store.delete(item.id));
+
+            let formData;
+            try {
+                if (!(item.expiresAt > Date.now())) {
+                    throw new Error('it has expired');
+                }
+                if (!key || !item.iv) {
+                    throw new Error('it cannot be decrypted');
+                }
+                formData = await decryptFormData(key, item);
+            } catch (error) {
+                logger.info(`Discarding queued submission "${item.id}":`, error.message);
+                await remove();
+                continue;
+            }
+
+            let error = null;
+            try {
+                await sendWithFetch(item.formKey, formData, item.id);
+            } catch (sendError) {
+                if (sendError.code === 'offline') break;
+                if (sendError.retryable) continue;
+                error = sendError;
+            }
+
+            await remove();
+            if (!error) {
+                await redeemReferral(item.formKey, formData, item.id);
+            }
+            notifyQueuedSubmission(item, error);
+        }
+    } catch (error) {
+        logger.warn("Could not process the submission queue:", error.message);
+    } finally {
+        isFlushingSubmissionQueue = false;
+    }
+}
+
+/**
+ * Tells the visitor (if the form is still on the page) what happened to a queued submission
+ * and dispatches a `submissionsent` event on the form when it was delivered.
+ * @param {object} item - The queued submission.
+ * @param {SubmissionError|null} error - The final error, or null when it was delivered.
+ */
+function notifyQueuedSubmission(item, error) {
+    const formConfig = submissionForms[item.formKey] || {};
+    const form = formConfig.formSelector ? scopeRoot.querySelector(formConfig.formSelector) : null;
+    const messageArea = formConfig.messageSelector ? scopeRoot.querySelector(formConfig.messageSelector) : null;
+
+    if (error) {
+        emitFunnelEvent('form_failed', { form: item.formKey, reason: error.code, queued: true });
+        emitLifecycleEvent(`${item.formKey}:failed`, { code: error.code, queued: true });
+        displayFormMessage(messageArea, t('submission.queuedFailed', { reason: getSubmissionErrorMessage(error) }), 'error');
+        return;
+    }
+    logger.debug(`Queued submission "${item.id}" sent.`);
+    emitFunnelEvent('form_submitted', { form: item.formKey, transport: 'fetch', queued: true });
+    emitLifecycleEvent(`${item.formKey}:submitted`, { id: item.id, queued: true });
+    displayFormMessage(messageArea, t('submission.queuedSent'), 'success');
+    if (form) {
+        form.dispatchEvent(new CustomEvent('submissionsent', { detail: { id: item.id } }));
+    }
+}
+
+/**
+ * Creates a unique identifier for a submission.
+ * @returns {string}
+ */
+function createSubmissionId() {
+    // randomUUID is only available in secure contexts
+    if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+        return window.crypto.randomUUID();
+    }
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+/**
+ * -------------------------------------
+ * Referrals
+ * -------------------------------------
+ * We only take clients by referral, and each client may refer config.referral.maxReferrals people.
+ * Codes are 7 random characters plus a check character (Luhn mod 32), written "XXXX-XXXX".
+ *
+ * The cap has to be counted on the server, where every browser's referrals meet. A submission endpoint
+ * takes a slot of the code in the submission's referral field when the submission arrives, and rejects
+ * it with 409 once the code is used up, so attempts that never arrive take no slot and queued
+ * submissions take theirs when they are flushed. The referral API at config.referral.endpoint
+ * (implemented by dev/mock-server.js):
+ *   POST <endpoint> {submissionId}                      -> 200 {code, max, remaining} of the client who sent it
+ *   GET  <endpoint>/<code>                              -> 200 {max, remaining}; 404 for codes that were not issued
+ *   POST <endpoint>/<code>/redemptions {submissionId}   -> 200 {accepted: true, max, remaining} for a received
+ *                                                          submission (counted once, however often it is called);
+ *                                                          409 {accepted: false, max, remaining} once used up;
+ *                                                          404 for submissions the server did not receive
+ */
+
+// Characters of referral codes: without 0, 1, I and O, which are easily mistaken for each other
+const referralCodeAlphabet = '23456789ABCDEFGHJKLMNPQRSTUVWXYZ';
+const referralCodeExample = '7KQM-3XPV';
+
+/**
+ * Referral backends by key (config.referral.backend). Each factory returns an object with:
+ * - issue(submissionId): Promise<{code, max, remaining}> – the code of the client who sent the submission,
+ * - getStatus(code): Promise<{max, remaining}> – the free referral slots of a code,
+ * - redeem(code, submissionId): Promise<{accepted, max, remaining}> – takes a slot for a delivered submission
+ *   (a repeated call for the same submission takes no further slot).
+ */
+const referralBackends = {
+    http: createHttpReferralBackend,
+    local: createLocalReferralBackend,
+};
+
+let referralBackend = null;
+// Last known slots of looked-up codes, used by the 'referral' validation rule
+const referralStatuses = new Map();
+
+/**
+ * Wires the referral code fields (prefilled from ?ref=CODE links) and shows the client's own code
+ * in the settle confirmation once the submission was delivered.
+ */
+export function initReferrals() {
+    const fields = Array.from(scopeRoot.querySelectorAll(config.referralFieldSelector));
+    const issued = scopeRoot.querySelector(config.referralIssuedSelector);
+    if (fields.length === 0 && !issued) {
+        logger.warn("Referral elements not found.");
+        return;
+    }
+
+    fields.forEach(field => {
+        const group = field.closest('.form-group');
+        const status = group ? group.querySelector('[data-referral-status]') : null;
+        field.addEventListener('change', () => updateReferralStatus(field, status), { signal: getLifecycleSignal() });
+        if (status && field.form) {
+            field.form.addEventListener('reset', () => {
+                status.textContent = '';
+                status.classList.remove('form-hint--error');
+            }, { signal: getLifecycleSignal() });
+        }
+    });
+
+    const linkCode = new URLSearchParams(window.location.search).get(config.referral.urlParameter);
+    if (linkCode) {
+        const code = normalizeReferralCode(linkCode);
+        if (code) {
+            fields.filter(field => !field.value).forEach(field => {
+                field.value = code;
+                field.dispatchEvent(new Event('change', { bubbles: true }));
+            });
+        } else {
+            logger.warn("Ignoring the invalid referral code of the link:", linkCode);
+        }
+    }
+
+    const settleForm = scopeRoot.querySelector(config.settleFormSelector);
+    if (issued && settleForm) {
+        let referral = null;
+        const message = issued.querySelector('[data-referral-message]');
+        const render = () => {
+            const link = new URL(window.location.href);
+            link.search = '';
+            link.hash = '';
+            link.searchParams.set(config.referral.urlParameter, referral.code);
+            issued.querySelector('[data-referral-code]').textContent = referral.code;
+            issued.querySelector('[data-referral-link]').value = link.href;
+            issued.querySelector('[data-referral-slots]').textContent = t('referral.issued.slots', referral);
+        };
+
+        // Queued submissions get their code once they were actually sent
+        settleForm.addEventListener('submissionsent', async (event) => {
+            try {
+                referral = await getReferralBackend().issue(event.detail && event.detail.id);
+            } catch (error) {
+                logger.warn("No referral code could be issued:", error);
+                return;
+            }
+            render();
+            issued.hidden = false;
+        }, { signal: getLifecycleSignal() });
+
+        issued.addEventListener('click', async (event) => {
+            if (!event.target.closest('[data-referral-copy]')) return;
+            const link = issued.querySelector('[data-referral-link]');
+            try {
+                await navigator.clipboard.writeText(link.value);
+                message.textContent = t('referral.issued.copied');
+            } catch (error) {
+                // Without clipboard access the link is selected for copying by hand
+                link.select();
+                message.textContent = t('referral.issued.copyManually');
+            }
+        }, { signal: getLifecycleSignal() });
+
+        onLanguageChange(() => {
+            if (referral) render();
+            message.textContent = '';
+        });
+    }
+
+    logger.debug("Referrals initialized.");
+}
+
+/**
+ * Looks up the free slots of the code in a referral field and describes them below the field.
+ * @param {HTMLInputElement} field - The referral code field.
+ * @param {HTMLElement|null} status - The status line of the field.
+ */
+async function updateReferralStatus(field, status) {
+    const code = normalizeReferralCode(field.value);
+    if (status) {
+        status.textContent = '';
+        status.classList.remove('form-hint--error');
+    }
+    // Malformed codes are reported by the validation rule
+    if (!code) return;
+
+    let result;
+    try {
+        result = await getReferralBackend().getStatus(code);
+    } catch (error) {
+        logger.warn("Referral code could not be checked:", error);
+        return;
+    }
+    referralStatuses.set(code, result);
+    if (!status || normalizeReferralCode(field.value) !== code) return;
+    const isFull = result.remaining <= 0;
+    status.textContent = isFull ? t('validation.referralFull', result) : t('referral.status', result);
+    status.classList.toggle('form-hint--error', isFull);
+}
+
+/**
+ * Checks that the referral code entered in a form has a free slot and adds the normalized code to the
+ * submission. No slot is taken yet (see redeemReferral). Backend failures do not block the submission;
+ * the server counts the code when the submission arrives.
+ * @param {string} formKey - Key of the form in `submissionForms`.
+ * @param {FormData} formData - The data to send.
+ * @throws {SubmissionError} - 'rejected' when the referrer has no slots left.
+ */
+async function checkReferral(formKey, formData) {
+    const { referralField } = submissionForms[formKey] || {};
+    const code = referralField ? normalizeReferralCode(formData.get(referralField)) : null;
+    if (!code) return;
+    formData.set(referralField, code);
+
+    let result;
+    try {
+        result = await getReferralBackend().getStatus(code);
+    } catch (error) {
+        logger.warn("Referral code could not be checked:", error);
+        return;
+    }
+    referralStatuses.set(code, result);
+    if (result.remaining <= 0) {
+        throw new SubmissionError('rejected', `Referral code ${code} has no slots left.`, {
+            response: { message: t('validation.referralFull', result) },
+        });
+    }
+}
+
+/**
+ * Takes a referral slot for the code of a delivered submission, sent directly or from the queue.
+ * Failures are only logged: the submission is already out, and the server counted it on arrival.
+ * @param {string} formKey - Key of the form in `submissionForms`.
+ * @param {FormData} formData - The delivered data.
+ * @param {string} submissionId - Identifier of the submission (redeeming it again takes no further slot).
+ */
+async function redeemReferral(formKey, formData, submissionId) {
+    const { referralField } = submissionForms[formKey] || {};
+    const code = referralField ? normalizeReferralCode(formData.get(referralField)) : null;
+    if (!code) return;
+
+    try {
+        const result = await getReferralBackend().redeem(code, submissionId);
+        referralStatuses.set(code, result);
+        if (!result.accepted) {
+            logger.warn(`Submission "${submissionId}" was delivered after referral code ${code} ran out of slots.`);
+        }
+    } catch (error) {
+        logger.warn("Referral could not be registered:", error);
+    }
+}
+
+/**
+ * Returns the configured referral backend (created on first use).
+ * @returns {object} - The backend (see `referralBackends`).
+ */
+function getReferralBackend() {
+    if (!referralBackend) {
+        const createBackend = referralBackends[config.referral.backend];
+        if (!createBackend) {
+            throw new Error(`Unknown referral backend "${config.referral.backend}".`);
+        }
+        referralBackend = createBackend();
+    }
+    return referralBackend;
+}
+
+/**
+ * Referral backend calling the referral API at config.referral.endpoint.
+ * @returns {object} - The backend.
+ */
+function createHttpReferralBackend() {
+    const request = async (method, path, body) => {
+        if (!navigator.onLine) {
+            throw new Error('The browser is offline.');
+        }
+        const headers = { 'Accept': 'application/json', 'Accept-Language': currentLanguage };
+        if (body) headers['Content-Type'] = 'application/json';
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), config.referral.timeout);
+
+        try {
+            const response = await fetch(config.referral.endpoint + path, {
+                method,
+                headers,
+                body: body ? JSON.stringify(body) : undefined,
+                credentials: 'same-origin',
+                signal: controller.signal,
+            });
+            const data = await readJsonResponse(response);
+            // A used-up code is answered with 409 and its slots
+            if ((response.ok || response.status === 409) && data) return data;
+            throw new Error(`Server responded with ${response.status}.`);
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                throw new Error(`No response within ${config.referral.timeout} ms.`);
+            }
+            throw error;
+        } finally {
+            clearTimeout(timeoutId);
+        }
+    };
+    const slots = (data) => ({ max: Number(data.max), remaining: Number(data.remaining) });
+    const codePath = (code) => `/${encodeURIComponent(code)}`;
+
+    return {
+        issue: async (submissionId) => {
+            const data = await request('POST', '', { submissionId });
+            const code = normalizeReferralCode(data.code);
+            if (!code) {
+                throw new Error(`The server issued the invalid referral code "${data.code}".`);
+            }
+            return { code, ...slots(data) };
+        },
+        getStatus: async (code) => slots(await request('GET', codePath(code))),
+        redeem: async (code, submissionId) => {
+            const data = await request('POST', `${codePath(code)}/redemptions`, { submissionId });
+            return { accepted: data.accepted === true, ...slots(data) };
+        },
+    };
+}
+
+/**
+ * Demo referral backend (set config.referral.backend to 'local'): keeps codes and referrals in the memory
+ * of one page, so every reload and every other browser starts from zero and the cap is not enforced.
+ * Codes it did not issue count as unused. Not for production.
+ * @returns {object} - The backend.
+ */
+function createLocalReferralBackend() {
+    const max = config.referral.maxReferrals;
+    // Submission ids that used each code, and the code issued for each submission
+    const referrals = new Map();
+    const issuedCodes = new Map();
+    const getStatus = (code) => ({ max, remaining: Math.max(0, max - (referrals.has(code) ? referrals.get(code).size : 0)) });
+
+    return {
+        issue: async (submissionId) => {
+            if (!issuedCodes.has(submissionId)) {
+                issuedCodes.set(submissionId, createReferralCode());
+            }
+            const code = issuedCodes.get(submissionId);
+            return { code, ...getStatus(code) };
+        },
+        getStatus: async (code) => getStatus(code),
+        redeem: async (code, submissionId) => {
+            const used = referrals.get(code) || new Set();
+            const accepted = used.has(submissionId) || used.size < max;
+            if (accepted) {
+                used.add(submissionId);
+                referrals.set(code, used);
+            }
+            return { accepted, ...getStatus(code) };
+        },
+    };
+}
+
+/**
+ * Creates a random referral code.
+ * @returns {string} - The code ("XXXX-XXXX").
+ */
+function createReferralCode() {
+    // 256 is a multiple of the 32 characters, so every character is equally likely
+    const payload = Array.from(window.crypto.getRandomValues(new Uint8Array(7)), byte => referralCodeAlphabet[byte % referralCodeAlphabet.length]).join('');
+    const characters = payload + getReferralCheckCharacter(payload);
+    return `${characters.slice(0, 4)}-${characters.slice(4)}`;
+}
+
+/**
+ * Normalizes a referral code and verifies its check character.
+ * @param {string} value - The entered code (any case, with or without spaces and hyphen).
+ * @returns {string|null} - The code as "XXXX-XXXX", or null if it is not a valid code.
+ */
+function normalizeReferralCode(value) {
+    const characters = String(value || '').toUpperCase().replace(/[\s-]/g, '');
+    if (!/^[2-9A-HJ-NP-Z]{8}$/.test(characters) || getReferralCheckCharacter(characters.slice(0, 7)) !== characters[7]) {
+        return null;
+    }
+    return `${characters.slice(0, 4)}-${characters.slice(4)}`;
+}
+
+/**
+ * Computes the check character of a referral code (Luhn mod N): it catches every mistyped
+ * character and most swaps of neighbouring characters.
+ * @param {string} payload - The first 7 characters of the code.
+ * @returns {string} - The check character.
+ */
+function getReferralCheckCharacter(payload) {
+    const base = referralCodeAlphabet.length;
+    const sum = Array.from(payload).reverse().reduce((total, char, index) => {
+        const value = referralCodeAlphabet.indexOf(char) * (index % 2 === 0 ? 2 : 1);
+        return total + Math.floor(value / base) + (value % base);
+    }, 0);
+    return referralCodeAlphabet[(base - (sum % base)) % base];
+}
+
+/**
+ * -------------------------------------
+ * Case Status
+ * -------------------------------------
+ * Clients look up the stage of their submitted settlement with the case reference and their date of
+ * birth, or a one-time code we send them (e.g. when the spouse submitted the case).
+ *
+ * JSON API (config.caseStatus.endpoint, served by `node dev/mock-server.js` for development):
+ *   POST { "reference": "GT-…", "birthDate": "YYYY-MM-DD" } or { "reference": "GT-…", "code": "123456" }
+ *   200  { "reference": "GT-…", "updatedAt": "<ISO 8601 date-time>",
+ *          "stages": [{ "key": "<key of caseStatusStages>", "date": "YYYY-MM-DD" | null }],
+ *          "missingDocuments": [{ "category": "<key of caseStatusDocuments>", "note": "<optional text>" }] }
+ *        Stages without a date were not reached yet; unknown stage and document keys are ignored / shown as "other".
+ *   404  no case matches the reference and date of birth / code (the API does not tell which one is wrong)
+ *   429  too many failed attempts for the reference; the client should try again later
+ */
+
+// Stages of a case, in the order they are reached
+const caseStatusStages = ['received', 'documentsComplete', 'filed', 'assessed', 'refundPaid'];
+// Documents the office may ask for (the upload categories of the settle form and a few more)
+const caseStatusDocuments = ['lohnsteuerbescheinigung', 'commute', 'double_household', 'eu_certificate', 'id_document', 'bank_account', 'other'];
+
+// Translation keys of the user-facing message for each CaseStatusError code
+const caseStatusErrorMessages = {
+    not_found: 'caseStatus.error.notFound',
+    rate_limited: 'caseStatus.error.rateLimited',
+    offline: 'submission.error.offline',
+    timeout: 'caseStatus.error.unavailable',
+    network: 'caseStatus.error.unavailable',
+    server: 'caseStatus.error.unavailable',
+};
+
+/**
+ * Case status clients by key (config.caseStatus.client). Each factory returns an object with:
+ * - lookup({reference, birthDate} | {reference, code}): Promise<object> – the case as described by
+ *   normalizeCaseStatus(); rejects with a CaseStatusError.
+ */
+const caseStatusClients = {
+    http: createHttpCaseStatusClient,
+    local: createLocalCaseStatusClient,
+};
+
+let caseStatusClient = null;
+
+/**
+ * Error raised when the status of a case could not be looked up.
+ * `code` is one of 'not_found', 'rate_limited', 'offline', 'timeout', 'network' or 'server'.
+ */
+class CaseStatusError extends Error {
+    /**
+     * @param {string} code - Machine-readable error code.
+     * @param {string} message - Technical description (logged to the console).
+     */
+    constructor(code, message) {
+        super(message);
+        this.name = 'CaseStatusError';
+        this.code = code;
+    }
+}
+
+/**
+ * Handles the case status lookup: validates the reference and the date of birth or one-time code,
+ * asks the configured client and shows the timeline of the case and the documents still missing.
+ */
+export function initCaseStatus() {
+    const form = scopeRoot.querySelector(config.caseStatusFormSelector);
+    const resultPanel = scopeRoot.querySelector(config.caseStatusResultSelector);
+    const messageArea = scopeRoot.querySelector(config.caseStatusMessageSelector);
+
+    if (!form || !resultPanel || !messageArea) {
+        logger.warn("Case status elements not found.");
+        return;
+    }
+
+    const validator = createFormValidator(form, null);
+    initSettleSubforms(form, validator);
+    let status = null;
+
+    form.addEventListener('submit', async (event) => {
+        event.preventDefault();
+        if (!validator.validate()) {
+            clearFormMessage(messageArea);
+            return;
+        }
+
+        const value = (name) => form.elements.namedItem(name).value.trim();
+        const credentials = form.elements.namedItem('case_verification').value === 'code'
+            ? { reference: value('case_reference'), code: value('case_code') }
+            : { reference: value('case_reference'), birthDate: value('case_birth_date') };
+        const submitButton = form.querySelector('button[type="submit"]');
+
+        displayFormMessage(messageArea, t('caseStatus.loading'), 'processing');
+        submitButton.disabled = true;
+        try {
+            status = await getCaseStatusClient().lookup(credentials);
+            clearFormMessage(messageArea);
+            renderCaseStatus(resultPanel, status);
+            resultPanel.hidden = false;
+            resultPanel.focus();
+        } catch (error) {
+            status = null;
+            resultPanel.hidden = true;
+            displayFormMessage(messageArea, getCaseStatusErrorMessage(error), 'error');
+        } finally {
+            submitButton.disabled = false;
+        }
+    }, { signal: getLifecycleSignal() });
+
+    onLanguageChange(() => {
+        if (status) renderCaseStatus(resultPanel, status);
+    });
+
+    logger.debug("Case Status initialized.");
+}
+
+/**
+ * Returns the configured case status client (created on first use).
+ * @returns {object} - The client (see `caseStatusClients`).
+ */
+function getCaseStatusClient() {
+    if (!caseStatusClient) {
+        const createClient = caseStatusClients[config.caseStatus.client];
+        if (!createClient) {
+            throw new Error(`Unknown case status client "${config.caseStatus.client}".`);
+        }
+        caseStatusClient = createClient();
+    }
+    return caseStatusClient;
+}
+
+/**
+ * Case status client calling the JSON API at config.caseStatus.endpoint.
+ * @returns {object} - The client.
+ */
+function createHttpCaseStatusClient() {
+    return {
+        lookup: async (credentials) => {
+            if (!navigator.onLine) {
+                throw new CaseStatusError('offline', 'The browser is offline.');
+            }
+            const controller = new AbortController();
+            const timeoutId = setTimeout(() => controller.abort(), config.caseStatus.timeout);
+
+            try {
+                const response = await fetch(config.caseStatus.endpoint, {
+                    method: 'POST',
+                    headers: { 'Accept': 'application/json', 'Accept-Language': currentLanguage, 'Content-Type': 'application/json' },
+                    body: JSON.stringify(credentials),
+                    credentials: 'same-origin',
+                    signal: controller.signal,
+                });
+                const data = await readJsonResponse(response);
+                if (response.ok && data) return normalizeCaseStatus(data);
+                if (response.status === 404) {
+                    throw new CaseStatusError('not_found', 'No case matches the reference and verification.');
+                }
+                if (response.status === 429) {
+                    throw new CaseStatusError('rate_limited', 'Too many failed case status lookups.');
+                }
+                throw new CaseStatusError('server', `Server responded with ${response.status}.`);
+            } catch (error) {
+                if (error instanceof CaseStatusError) throw error;
+                if (error.name === 'AbortError') {
+                    throw new CaseStatusError('timeout', `No response within ${config.caseStatus.timeout} ms.`);
+                }
+                throw new CaseStatusError(navigator.onLine ? 'network' : 'offline', error.message);
+            } finally {
+                clearTimeout(timeoutId);
+            }
+        },
+    };
+}
+
+/**
+ * Case status client answering from sample cases in memory, for development and tests
+ * (set config.caseStatus.client to 'local'). Uses the same response format as the API.
+ * @returns {object} - The client.
+ */
+function createLocalCaseStatusClient() {
+    const cases = [
+        {
+            reference: 'GT-DEMO2025',
+            birthDate: '1985-04-12',
+            code: '246810',
+            updatedAt: '2026-03-18T09:30:00Z',
+            stages: [
+                { key: 'received', date: '2026-03-02' },
+                { key: 'documentsComplete', date: null },
+                { key: 'filed', date: null },
+                { key: 'assessed', date: null },
+                { key: 'refundPaid', date: null },
+            ],
+            missingDocuments: [
+                { category: 'lohnsteuerbescheinigung' },
+                { category: 'commute', note: 'Zaświadczenie pracodawcy o liczbie dni pracy w 2025 r.' },
+            ],
+        },
+        {
+            reference: 'GT-DEMO2024',
+            birthDate: '1979-11-30',
+            code: '135790',
+            updatedAt: '2025-09-04T14:05:00Z',
+            stages: [
+                { key: 'received', date: '2025-03-11' },
+                { key: 'documentsComplete', date: '2025-03-20' },
+                { key: 'filed', date: '2025-04-02' },
+                { key: 'assessed', date: '2025-08-22' },
+                { key: 'refundPaid', date: '2025-09-04' },
+            ],
+            missingDocuments: [],
+        },
+    ];
+
+    return {
+        lookup: async ({ reference, birthDate, code }) => {
+            const match = cases.find(item => item.reference === reference &&
+                (code ? item.code === code : item.birthDate === birthDate));
+            if (!match) {
+                throw new CaseStatusError('not_found', 'No case matches the reference and verification.');
+            }
+            return normalizeCaseStatus(match);
+        },
+    };
+}
+
+/**
+ * Converts a case status response into the form used for rendering.
+ * @param {object} data - The response body (see the API above).
+ * @returns {{reference: string, updatedAt: Date|null, stages: Array<{key: string, date: Date|null}>, missingDocuments: Array<{category: string, note: string}>}}
+ *   One entry per stage of caseStatusStages, in their order.
+ */
+function normalizeCaseStatus(data) {
+    const parseDate = (value) => {
+        const date = typeof value === 'string' ? new Date(/^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T00:00:00` : value) : null;
+        return date && !Number.isNaN(date.getTime()) ? date : null;
+    };
+    const stages = Array.isArray(data.stages) ? data.stages : [];
+    const documents = Array.isArray(data.missingDocuments) ? data.missingDocuments : [];
+
+    return {
+        reference: String(data.reference || ''),
+        updatedAt: parseDate(data.updatedAt),
+        stages: caseStatusStages.map(key => {
+            const stage = stages.find(item => item && item.key === key);
+            return { key, date: stage ? parseDate(stage.date) : null };
+        }),
+        missingDocuments: documents.filter(Boolean).map(item => ({
+            category: caseStatusDocuments.includes(item.category) ? item.category : 'other',
+            note: typeof item.note === 'string' ? item.note : '',
+        })),
+    };
+}
+
+/**
+ * Renders the timeline and the missing documents of a case.
+ * The latest reached stage is the current one; later stages are still pending.
+ * @param {HTMLElement} panel - The result panel.
+ * @param {object} status - The result of normalizeCaseStatus().
+ */
+function renderCaseStatus(panel, status) {
+    const meta = panel.querySelector('[data-case-status-meta]');
+    const timeline = panel.querySelector('[data-case-status-timeline]');
+    const documentsBlock = panel.querySelector('[data-case-status-documents]');
+    const documentList = documentsBlock.querySelector('ul');
+    const currentIndex = status.stages.reduce((current, stage, index) => (stage.date ? index : current), -1);
+
+    meta.textContent = '';
+    appendDescriptionRows(meta, [
+        [t('confirmation.reference'), status.reference],
+        [t('caseStatus.updatedAt'), status.updatedAt ? formatDateTime(status.updatedAt) : '–'],
+    ]);
+
+    timeline.textContent = '';
+    status.stages.forEach((stage, index) => {
+        const state = index < currentIndex ? 'done' : (index === currentIndex ? 'current' : 'pending');
+        const item = document.createElement('li');
+        item.className = 'case-timeline-step';
+        item.dataset.state = state;
+        if (state === 'current') {
+            item.setAttribute('aria-current', 'step');
+        }
+        const title = document.createElement('span');
+        title.className = 'case-timeline-title';
+        title.textContent = t(`caseStatus.stage.${stage.key}`);
+        const date = document.createElement('span');
+        date.className = 'case-timeline-date';
+        date.textContent = stage.date ? formatDate(stage.date) : t('caseStatus.pending');
+        item.append(title, date);
+        timeline.appendChild(item);
+    });
+
+    documentList.textContent = '';
+    status.missingDocuments.forEach(({ category, note }) => {
+        const item = document.createElement('li');
+        item.textContent = note
+            ? t('caseStatus.document.withNote', { document: t(`caseStatus.document.${category}`), note })
+            : t(`caseStatus.document.${category}`);
+        documentList.appendChild(item);
+    });
+    documentsBlock.hidden = status.missingDocuments.length === 0;
+}
+
+/**
+ * Maps a case status lookup error to a user-facing message.
+ * @param {Error} error - The error of the lookup.
+ * @returns {string}
+ */
+function getCaseStatusErrorMessage(error) {
+    if (!(error instanceof CaseStatusError)) {
+        logger.error("Unexpected case status error:", error);
+        return t('caseStatus.error.unavailable');
+    }
+    logger.warn(`Case status lookup failed (${error.code}):`, error.message);
+    return t(caseStatusErrorMessages[error.code] || 'caseStatus.error.unavailable');
+}
+
+/**
+ * -------------------------------------
+ * Callback Scheduler
+ * -------------------------------------
+ * The contact and settle forms let the client pick a slot for our phone call. Slots are generated from
+ * config.callback in the office time zone – office hours only, without Polish public holidays – and
+ * are shown in the time zone the client picks (their own by default), e.g. for clients working in
+ * Ireland or the UK. The client can download a calendar invite of the chosen slot.
+ *
+ * Markup of a picker ([data-callback-picker]; `data-callback-phone` names the phone field that
+ * becomes required once a slot is chosen):
+ *   select[data-callback-zone]            time zone the slots are shown in (not submitted)
+ *   select[data-callback-day]             day of the slot (not submitted)
+ *   select[data-callback-slot]            submitted: start of the slot as an ISO 8601 UTC date-time
+ *   input[type=hidden][data-callback-text]  submitted: the slot in office time, readable for the office
+ *   [data-callback-note], button[data-callback-invite]
+ */
+
+// Intl formatters reading the wall-clock time of a time zone, by time zone
+const zonedTimeFormatters = new Map();
+
+/**
+ * Fills the callback slot pickers of the forms and keeps their submitted fields up to date.
+ */
+export function initCallbackPickers() {
+    const pickers = scopeRoot.querySelectorAll(config.callbackPickerSelector);
+    if (pickers.length === 0) {
+        logger.warn("Callback pickers not found.");
+        return;
+    }
+
+    pickers.forEach(initCallbackPicker);
+    logger.debug(`Callback pickers initialized (${pickers.length}).`);
+}
+
+/**
+ * Wires up one callback slot picker.
+ * @param {HTMLElement} picker - The picker element ([data-callback-picker]).
+ */
+function initCallbackPicker(picker) {
+    const form = picker.closest('form');
+    const zoneSelect = picker.querySelector('[data-callback-zone]');
+    const daySelect = picker.querySelector('[data-callback-day]');
+    const slotSelect = picker.querySelector('[data-callback-slot]');
+    if (!form || !zoneSelect || !daySelect || !slotSelect) {
+        logger.warn("Callback picker elements not found.");
+        return;
+    }
+
+    const textField = picker.querySelector('[data-callback-text]');
+    const note = picker.querySelector('[data-callback-note]');
+    const inviteButton = picker.querySelector('[data-callback-invite]');
+    const phoneField = picker.dataset.callbackPhone ? form.elements.namedItem(picker.dataset.callbackPhone) : null;
+    const phoneRequired = phoneField ? phoneField.required : false;
+    let slots = [];
+
+    const getSelectedSlot = () => slots.find(slot => slot.start.toISOString() === slotSelect.value) || null;
+    const formatRange = (slot, timeZone) => ({
+        from: formatInTimeZone(slot.start, timeZone, { hour: '2-digit', minute: '2-digit' }),
+        to: formatInTimeZone(slot.end, timeZone, { hour: '2-digit', minute: '2-digit' }),
+    });
+    const replaceOptions = (select, options) => {
+        const selected = select.value;
+        Array.from(select.options).filter(option => option.value !== '').forEach(option => option.remove());
+        options.forEach(([value, label]) => select.appendChild(new Option(label, value)));
+        select.value = options.some(([value]) => value === selected) ? selected : '';
+    };
+
+    const renderZones = () => {
+        const selected = zoneSelect.value || getVisitorTimeZone();
+        const zones = new Set([getVisitorTimeZone(), config.callback.officeTimeZone, ...config.callback.timeZones]);
+        zoneSelect.textContent = '';
+        zones.forEach(zone => zoneSelect.appendChild(new Option(formatTimeZoneName(zone), zone)));
+        zoneSelect.value = zones.has(selected) ? selected : getVisitorTimeZone();
+    };
+
+    const update = () => {
+        const slot = getSelectedSlot();
+        const timeZone = zoneSelect.value;
+        if (textField) {
+            textField.value = slot ? describeCallbackSlot(slot, timeZone) : '';
+        }
+        if (phoneField) {
+            phoneField.required = phoneRequired || Boolean(slot);
+        }
+        if (inviteButton) {
+            inviteButton.hidden = !slot;
+        }
+        if (!note) return;
+
+        let text = slots.length === 0 ? t('callback.noSlots') : '';
+        if (slot) {
+            const range = formatRange(slot, timeZone);
+            const officeRange = formatRange(slot, config.callback.officeTimeZone);
+            text = t('callback.selected', { date: formatInTimeZone(slot.start, timeZone, { weekday: 'long', day: 'numeric', month: 'long' }), ...range });
+            if (range.from !== officeRange.from) {
+                text += ` ${t('callback.selected.office', officeRange)}`;
+            }
+        }
+        note.textContent = text;
+        note.hidden = !text;
+    };
+
+    const renderSlots = () => {
+        const timeZone = zoneSelect.value;
+        replaceOptions(slotSelect, slots
+            .filter(slot => daySelect.value && getZonedDateKey(slot.start, timeZone) === daySelect.value)
+            .map(slot => {
+                const { from, to } = formatRange(slot, timeZone);
+                return [slot.start.toISOString(), `${from}–${to}`];
+            }));
+        // A chosen day needs a time; without a day no call is scheduled
+        slotSelect.disabled = !daySelect.value;
+        slotSelect.required = Boolean(daySelect.value);
+        update();
+    };
+
+    const renderDays = () => {
+        const timeZone = zoneSelect.value;
+        const days = new Map();
+        slots = getCallbackSlots(new Date());
+        slots.forEach(slot => {
+            const key = getZonedDateKey(slot.start, timeZone);
+            if (!days.has(key)) {
+                days.set(key, formatInTimeZone(slot.start, timeZone, { weekday: 'long', day: '2-digit', month: '2-digit' }));
+            }
+        });
+        replaceOptions(daySelect, Array.from(days.entries()));
+        renderSlots();
+    };
+
+    zoneSelect.addEventListener('change', renderDays, { signal: getLifecycleSignal() });
+    daySelect.addEventListener('change', renderSlots, { signal: getLifecycleSignal() });
+    slotSelect.addEventListener('change', update, { signal: getLifecycleSignal() });
+    // Slots pass while the page stays open; drop them before the client picks one
+    picker.addEventListener('focusin', () => {
+        if (slots.length > 0 && !isCallbackSlotAvailable(slots[0].start, new Date())) {
+            renderDays();
+        }
+    }, { signal: getLifecycleSignal() });
+    // The reset event fires before the fields are reset
+    form.addEventListener('reset', () => setTimeout(renderDays), { signal: getLifecycleSignal() });
+
+    if (inviteButton) {
+        inviteButton.addEventListener('click', () => {
+            const slot = getSelectedSlot();
+            if (slot) {
+                downloadCallbackInvite(slot.start, phoneField ? phoneField.value.trim() : '');
+            }
+        }, { signal: getLifecycleSignal() });
+    }
+
+    onLanguageChange(() => {
+        renderZones();
+        renderDays();
+    });
+
+    renderZones();
+    renderDays();
+}
+
+/**
+ * Generates the callback slots of the next `config.callback.days` office days, skipping closed
+ * weekdays and public holidays; slots starting within `minLeadMinutes` are left out.
+ * @param {Date} now - The current date and time.
+ * @returns {Array<{start: Date, end: Date}>} - The slots in chronological order.
+ */
+function getCallbackSlots(now) {
+    const rules = config.callback;
+    const earliest = now.getTime() + rules.minLeadMinutes * 60000;
+    const today = getZonedDateParts(now, rules.officeTimeZone);
+    const slots = [];
+    let days = 0;
+
+    // Office dates are handled as UTC midnights, so that no browser time zone shifts them
+    for (let offset = 0; days < rules.days && offset < 366; offset++) {
+        const day = new Date(Date.UTC(today.year, today.month, today.day + offset));
+        const hours = rules.officeHours[day.getUTCDay()];
+        if (!hours || isPublicHoliday(day)) continue;
+
+        const [opening, closing] = hours.map(parseTimeOfDay);
+        const daySlots = [];
+        for (let minutes = opening; minutes + rules.slotMinutes <= closing; minutes += rules.slotMinutes) {
+            const start = zonedTimeToDate(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate(), minutes, rules.officeTimeZone);
+            if (start.getTime() >= earliest) {
+                daySlots.push({ start, end: new Date(start.getTime() + rules.slotMinutes * 60000) });
+            }
+        }
+        if (daySlots.length > 0) {
+            slots.push(...daySlots);
+            days++;
+        }
+    }
+    return slots;
+}
+
+/**
+ * Tells whether a slot start is still offered (used to reject slots that passed before submitting).
+ * @param {Date} start - The start of the slot.
+ * @param {Date} now - The current date and time.
+ * @returns {boolean}
+ */
+function isCallbackSlotAvailable(start, now) {
+    return getCallbackSlots(now).some(slot => slot.start.getTime() === start.getTime());
+}
+
+/**
+ * Tells whether an office date is a public holiday (config.callback: fixed dates and Easter-based feasts).
+ * @param {Date} day - The date as a UTC midnight.
+ * @returns {boolean}
+ */
+function isPublicHoliday(day) {
+    const rules = config.callback;
+    const year = day.getUTCFullYear();
+    const key = `${String(day.getUTCMonth() + 1).padStart(2, '0')}-${String(day.getUTCDate()).padStart(2, '0')}`;
+    if (rules.fixedHolidays.includes(key) && year >= (rules.holidaysSince[key] || 0)) {
+        return true;
+    }
+    const easter = getEasterSunday(year);
+    return rules.easterHolidays.some(offset => easter.getTime() + offset * 86400000 === day.getTime());
+}
+
+/**
+ * Calculates Easter Sunday of a year in the Gregorian calendar (anonymous Gregorian algorithm).
+ * @param {number} year - The year.
+ * @returns {Date} - Easter Sunday as a UTC midnight.
+ */
+function getEasterSunday(year) {
+    const a = year % 19;
+    const b = Math.floor(year / 100);
+    const c = year % 100;
+    const d = Math.floor(b / 4);
+    const e = b % 4;
+    const f = Math.floor((b + 8) / 25);
+    const g = Math.floor((b - f + 1) / 3);
+    const h = (19 * a + b - d - g + 15) % 30;
+    const i = Math.floor(c / 4);
+    const k = c % 4;
+    const l = (32 + 2 * e + 2 * i - h - k) % 7;
+    const m = Math.floor((a + 11 * h + 22 * l) / 451);
+    const month = Math.floor((h + l - 7 * m + 114) / 31);
+    const day = ((h + l - 7 * m + 114) % 31) + 1;
+    return new Date(Date.UTC(year, month - 1, day));
+}
+
+/**
+ * Reads the wall-clock date and time of a moment in a time zone.
+ * @param {Date} date - The moment.
+ * @param {string} timeZone - IANA time zone, e.g. "Europe/Warsaw".
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number}} - `month` counts from 0.
+ */
+function getZonedDateParts(date, timeZone) {
+    if (!zonedTimeFormatters.has(timeZone)) {
+        zonedTimeFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone, hourCycle: 'h23', year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric',
+        }));
+    }
+    const parts = {};
+    zonedTimeFormatters.get(timeZone).formatToParts(date).forEach(({ type, value }) => {
+        parts[type] = Number(value);
+    });
+    return { year: parts.year, month: parts.month - 1, day: parts.day, hour: parts.hour, minute: parts.minute, second: parts.second };
+}
+
+/**
+ * Returns the calendar date of a moment in a time zone.
+ * @param {Date} date - The moment.
+ * @param {string} timeZone - IANA time zone.
+ * @returns {string} - E.g. "2026-10-20".
+ */
+function getZonedDateKey(date, timeZone) {
+    const { year, month, day } = getZonedDateParts(date, timeZone);
+    return `${year}-${String(month + 1).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Converts a wall-clock time in a time zone into a moment, taking daylight saving time into account.
+ * @param {number} year - The year.
+ * @param {number} month - The month, counting from 0.
+ * @param {number} day - The day of the month.
+ * @param {number} minutes - Minutes after midnight.
+ * @param {string} timeZone - IANA time zone.
+ * @returns {Date}
+ */
+function zonedTimeToDate(year, month, day, minutes, timeZone) {
+    const wallClock = Date.UTC(year, month, day, 0, minutes);
+    const getOffset = (time) => {
+        const parts = getZonedDateParts(new Date(time), timeZone);
+        return Date.UTC(parts.year, parts.month, parts.day, parts.hour, parts.minute, parts.second) - Math.floor(time / 1000) * 1000;
+    };
+    // The offset at the guessed moment differs when a DST change lies between the guess and the result
+    const guess = wallClock - getOffset(wallClock);
+    return new Date(wallClock - getOffset(guess));
+}
+
+/**
+ * Parses a time of day.
+ * @param {string} value - E.g. "09:30".
+ * @returns {number} - Minutes after midnight.
+ */
+function parseTimeOfDay(value) {
+    const [hours, minutes] = value.split(':').map(Number);
+    return hours * 60 + (minutes || 0);
+}
+
+/**
+ * Returns the visitor's time zone, falling back to the office time zone when the browser does not tell.
+ * @returns {string}
+ */
+function getVisitorTimeZone() {
+    const timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+    return timeZone || config.callback.officeTimeZone;
+}
+
+/**
+ * Formats a moment in a time zone in the page locale.
+ * @param {Date} date - The moment.
+ * @param {string} timeZone - IANA time zone.
+ * @param {object} options - Intl.DateTimeFormat options.
+ * @returns {string}
+ */
+function formatInTimeZone(date, timeZone, options) {
+    return new Intl.DateTimeFormat(getLocale(), { ...options, timeZone }).format(date);
+}
+
+/**
+ * Names a time zone by its city and current UTC offset.
+ * @param {string} timeZone - IANA time zone.
+ * @returns {string} - E.g. "London (GMT+1)".
+ */
+function formatTimeZoneName(timeZone) {
+    const city = timeZone.split('/').pop().replace(/_/g, ' ');
+    const offset = new Intl.DateTimeFormat(getLocale(), { timeZone, timeZoneName: 'shortOffset' })
+        .formatToParts(new Date())
+        .find(part => part.type === 'timeZoneName');
+    return offset ? `${city} (${offset.value})` : city;
+}
+
+/**
+ * Describes a slot for the office: date and time in office time, plus the client's time when it differs.
+ * @param {{start: Date, end: Date}} slot - The slot.
+ * @param {string} timeZone - The time zone the client picked.
+ * @returns {string}
+ */
+function describeCallbackSlot(slot, timeZone) {
+    const officeZone = config.callback.officeTimeZone;
+    const formatRange = (zone) => ({
+        from: formatInTimeZone(slot.start, zone, { hour: '2-digit', minute: '2-digit' }),
+        to: formatInTimeZone(slot.end, zone, { hour: '2-digit', minute: '2-digit' }),
+    });
+    const officeRange = formatRange(officeZone);
+    const clientRange = formatRange(timeZone);
+    const text = t('callback.text', {
+        date: formatInTimeZone(slot.start, officeZone, { weekday: 'long', day: '2-digit', month: '2-digit', year: 'numeric' }),
+        ...officeRange,
+    });
+    return clientRange.from === officeRange.from
+        ? text
+        : `${text} ${t('callback.text.zone', { zone: timeZone, ...clientRange })}`;
+}
+
+/**
+ * Creates an iCalendar invite for a callback slot, with a reminder `reminderMinutes` before.
+ * @param {Date} start - The start of the slot.
+ * @param {string} phone - The number we will call (may be empty).
+ * @param {Date} now - The current date and time.
+ * @returns {string} - The .ics file contents.
+ */
+function createCallbackInvite(start, phone, now) {
+    const end = new Date(start.getTime() + config.callback.slotMinutes * 60000);
+    const summary = t('callback.invite.summary');
+    const description = phone ? t('callback.invite.description', { phone }) : t('callback.invite.descriptionNoPhone');
+
+    return serializeCalendar([
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//German Tax//Callback//PL',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        'BEGIN:VEVENT',
+        `UID:callback-${formatCalendarTimestamp(start)}@${config.calendarUidDomain}`,
+        `DTSTAMP:${formatCalendarTimestamp(now)}`,
+        `DTSTART:${formatCalendarTimestamp(start)}`,
+        `DTEND:${formatCalendarTimestamp(end)}`,
+        `SUMMARY:${escapeCalendarText(summary)}`,
+        `DESCRIPTION:${escapeCalendarText(description)}`,
+        'BEGIN:VALARM',
+        'ACTION:DISPLAY',
+        `TRIGGER:-PT${config.callback.reminderMinutes}M`,
+        `DESCRIPTION:${escapeCalendarText(summary)}`,
+        'END:VALARM',
+        'END:VEVENT',
+        'END:VCALENDAR',
+    ]);
+}
+
+/**
+ * Downloads the calendar invite of a callback slot.
+ * @param {Date} start - The start of the slot.
+ * @param {string} phone - The number we will call (may be empty).
+ */
+function downloadCallbackInvite(start, phone) {
+    const calendar = createCallbackInvite(start, phone, new Date());
+    const fileName = config.callbackInviteFileName.replace('{date}', getZonedDateKey(start, config.callback.officeTimeZone));
+    downloadBlob(new Blob([calendar], { type: 'text/calendar' }), `${fileName}.ics`);
+}
+
+/**
+ * Sends funnel events to the configured sink in batches, only while analytics consent is granted.
+ * Also reports when a visitor starts filling in a form.
+ */
+export function initFunnelAnalytics() {
+    const sink = analyticsSinks[config.analytics.sink];
+    if (!sink) {
+        logger.warn(`Unknown analytics sink "${config.analytics.sink}".`);
+        return;
+    }
+
+    let queue = [];
+    let flushTimer = null;
+    const flush = () => {
+        clearTimeout(flushTimer);
+        flushTimer = null;
+        if (queue.length === 0 || !hasConsent('analytics')) return;
+        const batch = queue;
+        queue = [];
+        try {
+            sink(batch);
+        } catch (error) {
+            logger.warn("Analytics batch could not be sent:", error);
+        }
+    };
+
+    onFunnelEvent((event) => {
+        // Without consent nothing is collected, not even for later
+        if (!hasConsent('analytics')) return;
+        queue.push(event);
+        if (queue.length >= config.analytics.batchSize) {
+            flush();
+        } else if (!flushTimer) {
+            flushTimer = setTimeout(flush, config.analytics.flushInterval);
+        }
+    });
+    onConsentChange(() => {
+        if (!hasConsent('analytics')) {
+            clearTimeout(flushTimer);
+            flushTimer = null;
+            queue = [];
+        }
+    });
+
+    // The last batch goes out when the page is hidden or closed (sendBeacon survives unloading)
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden') flush();
+    }, { signal: getLifecycleSignal() });
+    window.addEventListener('pagehide', flush, { signal: getLifecycleSignal() });
+    getLifecycleSignal().addEventListener('abort', flush);
+
+    Object.entries(submissionForms).forEach(([formKey, { formSelector }]) => {
+        const form = scopeRoot.querySelector(formSelector);
+        if (!form) return;
+        form.addEventListener('input', () => emitFunnelEvent('form_started', { form: formKey }), { once: true, signal: getLifecycleSignal() });
+    });
+
+    logger.debug(`Funnel analytics initialized (sink: ${config.analytics.sink}).`);
+}
+
+/**
+ * Emits a funnel event to all listeners.
+ * @param {string} name - Event name (see "Funnel Analytics").
+ * @param {object} [properties] - Event details; must not contain personal data.
+ */
+function emitFunnelEvent(name, properties = {}) {
+    const event = {
+        name,
+        properties,
+        timestamp: new Date().toISOString(),
+        pageViewId: funnelPageViewId,
+        page: window.location.pathname,
+        language: currentLanguage,
+    };
+    logger.debug(`Funnel event "${name}".`, properties);
+    funnelListeners.forEach(listener => {
+        try {
+            listener(event);
+        } catch (error) {
+            logger.error("Error in a funnel event listener:", error);
+        }
+    });
+}
+
+/**
+ * Registers a listener for all funnel events.
+ * @param {Function} listener - Receives `{ name, properties, timestamp, pageViewId, page, language }`.
+ */
+function onFunnelEvent(listener) {
+    funnelListeners.push(listener);
+}
+
+/**
+ * Beacon sink: posts a batch of events with navigator.sendBeacon (fetch with keepalive as a fallback).
+ * @param {object[]} events - The events.
+ */
+function sendAnalyticsBeacon(events) {
+    const body = JSON.stringify({ events, sentAt: new Date().toISOString() });
+    const blob = new Blob([body], { type: 'application/json' });
+    // sendBeacon returns false when the browser refuses to queue the data (e.g. over its size limit)
+    if (typeof navigator.sendBeacon === 'function' && navigator.sendBeacon(config.analytics.endpoint, blob)) return;
+    fetch(config.analytics.endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body,
+        keepalive: true,
+        credentials: 'same-origin',
+    }).catch(error => logger.warn("Analytics batch could not be sent:", error));
+}
+
+/**
+ * Returns the key under which a form is reported: its `submissionForms` key, else its id.
+ * @param {HTMLFormElement} form - The form.
+ * @returns {string}
+ */
+function getFormKey(form) {
+    return Object.keys(submissionForms).find(key => form.matches(submissionForms[key].formSelector)) || form.id;
+}
+
+/**
+ * Handles the refund estimator ("Bezpłatna Wstępna Kalkulacja").
+ */
+export function initRefundEstimator() {
+    const form = scopeRoot.querySelector(config.estimatorFormSelector);
+    const resultPanel = scopeRoot.querySelector(config.estimatorResultSelector);
+    const messageArea = scopeRoot.querySelector(config.estimatorMessageSelector);
+
+    if (!form || !resultPanel || !messageArea) {
+        logger.warn("Refund estimator elements not found.");
+        return;
+    }
+
+    // Offer every year present in the parameter table, newest first
+    const yearSelect = form.elements.namedItem('estimator_year');
+    Object.keys(taxYearParameters).sort((a, b) => b - a).forEach(year => {
+        yearSelect.appendChild(new Option(year, year));
+    });
+
+    // The spouse's income is asked for married clients only
+    initSettleSubforms(form, createFormValidator(form, null));
+
+    // Keep the marital status in sync with the settle form
+    const settleMaritalStatus = scopeRoot.querySelector(`${config.settleFormSelector} [name="settle_marital_status"]`);
+    if (settleMaritalStatus) {
+        settleMaritalStatus.addEventListener('change', () => {
+            const maritalStatus = form.elements.namedItem('estimator_marital_status');
+            if (settleMaritalStatus.value && maritalStatus.value !== settleMaritalStatus.value) {
+                maritalStatus.value = settleMaritalStatus.value;
+                maritalStatus.dispatchEvent(new Event('change', { bubbles: true }));
+            }
+        }, { signal: getLifecycleSignal() });
+    }
+
+    const calculate = () => {
+        const input = readEstimatorInput(form);
+        if (input.error) {
+            displayFormMessage(messageArea, input.error, 'error');
+            resultPanel.hidden = true;
+            return;
+        }
+        clearFormMessage(messageArea);
+        renderEstimatorResult(resultPanel, estimateTaxRefund(input));
+    };
+
+    form.addEventListener('submit', function(event) {
+        event.preventDefault();
+        calculate();
+    }, { signal: getLifecycleSignal() });
+
+    // Once a result is shown, keep it up to date while the user edits the inputs
+    form.addEventListener('input', debounce(() => {
+        if (!resultPanel.hidden) {
+            calculate();
+        }
+    }, 300), { signal: getLifecycleSignal() });
+    form.addEventListener('change', () => {
+        if (!resultPanel.hidden) {
+            calculate();
+        }
+    }, { signal: getLifecycleSignal() });
+    onLanguageChange(() => {
+        if (!resultPanel.hidden) {
+            calculate();
+        }
+    });
+
+    logger.debug("Refund Estimator initialized.");
+}
+
+/**
+ * Reads and validates the estimator form.
+ * @param {HTMLFormElement} form - The estimator form.
+ * @returns {object} - The parsed input, or an object with an `error` message.
+ */
+function readEstimatorInput(form) {
+    const value = (name) => form.elements.namedItem(name).value;
+    const input = {
+        year: value('estimator_year'),
+        taxClass: Number(value('estimator_tax_class')),
+        maritalStatus: value('estimator_marital_status'),
+        grossWage: parseAmount(value('estimator_gross')),
+        withheldWageTax: parseAmount(value('estimator_wage_tax')),
+        withheldSoli: parseAmount(value('estimator_soli'), 0),
+        werbungskosten: parseAmount(value('estimator_werbungskosten'), 0),
+        spouse: null,
+    };
+
+    // The spouse's income is known once either of its amounts is filled in (0 for a spouse without income)
+    if (input.maritalStatus === 'związek małżeński' &&
+        (value('estimator_spouse_gross').trim() || value('estimator_spouse_foreign_income').trim())) {
+        input.spouse = {
+            grossWage: parseAmount(value('estimator_spouse_gross'), 0),
+            withheldWageTax: parseAmount(value('estimator_spouse_wage_tax'), 0),
+            withheldSoli: parseAmount(value('estimator_spouse_soli'), 0),
+            foreignIncome: parseAmount(value('estimator_spouse_foreign_income'), 0),
+        };
+    }
+
+    if (!taxYearParameters[input.year]) {
+        return { error: t('estimator.error.year') };
+    }
+    if (!Number.isFinite(input.grossWage) || input.grossWage <= 0) {
+        return { error: t('estimator.error.gross') };
+    }
+    if (!Number.isFinite(input.withheldWageTax) || input.withheldWageTax < 0) {
+        return { error: t('estimator.error.wageTax') };
+    }
+    if (!Number.isFinite(input.withheldSoli) || input.withheldSoli < 0 ||
+        !Number.isFinite(input.werbungskosten) || input.werbungskosten < 0) {
+        return { error: t('estimator.error.other') };
+    }
+    if (input.spouse && !Object.values(input.spouse).every(amount => Number.isFinite(amount) && amount >= 0)) {
+        return { error: t('estimator.error.spouse') };
+    }
+    return input;
+}
+
+/**
+ * Estimates the German income tax refund (or additional payment) for an employee.
+ * Married clients are assessed jointly (splitting) when the spouse's income is known. Without it the result
+ * is a range: from the individual assessment, which spouses can always choose, to splitting with a spouse
+ * without any income.
+ * @param {object} input - The estimator input.
+ * @param {string|number} input.year - The tax year (key of taxYearParameters).
+ * @param {number} input.taxClass - The tax class (1–6).
+ * @param {string} input.maritalStatus - The marital status (settle_marital_status values).
+ * @param {number} input.grossWage - The gross wage (Lohnsteuerbescheinigung line 3).
+ * @param {number} input.withheldWageTax - Withheld Lohnsteuer (line 4).
+ * @param {number} input.withheldSoli - Withheld Solidaritätszuschlag (line 5).
+ * @param {number} input.werbungskosten - Declared income-related expenses.
+ * @param {?{grossWage: number, withheldWageTax: number, withheldSoli: number, foreignIncome: number}} [input.spouse] -
+ *   The spouse's German wage and withheld taxes, and income not taxed in Germany (married clients only).
+ * @returns {object} - The breakdown and the resulting refund (positive) or payment (negative);
+ *   `refundRange` ({min, max}) instead of an exact refund when the spouse's income is unknown.
+ */
+function estimateTaxRefund(input) {
+    const params = taxYearParameters[input.year];
+    const married = input.maritalStatus === 'związek małżeński';
+
+    if (married && !input.spouse) {
+        const individual = assessIncomeTax(input, params, null);
+        const splitting = assessIncomeTax(input, params, { grossWage: 0, withheldWageTax: 0, withheldSoli: 0, foreignIncome: 0 });
+        return {
+            ...individual,
+            taxClassMismatch: false,
+            splittingIncomeTax: splitting.incomeTax,
+            refundRange: { min: individual.refund, max: splitting.refund },
+        };
+    }
+
+    return {
+        ...assessIncomeTax(input, params, married ? input.spouse : null),
+        taxClassMismatch: [3, 4, 5].includes(input.taxClass) && !married,
+        refundRange: null,
+    };
+}
+
+/**
+ * Assesses the income tax of an employee, individually or jointly with the spouse.
+ * @param {object} input - The estimator input (see estimateTaxRefund()).
+ * @param {object} params - The parameters of the tax year.
+ * @param {?object} spouse - The spouse's income for a joint assessment, null for an individual one.
+ * @returns {object} - The breakdown and the resulting refund (positive) or payment (negative).
+ */
+function assessIncomeTax(input, params, spouse) {
+    const jointAssessment = Boolean(spouse);
+    const persons = jointAssessment ? 2 : 1;
+
+    const werbungskosten = Math.max(input.werbungskosten, params.employeeAllowance);
+    const specialExpenses = params.specialExpensesAllowance * persons;
+    const socialContributions = estimateDeductibleContributions(input.grossWage, params);
+    const singleParentAllowance = (input.taxClass === 2 && input.maritalStatus !== 'związek małżeński') ? params.singleParentAllowance : 0;
+    const spouseWageIncome = jointAssessment ? calculateWageIncome(spouse.grossWage, params) : 0;
+    const spouseForeignIncome = jointAssessment ? spouse.foreignIncome : 0;
+
+    const taxableIncome = Math.max(0, Math.floor(
+        input.grossWage - werbungskosten - specialExpenses - socialContributions - singleParentAllowance + spouseWageIncome
+    ));
+
+    const incomeTax = jointAssessment
+        ? calculateSplittingTax(taxableIncome, spouseForeignIncome, params.tariff)
+        : calculateIncomeTax(taxableIncome, params.tariff);
+    const soli = calculateSoli(incomeTax, params.soli, persons);
+
+    const withheldWageTax = input.withheldWageTax + (jointAssessment ? spouse.withheldWageTax : 0);
+    const withheldSoli = input.withheldSoli + (jointAssessment ? spouse.withheldSoli : 0);
+
+    return {
+        year: input.year,
+        jointAssessment,
+        grossWage: input.grossWage,
+        werbungskosten,
+        usesEmployeeAllowance: input.werbungskosten < params.employeeAllowance,
+        specialExpenses,
+        socialContributions,
+        singleParentAllowance,
+        spouseWageIncome,
+        spouseForeignIncome,
+        taxableIncome,
+        incomeTax,
+        soli,
+        withheldWageTax,
+        withheldSoli,
+        refund: roundToCents(withheldWageTax + withheldSoli - incomeTax - soli),
+    };
+}
+
+/**
+ * Estimates the income from employment of a spouse: the wage less the employee allowance
+ * (never more than the wage) and the deductible social security contributions.
+ * @param {number} grossWage - The gross wage.
+ * @param {object} params - The parameters of the tax year.
+ * @returns {number} - The income in full euros, at least 0.
+ */
+function calculateWageIncome(grossWage, params) {
+    const allowance = Math.min(grossWage, params.employeeAllowance);
+    return Math.max(0, Math.floor(grossWage - allowance - estimateDeductibleContributions(grossWage, params)));
+}
+
+/**
+ * Calculates the income tax of a joint assessment using the splitting method: twice the tax on half the income.
+ * Income not taxed in Germany only raises the rate applied to the taxable income (Progressionsvorbehalt, §32b EStG).
+ * @param {number} taxableIncome - The couple's taxable income in euros.
+ * @param {number} foreignIncome - The income not taxed in Germany, in euros.
+ * @param {object} tariff - The tariff parameters of the tax year.
+ * @returns {number} - The income tax in full euros (rounded down).
+ */
+function calculateSplittingTax(taxableIncome, foreignIncome, tariff) {
+    const splittingTax = (income) => 2 * calculateIncomeTax(Math.floor(income / 2), tariff);
+    if (foreignIncome <= 0 || taxableIncome <= 0) {
+        return splittingTax(taxableIncome);
+    }
+    const rateBase = Math.floor(taxableIncome + foreignIncome);
+    return Math.floor(taxableIncome * splittingTax(rateBase) / rateBase);
+}
+
+/**
+ * Calculates the income tax for a taxable income using the §32a EStG tariff.
+ * @param {number} taxableIncome - Taxable income in euros.
+ * @param {object} tariff - The tariff parameters of the tax year.
+ * @returns {number} - The income tax in full euros (rounded down).
+ */
+function calculateIncomeTax(taxableIncome, tariff) {
+    const x = Math.floor(taxableIncome);
+    let tax;
+
+    if (x <= tariff.basicAllowance) {
+        tax = 0;
+    } else if (x <= tariff.zone2.upTo) {
+        const y = (x - tariff.basicAllowance) / 10000;
+        tax = (tariff.zone2.a * y + tariff.zone2.b) * y;
+    } else if (x <= tariff.zone3.upTo) {
+        const z = (x - tariff.zone2.upTo) / 10000;
+        tax = (tariff.zone3.a * z + tariff.zone3.b) * z + tariff.zone3.c;
+    } else if (x <= tariff.zone4.upTo) {
+        tax = tariff.zone4.rate * x - tariff.zone4.deduction;
+    } else {
+        tax = tariff.zone5.rate * x - tariff.zone5.deduction;
+    }
+
+    return Math.floor(tax);
+}
+
+/**
+ * Calculates the solidarity surcharge, including the phase-in zone above the exemption limit.
+ * @param {number} incomeTax - The assessed income tax.
+ * @param {object} soliParams - The Soli parameters of the tax year.
+ * @param {number} persons - 2 for joint assessment (doubles the exemption limit), otherwise 1.
+ * @returns {number} - The solidarity surcharge, rounded down to cents.
+ */
+function calculateSoli(incomeTax, soliParams, persons) {
+    const exemptionLimit = soliParams.exemptionLimit * persons;
+    if (incomeTax <= exemptionLimit) {
+        return 0;
+    }
+    const soli = Math.min(incomeTax * soliParams.rate, (incomeTax - exemptionLimit) * soliParams.phaseInRate);
+    return Math.floor(soli * 100) / 100;
+}
+
+/**
+ * Estimates the deductible social security contributions of an employee.
+ * @param {number} grossWage - The gross wage.
+ * @param {object} params - The parameters of the tax year.
+ * @returns {number} - The estimated deductible amount in full euros.
+ */
+function estimateDeductibleContributions(grossWage, params) {
+    const pension = Math.min(grossWage, params.pensionContributions.ceiling) * params.pensionContributions.rate;
+    const health = Math.min(grossWage, params.healthContributions.ceiling) * params.healthContributions.rate;
+    return Math.round(pension + health);
+}
+
+/**
+ * Renders the estimator result with its breakdown.
+ * @param {HTMLElement} resultPanel - The result panel.
+ * @param {object} result - The result of estimateTaxRefund().
+ */
+function renderEstimatorResult(resultPanel, result) {
+    const amount = resultPanel.querySelector('[data-estimator-amount]');
+    const breakdown = resultPanel.querySelector('[data-estimator-breakdown]');
+
+    const range = result.refundRange;
+    const isRefund = (range ? range.max : result.refund) >= 0;
+    if (!range) {
+        amount.textContent = isRefund
+            ? t('estimator.refund', { amount: formatCurrency(result.refund) })
+            : t('estimator.payment', { amount: formatCurrency(-result.refund) });
+    } else if (range.min >= 0) {
+        amount.textContent = t('estimator.refundRange', { min: formatCurrency(range.min), max: formatCurrency(range.max) });
+    } else if (range.max < 0) {
+        amount.textContent = t('estimator.paymentRange', { min: formatCurrency(-range.max), max: formatCurrency(-range.min) });
+    } else {
+        amount.textContent = t('estimator.mixedRange', { payment: formatCurrency(-range.min), refund: formatCurrency(range.max) });
+    }
+    amount.classList.toggle('estimator-amount--refund', isRefund);
+    amount.classList.toggle('estimator-amount--payment', !isRefund);
+
+    const rows = [
+        [t('estimator.row.gross'), formatCurrency(result.grossWage)],
+        [t(result.usesEmployeeAllowance ? 'estimator.row.werbungskostenFlat' : 'estimator.row.werbungskosten'), `− ${formatCurrency(result.werbungskosten)}`],
+        [t('estimator.row.specialExpenses'), `− ${formatCurrency(result.specialExpenses)}`],
+        [t('estimator.row.contributions'), `− ${formatCurrency(result.socialContributions)}`],
+    ];
+    if (result.singleParentAllowance > 0) {
+        rows.push([t('estimator.row.singleParent'), `− ${formatCurrency(result.singleParentAllowance)}`]);
+    }
+    if (result.jointAssessment) {
+        rows.push([t('estimator.row.spouseIncome'), `+ ${formatCurrency(result.spouseWageIncome)}`]);
+    }
+    rows.push([t('estimator.row.taxableIncome'), formatCurrency(result.taxableIncome)]);
+    if (result.spouseForeignIncome > 0) {
+        rows.push([t('estimator.row.spouseForeignIncome'), formatCurrency(result.spouseForeignIncome)]);
+    }
+    rows.push([t(result.jointAssessment ? 'estimator.row.incomeTaxJoint' : 'estimator.row.incomeTax', { year: result.year }), formatCurrency(result.incomeTax)]);
+    if (result.refundRange) {
+        rows.push([t('estimator.row.incomeTaxSplitting', { year: result.year }), formatCurrency(result.splittingIncomeTax)]);
+    }
+    rows.push(
+        [t('estimator.row.soli'), formatCurrency(result.soli)],
+        [t(result.jointAssessment ? 'estimator.row.withheldWageTaxJoint' : 'estimator.row.withheldWageTax'), formatCurrency(result.withheldWageTax)],
+        [t(result.jointAssessment ? 'estimator.row.withheldSoliJoint' : 'estimator.row.withheldSoli'), formatCurrency(result.withheldSoli)]
+    );
+
+    breakdown.textContent = '';
+    rows.forEach(([label, value]) => {
+        const term = document.createElement('dt');
+        const description = document.createElement('dd');
+        term.textContent = label;
+        description.textContent = value;
+        breakdown.append(term, description);
+    });
+
+    [
+        [result.refundRange, 'estimator.spouseIncomeUnknown'],
+        [result.taxClassMismatch, 'estimator.taxClassMismatch'],
+    ].filter(([applies]) => applies).forEach(([, key]) => {
+        const note = document.createElement('dd');
+        note.className = 'estimator-note';
+        note.textContent = t(key);
+        breakdown.appendChild(note);
+    });
+
+    resultPanel.hidden = false;
+}
+
+/**
+ * Renders the price cards from the EUR price list and the current EUR/PLN rate.
+ * Shows the cached (or fallback) rate immediately and refreshes it from the rate table.
+ */
+export function initPricing() {
+    const section = scopeRoot.querySelector(config.pricingSectionSelector);
+    const cards = scopeRoot.querySelectorAll(config.priceCardSelector);
+
+    if (!section || cards.length === 0) {
+        logger.warn("Pricing section or price cards not found.");
+        return;
+    }
+
+    const rounding = getPlnRounding();
+    const render = (rateInfo) => {
+        cards.forEach(card => {
+            const service = priceList[card.dataset.service];
+            if (service) {
+                renderPriceCard(card, card.dataset.service, rateInfo, rounding);
+            } else {
+                logger.warn(`No price list entry for service "${card.dataset.service}".`);
+            }
+        });
+    };
+    onExchangeRateChange(render);
+    onLanguageChange(() => {
+        if (exchangeRate) {
+            render(exchangeRate);
+        }
+    });
+
+    const override = getExchangeRateOverride(section);
+    if (override) {
+        setExchangeRate(override);
+        logger.debug("Pricing initialized with manual exchange rate override.");
+        return;
+    }
+
+    setExchangeRate(readStorage(config.exchangeRateCacheKey) || { rate: config.exchangeRateFallback, effectiveDate: null, source: 'fallback' });
+
+    fetchExchangeRate()
+        .then(rateInfo => {
+            writeStorage(config.exchangeRateCacheKey, { ...rateInfo, source: 'cache' });
+            setExchangeRate(rateInfo);
+        })
+        .catch(error => logger.warn("Exchange rate table could not be loaded, keeping the last known rate:", error.message));
+
+    logger.debug("Pricing initialized.");
+}
+
+/**
+ * Registers a listener for EUR/PLN rate changes (called immediately if a rate is known).
+ * @param {Function} listener - Receives the rate info object.
+ */
+function onExchangeRateChange(listener) {
+    exchangeRateListeners.push(listener);
+    if (exchangeRate) {
+        listener(exchangeRate);
+    }
+}
+
+/**
+ * Sets the current EUR/PLN rate and notifies all listeners.
+ * @param {{rate: number, effectiveDate: string|null, source: string}} rateInfo - The new rate.
+ */
+function setExchangeRate(rateInfo) {
+    exchangeRate = rateInfo;
+    exchangeRateListeners.forEach(listener => listener(rateInfo));
+}
+
+/**
+ * Returns the manual EUR/PLN rate set by office staff, if any.
+ * @param {HTMLElement} section - The pricing section.
+ * @returns {{rate: number, effectiveDate: null, source: 'override'}|null}
+ */
+function getExchangeRateOverride(section) {
+    const rate = section.dataset.eurPlnRate ? parseAmount(section.dataset.eurPlnRate) : config.exchangeRateOverride;
+    if (Number.isFinite(rate) && rate > 0) {
+        return { rate, effectiveDate: null, source: 'override' };
+    }
+    if (section.dataset.eurPlnRate) {
+        logger.warn(`Ignoring invalid exchange rate override: "${section.dataset.eurPlnRate}"`);
+    }
+    return null;
+}
+
+/**
+ * Loads the EUR/PLN mid rate from the configured NBP table-A JSON file.
+ * @returns {Promise<{rate: number, effectiveDate: string, source: 'table'}>}
+ */
+async function fetchExchangeRate() {
+    const response = await fetch(config.exchangeRateUrl, { cache: 'no-cache' });
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status} for ${config.exchangeRateUrl}`);
+    }
+    return parseNbpRate(await response.json(), 'EUR');
+}
+
+/**
+ * Extracts a mid rate from NBP JSON: either a list of A tables
+ * (/api/exchangerates/tables/A) or a single-currency series (/api/exchangerates/rates/A/EUR).
+ * @param {Array|object} data - The parsed JSON.
+ * @param {string} code - ISO 4217 currency code.
+ * @returns {{rate: number, effectiveDate: string, source: 'table'}}
+ */
+function parseNbpRate(data, code) {
+    let entries = [];
+    if (Array.isArray(data)) {
+        entries = data.flatMap(table => (table.rates || [])
+            .filter(rate => rate.code === code)
+            .map(rate => ({ mid: rate.mid, effectiveDate: table.effectiveDate })));
+    } else if (data && data.code === code && Array.isArray(data.rates)) {
+        entries = data.rates.map(rate => ({ mid: rate.mid, effectiveDate: rate.effectiveDate }));
+    }
+
+    // Use the most recent table (ISO dates compare correctly as strings)
+    const latest = entries
+        .filter(entry => Number.isFinite(entry.mid) && entry.mid > 0)
+        .sort((a, b) => String(b.effectiveDate).localeCompare(String(a.effectiveDate)))[0];
+    if (!latest) {
+        throw new Error(`No ${code} rate found in the exchange rate table`);
+    }
+    return { rate: latest.mid, effectiveDate: latest.effectiveDate, source: 'table' };
+}
+
+/**
+ * Renders one price card.
+ * @param {HTMLElement} card - The .pricing-card element.
+ * @param {string} serviceKey - Key of the service in the price list.
+ * @param {object} rateInfo - The current EUR/PLN rate.
+ * @param {{mode: string, step: number}} rounding - Rounding rule for PLN prices.
+ */
+function renderPriceCard(card, serviceKey, rateInfo, rounding) {
+    const service = priceList[serviceKey];
+    const price = card.querySelector('.price');
+    const value = card.querySelector('.price-value');
+    if (!price || !value) return;
+
+    if (service.min === 0 && service.max === 0) {
+        value.textContent = t('pricing.free');
+        return;
+    }
+
+    const isFromPrice = service.max !== service.min;
+    value.textContent = isFromPrice
+        ? t('pricing.from', { price: formatPrice(service.min, 'EUR') })
+        : formatPrice(service.min, 'EUR');
+    getOrCreateChild(price, 'span', 'price-alternative').textContent =
+        `(${t('pricing.approx', { price: formatPrice(convertEurToPln(service.min, rateInfo.rate, rounding), 'PLN') })}*)`;
+
+    const maxInfo = card.querySelector('.price-max-info');
+    if (maxInfo && service.max) {
+        maxInfo.textContent = t('pricing.max', {
+            eur: formatPrice(service.max, 'EUR'),
+            pln: formatPrice(convertEurToPln(service.max, rateInfo.rate, rounding), 'PLN'),
+        });
+    }
+
+    if (service.perUnit) {
+        const details = card.querySelector('.price-details') || insertBeforeCta(card, 'p', 'price-details');
+        const unitPln = convertEurToPln(service.perUnit.price, rateInfo.rate, config.plnUnitRounding);
+        details.textContent = `+ ${formatPrice(service.perUnit.price, 'EUR')} / ${formatPrice(unitPln, 'PLN')}* ${t(`service.${serviceKey}.unit`)}`;
+    }
+
+    const rateDate = card.querySelector('.price-rate-date') || insertBeforeCta(card, 'p', 'price-rate-date');
+    rateDate.textContent = describeExchangeRate(rateInfo);
+}
+
+/**
+ * Describes the rate used for PLN prices ("kurs z dnia …").
+ * @param {object} rateInfo - The current EUR/PLN rate.
+ * @returns {string}
+ */
+function describeExchangeRate(rateInfo) {
+    const rate = `1 € = ${formatNumber(rateInfo.rate, 4)} zł`;
+    if (rateInfo.source === 'override') {
+        return t('pricing.rate.override', { rate });
+    }
+    if (!rateInfo.effectiveDate) {
+        return t('pricing.rate.fallback', { rate });
+    }
+    return t('pricing.rate.date', { date: formatDate(rateInfo.effectiveDate), rate });
+}
+
+/**
+ * Converts EUR to PLN and applies a rounding rule.
+ * @param {number} amount - Amount in EUR.
+ * @param {number} rate - EUR/PLN rate.
+ * @param {{mode: 'nearest'|'up'|'down', step: number}} rounding - The rounding rule.
+ * @returns {number} - Amount in PLN.
+ */
+function convertEurToPln(amount, rate, rounding) {
+    const pln = amount * rate;
+    const roundFn = rounding.mode === 'up' ? Math.ceil : rounding.mode === 'down' ? Math.floor : Math.round;
+    // Work in cents to avoid floating point artefacts (e.g. 23.249999 for a 0.01 step)
+    const stepCents = Math.round(rounding.step * 100);
+    return roundFn(Math.round(pln * 100) / stepCents) * stepCents / 100;
+}
+
+/**
+ * Returns the PLN rounding rule: the office override on the pricing section or the configured default.
+ * @returns {{mode: string, step: number}}
+ */
+function getPlnRounding() {
+    const section = scopeRoot.querySelector(config.pricingSectionSelector);
+    return (section && parseRoundingRule(section.dataset.plnRounding)) || config.plnRounding;
+}
+
+/**
+ * Parses a rounding rule written as "mode:step" (e.g. "up:10").
+ * @param {string} value - The rule text.
+ * @returns {{mode: string, step: number}|null} - The rule, or null if empty or invalid.
+ */
+function parseRoundingRule(value) {
+    if (!value) return null;
+    const [mode, step] = value.split(':');
+    const stepValue = parseAmount(step);
+    if (!['nearest', 'up', 'down'].includes(mode) || !(stepValue > 0)) {
+        logger.warn(`Ignoring invalid PLN rounding rule: "${value}"`);
+        return null;
+    }
+    return { mode, step: stepValue };
+}
+
+/**
+ * Inserts a new element into a price card, right before its call-to-action button.
+ * @param {HTMLElement} card - The price card.
+ * @param {string} tagName - Tag of the new element.
+ * @param {string} className - Class of the new element.
+ * @returns {HTMLElement} - The inserted element.
+ */
+function insertBeforeCta(card, tagName, className) {
+    const element = document.createElement(tagName);
+    element.className = className;
+    card.insertBefore(element, card.querySelector('.cta-button'));
+    return element;
+}
+
+/**
+ * Handles the quote builder: combines services from the price list into a live
+ * min/max total and attaches the selected quote to the settle and contact forms.
+ */
+export function initQuoteBuilder() {
+    const form = scopeRoot.querySelector(config.quoteFormSelector);
+    const summary = scopeRoot.querySelector(config.quoteSummarySelector);
+
+    if (!form || !summary) {
+        logger.warn("Quote builder elements not found.");
+        return;
+    }
+
+    const invoiceInput = form.elements.namedItem('quote_invoices');
+    const perUnitCheckboxes = Array.from(form.querySelectorAll('input[name="quote_services"]'))
+        .filter(checkbox => priceList[checkbox.value] && priceList[checkbox.value].perUnit);
+
+    // Option labels show the prices from the price list
+    const renderOptionPrices = () => {
+        form.querySelectorAll('[data-quote-price]').forEach(element => {
+            if (priceList[element.dataset.quotePrice]) {
+                element.textContent = `(${describePriceRange(element.dataset.quotePrice)})`;
+            }
+        });
+    };
+
+    const update = () => {
+        if (invoiceInput) {
+            invoiceInput.disabled = !perUnitCheckboxes.some(checkbox => checkbox.checked);
+        }
+        const quote = calculateQuote(readQuoteSelection(form));
+        renderQuoteSummary(summary, quote, exchangeRate);
+        attachQuoteToForms(quote, exchangeRate);
+    };
+
+    form.addEventListener('change', update, { signal: getLifecycleSignal() });
+    form.addEventListener('input', update, { signal: getLifecycleSignal() });
+    // Re-render the PLN amounts whenever the exchange rate is (re)loaded, and all texts on a language change
+    onExchangeRateChange(update);
+    onLanguageChange(() => {
+        renderOptionPrices();
+        update();
+    });
+    renderOptionPrices();
+    update();
+
+    logger.debug("Quote Builder initialized.");
+}
+
+/**
+ * Reads the selected services from the quote builder form.
+ * @param {HTMLFormElement} form - The quote form.
+ * @returns {{settlement: string|null, services: string[], invoiceCount: number}}
+ */
+function readQuoteSelection(form) {
+    const settlement = form.querySelector('input[name="quote_settlement"]:checked');
+    const invoiceInput = form.elements.namedItem('quote_invoices');
+    const invoiceCount = invoiceInput ? parseInt(invoiceInput.value, 10) : 0;
+
+    return {
+        settlement: settlement && settlement.value ? settlement.value : null,
+        services: Array.from(form.querySelectorAll('input[name="quote_services"]:checked')).map(input => input.value),
+        invoiceCount: Number.isFinite(invoiceCount) ? Math.min(Math.max(invoiceCount, 0), 999) : 0,
+    };
+}
+
+/**
+ * Calculates a quote from the price list.
+ * @param {{settlement: string|null, services: string[], invoiceCount: number}} selection - The selected services.
+ * @returns {{lines: Array<{service: string, label: string, min: number, max: number|null}>, min: number, max: number|null}}
+ *   `max` is null when at least one service has no upper price bound.
+ */
+function calculateQuote(selection) {
+    const keys = selection.settlement ? [selection.settlement, ...selection.services] : selection.services;
+    const lines = keys.filter(key => priceList[key]).map(key => {
+        const service = priceList[key];
+        if (!service.perUnit) {
+            return { service: key, label: t(`service.${key}`), min: service.min, max: service.max };
+        }
+        const surcharge = selection.invoiceCount * service.perUnit.price;
+        return {
+            service: key,
+            label: t('quote.invoices', { service: t(`service.${key}`), count: selection.invoiceCount }),
+            units: selection.invoiceCount,
+            min: service.min + surcharge,
+            max: service.max === null ? null : service.max + surcharge,
+        };
+    });
+
+    return {
+        lines,
+        min: lines.reduce((sum, line) => sum + line.min, 0),
+        max: lines.some(line => line.max === null) ? null : lines.reduce((sum, line) => sum + line.max, 0),
+    };
+}
+
+/**
+ * Renders the quote summary panel.
+ * @param {HTMLElement} summary - The summary panel.
+ * @param {object} quote - The result of calculateQuote().
+ * @param {object|null} rateInfo - The current EUR/PLN rate.
+ */
+function renderQuoteSummary(summary, quote, rateInfo) {
+    const total = summary.querySelector('[data-quote-total]');
+    const totalPln = summary.querySelector('[data-quote-total-pln]');
+    const lines = summary.querySelector('[data-quote-lines]');
+
+    lines.textContent = '';
+    if (quote.lines.length === 0) {
+        total.textContent = t('quote.empty');
+        totalPln.textContent = '';
+        return;
+    }
+
+    total.textContent = formatPriceRange(quote.min, quote.max, 'EUR');
+    totalPln.textContent = rateInfo
+        ? `${formatPlnRange(quote.min, quote.max, rateInfo)}* – ${describeExchangeRate(rateInfo)}`
+        : '';
+
+    quote.lines.forEach(line => {
+        const item = document.createElement('li');
+        item.textContent = `${line.label}: ${formatPriceRange(line.min, line.max, 'EUR')}`;
+        lines.appendChild(item);
+    });
+}
+
+/**
+ * Writes the selected quote into the hidden quote fields (and notes) of the settle and contact forms.
+ * @param {object} quote - The result of calculateQuote().
+ * @param {object|null} rateInfo - The current EUR/PLN rate.
+ */
+function attachQuoteToForms(quote, rateInfo) {
+    let text = '';
+    if (quote.lines.length > 0) {
+        const lines = quote.lines.map(line => `${line.label}: ${formatPriceRange(line.min, line.max, 'EUR')}`).join('; ');
+        const pln = rateInfo ? ` (${formatPlnRange(quote.min, quote.max, rateInfo)}, ${describeExchangeRate(rateInfo)})` : '';
+        text = t('quote.text', { lines, total: formatPriceRange(quote.min, quote.max, 'EUR') }) + pln;
+    }
+
+    scopeRoot.querySelectorAll(config.quoteFieldSelector).forEach(field => {
+        field.value = text;
+    });
+    scopeRoot.querySelectorAll(config.quoteNoteSelector).forEach(note => {
+        note.textContent = text ? t('quote.attached', { quote: text }) : '';
+        note.hidden = !text;
+    });
+}
+
+/**
+ * Describes the price of a price list entry (e.g. "95–130 €", "od 65 €", "200 € + 5 € za fakturę").
+ * @param {string} serviceKey - Key of the service in the price list.
+ * @returns {string}
+ */
+function describePriceRange(serviceKey) {
+    const service = priceList[serviceKey];
+    const range = formatPriceRange(service.min, service.max, 'EUR');
+    return service.perUnit
+        ? `${range} + ${formatPrice(service.perUnit.price, 'EUR')} ${t(`service.${serviceKey}.unit`)}`
+        : range;
+}
+
+/**
+ * Formats a min/max price range ("100–150 €", "od 65 €" for an open range, "65 €" when equal).
+ * @param {number} min - The minimum price.
+ * @param {number|null} max - The maximum price, or null when open-ended.
+ * @param {string} currency - ISO 4217 currency code.
+ * @returns {string}
+ */
+function formatPriceRange(min, max, currency) {
+    if (max === null) {
+        return t('pricing.from', { price: formatPrice(min, currency) });
+    }
+    if (max === min) {
+        return formatPrice(min, currency);
+    }
+    return formatPrice([min, max], currency);
+}
+
+/**
+ * Formats a EUR min/max range as an approximate PLN range ("ok. 1529–1741 zł", "od ok. 1805 zł").
+ * @param {number} min - The minimum price in EUR.
+ * @param {number|null} max - The maximum price in EUR, or null.
+ * @param {object} rateInfo - The current EUR/PLN rate.
+ * @returns {string}
+ */
+function formatPlnRange(min, max, rateInfo) {
+    const rounding = getPlnRounding();
+    const minPln = convertEurToPln(min, rateInfo.rate, rounding);
+    if (max === null) {
+        return t('pricing.fromApprox', { price: formatPrice(minPln, 'PLN') });
+    }
+    return t('pricing.approx', { price: formatPriceRange(minPln, convertEurToPln(max, rateInfo.rate, rounding), 'PLN') });
+}
+
+/**
+ * Handles the commute calculator: Entfernungspauschale for one or more workplaces and home trips
+ * of a double household, using the rates of the chosen tax year. The result is attached to the
+ * settle form and can be copied into the refund estimator as Werbungskosten.
+ */
+export function initCommuteCalculator() {
+    const form = scopeRoot.querySelector(config.commuteFormSelector);
+    const summary = scopeRoot.querySelector(config.commuteSummarySelector);
+    const workplaces = form ? form.querySelector('[data-repeatable]') : null;
+
+    if (!form || !summary || !workplaces) {
+        logger.warn("Commute calculator elements not found.");
+        return;
+    }
+
+    // Offer every year present in the parameter table, newest first
+    const yearSelect = form.elements.namedItem('commute_year');
+    Object.keys(taxYearParameters).sort((a, b) => b - a).forEach(year => {
+        yearSelect.appendChild(new Option(year, year));
+    });
+
+    const validator = createFormValidator(form, null);
+    const entries = createRepeatableList(workplaces, validator);
+    let result = null;
+
+    const update = () => {
+        result = calculateCommuteCosts(readCommuteInput(form));
+        renderCommuteSummary(summary, result);
+        attachCommuteToForms(result);
+    };
+
+    form.addEventListener('submit', (event) => event.preventDefault(), { signal: getLifecycleSignal() });
+    form.addEventListener('input', update, { signal: getLifecycleSignal() });
+    form.addEventListener('change', update, { signal: getLifecycleSignal() });
+    workplaces.addEventListener('entrieschange', update, { signal: getLifecycleSignal() });
+    onLanguageChange(update);
+
+    // Copy the result into the refund estimator (replacing its Werbungskosten) and recalculate there
+    const estimateButton = summary.querySelector('[data-commute-action="estimate"]');
+    const estimatorForm = scopeRoot.querySelector(config.estimatorFormSelector);
+    if (estimateButton && estimatorForm) {
+        estimateButton.addEventListener('click', () => {
+            if (!result || result.total <= 0) {
+                validator.validate();
+                return;
+            }
+            const werbungskosten = estimatorForm.elements.namedItem('estimator_werbungskosten');
+            estimatorForm.elements.namedItem('estimator_year').value = result.year;
+            werbungskosten.value = new Intl.NumberFormat(getLocale(), { useGrouping: false, maximumFractionDigits: 2 }).format(result.total);
+            estimatorForm.dispatchEvent(new Event('change'));
+
+            const resultPanel = scopeRoot.querySelector(config.estimatorResultSelector);
+            if (!resultPanel || resultPanel.hidden) {
+                displayFormMessage(scopeRoot.querySelector(config.estimatorMessageSelector),
+                    t('commute.applied', { amount: formatCurrency(result.total) }), 'info');
+            }
+            werbungskosten.focus();
+        }, { signal: getLifecycleSignal() });
+    } else if (estimateButton) {
+        estimateButton.hidden = true;
+    }
+
+    entries.ensureEntries(1);
+    update();
+
+    logger.debug("Commute Calculator initialized.");
+}
+
+/**
+ * Reads the commute calculator form. Missing or invalid numbers are read as 0.
+ * @param {HTMLFormElement} form - The commute form.
+ * @returns {{year: string, workplaces: Array<{place: string, distance: number, days: number, ownCar: boolean, homeDistance: number, homeTrips: number}>}}
+ */
+function readCommuteInput(form) {
+    const readNumber = (field, max) => {
+        const value = field && field.validity.valid ? Math.floor(Number(field.value)) : 0;
+        return Number.isFinite(value) ? Math.min(Math.max(value, 0), max) : 0;
+    };
+
+    return {
+        year: form.elements.namedItem('commute_year').value,
+        workplaces: Array.from(form.querySelectorAll('[data-repeatable-entry]')).map(entry => {
+            const field = (name) => entry.querySelector(`[name="commute_${entry.dataset.index}_${name}"]`);
+            return {
+                place: field('place').value.trim(),
+                distance: readNumber(field('distance'), 1000),
+                days: readNumber(field('days'), 366),
+                ownCar: field('own_car').checked,
+                homeDistance: readNumber(field('home_distance'), 2000),
+                homeTrips: readNumber(field('home_trips'), 53),
+            };
+        }),
+    };
+}
+
+/**
+ * Calculates the deductible commute costs (Entfernungspauschale) and double household home trips.
+ * Only full kilometres of the one-way distance count. Commutes by own or company car are not capped;
+ * all other commutes together are limited to the yearly maximum. Home trips are never capped.
+ * @param {{year: string, workplaces: Array<object>}} input - The result of readCommuteInput().
+ * @returns {{year: string, params: object, lines: Array<{type: string, workplace: string, count: number, distance: number, amount: number}>, cappedBy: number, total: number}|null}
+ *   Null when the year is not in the parameter table.
+ */
+function calculateCommuteCosts(input) {
+    const params = taxYearParameters[input.year] && taxYearParameters[input.year].commuteAllowance;
+    if (!params) return null;
+
+    const perTrip = (distance) => {
+        const shortDistance = Math.min(distance, params.longDistanceFromKm - 1);
+        return shortDistance * params.rate + (distance - shortDistance) * params.longDistanceRate;
+    };
+
+    const lines = [];
+    input.workplaces.forEach((workplace, index) => {
+        const name = workplace.place || t('commute.workplace.title', { index: index + 1 });
+        if (workplace.distance > 0 && workplace.days > 0) {
+            lines.push({
+                type: 'commute',
+                workplace: name,
+                ownCar: workplace.ownCar,
+                count: workplace.days,
+                distance: workplace.distance,
+                amount: roundToCents(workplace.days * perTrip(workplace.distance)),
+            });
+        }
+        if (workplace.homeDistance > 0 && workplace.homeTrips > 0) {
+            lines.push({
+                type: 'homeTrips',
+                workplace: name,
+                count: workplace.homeTrips,
+                distance: workplace.homeDistance,
+                amount: roundToCents(workplace.homeTrips * perTrip(workplace.homeDistance)),
+            });
+        }
+    });
+
+    const sum = (items) => items.reduce((total, line) => total + line.amount, 0);
+    const cappable = sum(lines.filter(line => line.type === 'commute' && !line.ownCar));
+    const cappedBy = roundToCents(Math.max(0, cappable - params.maxAmount));
+
+    return {
+        year: input.year,
+        params,
+        lines,
+        cappedBy,
+        total: roundToCents(sum(lines) - cappedBy),
+    };
+}
+
+/**
+ * Renders the commute calculator summary panel.
+ * @param {HTMLElement} summary - The summary panel.
+ * @param {object|null} result - The result of calculateCommuteCosts().
+ */
+function renderCommuteSummary(summary, result) {
+    const total = summary.querySelector('[data-commute-total]');
+    const breakdown = summary.querySelector('[data-commute-breakdown]');
+    const rates = summary.querySelector('[data-commute-rates]');
+
+    breakdown.textContent = '';
+    rates.textContent = result ? t('commute.rates', {
+        year: result.year,
+        rate: formatCurrency(result.params.rate),
+        threshold: result.params.longDistanceFromKm - 1,
+        longDistanceRate: formatCurrency(result.params.longDistanceRate),
+        from: result.params.longDistanceFromKm,
+    }) : '';
+
+    if (!result || result.lines.length === 0) {
+        total.textContent = t('commute.empty');
+        return;
+    }
+
+    total.textContent = formatCurrency(result.total);
+    const rows = describeCommuteLines(result);
+    if (result.cappedBy > 0) {
+        rows.push([t('commute.row.cap', { amount: formatCurrency(result.params.maxAmount) }), `− ${formatCurrency(result.cappedBy)}`]);
+    }
+    rows.forEach(([label, value]) => {
+        const term = document.createElement('dt');
+        const description = document.createElement('dd');
+        term.textContent = label;
+        description.textContent = value;
+        breakdown.append(term, description);
+    });
+}
+
+/**
+ * Returns a [label, formatted amount] pair per line of a commute result.
+ * @param {object} result - The result of calculateCommuteCosts().
+ * @returns {Array<string[]>}
+ */
+function describeCommuteLines(result) {
+    return result.lines.map(line => [
+        line.type === 'commute'
+            ? t('commute.row.commute', { workplace: line.workplace, days: line.count, distance: line.distance })
+            : t('commute.row.homeTrips', { workplace: line.workplace, trips: line.count, distance: line.distance }),
+        formatCurrency(line.amount),
+    ]);
+}
+
+/**
+ * Writes the commute costs into the hidden commute fields (and notes) of the forms.
+ * @param {object|null} result - The result of calculateCommuteCosts().
+ */
+function attachCommuteToForms(result) {
+    let text = '';
+    if (result && result.lines.length > 0) {
+        const lines = describeCommuteLines(result).map(([label, value]) => `${label}: ${value}`);
+        if (result.cappedBy > 0) {
+            lines.push(`${t('commute.row.cap', { amount: formatCurrency(result.params.maxAmount) })}: − ${formatCurrency(result.cappedBy)}`);
+        }
+        text = t('commute.text', { year: result.year, lines: lines.join('; '), total: formatCurrency(result.total) });
+    }
+
+    scopeRoot.querySelectorAll(config.commuteFieldSelector).forEach(field => {
+        field.value = text;
+    });
+    scopeRoot.querySelectorAll(config.commuteNoteSelector).forEach(note => {
+        note.textContent = text ? t('commute.attached', { commute: text }) : '';
+        note.hidden = !text;
+    });
+}
+
+/**
+ * -------------------------------------
+ * Tax Obligation Check
+ * -------------------------------------
+ * Decision tree of the "Weryfikacja obowiązku podatkowego" questionnaire for employees, keyed by the
+ * first tax year it applies to: a year uses the newest rule set that is not newer than the year itself.
+ * To change questions or rules from a given year on, add an entry here; amounts that only change per
+ * year (e.g. the §46 EStG limits) belong in the tax year parameters instead. The grounds for mandatory
+ * filing that the questionnaire asks about (§46 Abs. 2 Nr. 1, 2, 3a, 7 EStG) and the limited tax liability
+ * on application (§1 Abs. 3, §1a EStG) read the same for every year from 2020 to 2025, so the rule set
+ * of 2020 covers all of them; add the next entry when one of these provisions changes.
+ *
+ * questions: every answer names the next question (`next`, null ends the questionnaire). `limit` is the
+ *   tax year parameter shown as {limit} in the question. Answer `fields` are copied into the settle form,
+ *   `service` is the settlement (a deep link service) the settle form is opened with.
+ * rules: a rule applies when every listed question was answered with one of the listed values. The result
+ *   is the strictest outcome of the applying rules, 'notWorth' when none applies.
+ */
+const taxCheckRuleSets = {
+    2020: {
+        start: 'residence',
+        questions: {
+            residence: {
+                answers: [
+                    { value: 'yes', next: 'taxClasses', fields: { settle_meldung: 'Tak' } },
+                    { value: 'no', next: 'incomeShare', fields: { settle_meldung: 'Nie' } },
+                ],
+            },
+            // Non-residents are taxed like residents only on application (§1 Abs. 3 EStG)
+            incomeShare: {
+                hint: true,
+                answers: [
+                    { value: 'yes', next: 'taxClasses' },
+                    { value: 'no', next: 'partialYear' },
+                ],
+            },
+            taxClasses: {
+                hint: true,
+                answers: [
+                    { value: 'I', label: 'taxCheck.answer.taxClasses.I', next: 'multipleEmployers', service: 'individual' },
+                    { value: 'II', label: 'taxCheck.answer.taxClasses.II', next: 'multipleEmployers', service: 'individual' },
+                    { value: 'IV/IV', label: 'taxCheck.answer.taxClasses.IV', next: 'multipleEmployers', service: 'joint' },
+                    { value: 'IV/IV-factor', label: 'taxCheck.answer.taxClasses.IVFactor', next: 'multipleEmployers', service: 'joint' },
+                    { value: 'III/V', label: 'taxCheck.answer.taxClasses.IIIV', next: 'multipleEmployers', service: 'joint' },
+                    // Class III for a spouse living in another EU/EEA country (§1a Abs. 1 Nr. 2 EStG)
+                    { value: 'III-spouse-abroad', label: 'taxCheck.answer.taxClasses.IIIAbroad', next: 'multipleEmployers', service: 'joint' },
+                ],
+            },
+            multipleEmployers: {
+                answers: [
+                    { value: 'yes', next: 'wageReplacement' },
+                    { value: 'no', next: 'wageReplacement' },
+                ],
+            },
+            wageReplacement: {
+                limit: 'mandatoryFilingLimits.wageReplacement',
+                hint: true,
+                answers: [
+                    { value: 'yes', next: 'sideIncome' },
+                    { value: 'no', next: 'sideIncome' },
+                ],
+            },
+            sideIncome: {
+                limit: 'mandatoryFilingLimits.sideIncome',
+                hint: true,
+                answers: [
+                    { value: 'yes', next: 'partialYear' },
+                    { value: 'no', next: 'partialYear' },
+                ],
+            },
+            partialYear: {
+                answers: [
+                    { value: 'yes', next: 'expenses' },
+                    { value: 'no', next: 'expenses' },
+                ],
+            },
+            expenses: {
+                limit: 'employeeAllowance',
+                hint: true,
+                answers: [
+                    { value: 'yes', next: null },
+                    { value: 'no', next: null },
+                ],
+            },
+        },
+        rules: [
+            { outcome: 'mandatory', reason: 'taxClasses', when: { taxClasses: ['III/V', 'IV/IV-factor'] } },
+            // §46 Abs. 2 Nr. 7 EStG: the class III was granted for a spouse who is not resident in Germany
+            { outcome: 'mandatory', reason: 'spouseAbroad', when: { taxClasses: ['III-spouse-abroad'] } },
+            { outcome: 'mandatory', reason: 'multipleEmployers', when: { multipleEmployers: ['yes'] } },
+            { outcome: 'mandatory', reason: 'wageReplacement', limit: 'mandatoryFilingLimits.wageReplacement', when: { wageReplacement: ['yes'] } },
+            { outcome: 'mandatory', reason: 'sideIncome', limit: 'mandatoryFilingLimits.sideIncome', when: { sideIncome: ['yes'] } },
+            { outcome: 'recommended', reason: 'incomeShare', when: { incomeShare: ['yes'] } },
+            { outcome: 'recommended', reason: 'partialYear', when: { partialYear: ['yes'] } },
+            { outcome: 'recommended', reason: 'expenses', limit: 'employeeAllowance', when: { expenses: ['yes'] } },
+        ],
+    },
+};
+// Outcomes from the strictest to the mildest
+const taxCheckOutcomes = ['mandatory', 'recommended', 'notWorth'];
+
+/**
+ * Handles the tax obligation check: asks the questions of the chosen tax year's rule set one at a time,
+ * then shows whether filing is mandatory, recommended or probably not worth it, with the reasons and
+ * deadlines. The outcome is attached to the settle form, which it can also prefill.
+ */
+export function initTaxCheck() {
+    const form = scopeRoot.querySelector(config.taxCheckFormSelector);
+    const resultPanel = scopeRoot.querySelector(config.taxCheckResultSelector);
+    const questionContainer = form ? form.querySelector('[data-tax-check-question]') : null;
+
+    if (!form || !resultPanel || !questionContainer) {
+        logger.warn("Tax obligation check elements not found.");
+        return;
+    }
+
+    // Offer the years that can still be filed and have both parameters and a rule set
+    const yearSelect = form.elements.namedItem('tax_check_year');
+    getFilingYears(new Date())
+        .filter(item => taxYearParameters[item.year] && getTaxCheckRuleSet(item.year))
+        .forEach(item => yearSelect.appendChild(new Option(String(item.year), String(item.year))));
+
+    const backButton = form.querySelector('[data-tax-check-action="back"]');
+    const nextButton = form.querySelector('[data-tax-check-action="next"]');
+    const validator = createFormValidator(form, null);
+    // Confirmed answers by question id, and the last choice per question (preselected when going back)
+    let answers = {};
+    let choices = {};
+    let result = null;
+
+    const update = (moveFocus = false) => {
+        const ruleSet = getTaxCheckRuleSet(yearSelect.value);
+        const { path, current } = ruleSet ? walkTaxCheck(ruleSet, answers) : { path: [], current: null };
+
+        validator.clear(questionContainer);
+        renderTaxCheckQuestion(questionContainer, ruleSet, current, yearSelect.value, choices[current]);
+        result = ruleSet && !current ? evaluateTaxCheck(yearSelect.value, answers) : null;
+        renderTaxCheckResult(resultPanel, result);
+        attachTaxCheckToForms(result);
+
+        backButton.hidden = path.length === 0;
+        nextButton.hidden = !current;
+        if (moveFocus) {
+            const radio = questionContainer.querySelector('input:checked') || questionContainer.querySelector('input');
+            (radio || resultPanel).focus();
+        }
+    };
+
+    form.addEventListener('submit', (event) => {
+        event.preventDefault();
+        const questionId = questionContainer.dataset.question;
+        if (!questionId || !validator.validate(questionContainer)) return;
+
+        answers[questionId] = form.elements.namedItem(`tax_check_${questionId}`).value;
+        update(true);
+        if (result) {
+            emitFunnelEvent('tax_check_completed', { outcome: result.outcome });
+        }
+    }, { signal: getLifecycleSignal() });
+    questionContainer.addEventListener('change', (event) => {
+        choices[questionContainer.dataset.question] = event.target.value;
+    }, { signal: getLifecycleSignal() });
+    yearSelect.addEventListener('change', () => update(), { signal: getLifecycleSignal() });
+    backButton.addEventListener('click', () => {
+        const ruleSet = getTaxCheckRuleSet(yearSelect.value);
+        const { path } = walkTaxCheck(ruleSet, answers);
+        delete answers[path[path.length - 1]];
+        update(true);
+    }, { signal: getLifecycleSignal() });
+    onLanguageChange(() => update());
+
+    resultPanel.querySelector('[data-tax-check-action="restart"]').addEventListener('click', () => {
+        answers = {};
+        choices = {};
+        update(true);
+    }, { signal: getLifecycleSignal() });
+
+    // Prefill the settle form with the answers and open it with the matching settlement and year
+    const settleButton = resultPanel.querySelector('[data-tax-check-action="settle"]');
+    const settleForm = scopeRoot.querySelector(config.settleFormSelector);
+    if (settleForm && settleForm.id) {
+        settleButton.addEventListener('click', () => {
+            if (!result) return;
+            Object.entries(result.fields).forEach(([name, value]) => setDeepLinkField(name, [value]));
+            navigateToDeepLink(`#${settleForm.id}?service=${result.service}&year=${result.year}`);
+        }, { signal: getLifecycleSignal() });
+    } else {
+        settleButton.hidden = true;
+    }
+
+    update();
+
+    logger.debug("Tax Obligation Check initialized.");
+}
+
+/**
+ * Returns the rule set of the tax obligation check that applies to a tax year.
+ * @param {string|number} year - The tax year.
+ * @returns {object|null} - The newest rule set not newer than the year, or null when there is none.
+ */
+function getTaxCheckRuleSet(year) {
+    const from = Object.keys(taxCheckRuleSets).map(Number)
+        .filter(key => key <= Number(year))
+        .sort((a, b) => b - a)[0];
+    return from === undefined ? null : taxCheckRuleSets[from];
+}
+
+/**
+ * Follows the answers through the decision tree from the start question.
+ * Answers to questions off the path (e.g. of another branch) are ignored.
+ * @param {object} ruleSet - The rule set (see taxCheckRuleSets).
+ * @param {Object<string, string>} answers - The answers by question id.
+ * @returns {{path: string[], current: string|null}} - The answered questions in order and the next
+ *   question to ask, null when the questionnaire is complete.
+ */
+function walkTaxCheck(ruleSet, answers) {
+    const path = [];
+    let current = ruleSet.start;
+    while (current && !path.includes(current)) {
+        const answer = ruleSet.questions[current].answers.find(item => item.value === answers[current]);
+        if (!answer) break;
+        path.push(current);
+        current = answer.next;
+    }
+    return { path, current };
+}
+
+/**
+ * Evaluates a complete questionnaire against the rules of its tax year.
+ * @param {string} year - The tax year.
+ * @param {Object<string, string>} answers - The answers by question id.
+ * @returns {{year: string, outcome: string, reasons: Array<{key: string, params: object}>, fields: Object<string, string>, service: string, deadlines: object}|null}
+ *   The reasons of the strictest outcome come first; `fields` and `service` prefill the settle form and
+ *   `deadlines` is the result of getFilingDeadlines(). Null when questions are left.
+ */
+function evaluateTaxCheck(year, answers) {
+    const ruleSet = getTaxCheckRuleSet(year);
+    const { path, current } = walkTaxCheck(ruleSet, answers);
+    if (current) return null;
+
+    const given = {};
+    const fields = {};
+    let service = 'individual';
+    path.forEach(id => {
+        given[id] = answers[id];
+        const answer = ruleSet.questions[id].answers.find(item => item.value === answers[id]);
+        Object.assign(fields, answer.fields);
+        service = answer.service || service;
+    });
+
+    const applying = ruleSet.rules
+        .filter(rule => Object.entries(rule.when).every(([id, values]) => values.includes(given[id])))
+        .sort((a, b) => taxCheckOutcomes.indexOf(a.outcome) - taxCheckOutcomes.indexOf(b.outcome));
+
+    return {
+        year,
+        outcome: applying.length ? applying[0].outcome : 'notWorth',
+        reasons: applying.map(rule => ({
+            key: `taxCheck.reason.${rule.reason}`,
+            params: rule.limit ? { limit: formatCurrency(getTaxYearParameter(year, rule.limit)) } : {},
+        })),
+        fields,
+        service,
+        deadlines: getFilingDeadlines(Number(year), new Date()),
+    };
+}
+
+/**
+ * Looks up a tax year parameter by its path, e.g. "mandatoryFilingLimits.sideIncome".
+ * @param {string} year - The tax year.
+ * @param {string} path - Dot-separated keys into the year's entry of taxYearParameters.
+ * @returns {*} - The value, or undefined when the year or a key is missing.
+ */
+function getTaxYearParameter(year, path) {
+    return path.split('.').reduce((value, key) => (value ? value[key] : undefined), taxYearParameters[year]);
+}
+
+/**
+ * Renders a question of the tax obligation check as a required radio group.
+ * @param {HTMLElement} container - The question container.
+ * @param {object|null} ruleSet - The rule set of the chosen year.
+ * @param {string|null} questionId - The question to ask; null leaves the container empty.
+ * @param {string} year - The tax year (shown in the question).
+ * @param {string} [value] - The answer to preselect.
+ */
+function renderTaxCheckQuestion(container, ruleSet, questionId, year, value) {
+    container.textContent = '';
+    container.dataset.question = questionId || '';
+    if (!questionId) return;
+
+    const question = ruleSet.questions[questionId];
+    const params = { year, limit: question.limit ? formatCurrency(getTaxYearParameter(year, question.limit)) : '' };
+    const fieldset = document.createElement('fieldset');
+    fieldset.className = 'form-group form-group--radio tax-check-question';
+    const legend = document.createElement('legend');
+    legend.textContent = t(`taxCheck.question.${questionId}`, params);
+    fieldset.appendChild(legend);
+
+    const hintId = `tax-check-${questionId}-hint`;
+    if (question.hint) {
+        const hint = document.createElement('p');
+        hint.id = hintId;
+        hint.className = 'form-hint';
+        hint.textContent = t(`taxCheck.question.${questionId}.hint`, params);
+        fieldset.appendChild(hint);
+    }
+
+    question.answers.forEach((answer, index) => {
+        const option = document.createElement('div');
+        option.className = 'form-check form-check-radio';
+        const input = document.createElement('input');
+        input.type = 'radio';
+        input.id = `tax-check-${questionId}-${index}`;
+        input.name = `tax_check_${questionId}`;
+        input.value = answer.value;
+        input.className = 'form-check-input';
+        input.required = true;
+        input.checked = answer.value === value;
+        if (question.hint) {
+            input.setAttribute('aria-describedby', hintId);
+        }
+        const label = document.createElement('label');
+        label.htmlFor = input.id;
+        label.className = 'form-check-label';
+        label.textContent = t(answer.label || `taxCheck.answer.${answer.value}`);
+        const checkmark = document.createElement('span');
+        checkmark.className = 'checkmark';
+        option.append(input, label, checkmark);
+        fieldset.appendChild(option);
+    });
+    container.appendChild(fieldset);
+}
+
+/**
+ * Renders the outcome, reasons and deadlines of the tax obligation check.
+ * @param {HTMLElement} panel - The result panel.
+ * @param {object|null} result - The result of evaluateTaxCheck(); null hides the panel.
+ */
+function renderTaxCheckResult(panel, result) {
+    panel.hidden = !result;
+    if (!result) return;
+
+    const outcome = panel.querySelector('[data-tax-check-outcome]');
+    const reasons = panel.querySelector('[data-tax-check-reasons]');
+    const deadlines = panel.querySelector('[data-tax-check-deadlines]');
+
+    outcome.textContent = t(`taxCheck.outcome.${result.outcome}`);
+    outcome.dataset.taxCheckOutcome = result.outcome;
+    reasons.textContent = '';
+    describeTaxCheckReasons(result).forEach(text => {
+        const item = document.createElement('li');
+        item.textContent = text;
+        reasons.appendChild(item);
+    });
+    deadlines.textContent = describeTaxCheckDeadlines(result).join(' ');
+}
+
+/**
+ * Returns the translated reasons of a tax obligation check result.
+ * @param {object} result - The result of evaluateTaxCheck().
+ * @returns {string[]}
+ */
+function describeTaxCheckReasons(result) {
+    return result.reasons.length
+        ? result.reasons.map(reason => t(reason.key, reason.params))
+        : [t('taxCheck.reason.none')];
+}
+
+/**
+ * Returns the deadline notes of a tax obligation check result: the statutory deadline when filing is
+ * mandatory, otherwise the end of the voluntary filing window.
+ * @param {object} result - The result of evaluateTaxCheck().
+ * @returns {string[]}
+ */
+function describeTaxCheckDeadlines(result) {
+    const { deadlines } = result;
+    const today = startOfDay(new Date());
+    if (result.outcome !== 'mandatory') {
+        return [t(`taxCheck.deadline.${result.outcome === 'recommended' ? 'voluntary' : 'notWorth'}`,
+            { year: result.year, date: formatDate(deadlines.voluntaryDeadline) })];
+    }
+
+    if (deadlines.statutoryDeadline < today) {
+        return [t('taxCheck.deadline.mandatoryPassed', { year: result.year, date: formatDate(deadlines.statutoryDeadline) })];
+    }
+    const lines = [t('taxCheck.deadline.mandatory', { year: result.year, date: formatDate(deadlines.statutoryDeadline) })];
+    // While the statutory deadline is ahead, the advised date refers to it
+    if (deadlines.advisedDeadline >= today) {
+        lines.push(t('settle.year.advised', { date: formatDate(deadlines.advisedDeadline) }));
+    }
+    return lines;
+}
+
+/**
+ * Writes the tax obligation check outcome into the hidden fields (and notes) of the forms.
+ * @param {object|null} result - The result of evaluateTaxCheck().
+ */
+function attachTaxCheckToForms(result) {
+    const text = result ? t('taxCheck.text', {
+        year: result.year,
+        outcome: t(`taxCheck.outcome.${result.outcome}`),
+        reasons: describeTaxCheckReasons(result).join(' '),
+    }) : '';
+
+    scopeRoot.querySelectorAll(config.taxCheckFieldSelector).forEach(field => {
+        field.value = text;
+    });
+    scopeRoot.querySelectorAll(config.taxCheckNoteSelector).forEach(note => {
+        note.textContent = text ? t('taxCheck.attached', { result: text }) : '';
+        note.hidden = !text;
+    });
+}
+
+/**
+ * -------------------------------------
+ * Modal Manager
+ * -------------------------------------
+ * Every `.modal` dialog is opened from an element with `data-modal-open="<modal id>"`, or
+ * from a link to the hash in the modal's `data-modal-hash` (which also opens it on page load).
+ * Modals stack; everything below the topmost one is inert until it closes.
+ */
+
+// Open modals, the topmost last: { modal, opener, fallbackFocus }
+const openModals = [];
+// Elements made inert by the manager, so that elements inert for other reasons stay untouched
+const inertByModal = new Set();
+const focusableSelector = 'a[href], area[href], button:not([disabled]), input:not([disabled]):not([type="hidden"]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+/**
+ * Wires the modal triggers, close buttons, backdrops and deep links.
+ */
+export function initModals() {
+    const modals = scopeRoot.querySelectorAll(config.modalSelector);
+
+    if (modals.length === 0) {
+        logger.warn("No modals found.");
+        return;
+    }
+
+    scopeRoot.addEventListener('click', (event) => {
+        const closeButton = event.target.closest(config.modalCloseSelector);
+        const closing = closeButton ? closeButton.closest(config.modalSelector) : event.target;
+        if (isModalOpen(closing) && (closeButton || event.target === closing)) {
+            closeModal(closing);
+            return;
+        }
+
+        const trigger = event.target.closest(`${config.modalTriggerSelector}, a[href^="#"]`);
+        const modal = trigger ? getModalForTrigger(trigger) : null;
+        if (modal) {
+            event.preventDefault(); // Links would otherwise jump or open a new tab
+            openModal(modal, { opener: trigger });
+        }
+    }, { signal: getLifecycleSignal() });
+
+    window.addEventListener('hashchange', () => {
+        const modal = getModalForHash(window.location.hash);
+        if (modal) {
+            openModal(modal);
+        }
+    }, { signal: getLifecycleSignal() });
+
+    const linkedModal = getModalForHash(window.location.hash);
+    if (linkedModal) {
+        openModal(linkedModal);
+    }
+
+    logger.debug(`Modal manager initialized (${modals.length} modals).`);
+}
+
+/**
+ * Opens a modal on top of any already open ones.
+ * @param {HTMLElement} modal - The modal element.
+ * @param {object} [options]
+ * @param {HTMLElement|null} [options.opener] - Receives the focus back when the modal closes.
+ * @param {HTMLElement|null} [options.fallbackFocus] - Receives it when the opener is gone or hidden by then.
+ */
+export function openModal(modal, { opener = null, fallbackFocus = null } = {}) {
+    if (isModalOpen(modal)) return;
+
+    logger.debug(`Opening modal #${modal.id}.`);
+    if (openModals.length === 0) {
+        document.addEventListener('keydown', handleModalKeydown, { signal: getLifecycleSignal() });
+        document.body.style.overflow = 'hidden';
+    }
+    openModals.push({ modal, opener, fallbackFocus });
+
+    modal.style.zIndex = `calc(var(--z-index-modal) + ${openModals.length})`;
+    modal.hidden = false;
+    modal.classList.add('is-open');
+    updateModalBackground();
+
+    const focusTarget = modal.querySelector('[autofocus]') || getFocusableElements(modal)[0];
+    if (focusTarget) {
+        focusTarget.focus();
+    } else {
+        modal.setAttribute('tabindex', '-1');
+        modal.focus();
+    }
+
+    modal.dispatchEvent(new CustomEvent('modal:open', { bubbles: true, detail: { opener } }));
+}
+
+/**
+ * Closes a modal and returns the focus to whatever opened it.
+ * @param {HTMLElement} modal - The modal element.
+ */
+export function closeModal(modal) {
+    const index = openModals.findIndex(entry => entry.modal === modal);
+    if (index === -1) return;
+
+    logger.debug(`Closing modal #${modal.id}.`);
+    const [{ opener, fallbackFocus }] = openModals.splice(index, 1);
+    modal.classList.remove('is-open');
+    modal.hidden = true;
+    modal.style.zIndex = '';
+    updateModalBackground();
+
+    if (openModals.length === 0) {
+        document.removeEventListener('keydown', handleModalKeydown);
+        document.body.style.overflow = '';
+    }
+
+    // A deep link would reopen the modal on reload
+    if (modal.dataset.modalHash && getModalForHash(window.location.hash) === modal) {
+        history.replaceState(history.state, '', window.location.pathname + window.location.search);
+    }
+
+    // Modals that were below it keep their focus where it was
+    if (index === openModals.length) {
+        const target = [opener, fallbackFocus].find(element => element && element !== document.body
+            && element.isConnected && !element.closest('[hidden], [inert]'));
+        if (target) {
+            target.focus();
+        }
+    }
+
+    modal.dispatchEvent(new CustomEvent('modal:close', { bubbles: true }));
+}
+
+/**
+ * Whether the element is a modal that is currently open.
+ * @param {Element|null} modal - The element to check.
+ * @returns {boolean}
+ */
+function isModalOpen(modal) {
+    return openModals.some(entry => entry.modal === modal);
+}
+
+/**
+ * Makes everything outside the topmost modal inert: the siblings of the modal and of each of its ancestors.
+ */
+function updateModalBackground() {
+    inertByModal.forEach(element => element.removeAttribute('inert'));
+    inertByModal.clear();
+
+    const top = openModals[openModals.length - 1];
+    if (!top) return;
+
+    for (let element = top.modal; element && element !== document.body; element = element.parentElement) {
+        Array.from(element.parentElement ? element.parentElement.children : []).forEach(sibling => {
+            if (sibling !== element && !sibling.hasAttribute('inert')) {
+                sibling.setAttribute('inert', '');
+                inertByModal.add(sibling);
+            }
+        });
+    }
+}
+
+/**
+ * Closes the topmost modal on Escape and keeps Tab within it. Registered only while a modal is open.
+ * @param {KeyboardEvent} event - The keydown event.
+ */
+function handleModalKeydown(event) {
+    const top = openModals[openModals.length - 1];
+    if (!top) return;
+
+    if (event.key === 'Escape') {
+        closeModal(top.modal);
+        return;
+    }
+    if (event.key !== 'Tab') return;
+
+    const focusable = getFocusableElements(top.modal);
+    if (focusable.length === 0) {
+        event.preventDefault();
+        return;
+    }
+
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    if (!top.modal.contains(document.activeElement)) {
+        event.preventDefault();
+        (event.shiftKey ? last : first).focus();
+    } else if (event.shiftKey && document.activeElement === first) {
+        event.preventDefault();
+        last.focus();
+    } else if (!event.shiftKey && document.activeElement === last) {
+        event.preventDefault();
+        first.focus();
+    }
+}
+
+/**
+ * Lists the focusable elements in a container, skipping hidden parts.
+ * @param {HTMLElement} container - The container, typically a modal.
+ * @returns {HTMLElement[]}
+ */
+function getFocusableElements(container) {
+    return Array.from(container.querySelectorAll(focusableSelector))
+        .filter(element => !element.closest('[hidden], [inert]'));
+}
+
+/**
+ * Finds the modal a trigger opens: the one named by its data attribute, or the one its link points to.
+ * @param {HTMLElement} trigger - The clicked element.
+ * @returns {HTMLElement|null}
+ */
+function getModalForTrigger(trigger) {
+    if (trigger.matches(config.modalTriggerSelector)) {
+        const modal = getScopedElementById(trigger.dataset.modalOpen);
+        if (!modal) {
+            logger.warn(`Modal not found: #${trigger.dataset.modalOpen}`);
+        }
+        return modal;
+    }
+    return getModalForHash(trigger.getAttribute('href'));
+}
+
+/**
+ * Finds the modal whose `data-modal-hash` matches a URL hash.
+ * @param {string} hash - The hash, with or without the leading "#".
+ * @returns {HTMLElement|null}
+ */
+function getModalForHash(hash) {
+    let name = (hash || '').replace(/^#/, '');
+    if (!name) return null;
+    try {
+        name = decodeURIComponent(name);
+    } catch (error) {
+        return null;
+    }
+    return Array.from(scopeRoot.querySelectorAll(config.modalSelector))
+        .find(modal => modal.dataset.modalHash === name) || null;
+}
+
+/**
+ * Updates the copyright year in the footer.
+ */
+export function updateCopyrightYear() {
+    const yearSpan = scopeRoot.querySelector(config.currentYearSelector);
+    if (yearSpan) {
+        yearSpan.textContent = new Date().getFullYear();
+        logger.debug("Copyright year updated.");
+    } else {
+         logger.warn("Copyright year span not found.");
+    }
+}
+
+/**
+* Optional: Hides skip links after they lose focus if user interacts with page.
+* Improves visual cleanliness after initial navigation aid.
+*/
+/*
+function initSkipLinkFocusManagement() {
+   const skipLinks = document.querySelectorAll(config.skipLinkSelector);
+   if (skipLinks.length === 0) return;
+
+   let hasInteracted = false;
+
+   const hideSkipLinks = () => {
+       if (hasInteracted) {
+           skipLinks.forEach(link => {
+               // Check if the link itself or its target has focus
+                const targetElement = document.querySelector(link.getAttribute('href'));
+                if (document.activeElement !== link && document.activeElement !== targetElement) {
+                     link.style.top = '-10em'; // Hide it again
+                }
+           });
+       }
+   };
+
+   // Mark interaction on first scroll or click anywhere
+   const markInteraction = () => {
+       hasInteracted = true;
+       window.removeEventListener('scroll', markInteraction, { once: true });
+       document.body.removeEventListener('click', markInteraction, { once: true });
+   };
+
+   window.addEventListener('scroll', markInteraction, { once: true });
+   document.body.addEventListener('click', markInteraction, { once: true });
+
+   // Check on blur from skip links
+   skipLinks.forEach(link => {
+       link.addEventListener('blur', () => {
+           // Use a small delay to allow focus to shift to the target
+           setTimeout(hideSkipLinks, 50);
+       });
+   });
+
+    console.log("Skip Link Focus Management initialized.");
+}
+*/
+
+
+/**
+ * -------------------------------------
+ * Utility Functions
+ * -------------------------------------
+ */
+
+/**
+ * Creates the logger: console output filtered by config.logging (see "Logging").
+ * @returns {{debug: Function, info: Function, warn: Function, error: Function}} - Each takes a message and optional details.
+ */
+function createLogger() {
+    const { production } = config.logging;
+    const level = production ? config.logging.productionLevel : config.logging.level;
+    const threshold = level in logLevels ? logLevels[level] : logLevels.debug;
+
+    const createMethod = (methodLevel, consoleMethod) => (message, ...details) => {
+        if (logLevels[methodLevel] < threshold) return;
+        if (production) {
+            // Of the details only error types are kept, e.g. "SubmissionError (offline)"
+            const errors = details.filter(detail => detail instanceof Error)
+                .map(error => error.code ? `${error.name} (${error.code})` : error.name);
+            console[consoleMethod](message, ...errors);
+        } else {
+            console[consoleMethod](message, ...details);
+        }
+    };
+
+    return {
+        debug: createMethod('debug', 'log'),
+        info: createMethod('info', 'info'),
+        warn: createMethod('warn', 'warn'),
+        error: createMethod('error', 'error'),
+    };
+}
+
+/**
+ * Debounce function to limit the rate at which a function can fire.
+ * @param {Function} func - The function to debounce.
+ * @param {number} wait - The delay in milliseconds.
+ * @param {boolean} immediate - Trigger the function on the leading edge instead of the trailing.
+ * @returns {Function} - The debounced function.
+ */
+function debounce(func, wait, immediate = false) {
+    let timeout;
+    return function executedFunction(...args) {
+        const context = this;
+        const later = function() {
+            timeout = null;
+            if (!immediate) func.apply(context, args);
+        };
+        const callNow = immediate && !timeout;
+        clearTimeout(timeout);
+        timeout = setTimeout(later, wait);
+        if (callNow) func.apply(context, args);
+    };
+}
+
+ /**
+ * Displays a message in a designated form message area.
+ * @param {HTMLElement} messageArea - The element to display the message in.
+ * @param {string} message - The message text.
+ * @param {'success' | 'error' | 'processing' | 'info'} type - The type of message.
+ */
+function displayFormMessage(messageArea, message, type = 'info') {
+    if (!messageArea) return;
+
+    // Remove previous type classes
+    messageArea.classList.remove('form-message--success', 'form-message--error', 'form-message--processing', 'form-message--info');
+
+    // Add the new type class
+    messageArea.classList.add(`form-message--${type}`);
+
+    // Set message content (use textContent for security)
+    messageArea.textContent = message;
+
+    // Make sure the area is visible
+    messageArea.style.display = 'block'; // Or use appropriate CSS class
+
+    // Optional: Scroll to the message if it's off-screen
+    // messageArea.scrollIntoView({ behavior: 'smooth', block: 'center' });
+
+    logger.debug(`Form message (${type}):`, message);
+}
+
+/**
+ * Clears and hides a form message area.
+ * @param {HTMLElement} messageArea - The message element to clear.
+ */
+function clearFormMessage(messageArea) {
+    if (!messageArea) return;
+    messageArea.classList.remove('form-message--success', 'form-message--error', 'form-message--processing', 'form-message--info');
+    messageArea.textContent = '';
+    messageArea.style.display = 'none';
+}
+
+/**
+ * Returns a human-readable label for a form field, based on its <label> or fieldset <legend>.
+ * @param {HTMLFormElement} form - The form containing the field.
+ * @param {string} name - The field name.
+ * @returns {string} - The label text without the required-field marker (falls back to the name).
+ */
+function getFieldLabel(form, name) {
+    const field = form.elements.namedItem(name);
+    // Radio groups are returned as a RadioNodeList; their label is the fieldset legend
+    const element = (field && typeof field.length === 'number' && !field.tagName) ? field[0] : field;
+    if (!element) return name;
+
+    if (element.dataset && element.dataset.label) {
+        return element.dataset.label;
+    }
+
+    const fieldset = element.type === 'radio' ? element.closest('fieldset') : null;
+    if (fieldset) {
+        return getLegendText(fieldset) || name;
+    }
+
+    const label = element.id ? form.querySelector(`label[for="${element.id}"]`) : null;
+    return label ? getTextWithoutMarkers(label) : name;
+}
+
+/**
+ * Returns the legend text of a fieldset without the required-field marker.
+ * @param {HTMLElement} fieldset - The fieldset element.
+ * @returns {string} - The legend text, or an empty string.
+ */
+function getLegendText(fieldset) {
+    const legend = fieldset.querySelector('legend');
+    return legend ? getTextWithoutMarkers(legend) : '';
+}
+
+/**
+ * Returns the text content of an element, ignoring required-field markers (.required).
+ * @param {HTMLElement} element - The element to read.
+ * @returns {string} - The trimmed text.
+ */
+function getTextWithoutMarkers(element) {
+    const clone = element.cloneNode(true);
+    clone.querySelectorAll('.required').forEach(marker => marker.remove());
+    return clone.textContent.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Returns the element's own text: its first non-empty direct text node, trimmed.
+ * @param {HTMLElement} element - The element to read.
+ * @returns {string}
+ */
+function getOwnText(element) {
+    const node = Array.from(element.childNodes).find(child => child.nodeType === Node.TEXT_NODE && child.textContent.trim());
+    return node ? node.textContent.trim() : '';
+}
+
+/**
+ * Replaces the element's own text (see getOwnText) and keeps its child elements and surrounding whitespace.
+ * @param {HTMLElement} element - The element to update.
+ * @param {string} text - The new text.
+ */
+function setOwnText(element, text) {
+    const node = Array.from(element.childNodes).find(child => child.nodeType === Node.TEXT_NODE && child.textContent.trim());
+    if (!node) {
+        element.insertBefore(document.createTextNode(text), element.firstChild);
+        return;
+    }
+    const [, leading, , trailing] = node.textContent.match(/^(\s*)([\s\S]*?)(\s*)$/);
+    node.textContent = `${leading}${text}${trailing}`;
+}
+
+/**
+ * Parses a `data-i18n-attr` value ("placeholder:key; aria-label:other.key").
+ * @param {HTMLElement} element - The element with the attribute.
+ * @returns {Array<[string, string]>} - Pairs of attribute name and translation key.
+ */
+function parseI18nAttributes(element) {
+    return element.dataset.i18nAttr.split(';')
+        .map(pair => pair.split(':').map(part => part.trim()))
+        .filter(([attribute, key]) => attribute && key);
+}
+
+/**
+ * Formats a file size in bytes for display (e.g. "1,5 MB").
+ * @param {number} bytes - The size in bytes.
+ * @returns {string} - The formatted size.
+ */
+function formatFileSize(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${formatNumber(Math.round(bytes / 1024), 0)} KB`;
+    return `${formatNumber(bytes / (1024 * 1024), 1)} MB`;
+}
+
+/**
+ * Determines the document kind of a file from its MIME type, falling back to the extension.
+ * @param {File} file - The file to check.
+ * @returns {'pdf' | 'image' | null} - The document kind, or null if the type is not accepted.
+ */
+function getDocumentKind(file) {
+    if (config.documentAcceptedTypes[file.type]) {
+        return config.documentAcceptedTypes[file.type];
+    }
+    const extension = file.name.includes('.') ? file.name.split('.').pop().toLowerCase() : '';
+    // Some systems report an empty or generic MIME type, so trust the extension only then
+    if (!file.type || file.type === 'application/octet-stream') {
+        return config.documentAcceptedExtensions[extension] || null;
+    }
+    return null;
+}
+
+/**
+ * Loads a script once and resolves when it has been executed.
+ * Scripts are fetched in CORS mode, so an integrity hash is checked for other origins as well.
+ * @param {string} src - The script URL.
+ * @param {{type?: string, integrity?: string}} [options] - The script type (e.g. 'module') and Subresource Integrity hash.
+ * @returns {Promise<void>}
+ */
+function loadScript(src, { type = '', integrity = '' } = {}) {
+    return new Promise((resolve, reject) => {
+        const script = document.createElement('script');
+        if (type) {
+            script.type = type;
+        }
+        if (integrity) {
+            script.integrity = integrity;
+        }
+        script.crossOrigin = 'anonymous';
+        script.src = src;
+        script.async = true;
+        script.onload = () => resolve();
+        script.onerror = () => reject(new Error(`Failed to load script: ${src}`));
+        document.head.appendChild(script);
+    });
+}
+
+let pdfJsPromise = null;
+
+/**
+ * Lazily loads pdf.js (only when the first PDF needs it).
+ * @returns {Promise<object>} - Resolves with the pdfjsLib global.
+ */
+function loadPdfJs() {
+    if (window.pdfjsLib) {
+        return Promise.resolve(window.pdfjsLib);
+    }
+    if (!pdfJsPromise) {
+        // The module build publishes its exports as globalThis.pdfjsLib as well
+        pdfJsPromise = loadScript(config.pdfJsSrc, { type: 'module', integrity: config.pdfJsIntegrity })
+            .then(() => {
+                if (!window.pdfjsLib) {
+                    throw new Error('pdf.js loaded but pdfjsLib is not available');
+                }
+                window.pdfjsLib.GlobalWorkerOptions.workerSrc = config.pdfJsWorkerSrc;
+                return window.pdfjsLib;
+            })
+            .catch(error => {
+                pdfJsPromise = null; // Allow a retry on the next PDF
+                throw error;
+            });
+    }
+    return pdfJsPromise;
+}
+
+/**
+ * Renders the first page of a PDF file into a canvas thumbnail.
+ * @param {File} file - The PDF file.
+ * @param {number} width - The thumbnail width in pixels.
+ * @returns {Promise<HTMLCanvasElement>}
+ */
+async function renderPdfThumbnail(file, width) {
+    const pdfjsLib = await loadPdfJs();
+    const pdf = await pdfjsLib.getDocument({ data: await file.arrayBuffer(), isEvalSupported: false }).promise;
+    try {
+        const page = await pdf.getPage(1);
+        const unscaled = page.getViewport({ scale: 1 });
+        const viewport = page.getViewport({ scale: width / unscaled.width });
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(viewport.width);
+        canvas.height = Math.round(viewport.height);
+        await page.render({ canvasContext: canvas.getContext('2d'), viewport }).promise;
+        return canvas;
+    } finally {
+        pdf.destroy();
+    }
+}
+
+/**
+ * Reads the text layer of a PDF file as lines, page by page from top to bottom.
+ * @param {File} file - The PDF file.
+ * @returns {Promise<string[]>} - The text lines (none for scans without a text layer).
+ */
+async function extractPdfText(file) {
+    const pdfjsLib = await loadPdfJs();
+    const pdf = await pdfjsLib.getDocument({ data: await file.arrayBuffer(), isEvalSupported: false }).promise;
+    try {
+        const lines = [];
+        for (let number = 1; number <= pdf.numPages; number++) {
+            const page = await pdf.getPage(number);
+            const viewport = page.getViewport({ scale: 1 });
+            const { items } = await page.getTextContent();
+            // Viewport coordinates run top-down whatever the page rotation or transformation
+            const runs = items.filter(item => item.str && item.str.trim()).map(item => {
+                const [, , c, d, x, y] = pdfjsLib.Util.transform(viewport.transform, item.transform);
+                return { x, y, endX: x + item.width, size: Math.hypot(c, d) || 1, text: item.str };
+            });
+            lines.push(...groupPdfTextRuns(runs));
+        }
+        return lines;
+    } finally {
+        pdf.destroy();
+    }
+}
+
+/**
+ * Groups positioned text runs into lines: top to bottom, and left to right within a line.
+ * @param {Array<{x: number, y: number, endX: number, size: number, text: string}>} runs - Positioned text, y downwards.
+ * @returns {string[]} - The lines.
+ */
+function groupPdfTextRuns(runs) {
+    const lines = [];
+    runs.slice().sort((a, b) => a.y - b.y || a.x - b.x).forEach(run => {
+        const line = lines.find(item => Math.abs(item.y - run.y) <= Math.max(2, Math.min(item.size, run.size) / 2));
+        if (line) {
+            line.runs.push(run);
+        } else {
+            lines.push({ y: run.y, size: run.size, runs: [run] });
+        }
+    });
+    return lines.map(line => line.runs.sort((a, b) => a.x - b.x).reduce((text, run, index, sorted) => {
+        // Runs further apart than a narrow space are separate words
+        const gap = index > 0 ? run.x - sorted[index - 1].endX : 0;
+        return text + (index > 0 && gap > run.size * 0.15 && !text.endsWith(' ') ? ' ' : '') + run.text;
+    }, '').replace(/\s+/g, ' ').trim());
+}
+
+/**
+ * Parses a user-entered amount ("32 500,50", "32.500,50", "32,500.50" or "32500.50").
+ * @param {string} value - The raw input value.
+ * @param {number} [emptyValue=NaN] - The value returned for an empty input.
+ * @returns {number} - The parsed amount, or NaN if the input is not a number.
+ */
+function parseAmount(value, emptyValue = NaN) {
+    let normalized = String(value || '').replace(/[\s\u00a0\u202f€']/g, '');
+    if (normalized === '') return emptyValue;
+
+    if (normalized.includes(',') && normalized.includes('.')) {
+        // With both separators present, the last one is the decimal separator
+        normalized = normalized.lastIndexOf(',') > normalized.lastIndexOf('.')
+            ? normalized.replace(/\./g, '').replace(',', '.')
+            : normalized.replace(/,/g, '');
+    } else if (/[.,]/.test(normalized)) {
+        // A single kind of separator: the locale's decimal separator, unless it only separates thousands
+        const separator = normalized.includes(',') ? ',' : '.';
+        const isGrouping = separator !== getDecimalSeparator() && new RegExp(`^-?\\d{1,3}(\\${separator}\\d{3})+$`).test(normalized);
+        normalized = isGrouping ? normalized.split(separator).join('') : normalized.replace(separator, '.');
+    }
+    return /^-?\d+(\.\d+)?$/.test(normalized) ? Number(normalized) : NaN;
+}
+
+/**
+ * Returns the decimal separator of the current locale.
+ * @returns {string}
+ */
+function getDecimalSeparator() {
+    const part = new Intl.NumberFormat(getLocale()).formatToParts(1.5).find(item => item.type === 'decimal');
+    return part ? part.value : '.';
+}
+
+/**
+ * Rounds an amount to full cents.
+ * @param {number} amount - The amount.
+ * @returns {number} - The rounded amount.
+ */
+function roundToCents(amount) {
+    return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Formats an amount as currency in the current locale.
+ * @param {number} amount - The amount.
+ * @param {string} [currency='EUR'] - ISO 4217 currency code.
+ * @returns {string} - The formatted amount (e.g. "1 234,50 €").
+ */
+function formatCurrency(amount, currency = 'EUR') {
+    return new Intl.NumberFormat(getLocale(), { style: 'currency', currency }).format(amount);
+}
+
+/**
+ * Formats a price or a [min, max] price range, showing decimals only when needed
+ * (e.g. "95 €", "23,25 zł", "100–150 €").
+ * @param {number|number[]} amount - The amount, or a [min, max] pair.
+ * @param {string} currency - ISO 4217 currency code.
+ * @returns {string} - The formatted price.
+ */
+function formatPrice(amount, currency) {
+    const amounts = Array.isArray(amount) ? amount : [amount];
+    const fractionDigits = amounts.every(Number.isInteger) ? 0 : 2;
+    const format = new Intl.NumberFormat(getLocale(), {
+        style: 'currency',
+        currency,
+        minimumFractionDigits: fractionDigits,
+        maximumFractionDigits: fractionDigits
+    });
+    if (amounts.length === 1) {
+        return format.format(amounts[0]);
+    }
+    // formatRange places the currency symbol once, where the locale expects it
+    return typeof format.formatRange === 'function'
+        ? format.formatRange(amounts[0], amounts[1])
+        : `${format.format(amounts[0])}–${format.format(amounts[1])}`;
+}
+
+/**
+ * Formats a number in the current locale.
+ * @param {number} value - The number.
+ * @param {number} [maximumFractionDigits=2] - Maximum number of decimals.
+ * @returns {string} - The formatted number.
+ */
+function formatNumber(value, maximumFractionDigits = 2) {
+    return new Intl.NumberFormat(getLocale(), { maximumFractionDigits }).format(value);
+}
+
+/**
+ * Formats an ISO date (YYYY-MM-DD) or Date in the current locale (e.g. "16.10.2026").
+ * @param {string|Date} date - The date.
+ * @param {string} [locale] - A fixed locale instead of the current one (e.g. for German documents).
+ * @returns {string} - The formatted date.
+ */
+function formatDate(date, locale = getLocale()) {
+    // Parse date-only strings as local dates, so the day does not shift with the time zone
+    const value = typeof date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(date)
+        ? new Date(`${date}T00:00:00`)
+        : new Date(date);
+    return new Intl.DateTimeFormat(locale, { day: '2-digit', month: '2-digit', year: 'numeric' }).format(value);
+}
+
+/**
+ * Returns the start (midnight, local time) of a date's day.
+ * @param {Date} date - The date.
+ * @returns {Date}
+ */
+function startOfDay(date) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+/**
+ * Formats the time of day (hours and minutes) in the current locale.
+ * @param {Date|number} date - The date or timestamp.
+ * @returns {string}
+ */
+function formatTime(date) {
+    return new Intl.DateTimeFormat(getLocale(), { hour: '2-digit', minute: '2-digit' }).format(new Date(date));
+}
+
+/**
+ * Formats a date with its time of day in the current locale (e.g. "19.10.2026, 14:05").
+ * @param {string|Date|number} date - The date, timestamp or ISO string.
+ * @returns {string}
+ */
+function formatDateTime(date) {
+    return `${formatDate(new Date(date))}, ${formatTime(date)}`;
+}
+
+/**
+ * Appends [term, description] rows to a description list.
+ * @param {HTMLDListElement} list - The list.
+ * @param {Array<string[]>} rows - The rows.
+ */
+function appendDescriptionRows(list, rows) {
+    rows.forEach(([label, value]) => {
+        const term = document.createElement('dt');
+        const description = document.createElement('dd');
+        term.textContent = label;
+        description.textContent = value;
+        list.append(term, description);
+    });
+}
+
+/**
+ * Lets the visitor save a generated file.
+ * @param {Blob} blob - The file contents.
+ * @param {string} fileName - The suggested file name.
+ */
+function downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.hidden = true;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // Revoke once the browser has started the download
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Creates a simple A4 PDF from text blocks, wrapping lines and adding pages as needed.
+ * Uses the built-in Helvetica fonts (see the PDF Text Encoding tables).
+ * @param {Array<{text: string, size?: number, bold?: boolean, spaceBefore?: number, spaceAfter?: number, pageBreak?: boolean}>} blocks -
+ *   Paragraphs in order; `pageBreak` starts the block on a new page.
+ * @param {{title?: string, footer?: Function}} [options] - Document title and a `(page, pages) => string` footer.
+ * @returns {Blob} - The PDF file.
+ */
+function createTextPdf(blocks, options = {}) {
+    const pageWidth = 595.28;
+    const pageHeight = 841.89;
+    const margin = 56;
+    const pages = [[]];
+    let y = pageHeight - margin;
+
+    blocks.forEach(block => {
+        const size = block.size || 10;
+        const lineHeight = size * 1.35;
+        if (block.pageBreak && pages[pages.length - 1].length > 0) {
+            pages.push([]);
+            y = pageHeight - margin;
+        }
+        y -= block.spaceBefore || 0;
+        wrapPdfText(block.text, size, pageWidth - 2 * margin, block.bold).forEach(line => {
+            if (y - lineHeight < margin) {
+                pages.push([]);
+                y = pageHeight - margin;
+            }
+            y -= lineHeight;
+            pages[pages.length - 1].push(`BT /${block.bold ? 'F2' : 'F1'} ${size} Tf ${margin} ${y.toFixed(2)} Td (${encodePdfText(line)}) Tj ET`);
+        });
+        y -= block.spaceAfter || 0;
+    });
+
+    // Objects 1–4: catalog, page tree, fonts (5 is the document info); then a page and its content per page
+    const objects = [];
+    const fontEncoding = `<< /Type /Encoding /BaseEncoding /WinAnsiEncoding /Differences [1 ${Object.values(pdfExtraGlyphs).map(name => `/${name}`).join(' ')}] >>`;
+    const pageIds = pages.map((_, index) => 6 + index * 2);
+    objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+    objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`;
+    objects[3] = `<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding ${fontEncoding} >>`;
+    objects[4] = `<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding ${fontEncoding} >>`;
+    objects[5] = `<< /Title (${encodePdfText(options.title || '')}) /CreationDate (D:${new Date().toISOString().replace(/[-:T]/g, '').slice(0, 14)}Z) >>`;
+    pages.forEach((lines, index) => {
+        const footer = options.footer
+            ? [`BT /F1 8 Tf ${margin} ${margin / 2} Td (${encodePdfText(options.footer(index + 1, pages.length))}) Tj ET`]
+            : [];
+        const stream = [...lines, ...footer].join('\n');
+        objects[pageIds[index]] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${pageWidth} ${pageHeight}] `
+            + `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageIds[index] + 1} 0 R >>`;
+        objects[pageIds[index] + 1] = `<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`;
+    });
+
+    // Everything is ASCII (other bytes are escaped), so string lengths are byte offsets
+    let pdf = '%PDF-1.4\n';
+    const offsets = [];
+    for (let id = 1; id < objects.length; id++) {
+        offsets[id] = pdf.length;
+        pdf += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+    }
+    const xrefOffset = pdf.length;
+    pdf += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+    for (let id = 1; id < objects.length; id++) {
+        pdf += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+    }
+    pdf += `trailer\n<< /Size ${objects.length} /Root 1 0 R /Info 5 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+    return new Blob([pdf], { type: 'application/pdf' });
+}
+
+/**
+ * Splits text into lines that fit a width in Helvetica (explicit line breaks are kept).
+ * @param {string} text - The text.
+ * @param {number} size - Font size in points.
+ * @param {number} maxWidth - Available width in points.
+ * @param {boolean} [bold=false] - Whether the bold font is used (measured slightly wider).
+ * @returns {string[]}
+ */
+function wrapPdfText(text, size, maxWidth, bold = false) {
+    const measure = (value) => Array.from(value).reduce((width, char) => {
+        const base = char.normalize('NFD').charCodeAt(0);
+        return width + (base >= 32 && base <= 126 ? pdfGlyphWidths[base - 32] : 556);
+    }, 0) * size / 1000 * (bold ? 1.08 : 1);
+
+    const lines = [];
+    String(text).split(/\r?\n/).forEach(paragraph => {
+        let line = '';
+        paragraph.split(/\s+/).filter(Boolean).forEach(word => {
+            const candidate = line ? `${line} ${word}` : word;
+            if (measure(candidate) <= maxWidth || !line) {
+                line = candidate;
+            } else {
+                lines.push(line);
+                line = word;
+            }
+            // Break words that are too long for a line on their own (e.g. URLs)
+            while (measure(line) > maxWidth && line.length > 1) {
+                let cut = line.length - 1;
+                while (cut > 1 && measure(line.slice(0, cut)) > maxWidth) cut--;
+                lines.push(line.slice(0, cut));
+                line = line.slice(cut);
+            }
+        });
+        lines.push(line);
+    });
+    return lines;
+}
+
+/**
+ * Encodes text as the contents of a PDF string literal in the summary font encoding.
+ * @param {string} text - The text.
+ * @returns {string} - ASCII only: special and non-ASCII bytes are written as octal escapes.
+ */
+function encodePdfText(text) {
+    const extraCharacters = Object.keys(pdfExtraGlyphs);
+    const getCode = (char) => {
+        const codePoint = char.codePointAt(0);
+        if ((codePoint >= 32 && codePoint <= 126) || (codePoint >= 160 && codePoint <= 255)) return codePoint;
+        if (pdfWinAnsiCodes[char]) return pdfWinAnsiCodes[char];
+        const index = extraCharacters.indexOf(char);
+        return index >= 0 ? index + 1 : null;
+    };
+
+    return Array.from(String(text).replace(/[\t\r\n]/g, ' ')).map(char => {
+        // Unknown accented letters fall back to their base letter
+        const code = getCode(char) || getCode(char.normalize('NFD').charAt(0)) || 63;
+        if (code === 40 || code === 41 || code === 92) return `\\${String.fromCharCode(code)}`;
+        return code >= 32 && code <= 126 ? String.fromCharCode(code) : `\\${code.toString(8).padStart(3, '0')}`;
+    }).join('');
+}
+
+/**
+ * Returns the first child with the given class, creating and appending it if missing.
+ * @param {HTMLElement} parent - The parent element.
+ * @param {string} tagName - Tag of the element to create.
+ * @param {string} className - Class to look for.
+ * @returns {HTMLElement} - The existing or new child.
+ */
+function getOrCreateChild(parent, tagName, className) {
+    let child = parent.querySelector(`.${className}`);
+    if (!child) {
+        child = document.createElement(tagName);
+        child.className = className;
+        parent.appendChild(child);
+    }
+    return child;
+}
+
+/**
+ * Reads a JSON value from localStorage (storage may be unavailable, e.g. in private mode).
+ * @param {string} key - The storage key.
+ * @returns {*} - The stored value, or null.
+ */
+function readStorage(key) {
+    try {
+        const value = localStorage.getItem(key);
+        return value === null ? null : JSON.parse(value);
+    } catch (error) {
+        logger.warn(`Could not read "${key}" from localStorage:`, error.message);
+        return null;
+    }
+}
+
+/**
+ * Writes a JSON value to localStorage.
+ * @param {string} key - The storage key.
+ * @param {*} value - The value to store.
+ * @returns {boolean} - Whether the value was stored.
+ */
+function writeStorage(key, value) {
+    try {
+        localStorage.setItem(key, JSON.stringify(value));
+        return true;
+    } catch (error) {
+        logger.warn(`Could not write "${key}" to localStorage:`, error.message);
+        return false;
+    }
+}
+
+/**
+ * Removes a value from localStorage.
+ * @param {string} key - The storage key.
+ */
+function removeStorage(key) {
+    try {
+        localStorage.removeItem(key);
+    } catch (error) {
+        logger.warn(`Could not remove "${key}" from localStorage:`, error.message);
+    }
+}
+
+/**
+ * Restores the fields inside a container to their initial values from the markup.
+ * @param {ParentNode} container - The element containing the fields.
+ */
+function resetFields(container) {
+    container.querySelectorAll('input, select, textarea').forEach(field => {
+        if (field.type === 'checkbox' || field.type === 'radio') {
+            field.checked = field.defaultChecked;
+        } else if (field.tagName === 'SELECT') {
+            Array.from(field.options).forEach(option => {
+                option.selected = option.defaultSelected;
+            });
+        } else if (field.type !== 'file') {
+            field.value = field.defaultValue;
+        }
+    });
+}
+
+/**
+ * Encodes binary data as base64.
+ * @param {ArrayBuffer|Uint8Array} buffer - The data.
+ * @returns {string}
+ */
+function bufferToBase64(buffer) {
+    const bytes = new Uint8Array(buffer);
+    let binary = '';
+    bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+    return btoa(binary);
+}
+
+/**
+ * Decodes base64 into binary data.
+ * @param {string} base64 - The encoded data.
+ * @returns {Uint8Array}
+ */
+function base64ToBuffer(base64) {
+    return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+}
+
+/**
+ * Returns a promise that resolves after the given delay.
+ * @param {number} ms - The delay in milliseconds.
+ * @returns {Promise<void>}
+ */
+function wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+let databasePromise = null;
+
+/**
+ * Opens (and creates or upgrades) the site's IndexedDB database.
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDatabase() {
+    if (databasePromise) return databasePromise;
+
+    databasePromise = new Promise((resolve, reject) => {
+        if (!('indexedDB' in window)) {
+            reject(new Error('IndexedDB is not available.'));
+            return;
+        }
+        const request = indexedDB.open(config.databaseName, config.databaseVersion);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            [config.submissionQueueStore, config.cryptoKeyStore].forEach(storeName => {
+                if (!db.objectStoreNames.contains(storeName)) {
+                    db.createObjectStore(storeName, { keyPath: 'id' });
+                }
+            });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+        request.onblocked = () => reject(new Error('The database is blocked by another open tab.'));
+    });
+    // Allow a later retry if opening failed
+    databasePromise.catch(() => { databasePromise = null; });
+    return databasePromise;
+}
+
+/**
+ * Runs a request against an object store and resolves once its transaction completes.
+ * @param {string} storeName - The object store name.
+ * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'.
+ * @param {function(IDBObjectStore): IDBRequest} operation - Issues the request.
+ * @returns {Promise<*>} - The result of the request.
+ */
+async function withObjectStore(storeName, mode, operation) {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeName, mode);
+        const request = operation(transaction.objectStore(storeName));
+        transaction.oncomplete = () => resolve(request ? request.result : undefined);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted.'));
+    });
+}
 
-// End of IIFE
-})();
\ No newline at end of file
+/**
+ * Basic HTML escaping function.
+ * @param {string} str - The string to escape.
+ * @returns {string} - The escaped string.
+ */
+function escapeHTML(str) {
+     if (str === null || str === '') return '';
+    return str.toString()
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&#039;");
+}
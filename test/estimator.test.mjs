@@ -0,0 +1,152 @@
+// The §32a EStG tariff and the refund estimator (see "Refund Estimator" in script.js).
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadPage, settle } from './helpers/load-page.mjs';
+
+const { module: { taxYearParameters, calculateIncomeTax, calculateSplittingTax, estimateTaxRefund } } = await loadPage({
+    expose: ['taxYearParameters', 'calculateIncomeTax', 'calculateSplittingTax', 'estimateTaxRefund'],
+});
+
+// Income tax by taxable income, worked out from the tariff formulas of §32a EStG in the version of each year
+const REFERENCE_TAX = {
+    2020: { 9408: 0, 9409: 0, 15000: 1085, 40000: 8452, 100000: 33036, 300000: 117921 },
+    2021: { 9744: 0, 9745: 0, 15000: 1010, 40000: 8333, 100000: 32863, 300000: 117625 },
+    2022: { 10347: 0, 10348: 0, 15000: 887, 40000: 8177, 100000: 32663, 300000: 117328 },
+    2023: { 10908: 0, 10909: 0, 16000: 966, 40000: 7828, 100000: 32027, 300000: 116692 },
+    2024: { 11784: 0, 11785: 0, 16000: 759, 40000: 7461, 100000: 31363, 300000: 116028 },
+    2025: { 12096: 0, 12097: 0, 16000: 688, 40000: 7320, 100000: 31088, 300000: 115753 },
+};
+
+test('every tax year of the parameter table has reference values', () => {
+    assert.deepEqual(Object.keys(taxYearParameters), Object.keys(REFERENCE_TAX));
+});
+
+Object.entries(REFERENCE_TAX).forEach(([year, references]) => {
+    const { tariff } = taxYearParameters[year];
+
+    test(`${year}: income tax matches the reference values`, () => {
+        Object.entries(references).forEach(([taxableIncome, tax]) => {
+            assert.equal(calculateIncomeTax(Number(taxableIncome), tariff), tax, `zvE ${taxableIncome}`);
+        });
+    });
+
+    test(`${year}: the tariff has no jumps at the zone limits`, () => {
+        [tariff.basicAllowance, tariff.zone2.upTo, tariff.zone3.upTo, tariff.zone4.upTo].forEach(limit => {
+            const step = calculateIncomeTax(limit + 1, tariff) - calculateIncomeTax(limit, tariff);
+            assert.ok(step >= 0 && step <= 1, `zvE ${limit} -> ${limit + 1}: ${step} €`);
+        });
+    });
+
+    test(`${year}: splitting is twice the tax on half the income`, () => {
+        assert.equal(calculateSplittingTax(80000, 0, tariff), 2 * references[40000]);
+        assert.equal(calculateSplittingTax(80001, 0, tariff), 2 * references[40000]);
+    });
+});
+
+test('income abroad only raises the rate of the joint assessment (Progressionsvorbehalt)', () => {
+    const { tariff } = taxYearParameters[2023];
+    const withoutForeignIncome = calculateSplittingTax(40000, 0, tariff);
+    const withForeignIncome = calculateSplittingTax(40000, 20000, tariff);
+
+    assert.equal(withForeignIncome, Math.floor(40000 * calculateSplittingTax(60000, 0, tariff) / 60000));
+    assert.ok(withForeignIncome > withoutForeignIncome);
+    assert.ok(withForeignIncome < calculateSplittingTax(60000, 0, tariff));
+});
+
+const single = {
+    year: '2023',
+    taxClass: 1,
+    maritalStatus: 'wolny/singiel',
+    grossWage: 40000,
+    withheldWageTax: 5000,
+    withheldSoli: 0,
+    werbungskosten: 0,
+    spouse: null,
+};
+
+test('a single employee is assessed on the basic scale', () => {
+    const result = estimateTaxRefund(single);
+
+    // 40 000 − 1 230 Arbeitnehmer-Pauschbetrag − 36 Sonderausgaben − 7 474 estimated contributions
+    assert.equal(result.taxableIncome, 31260);
+    assert.equal(result.incomeTax, 5073);
+    assert.equal(result.soli, 0);
+    assert.equal(result.refund, -73);
+    assert.equal(result.jointAssessment, false);
+    assert.equal(result.refundRange, null);
+});
+
+test('a married employee without the spouse income gets a range instead of splitting the own wage', () => {
+    const married = { ...single, taxClass: 3, maritalStatus: 'związek małżeński' };
+    const result = estimateTaxRefund(married);
+
+    assert.equal(result.jointAssessment, false);
+    assert.equal(result.incomeTax, 5073, 'the lower end is the individual assessment');
+    assert.equal(result.splittingIncomeTax, 1750, 'the upper end splits 31 224 € with a spouse without income');
+    assert.deepEqual({ ...result.refundRange }, { min: -73, max: 3250 });
+    assert.equal(result.taxClassMismatch, false);
+});
+
+test('a married employee with a spouse without income is assessed jointly', () => {
+    const spouse = { grossWage: 0, withheldWageTax: 0, withheldSoli: 0, foreignIncome: 0 };
+    const result = estimateTaxRefund({ ...single, taxClass: 3, maritalStatus: 'związek małżeński', spouse });
+
+    assert.equal(result.jointAssessment, true);
+    assert.equal(result.taxableIncome, 31224);
+    assert.equal(result.incomeTax, 1750);
+    assert.equal(result.refund, 3250);
+    assert.equal(result.refundRange, null);
+});
+
+test('the spouse wage and withheld taxes are added to the joint assessment', () => {
+    const spouse = { grossWage: 20000, withheldWageTax: 2500, withheldSoli: 0, foreignIncome: 0 };
+    const result = estimateTaxRefund({ ...single, taxClass: 4, maritalStatus: 'związek małżeński', spouse });
+    const { tariff } = taxYearParameters[2023];
+
+    // 20 000 − 1 230 Arbeitnehmer-Pauschbetrag − 3 737 estimated contributions
+    assert.equal(result.spouseWageIncome, 15033);
+    assert.equal(result.taxableIncome, 31224 + 15033);
+    assert.equal(result.incomeTax, calculateSplittingTax(46257, 0, tariff));
+    assert.equal(result.withheldWageTax, 7500);
+    assert.equal(result.refund, 7500 - result.incomeTax);
+});
+
+test('the spouse income abroad raises the tax of the joint assessment', () => {
+    const spouse = { grossWage: 0, withheldWageTax: 0, withheldSoli: 0, foreignIncome: 15000 };
+    const result = estimateTaxRefund({ ...single, maritalStatus: 'związek małżeński', spouse });
+    const { tariff } = taxYearParameters[2023];
+
+    assert.equal(result.taxableIncome, 31224);
+    assert.equal(result.spouseForeignIncome, 15000);
+    assert.equal(result.incomeTax, calculateSplittingTax(31224, 15000, tariff));
+    assert.ok(result.incomeTax > 1750);
+});
+
+test('the form asks for the spouse income of married clients and shows a range without it', async () => {
+    const { window, document, module } = await loadPage();
+    module.init({ features: ['refundEstimator'] });
+    const form = document.getElementById('estimator-form');
+    const spouseFields = form.querySelector('[data-subform-field="estimator_marital_status"]');
+    const fill = (name, value) => {
+        const field = form.elements.namedItem(name);
+        field.value = value;
+        field.dispatchEvent(new window.Event('change', { bubbles: true }));
+    };
+
+    assert.equal(spouseFields.hidden, true);
+    fill('estimator_year', '2023');
+    fill('estimator_marital_status', 'związek małżeński');
+    assert.equal(spouseFields.hidden, false);
+    fill('estimator_gross', '40000');
+    fill('estimator_wage_tax', '5000');
+    form.requestSubmit();
+    await settle(window);
+
+    const amount = document.querySelector('[data-estimator-amount]').textContent;
+    assert.match(amount, /dopłaty\s+73,00\s+€.*zwrotu\s+3\s?250,00\s+€/);
+
+    fill('estimator_spouse_gross', '0');
+    form.requestSubmit();
+    await settle(window);
+    assert.match(document.querySelector('[data-estimator-amount]').textContent, /Szacowany zwrot: 3\s?250,00\s+€/);
+});
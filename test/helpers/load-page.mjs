@@ -0,0 +1,81 @@
+// Loads index.html into jsdom and evaluates script.js in it as an ES module, the way the page does.
+import { existsSync, readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import vm from 'node:vm';
+import { JSDOM, VirtualConsole } from 'jsdom';
+
+const ROOT = fileURLToPath(new URL('../../', import.meta.url));
+const SCRIPT = readFileSync(new URL('script.js', `file://${ROOT}`), 'utf8');
+const PAGE = readFileSync(new URL('index.html', `file://${ROOT}`), 'utf8')
+    // The page's own module import would need a module loader; the tests call init() themselves
+    .replace(/<script type="module">[\s\S]*?<\/script>/, '');
+
+/**
+ * Creates a fresh page with the module evaluated but not initialized.
+ * @param {object} [options]
+ * @param {string[]} [options.expose] - Module-private names to export for the test as well.
+ * @param {string} [options.url] - The page URL.
+ * @param {Function} [options.fetch] - Replacement for window.fetch (default: serveRepository).
+ * @param {Function} [options.beforeEvaluate] - Called with the window before the module runs.
+ * @returns {Promise<{window: Window, document: Document, module: object, logs: Array}>}
+ */
+export async function loadPage({ expose = [], url = 'http://localhost/', fetch, beforeEvaluate } = {}) {
+    const logs = [];
+    const virtualConsole = new VirtualConsole();
+    ['error', 'warn', 'info', 'log', 'debug'].forEach(level => {
+        virtualConsole.on(level, (...args) => logs.push([level, ...args]));
+    });
+    virtualConsole.on('jsdomError', error => logs.push(['jsdomError', error.message]));
+
+    const dom = new JSDOM(PAGE, { url, runScripts: 'outside-only', pretendToBeVisual: true, virtualConsole });
+    const { window } = dom;
+    window.scrollTo = () => {};
+    window.fetch = fetch || serveRepository;
+    // jsdom has no TextEncoder; the PDF and hashing helpers need one
+    window.TextEncoder = TextEncoder;
+    window.TextDecoder = TextDecoder;
+    if (beforeEvaluate) beforeEvaluate(window);
+
+    const source = expose.length ? `${SCRIPT}\nexport { ${expose.join(', ')} };\n` : SCRIPT;
+    const module = new vm.SourceTextModule(source, {
+        identifier: `file://${ROOT}script.js`,
+        context: dom.getInternalVMContext(),
+    });
+    await module.link(() => { throw new Error('script.js has no imports'); });
+    await module.evaluate();
+    return { window, document: window.document, module: module.namespace, logs };
+}
+
+/**
+ * A fetch() answering GET requests for relative URLs with the repository files; anything else fails like a network error.
+ * @param {string} resource - The URL.
+ * @param {object} [init] - The request options.
+ * @returns {Promise<Response>}
+ */
+export async function serveRepository(resource, init = {}) {
+    const file = new URL(String(resource).split('?')[0], `file://${ROOT}`);
+    if ((init.method || 'GET') !== 'GET' || /^[a-z]+:/i.test(resource) || !existsSync(file)) {
+        throw new TypeError(`Network request to ${resource} failed`);
+    }
+    return new Response(readFileSync(file), { status: 200, headers: { 'Content-Type': 'application/json' } });
+}
+
+/**
+ * Messages logged at the given levels, for asserting that a run was clean.
+ * @param {Array} logs - The logs collected by loadPage().
+ * @param {string[]} [levels]
+ * @returns {string[]}
+ */
+export function problems(logs, levels = ['error', 'warn', 'jsdomError']) {
+    return logs.filter(([level]) => levels.includes(level)).map(entry => entry.slice(1).map(String).join(' '));
+}
+
+/**
+ * Waits for pending timers and promise callbacks of the page.
+ * @param {Window} window - The jsdom window.
+ * @param {number} [ms]
+ * @returns {Promise<void>}
+ */
+export function settle(window, ms = 20) {
+    return new Promise(resolve => window.setTimeout(resolve, ms));
+}
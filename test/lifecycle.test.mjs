@@ -0,0 +1,178 @@
+// init() / destroy() / re-init and the scoped initialization of every initializer (see "Public API" in script.js).
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadPage, problems, settle } from './helpers/load-page.mjs';
+
+const { module: { initializers } } = await loadPage({ expose: ['initializers'] });
+const FEATURES = Object.keys(initializers);
+
+/**
+ * Loads a page with an empty element appended to the body, for scoping to a root without the feature's markup.
+ * @returns {Promise<object>} - The page (see loadPage) plus `root`.
+ */
+async function loadPageWithEmptyRoot() {
+    const page = await loadPage();
+    const root = page.document.createElement('div');
+    page.document.body.append(root);
+    return { ...page, root };
+}
+
+test('every initializer is exported under its own name', async () => {
+    const { module } = await loadPage({ expose: ['initializers'] });
+    Object.values(module.initializers).forEach(initializer => {
+        assert.equal(module[initializer.name], initializer, `${initializer.name} is not exported`);
+    });
+});
+
+test('init() runs every feature and announces them with app:ready', async () => {
+    const { window, document, module, logs } = await loadPage();
+    let ready = null;
+    document.addEventListener('app:ready', event => { ready = event.detail; });
+
+    module.init();
+    await settle(window);
+
+    assert.deepEqual(JSON.parse(JSON.stringify(ready)), { features: FEATURES });
+    assert.deepEqual(problems(logs, ['error', 'jsdomError']), []);
+    assert.ok(window.GermanTaxConsent, 'the consent API is published');
+});
+
+test('destroy() removes every listener and re-init() wires them once again', async () => {
+    const { window, document, module, logs } = await loadPage();
+    const toggle = document.querySelector('.nav-toggle');
+    const list = document.querySelector('.nav-list');
+    const events = [];
+    ['app:ready', 'app:destroyed'].forEach(type => document.addEventListener(type, () => events.push(type)));
+
+    const instance = module.init();
+    await settle(window);
+    toggle.click();
+    assert.equal(list.classList.contains('is-open'), true);
+    toggle.click();
+
+    instance.destroy();
+    toggle.click();
+    assert.equal(list.classList.contains('is-open'), false, 'the toggle is inert after destroy()');
+    assert.equal(window.GermanTaxConsent, undefined, 'the consent API is withdrawn');
+
+    module.init();
+    await settle(window);
+    toggle.click();
+    assert.equal(list.classList.contains('is-open'), true, 'a single listener after re-init');
+    assert.equal(toggle.getAttribute('aria-expanded'), 'true');
+    assert.ok(window.GermanTaxConsent, 'the consent API is published again');
+
+    module.destroy();
+    module.destroy(); // A second call is a no-op
+    assert.deepEqual(events, ['app:ready', 'app:destroyed', 'app:ready', 'app:destroyed']);
+    assert.deepEqual(problems(logs, ['error', 'jsdomError']), []);
+});
+
+test('init() applies options on top of the defaults and re-init() starts from the defaults again', async () => {
+    const { window, document, module } = await loadPage();
+    const toggle = document.querySelector('.nav-toggle');
+    const list = document.querySelector('.nav-list');
+
+    module.init({ features: ['mobileNavigation'], navOpenClass: 'is-expanded' });
+    await settle(window);
+    toggle.click();
+    assert.equal(list.classList.contains('is-expanded'), true);
+    toggle.click();
+
+    module.init({ features: ['mobileNavigation'] });
+    await settle(window);
+    toggle.click();
+    assert.equal(list.classList.contains('is-open'), true);
+    assert.equal(list.classList.contains('is-expanded'), false);
+});
+
+test('lifecycle handlers passed as `on` are registered on the root', async () => {
+    const { window, root, module } = await loadPageWithEmptyRoot();
+    const seen = [];
+
+    module.init({ root, features: ['copyrightYear'], on: { 'app:ready': event => seen.push(event.target) } });
+    await settle(window);
+
+    assert.deepEqual(seen, [root]);
+});
+
+FEATURES.forEach(name => {
+    test(`${name}: init() scoped to a root leaves the rest of the page alone`, async () => {
+        const { window, document, root, module, logs } = await loadPageWithEmptyRoot();
+        const before = document.body.innerHTML;
+        let ready = null;
+        root.addEventListener('app:ready', event => { ready = event.detail; });
+
+        module.init({ root, features: [name] });
+        await settle(window);
+
+        assert.deepEqual(JSON.parse(JSON.stringify(ready)), { features: [name] });
+        assert.equal(document.body.innerHTML, before);
+        assert.deepEqual(problems(logs, ['error', 'jsdomError']), []);
+    });
+
+    test(`${name}: the exported initializer honours the root set by configure()`, async () => {
+        const { window, document, root, module, logs } = await loadPageWithEmptyRoot();
+        const before = document.body.innerHTML;
+
+        module.configure({ root });
+        module[initializers[name].name]();
+        await settle(window);
+
+        assert.equal(document.body.innerHTML, before);
+        assert.deepEqual(problems(logs, ['error', 'jsdomError']), []);
+    });
+
+    test(`${name}: runs on the page, is destroyed and runs again without errors`, async () => {
+        const { window, document, module, logs } = await loadPage();
+
+        module.init({ root: document.body, features: [name] });
+        await settle(window);
+        module.destroy();
+        module.init({ root: document.body, features: [name] });
+        await settle(window);
+        module.destroy();
+
+        assert.deepEqual(problems(logs, ['error', 'jsdomError']), []);
+    });
+});
+
+test('re-init() with another referral backend drops the backend of the previous instance', async () => {
+    const { window, module } = await loadPage({ expose: ['config', 'getReferralBackend'] });
+    const requests = [];
+    window.fetch = async (resource) => {
+        requests.push(String(resource));
+        return new Response('{"max":2,"remaining":2}', { status: 200, headers: { 'Content-Type': 'application/json' } });
+    };
+
+    module.init({ features: ['referrals'] });
+    await module.getReferralBackend().getStatus('7KQM-3XPV');
+    assert.deepEqual(requests, ['/api/referrals/7KQM-3XPV']);
+    module.destroy();
+
+    // Options of the page's realm, as a page script would pass them
+    module.init({ features: ['referrals'], ...window.JSON.parse('{"referral": {"backend": "local"}}') });
+    assert.equal(module.config.referral.backend, 'local');
+    const status = await module.getReferralBackend().getStatus('7KQM-3XPV');
+    assert.deepEqual({ ...status }, { max: 2, remaining: 2 });
+    assert.equal(requests.length, 1, 'the local backend makes no requests');
+});
+
+test('re-init() with another case status client drops the client of the previous instance', async () => {
+    const { window, module } = await loadPage({ expose: ['getCaseStatusClient'] });
+    const requests = [];
+    window.fetch = async (resource) => {
+        requests.push(String(resource));
+        return new Response('{"message":"Case not found."}', { status: 404, headers: { 'Content-Type': 'application/json' } });
+    };
+    const lookup = () => module.getCaseStatusClient().lookup({ reference: 'GT-DEMO2025', code: '246810' });
+
+    module.init({ features: ['caseStatus'] });
+    await assert.rejects(lookup(), error => error.code === 'not_found');
+    module.destroy();
+    module.init({ features: ['caseStatus'], ...window.JSON.parse('{"caseStatus": {"client": "local"}}') });
+    const status = await lookup();
+
+    assert.equal(status.reference, 'GT-DEMO2025');
+    assert.deepEqual(requests, ['/api/cases/status'], 'the local client makes no requests');
+});
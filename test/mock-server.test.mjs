@@ -0,0 +1,93 @@
+// The local mock of the submission API (dev/mock-server.js).
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+
+const PORT = 20000 + Math.floor(Math.random() * 20000);
+const BASE_URL = `http://localhost:${PORT}`;
+let server = null;
+
+before(async () => {
+    server = spawn(process.execPath, [fileURLToPath(new URL('../dev/mock-server.js', import.meta.url))], {
+        env: { ...process.env, PORT: String(PORT), MOCK_MODE: 'ok' },
+        stdio: ['ignore', 'pipe', 'inherit'],
+    });
+    await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.once('exit', code => reject(new Error(`The mock server exited with ${code}.`)));
+        server.stdout.on('data', data => {
+            if (String(data).includes('Mock server running')) resolve();
+        });
+    });
+});
+
+after(() => {
+    server.kill();
+});
+
+test('a malformed URL is answered with 400 and the server keeps running', async () => {
+    const response = await fetch(`${BASE_URL}/%E0`);
+    assert.equal(response.status, 400);
+
+    const page = await fetch(`${BASE_URL}/`);
+    assert.equal(page.status, 200);
+});
+
+test('the vendored pdf.js module is served as JavaScript', async () => {
+    const response = await fetch(`${BASE_URL}/vendor/pdfjs/pdf.min.mjs`);
+    await response.arrayBuffer();
+
+    assert.equal(response.headers.get('content-type'), 'text/javascript; charset=utf-8');
+});
+
+test('referral codes are issued for received submissions and their cap is counted on the server', async () => {
+    const post = (url, body, headers = {}) => fetch(`${BASE_URL}${url}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(body),
+    });
+    const submit = (submissionId, fields = {}) => post('/api/submissions/contact', { fields }, { 'Idempotency-Key': submissionId });
+    assert.equal((await post('/api/referrals', { submissionId: 'never-sent' })).status, 404);
+
+    await (await submit('referrer')).arrayBuffer();
+    const issued = await (await post('/api/referrals', { submissionId: 'referrer' })).json();
+    assert.match(issued.code, /^[2-9A-HJ-NP-Z]{4}-[2-9A-HJ-NP-Z]{4}$/);
+    assert.deepEqual(issued, { code: issued.code, max: 2, remaining: 2 });
+    assert.equal((await (await post('/api/referrals', { submissionId: 'referrer' })).json()).code, issued.code);
+
+    const redeem = submissionId => post(`/api/referrals/${issued.code}/redemptions`, { submissionId });
+    assert.equal((await redeem('never-sent')).status, 404, 'a submission that did not arrive takes no slot');
+
+    const referred = { contact_referral: issued.code };
+    assert.equal((await submit('first', referred)).status, 201);
+    assert.equal((await submit('first', referred)).status, 200, 'a redelivered submission takes no further slot');
+    assert.deepEqual(await (await redeem('first')).json(), { accepted: true, max: 2, remaining: 1 });
+    await (await submit('second')).arrayBuffer();
+    assert.equal((await redeem('second')).status, 200);
+
+    const rejected = await submit('third', referred);
+    assert.equal(rejected.status, 409);
+    assert.match((await rejected.json()).message, /limit/);
+    await (await submit('fourth')).arrayBuffer();
+    assert.deepEqual(await (await redeem('fourth')).json(), { accepted: false, max: 2, remaining: 0 });
+
+    assert.deepEqual(await (await fetch(`${BASE_URL}/api/referrals/${issued.code}`)).json(), { max: 2, remaining: 0 });
+    assert.equal((await fetch(`${BASE_URL}/api/referrals/2222-2222`)).status, 404);
+});
+
+test('the referral code of a multipart submission is counted as well', async () => {
+    await (await fetch(`${BASE_URL}/api/submissions/settle`, { method: 'POST', headers: { 'Idempotency-Key': 'multipart-referrer' } })).arrayBuffer();
+    const { code } = await (await fetch(`${BASE_URL}/api/referrals`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ submissionId: 'multipart-referrer' }),
+    })).json();
+    const formData = new FormData();
+    formData.append('settle_referral', code);
+    formData.append('settle_file', new Blob(['%PDF-1.4']), 'lohnsteuerbescheinigung.pdf');
+
+    const response = await fetch(`${BASE_URL}/api/submissions/settle`, { method: 'POST', headers: { 'Idempotency-Key': 'multipart' }, body: formData });
+    assert.equal(response.status, 201);
+    assert.deepEqual(await (await fetch(`${BASE_URL}/api/referrals/${code}`)).json(), { max: 2, remaining: 1 });
+});
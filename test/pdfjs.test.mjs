@@ -0,0 +1,34 @@
+// Loading of the vendored pdf.js build (see config.pdfJsSrc in script.js).
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHash } from 'node:crypto';
+import { readFileSync } from 'node:fs';
+import { loadPage } from './helpers/load-page.mjs';
+
+test('the integrity hash matches the vendored pdf.js build', async () => {
+    const { module: { config } } = await loadPage({ expose: ['config'] });
+    const file = readFileSync(new URL(`../${config.pdfJsSrc}`, import.meta.url));
+
+    assert.equal(config.pdfJsIntegrity, `sha384-${createHash('sha384').update(file).digest('base64')}`);
+    assert.ok(readFileSync(new URL(`../${config.pdfJsWorkerSrc}`, import.meta.url)).length > 0);
+});
+
+test('pdf.js is loaded once as a module script with integrity and CORS', async () => {
+    const { document, module: { config, loadPdfJs } } = await loadPage({ expose: ['config', 'loadPdfJs'] });
+
+    loadPdfJs();
+    loadPdfJs();
+
+    const scripts = document.head.querySelectorAll(`script[src="${config.pdfJsSrc}"]`);
+    assert.equal(scripts.length, 1);
+    assert.equal(scripts[0].type, 'module');
+    assert.equal(scripts[0].integrity, config.pdfJsIntegrity);
+    assert.equal(scripts[0].getAttribute('crossorigin'), 'anonymous');
+});
+
+test('the vendored pdf.js is not affected by CVE-2024-4367 (4.2.67 or later)', async () => {
+    const { version } = await import('../vendor/pdfjs/pdf.min.mjs');
+    const [major, minor, patch] = version.split('.').map(Number);
+
+    assert.ok(major > 4 || (major === 4 && (minor > 2 || (minor === 2 && patch >= 67))), `pdf.js ${version}`);
+});
@@ -0,0 +1,142 @@
+// The referral backends (see "Referrals" in script.js).
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { IDBFactory } from 'fake-indexeddb';
+import { loadPage } from './helpers/load-page.mjs';
+
+const CODE = '7KQM-3XPV';
+
+/**
+ * Loads a page whose fetch() answers the referral API like the server, with CODE issued and one slot of it taken.
+ * Like the server, it takes a slot for every submission with CODE that arrives, and redeems only received ones.
+ * @returns {Promise<object>} - The page plus the `requests` made ([method, url, body]), `setOnline(boolean)`,
+ *   `setSubmissionStatus(number)` for the answer to submissions and `used`, the submission ids holding a slot.
+ */
+async function loadReferralPage() {
+    const requests = [];
+    const used = new Set(['earlier-submission']);
+    const received = new Set();
+    let online = true;
+    let submissionStatus = 201;
+    const json = (status, body) => new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+    const page = await loadPage({
+        expose: ['config', 'getReferralBackend', 'submitForm', 'flushSubmissionQueue'],
+        fetch: async (resource, init = {}) => {
+            const body = typeof init.body === 'string' ? JSON.parse(init.body) : null;
+            requests.push([init.method || 'GET', String(resource), body]);
+            if (resource.startsWith('/api/submissions/')) {
+                if (submissionStatus >= 300) return json(submissionStatus, { message: 'Rejected by the test.' });
+                if (body.fields.contact_referral === CODE) {
+                    if (!used.has(body.submissionId) && used.size >= 2) return json(409, { message: 'Used up.' });
+                    used.add(body.submissionId);
+                }
+                received.add(body.submissionId);
+                return json(submissionStatus, { ok: true, reference: 'GT-TEST' });
+            }
+            if (resource === '/api/referrals') return json(200, { code: CODE.toLowerCase(), max: 2, remaining: 2 - used.size });
+            if (resource === `/api/referrals/${CODE}`) return json(200, { max: 2, remaining: 2 - used.size });
+            if (resource === `/api/referrals/${CODE}/redemptions`) {
+                if (!received.has(body.submissionId)) return json(404, { message: 'Submission not found.' });
+                const accepted = used.has(body.submissionId) || used.size < 2;
+                if (accepted) used.add(body.submissionId);
+                return json(accepted ? 200 : 409, { accepted, max: 2, remaining: 2 - used.size });
+            }
+            return json(404, { message: 'Unknown referral code.' });
+        },
+        beforeEvaluate(window) {
+            window.indexedDB = new IDBFactory();
+            Object.defineProperty(window, 'crypto', { value: globalThis.crypto });
+            Object.defineProperty(window.navigator, 'onLine', { get: () => online });
+        },
+    });
+    page.module.init({ features: ['referrals', 'submissionQueue'] });
+    return {
+        ...page,
+        requests,
+        used,
+        setOnline: value => { online = value; },
+        setSubmissionStatus: status => { submissionStatus = status; },
+    };
+}
+
+/**
+ * Builds contact form data of the page's realm with CODE in the referral field.
+ * @param {Window} window - The jsdom window.
+ * @returns {FormData}
+ */
+function referredContactData(window) {
+    const formData = new window.FormData();
+    formData.append('contact_name', 'Anna Nowak');
+    formData.append('contact_email', 'anna.nowak@example.com');
+    formData.append('contact_consent', 'on');
+    formData.append('contact_referral', CODE.toLowerCase());
+    return formData;
+}
+
+test('the HTTP backend is the default', async () => {
+    const { module } = await loadPage({ expose: ['config'] });
+    assert.equal(module.config.referral.backend, 'http');
+});
+
+test('the HTTP backend issues, looks up and redeems codes through the referral API', async () => {
+    const { window, module, requests } = await loadReferralPage();
+    const backend = module.getReferralBackend();
+
+    assert.deepEqual({ ...await backend.issue('sent-submission') }, { code: CODE, max: 2, remaining: 1 });
+    assert.deepEqual({ ...await backend.getStatus(CODE) }, { max: 2, remaining: 1 });
+    assert.deepEqual(JSON.parse(JSON.stringify(requests)), [
+        ['POST', '/api/referrals', { submissionId: 'sent-submission' }],
+        ['GET', `/api/referrals/${CODE}`, null],
+    ]);
+
+    const { submissionId } = await module.submitForm('contact', referredContactData(window));
+    const redemption = requests.find(([, url]) => url.endsWith('/redemptions'));
+    assert.deepEqual(JSON.parse(JSON.stringify(redemption)), ['POST', `/api/referrals/${CODE}/redemptions`, { submissionId }]);
+    assert.deepEqual({ ...await backend.redeem(CODE, submissionId) }, { accepted: true, max: 2, remaining: 0 }, 'idempotent');
+    await assert.rejects(backend.redeem(CODE, 'never-sent'), /404/);
+});
+
+test('unknown codes and server errors are reported as failures, not as free slots', async () => {
+    const { module } = await loadReferralPage();
+
+    await assert.rejects(module.getReferralBackend().getStatus('2222-222A'), /404/);
+});
+
+test('a send that fails takes no referral slot', async () => {
+    const { window, module, requests, used, setSubmissionStatus } = await loadReferralPage();
+    setSubmissionStatus(422);
+
+    await assert.rejects(module.submitForm('contact', referredContactData(window)), error => error.code === 'rejected');
+    await assert.rejects(module.submitForm('contact', referredContactData(window)), error => error.code === 'rejected');
+    assert.equal(requests.filter(([, url]) => url.endsWith('/redemptions')).length, 0);
+    assert.equal(used.size, 1);
+
+    setSubmissionStatus(201);
+    const { submissionId } = await module.submitForm('contact', referredContactData(window));
+    assert.deepEqual([...used], ['earlier-submission', submissionId]);
+});
+
+test('a submission queued offline takes its slot when the queue is flushed', async () => {
+    const { window, module, requests, used, setOnline } = await loadReferralPage();
+    setOnline(false);
+
+    const error = await module.submitForm('contact', referredContactData(window)).catch(queued => queued);
+    assert.equal(error.queued, true);
+    assert.equal(used.size, 1);
+
+    setOnline(true);
+    await module.flushSubmissionQueue();
+
+    assert.deepEqual([...used], ['earlier-submission', error.submissionId]);
+    const redemption = requests.find(([, url]) => url.endsWith('/redemptions'));
+    assert.equal(redemption[2].submissionId, error.submissionId);
+});
+
+test('a submission with a used-up code is rejected before it is sent', async () => {
+    const { window, module, requests } = await loadReferralPage();
+
+    await module.submitForm('contact', referredContactData(window));
+    await assert.rejects(module.submitForm('contact', referredContactData(window)), error => error.code === 'rejected');
+
+    assert.equal(requests.filter(([, url]) => url.startsWith('/api/submissions/')).length, 1);
+});
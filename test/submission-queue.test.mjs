@@ -0,0 +1,126 @@
+// The encrypted offline submission queue (see "Submission Queue" in script.js).
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { IDBFactory } from 'fake-indexeddb';
+import { loadPage, settle } from './helpers/load-page.mjs';
+
+/**
+ * Loads a page with IndexedDB and WebCrypto and a switchable connection.
+ * @returns {Promise<object>} - The page plus `setOnline(boolean)`, the `sent` request bodies and `readQueue()`.
+ */
+async function loadQueuePage() {
+    let online = false;
+    const sent = [];
+    const page = await loadPage({
+        expose: ['config', 'submitForm', 'flushSubmissionQueue', 'withObjectStore'],
+        fetch: async (resource, init) => {
+            sent.push(typeof init.body === 'string' ? JSON.parse(init.body) : init.body);
+            return new Response('{"caseReference":"GT-TEST"}', { status: 200, headers: { 'Content-Type': 'application/json' } });
+        },
+        beforeEvaluate(window) {
+            window.indexedDB = new IDBFactory();
+            Object.defineProperty(window, 'crypto', { value: globalThis.crypto });
+            Object.defineProperty(window.navigator, 'onLine', { get: () => online });
+            // jsdom lacks Blob#arrayBuffer(); the buffer is copied into Node's realm, which WebCrypto comes from
+            window.Blob.prototype.arrayBuffer = function () {
+                return new Promise(resolve => {
+                    const reader = new window.FileReader();
+                    reader.onload = () => resolve(new Uint8Array(reader.result).slice().buffer);
+                    reader.readAsArrayBuffer(this);
+                });
+            };
+        },
+    });
+    const { config, withObjectStore } = page.module;
+    page.module.init({ features: ['submissionQueue'] });
+    return {
+        ...page,
+        sent,
+        setOnline: value => { online = value; },
+        readQueue: () => withObjectStore(config.submissionQueueStore, 'readonly', store => store.getAll()),
+    };
+}
+
+/**
+ * Builds contact form data of the page's realm.
+ * @param {Window} window - The jsdom window.
+ * @param {boolean} consent - Whether the consent checkbox is ticked.
+ * @returns {FormData}
+ */
+function contactData(window, consent) {
+    const formData = new window.FormData();
+    formData.append('contact_name', 'Anna Nowak');
+    formData.append('contact_email', 'anna.nowak@example.com');
+    if (consent) {
+        formData.append('contact_consent', 'on');
+    }
+    return formData;
+}
+
+test('an offline submission is queued encrypted and sent once the browser is online', async () => {
+    const { window, module, sent, setOnline, readQueue } = await loadQueuePage();
+
+    await assert.rejects(module.submitForm('contact', contactData(window, true)), error => error.queued === true);
+
+    const [item] = await readQueue();
+    assert.equal(item.formKey, 'contact');
+    assert.ok(item.iv && item.data, 'the fields are encrypted');
+    assert.equal(item.entries, undefined);
+    assert.doesNotMatch(new TextDecoder().decode(item.data), /anna\.nowak/);
+    assert.equal(item.expiresAt - item.queuedAt, module.config.submissionQueueMaxAgeDays * 24 * 60 * 60 * 1000);
+
+    setOnline(true);
+    await module.flushSubmissionQueue();
+
+    assert.equal(sent.length, 1);
+    assert.equal(sent[0].submissionId, item.id);
+    assert.equal(sent[0].fields.contact_email, 'anna.nowak@example.com');
+    assert.deepEqual(await readQueue(), [], 'the queued copy is deleted once sent');
+});
+
+test('attached files are encrypted separately and restored with their names', async () => {
+    const { window, module, sent, setOnline, readQueue } = await loadQueuePage();
+    const formData = contactData(window, true);
+    formData.append('contact_file', new window.File(['Bruttoarbeitslohn 32.500,00'], 'lohnsteuerbescheinigung.txt', { type: 'text/plain' }));
+
+    await assert.rejects(module.submitForm('contact', formData), error => error.queued === true);
+    const [item] = await readQueue();
+    assert.equal(item.files.length, 1);
+    assert.doesNotMatch(new TextDecoder().decode(item.files[0].data), /Bruttoarbeitslohn/);
+
+    setOnline(true);
+    await module.flushSubmissionQueue();
+
+    const file = sent[0].get('contact_file');
+    assert.equal(file.name, 'lohnsteuerbescheinigung.txt');
+    assert.equal(file.type, 'text/plain');
+    assert.equal(new TextDecoder().decode(await file.arrayBuffer()), 'Bruttoarbeitslohn 32.500,00');
+});
+
+test('a submission without the consent to store it is not queued', async () => {
+    const { window, module, readQueue } = await loadQueuePage();
+
+    await assert.rejects(module.submitForm('contact', contactData(window, false)), error => error.queued === false);
+
+    assert.deepEqual(await readQueue(), []);
+});
+
+test('expired and unreadable queued submissions are deleted without being sent', async () => {
+    const { window, module, sent, setOnline, readQueue } = await loadQueuePage();
+    const { config, withObjectStore } = module;
+
+    await assert.rejects(module.submitForm('contact', contactData(window, true)), error => error.queued === true);
+    const [item] = await readQueue();
+    await withObjectStore(config.submissionQueueStore, 'readwrite', store => store.put({ ...item, expiresAt: Date.now() - 1 }));
+    // A plaintext entry queued by an earlier version of the script
+    await withObjectStore(config.submissionQueueStore, 'readwrite', store => store.put({
+        id: 'legacy', formKey: 'contact', entries: [['contact_email', 'anna.nowak@example.com']], queuedAt: Date.now(),
+    }));
+
+    setOnline(true);
+    await module.flushSubmissionQueue();
+    await settle(window);
+
+    assert.deepEqual(sent, []);
+    assert.deepEqual(await readQueue(), []);
+});
@@ -0,0 +1,86 @@
+// The tax obligation check (see "Tax Obligation Check" in script.js).
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadPage } from './helpers/load-page.mjs';
+
+const { module: { taxCheckRuleSets, taxYearParameters, getTaxCheckRuleSet, evaluateTaxCheck } } = await loadPage({
+    expose: ['taxCheckRuleSets', 'taxYearParameters', 'getTaxCheckRuleSet', 'evaluateTaxCheck'],
+});
+
+// A resident single employee without any ground for filing
+const NOTHING_TO_FILE = {
+    residence: 'yes',
+    taxClasses: 'I',
+    multipleEmployers: 'no',
+    wageReplacement: 'no',
+    sideIncome: 'no',
+    partialYear: 'no',
+    expenses: 'no',
+};
+
+test('every tax year with parameters has a rule set whose limits it defines', () => {
+    Object.keys(taxYearParameters).forEach(year => {
+        const ruleSet = getTaxCheckRuleSet(year);
+        assert.ok(ruleSet, `no rule set for ${year}`);
+        const limits = [...Object.values(ruleSet.questions), ...ruleSet.rules].map(item => item.limit).filter(Boolean);
+        limits.forEach(path => {
+            const value = path.split('.').reduce((parameter, key) => parameter[key], taxYearParameters[year]);
+            assert.equal(typeof value, 'number', `${year}: ${path}`);
+        });
+    });
+});
+
+test('the rules only name questions and answers of their rule set', () => {
+    Object.entries(taxCheckRuleSets).forEach(([from, ruleSet]) => {
+        ruleSet.rules.forEach(rule => {
+            Object.entries(rule.when).forEach(([id, values]) => {
+                const answers = ruleSet.questions[id].answers.map(answer => answer.value);
+                values.forEach(value => assert.ok(answers.includes(value), `${from}: ${id} = ${value}`));
+            });
+        });
+    });
+});
+
+Object.keys(taxYearParameters).forEach(year => {
+    test(`${year}: class III for a spouse living abroad makes filing mandatory`, () => {
+        const result = evaluateTaxCheck(year, { ...NOTHING_TO_FILE, taxClasses: 'III-spouse-abroad' });
+
+        assert.equal(result.outcome, 'mandatory');
+        assert.deepEqual([...result.reasons.map(reason => reason.key)], ['taxCheck.reason.spouseAbroad']);
+        assert.equal(result.service, 'joint');
+    });
+});
+
+test('a non-resident with class III for a spouse abroad has to file as well', () => {
+    const result = evaluateTaxCheck('2024', { ...NOTHING_TO_FILE, residence: 'no', incomeShare: 'yes', taxClasses: 'III-spouse-abroad' });
+
+    assert.equal(result.outcome, 'mandatory');
+    assert.deepEqual([...result.reasons.map(reason => reason.key)], ['taxCheck.reason.spouseAbroad', 'taxCheck.reason.incomeShare']);
+});
+
+test('class III/V and IV/IV with factor make filing mandatory, IV/IV alone does not', () => {
+    assert.equal(evaluateTaxCheck('2023', { ...NOTHING_TO_FILE, taxClasses: 'III/V' }).outcome, 'mandatory');
+    assert.equal(evaluateTaxCheck('2023', { ...NOTHING_TO_FILE, taxClasses: 'IV/IV-factor' }).outcome, 'mandatory');
+    assert.equal(evaluateTaxCheck('2023', { ...NOTHING_TO_FILE, taxClasses: 'IV/IV' }).outcome, 'notWorth');
+});
+
+test('the answer is offered in the questionnaire and its reason is translated', async () => {
+    const { window, document, module } = await loadPage();
+    module.init({ features: ['taxCheck'] });
+    const form = document.getElementById('tax-check-form');
+    const answer = value => {
+        form.querySelector(`[data-tax-check-question] input[value="${value}"]`).checked = true;
+        form.requestSubmit();
+    };
+
+    answer('yes');
+    const option = form.querySelector('input[value="III-spouse-abroad"]');
+    assert.match(document.querySelector(`label[for="${option.id}"]`).textContent, /małżonek mieszka za granicą/);
+    answer('III-spouse-abroad');
+    ['no', 'no', 'no', 'no', 'no'].forEach(answer);
+
+    const panel = document.getElementById('tax-check-result');
+    assert.equal(panel.hidden, false);
+    assert.equal(panel.querySelector('[data-tax-check-outcome]').dataset.taxCheckOutcome, 'mandatory');
+    assert.match(panel.querySelector('[data-tax-check-reasons]').textContent, /§ 46 ust. 2 pkt 7 EStG/);
+});
@@ -0,0 +1,81 @@
+// Reading a Lohnsteuerbescheinigung from its text lines (see "Wage Certificate Layout" in script.js).
+// The fixtures are anonymised: names, addresses and numbers are made up (the tax ids pass the check digit).
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { loadPage } from './helpers/load-page.mjs';
+
+const { module: { parseWageCertificate, wageCertificateFields } } = await loadPage({
+    expose: ['parseWageCertificate', 'wageCertificateFields'],
+});
+
+/**
+ * Parses a fixture the way the importer does with the lines read from a PDF.
+ * @param {string} name - The file name in test/fixtures/wage-certificates.
+ * @returns {object} - The parsed values, as a plain object of this realm.
+ */
+function parseFixture(name) {
+    const text = readFileSync(new URL(`fixtures/wage-certificates/${name}`, import.meta.url), 'utf8');
+    return JSON.parse(JSON.stringify(parseWageCertificate(text.split('\n'))));
+}
+
+test('the electronic printout: every field, the period from the title year, IdNr and eTIN', () => {
+    assert.deepEqual(parseFixture('printout-2024.txt'), {
+        employer: 'Nowak Bau GmbH, Industriestraße 5, 28199 Bremen',
+        period: { from: '2024-01-01', to: '2024-12-31' },
+        grossWage: 32500,
+        wageTax: 4210,
+        soli: 0,
+        churchTax: 0,
+        taxId: '86095742719',
+        etin: 'KWLSKJAN88C014',
+        year: '2024',
+    });
+});
+
+test('EUR and Ct columns, a label wrapping onto the next line and a period with years', () => {
+    assert.deepEqual(parseFixture('columns-2023.txt'), {
+        employer: 'Kowalski Logistik KG, Berlin',
+        period: { from: '2023-03-01', to: '2023-11-30' },
+        grossWage: 24812.4,
+        wageTax: 2915.07,
+        soli: 0,
+        churchTax: 233.1,
+        taxId: '47153029616',
+        etin: 'NWKPTRAB90D120',
+        year: '2023',
+    });
+});
+
+test('numbered remarks mentioning "Lohnsteuerbescheinigungen" are not taken for line 4', () => {
+    const values = parseFixture('payroll-export-2022.txt');
+
+    assert.equal(values.wageTax, 1902.33);
+    assert.equal(values.grossWage, 18750);
+    assert.equal(values.employer, 'Marketing & Meeting Services GmbH');
+    assert.equal(values.etin, undefined);
+    assert.equal(values.taxId, '57318049523');
+    assert.deepEqual(values.period, { from: '2022-01-01', to: '2022-06-30' });
+    assert.equal(values.year, '2022');
+});
+
+test('no label matches the title of the certificate', () => {
+    const titles = [
+        'Ausdruck der elektronischen Lohnsteuerbescheinigung für 2024',
+        'Besondere Lohnsteuerbescheinigung 2023',
+        'Lohnsteuerbescheinigungen früherer Jahre',
+    ];
+    wageCertificateFields.filter(definition => definition.type === 'amount').forEach(definition => {
+        titles.forEach(title => assert.equal(definition.label.test(title), false, `${definition.key}: ${title}`));
+    });
+});
+
+test('an invalid tax id and missing lines leave the values out', () => {
+    const values = JSON.parse(JSON.stringify(parseWageCertificate([
+        'Lohnsteuerbescheinigung 2024',
+        'Identifikationsnummer 12 345 678 901',
+        '3. Bruttoarbeitslohn einschl. Sachbezüge ohne 9. und 10.',
+    ])));
+
+    assert.deepEqual(values, { year: '2024' });
+});